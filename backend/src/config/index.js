@@ -9,11 +9,26 @@
  */
 
 require('dotenv').config();
+const path = require('path');
 const { getOrGenerateSecrets } = require('../utils/secrets');
 
 // Get or generate secrets (auto-generated on first run)
 const secrets = getOrGenerateSecrets();
 
+/**
+ * TRUST_PROXY: "true", a number of proxy hops, or proxy addresses/subnets
+ * (comma-separated, or "loopback"); unset or "false" trusts no proxy
+ */
+function parseTrustProxy(value) {
+  if (!value || value === 'false') {
+    return false;
+  }
+  if (value === 'true') {
+    return true;
+  }
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+}
+
 module.exports = {
   // Server port - defaults to 3000 if not set
   port: process.env.PORT || 3000,
@@ -29,6 +44,13 @@ module.exports = {
   // Encryption key for email passwords - automatically generated on first run
   encryptionKey: secrets.encryptionKey,
   
+  // Web Push (VAPID) key pair - automatically generated on first run
+  vapidPublicKey: secrets.vapidPublicKey,
+  vapidPrivateKey: secrets.vapidPrivateKey,
+  
+  // Contact for push services (mailto: or https: URL) - sent with every push
+  vapidSubject: process.env.VAPID_SUBJECT || 'mailto:admin@localhost',
+  
   // JWT token expiration times
   jwtExpiration: '15m',  // Access tokens expire in 15 minutes
   jwtRefreshExpiration: '7d',  // Refresh tokens expire in 7 days
@@ -36,9 +58,31 @@ module.exports = {
   // Database path - SQLite database file location (in persistent volume)
   dbPath: process.env.DB_PATH || '/data/database.sqlite',
   
+  // Mail attachments directory - defaults to "email" next to the database (in persistent volume)
+  attachmentsPath: process.env.ATTACHMENTS_PATH
+    || path.join(path.dirname(process.env.DB_PATH || '/data/database.sqlite'), 'email'),
+  
+  // Background mail sync (see mailScheduler) - set MAIL_BACKGROUND_SYNC=false to only sync on request
+  mailBackgroundSync: process.env.MAIL_BACKGROUND_SYNC !== 'false',
+  
+  // Seconds between syncs of accounts whose server doesn't support IMAP IDLE
+  // (IDLE accounts get a full sync of all folders this often)
+  mailPollInterval: (parseInt(process.env.MAIL_POLL_INTERVAL) || 300) * 1000,
+  
+  // Mail server settings database used by autodiscovery (the domain is appended)
+  autoconfigUrl: process.env.MAIL_AUTOCONFIG_URL || 'https://autoconfig.thunderbird.net/v1.1/',
+  
+  // Mail servers, token endpoints and autoconfig hosts on loopback or private addresses
+  // are refused - set MAIL_ALLOW_PRIVATE_HOSTS=true for a mail server on the local network
+  mailAllowPrivateHosts: process.env.MAIL_ALLOW_PRIVATE_HOSTS === 'true',
+  
   // CORS origin - which frontend URLs are allowed to access the API
   corsOrigin: process.env.CORS_ORIGIN || 'http://localhost',
   
+  // Reverse proxies whose X-Forwarded-For is trusted, so session lists show the
+  // client's IP (Express "trust proxy": true, a number of hops, or addresses)
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+  
   // Password requirements
   passwordMinLength: 24,  // Minimum password length
   
@@ -12,6 +12,7 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
 const config = require('../config');
+const { hashToken } = require('../utils/jwt');
 
 /**
  * Get database connection
@@ -33,6 +34,414 @@ function getDatabase() {
   });
 }
 
+/**
+ * Add a column to a table if it doesn't exist yet (migration helper)
+ *
+ * SQLite doesn't support IF NOT EXISTS for ALTER TABLE, so we check first.
+ * The optional callback runs once the column exists (e.g. to backfill or index it).
+ */
+function addColumnIfMissing(db, table, column, definition, callback = () => {}) {
+  db.all(`PRAGMA table_info(${table})`, (pragmaErr, columns) => {
+    if (pragmaErr) {
+      console.warn(`Could not check ${table} table schema:`, pragmaErr);
+      return;
+    }
+    
+    if (columns.some(col => col.name === column)) {
+      callback();
+      return;
+    }
+    
+    db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (alterErr) => {
+      if (alterErr) {
+        console.warn(`Could not add ${column} column:`, alterErr.message);
+        return;
+      }
+      console.log(`✓ Added ${column} column to ${table} table (migration)`);
+      callback();
+    });
+  });
+}
+
+/**
+ * Run statements one after another, stopping at the first error
+ */
+function runSequence(db, statements, callback) {
+  const [statement, ...rest] = statements;
+  if (!statement) {
+    callback(null);
+    return;
+  }
+  db.run(statement, (err) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    runSequence(db, rest, callback);
+  });
+}
+
+/**
+ * Rebuild a table with a new schema, keeping its rows and ids (migration helper)
+ *
+ * SQLite can't drop or change constraints, so the table is created again.
+ * Columns that exist in both versions are copied; `values` can fill new
+ * columns from the old table (column -> SQL expression).
+ */
+function rebuildTable(db, table, createSql, values, callback) {
+  const newTable = `${table}_new`;
+
+  db.all(`PRAGMA table_info(${table})`, (err, oldColumns) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    runSequence(db, [`DROP TABLE IF EXISTS ${newTable}`, createSql(newTable)], (createErr) => {
+      if (createErr) {
+        callback(createErr);
+        return;
+      }
+
+      db.all(`PRAGMA table_info(${newTable})`, (pragmaErr, newColumns) => {
+        if (pragmaErr) {
+          callback(pragmaErr);
+          return;
+        }
+
+        const columns = newColumns
+          .map(column => column.name)
+          .filter(name => values[name] || oldColumns.some(column => column.name === name));
+        const select = columns.map(name => values[name] || name).join(', ');
+
+        runSequence(db, [
+          'PRAGMA foreign_keys = OFF',
+          'BEGIN',
+          `INSERT INTO ${newTable} (${columns.join(', ')}) SELECT ${select} FROM ${table}`,
+          `DROP TABLE ${table}`,
+          `ALTER TABLE ${newTable} RENAME TO ${table}`,
+          'COMMIT',
+          'PRAGMA foreign_keys = ON',
+        ], (migrateErr) => {
+          if (migrateErr) {
+            runSequence(db, ['ROLLBACK', `DROP TABLE IF EXISTS ${newTable}`, 'PRAGMA foreign_keys = ON'], () => callback(migrateErr));
+            return;
+          }
+          console.log(`✓ Rebuilt ${table} table (migration)`);
+          callback(null);
+        });
+      });
+    });
+  });
+}
+
+/**
+ * CREATE TABLE statement for email_configs (also used to rebuild it)
+ *
+ * Each row is one email account. name is shown in the app, from_name and
+ * from_address are the identity emails are sent with. Accounts log in with
+ * a password or with OAuth2 (auth_type 'oauth2', no password).
+ */
+function emailConfigsTableSql(tableName) {
+  return `
+    CREATE TABLE IF NOT EXISTS ${tableName} (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT,
+      from_name TEXT,
+      from_address TEXT,
+      imap_host TEXT NOT NULL,
+      imap_port INTEGER NOT NULL,
+      imap_secure INTEGER DEFAULT 1,
+      smtp_host TEXT NOT NULL,
+      smtp_port INTEGER NOT NULL,
+      smtp_secure INTEGER DEFAULT 1,
+      username TEXT NOT NULL,
+      password_encrypted TEXT,
+      auth_type TEXT DEFAULT 'password',
+      oauth_token_url TEXT,
+      oauth_client_id TEXT,
+      oauth_client_secret_encrypted TEXT,
+      oauth_refresh_token_encrypted TEXT,
+      oauth_access_token_encrypted TEXT,
+      oauth_expires_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `;
+}
+
+/**
+ * CREATE TABLE statement for mail_folders (also used to rebuild it)
+ */
+function mailFoldersTableSql(tableName) {
+  return `
+    CREATE TABLE IF NOT EXISTS ${tableName} (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      account_id INTEGER,
+      name TEXT NOT NULL,
+      imap_path TEXT,
+      special_use TEXT,
+      uid_validity INTEGER,
+      uid_next INTEGER,
+      highest_modseq TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (account_id) REFERENCES email_configs(id) ON DELETE CASCADE,
+      UNIQUE(account_id, name)
+    )
+  `;
+}
+
+/**
+ * CREATE TABLE statement for mail_messages (also used to rebuild it)
+ */
+function mailMessagesTableSql(tableName) {
+  return `
+    CREATE TABLE IF NOT EXISTS ${tableName} (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      account_id INTEGER,
+      folder_id INTEGER NOT NULL,
+      message_id TEXT NOT NULL,
+      uid INTEGER,
+      subject TEXT,
+      from_address TEXT,
+      to_address TEXT,
+      cc_address TEXT,
+      bcc_address TEXT,
+      reply_to_address TEXT,
+      in_reply_to TEXT,
+      message_references TEXT,
+      thread_id INTEGER,
+      body_text TEXT,
+      body_html TEXT,
+      date_received DATETIME NOT NULL,
+      read INTEGER DEFAULT 0,
+      starred INTEGER DEFAULT 0,
+      answered INTEGER DEFAULT 0,
+      deleted INTEGER DEFAULT 0,
+      flags_pending INTEGER DEFAULT 0,
+      partial INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (folder_id) REFERENCES mail_folders(id) ON DELETE CASCADE,
+      FOREIGN KEY (account_id) REFERENCES email_configs(id) ON DELETE CASCADE,
+      UNIQUE(folder_id, uid)
+    )
+  `;
+}
+
+/**
+ * Drop UNIQUE(user_id, message_id) from mail_messages (migration)
+ *
+ * IMAP servers keep copies of a message in several folders, so messages are
+ * identified by folder and UID instead. SQLite can't drop constraints, so
+ * the table is rebuilt, keeping ids so attachments stay linked.
+ */
+function migrateMailMessagesIdentity(db, callback) {
+  db.get(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'mail_messages'`, (err, row) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    
+    if (!row || !row.sql.includes('UNIQUE(user_id, message_id)')) {
+      callback(null);
+      return;
+    }
+    
+    const columns = `id, user_id, folder_id, message_id, subject, from_address, to_address,
+      cc_address, bcc_address, body_text, body_html, date_received, read, created_at`;
+    
+    runSequence(db, [
+      'PRAGMA foreign_keys = OFF',
+      'BEGIN',
+      mailMessagesTableSql('mail_messages_new'),
+      `INSERT INTO mail_messages_new (${columns}) SELECT ${columns} FROM mail_messages`,
+      'DROP TABLE mail_messages',
+      'ALTER TABLE mail_messages_new RENAME TO mail_messages',
+      'COMMIT',
+      'PRAGMA foreign_keys = ON',
+    ], (migrateErr) => {
+      if (migrateErr) {
+        runSequence(db, ['ROLLBACK', 'PRAGMA foreign_keys = ON'], () => callback(migrateErr));
+        return;
+      }
+      console.log('✓ Rebuilt mail_messages table (migration)');
+      callback(null);
+    });
+  });
+}
+
+/**
+ * Allow several email accounts per user (migration)
+ *
+ * Drops UNIQUE(user_id) from email_configs (and NOT NULL from its password,
+ * for OAuth2 accounts), and makes folder names unique per account instead of
+ * per user. Existing folders belong to the user's only account.
+ */
+function migrateMailAccounts(db, callback) {
+  db.all(
+    `SELECT name, sql FROM sqlite_master WHERE type = 'table' AND name IN ('email_configs', 'mail_folders')`,
+    (err, rows) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      const schema = (name) => (rows.find(row => row.name === name) || {}).sql || '';
+      const steps = [];
+
+      const configsSql = schema('email_configs');
+      if (configsSql.includes('user_id INTEGER NOT NULL UNIQUE') || configsSql.includes('password_encrypted TEXT NOT NULL')) {
+        steps.push(next => rebuildTable(db, 'email_configs', emailConfigsTableSql, {}, next));
+      }
+      if (schema('mail_folders').includes('UNIQUE(user_id, name)')) {
+        steps.push(next => rebuildTable(db, 'mail_folders', mailFoldersTableSql, {
+          account_id: `(SELECT id FROM email_configs WHERE email_configs.user_id = mail_folders.user_id
+            ORDER BY id LIMIT 1)`,
+        }, next));
+      }
+
+      const runStep = (index) => {
+        if (index === steps.length) {
+          callback(null);
+          return;
+        }
+        steps[index]((stepErr) => {
+          if (stepErr) {
+            callback(stepErr);
+            return;
+          }
+          runStep(index + 1);
+        });
+      };
+      runStep(0);
+    }
+  );
+}
+
+/**
+ * Run the mail migrations that rebuild tables, one after another
+ */
+function migrateMailTables(db, callback) {
+  migrateMailMessagesIdentity(db, (err) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    migrateMailAccounts(db, callback);
+  });
+}
+
+/**
+ * Tables with a full-text search index, and the columns that are indexed
+ */
+const SEARCH_INDEXES = [
+  { table: 'mail_messages', columns: ['subject', 'from_address', 'to_address', 'body_text'] },
+  { table: 'contacts', columns: ['name', 'email_addresses', 'phone_numbers', 'notes'] },
+  { table: 'calendar_events', columns: ['title', 'description', 'location'] },
+];
+
+/**
+ * Create the FTS5 search index of a table (<table>_fts)
+ *
+ * The index is an external-content table: it only stores the search terms
+ * and reads the text from the table itself. Triggers keep it in sync on
+ * insert, update and delete; a new index is filled from the existing rows.
+ */
+function createSearchIndex(db, { table, columns }, callback) {
+  const fts = `${table}_fts`;
+  const list = columns.join(', ');
+  const values = (prefix) => columns.map(column => `${prefix}.${column}`).join(', ');
+
+  db.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`, [fts], (err, existing) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    runSequence(db, [
+      `CREATE VIRTUAL TABLE IF NOT EXISTS ${fts} USING fts5(
+        ${list}, content = '${table}', content_rowid = 'id', tokenize = 'unicode61 remove_diacritics 2'
+      )`,
+      `CREATE TRIGGER IF NOT EXISTS ${fts}_insert AFTER INSERT ON ${table} BEGIN
+        INSERT INTO ${fts} (rowid, ${list}) VALUES (new.id, ${values('new')});
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS ${fts}_delete AFTER DELETE ON ${table} BEGIN
+        INSERT INTO ${fts} (${fts}, rowid, ${list}) VALUES ('delete', old.id, ${values('old')});
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS ${fts}_update AFTER UPDATE OF ${list} ON ${table} BEGIN
+        INSERT INTO ${fts} (${fts}, rowid, ${list}) VALUES ('delete', old.id, ${values('old')});
+        INSERT INTO ${fts} (rowid, ${list}) VALUES (new.id, ${values('new')});
+      END`,
+      ...(existing ? [] : [`INSERT INTO ${fts} (${fts}) VALUES ('rebuild')`]),
+    ], callback);
+  });
+}
+
+/**
+ * Create all search indexes, one after another
+ */
+function createSearchIndexes(db, callback, indexes = SEARCH_INDEXES) {
+  const [index, ...rest] = indexes;
+  if (!index) {
+    callback(null);
+    return;
+  }
+  createSearchIndex(db, index, (err) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    createSearchIndexes(db, callback, rest);
+  });
+}
+
+// Tables apps sync incrementally, with the type their changes are listed
+// under (see services/syncService.js)
+const SYNCED_TABLES = [
+  { table: 'calendar_events', type: 'calendar' },
+  { table: 'contacts', type: 'contacts' },
+];
+
+/**
+ * Create the change log (sync_changes) and the triggers that fill it
+ *
+ * Every insert, update and delete of a synced table replaces the item's
+ * row, so each item has one row: its latest change, under a new seq
+ * (AUTOINCREMENT never reuses one, so seqs only grow). Deleted items keep
+ * theirs as a tombstone. Triggers catch every way of changing data (API,
+ * CalDAV/CardDAV, imports, overrides deleted with their series).
+ */
+function createChangeLog(db, callback) {
+  const log = (type, row, deleted) => `
+    DELETE FROM sync_changes WHERE type = '${type}' AND item_id = ${row}.id;
+    INSERT INTO sync_changes (user_id, type, item_id, deleted) VALUES (${row}.user_id, '${type}', ${row}.id, ${deleted});
+  `;
+
+  runSequence(db, [
+    `CREATE TABLE IF NOT EXISTS sync_changes (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      type TEXT NOT NULL,  -- 'calendar' or 'contacts'
+      item_id INTEGER NOT NULL,
+      deleted INTEGER DEFAULT 0,  -- Tombstone
+      changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (type, item_id)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_sync_changes_user ON sync_changes(user_id, seq)',
+    ...SYNCED_TABLES.flatMap(({ table, type }) => [
+      `CREATE TRIGGER IF NOT EXISTS ${table}_sync_insert AFTER INSERT ON ${table} BEGIN ${log(type, 'new', 0)} END`,
+      `CREATE TRIGGER IF NOT EXISTS ${table}_sync_update AFTER UPDATE ON ${table} BEGIN ${log(type, 'new', 0)} END`,
+      `CREATE TRIGGER IF NOT EXISTS ${table}_sync_delete AFTER DELETE ON ${table} BEGIN ${log(type, 'old', 1)} END`,
+    ]),
+  ], callback);
+}
+
 /**
  * Initialize database schema
  * Creates all tables if they don't exist
@@ -95,7 +504,11 @@ function initSchema(db) {
           device_id TEXT NOT NULL,
           refresh_token TEXT NOT NULL,
           expires_at DATETIME NOT NULL,
+          device_name TEXT,
+          user_agent TEXT,
+          ip_address TEXT,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          last_used_at DATETIME,
           FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
         )
       `, (err) => {
@@ -104,6 +517,71 @@ function initSchema(db) {
           return;
         }
         console.log('✓ Sessions table created');
+        
+        // Device details shown in the session list (migration for existing databases)
+        // last_used_at: last login or token refresh
+        addColumnIfMissing(db, 'sessions', 'device_name', 'TEXT');
+        addColumnIfMissing(db, 'sessions', 'user_agent', 'TEXT');
+        addColumnIfMissing(db, 'sessions', 'ip_address', 'TEXT');
+        addColumnIfMissing(db, 'sessions', 'last_used_at', 'DATETIME', () => {
+          db.run('UPDATE sessions SET last_used_at = created_at WHERE last_used_at IS NULL', () => {});
+        });
+        
+        // Only hashes of refresh tokens are stored (migration: hash the stored tokens)
+        db.all('SELECT id, refresh_token FROM sessions WHERE length(refresh_token) != 64', (selectErr, rows) => {
+          if (selectErr) {
+            console.warn('Could not check stored refresh tokens:', selectErr.message);
+            return;
+          }
+          rows.forEach(row => {
+            db.run('UPDATE sessions SET refresh_token = ? WHERE id = ?', [hashToken(row.refresh_token), row.id], () => {});
+          });
+          if (rows.length > 0) {
+            console.log(`✓ Hashed ${rows.length} stored refresh tokens (migration)`);
+          }
+        });
+        db.run('CREATE INDEX IF NOT EXISTS idx_sessions_refresh_token ON sessions(refresh_token)', () => {});
+      });
+      
+      // Create rotated refresh tokens table
+      // Refresh tokens that were already exchanged, until they expire: one
+      // presented again means it was copied (see authService.refreshAccessToken)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS rotated_refresh_tokens (
+          token_hash TEXT PRIMARY KEY,
+          session_id INTEGER NOT NULL,
+          rotated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          expires_at DATETIME NOT NULL,
+          FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+        )
+      `, (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        console.log('✓ Rotated refresh tokens table created');
+      });
+      
+      // Create app_passwords table (CalDAV/CardDAV clients log in with these
+      // instead of the account password, since they can't do 2FA - see
+      // appPasswordService)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS app_passwords (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          name TEXT NOT NULL,  -- e.g. "Phone (DAVx5)"
+          password_hash TEXT NOT NULL UNIQUE,  -- SHA-256 (the passwords are random)
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          last_used_at DATETIME,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `, (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        console.log('✓ App passwords table created');
+        db.run('CREATE INDEX IF NOT EXISTS idx_app_passwords_user ON app_passwords(user_id)', () => {});
       });
       
       // Create calendar_events table
@@ -118,9 +596,15 @@ function initSchema(db) {
           end_time TIME,
           location TEXT,
           reminder_time DATETIME,
+          rrule TEXT,
+          exdates TEXT,
+          recurrence_parent_id INTEGER,
+          recurrence_date DATE,
+          uid TEXT,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
           updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+          FOREIGN KEY (recurrence_parent_id) REFERENCES calendar_events(id) ON DELETE CASCADE
         )
       `, (err) => {
         if (err) {
@@ -128,6 +612,28 @@ function initSchema(db) {
           return;
         }
         console.log('✓ Calendar events table created');
+        
+        // Recurrence columns (migration for existing databases)
+        // rrule: RFC 5545 recurrence rule, exdates: JSON array of excluded dates
+        // recurrence_parent_id/recurrence_date: link a modified occurrence to its series
+        addColumnIfMissing(db, 'calendar_events', 'rrule', 'TEXT');
+        addColumnIfMissing(db, 'calendar_events', 'exdates', 'TEXT');
+        addColumnIfMissing(db, 'calendar_events', 'recurrence_parent_id', 'INTEGER REFERENCES calendar_events(id) ON DELETE CASCADE');
+        addColumnIfMissing(db, 'calendar_events', 'recurrence_date', 'DATE');
+        
+        // iCalendar UID, so imports and sync clients can match events
+        // Existing series get a random UID; modified occurrences use their series' UID
+        addColumnIfMissing(db, 'calendar_events', 'uid', 'TEXT', () => {
+          db.run(
+            `UPDATE calendar_events SET uid = lower(hex(randomblob(16))) || '@all-in-one-pwa'
+             WHERE uid IS NULL AND recurrence_parent_id IS NULL`,
+            () => {}
+          );
+          db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_calendar_user_uid ON calendar_events(user_id, uid)', () => {});
+        });
+        
+        // CalDAV resource name (e.g. "abc.ics") when a client chose one that isn't "<uid>.ics"
+        addColumnIfMissing(db, 'calendar_events', 'dav_name', 'TEXT');
       });
       
       // Create contacts table
@@ -149,23 +655,47 @@ function initSchema(db) {
           return;
         }
         console.log('✓ Contacts table created');
+        
+        // vCard UID and CardDAV resource name (see calendar_events)
+        // vcard keeps the last vCard received from a client, so fields we
+        // don't store (addresses, photos, ...) survive a sync round trip
+        addColumnIfMissing(db, 'contacts', 'uid', 'TEXT', () => {
+          db.run(
+            `UPDATE contacts SET uid = lower(hex(randomblob(16))) || '@all-in-one-pwa'
+             WHERE uid IS NULL`,
+            () => {}
+          );
+          db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_contacts_user_uid ON contacts(user_id, uid)', () => {});
+        });
+        addColumnIfMissing(db, 'contacts', 'dav_name', 'TEXT');
+        addColumnIfMissing(db, 'contacts', 'vcard', 'TEXT');
       });
       
-      // Create email_configs table
+      // Create email_configs table (one row per email account)
+      db.run(emailConfigsTableSql('email_configs'), (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        console.log('✓ Email configs table created');
+      });
+      
+      // Create mail_sync_status table (one row per email account)
+      // Updated by every sync; state, mode and the retry schedule are the
+      // background sync's (see mailScheduler)
       db.run(`
-        CREATE TABLE IF NOT EXISTS email_configs (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          user_id INTEGER NOT NULL UNIQUE,
-          imap_host TEXT NOT NULL,
-          imap_port INTEGER NOT NULL,
-          imap_secure INTEGER DEFAULT 1,
-          smtp_host TEXT NOT NULL,
-          smtp_port INTEGER NOT NULL,
-          smtp_secure INTEGER DEFAULT 1,
-          username TEXT NOT NULL,
-          password_encrypted TEXT NOT NULL,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        CREATE TABLE IF NOT EXISTS mail_sync_status (
+          account_id INTEGER PRIMARY KEY,
+          user_id INTEGER NOT NULL,
+          state TEXT NOT NULL DEFAULT 'stopped',  -- 'connecting', 'syncing', 'idle', 'polling', 'error' or 'stopped'
+          mode TEXT,  -- 'idle' (IMAP IDLE push) or 'poll' (interval polling)
+          last_sync_at DATETIME,  -- Last successful sync
+          last_error TEXT,  -- Error of the last sync or connection attempt (NULL after a success)
+          last_error_at DATETIME,
+          failures INTEGER DEFAULT 0,  -- Failed background attempts in a row
+          next_attempt_at DATETIME,  -- Next background sync or retry
           updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (account_id) REFERENCES email_configs(id) ON DELETE CASCADE,
           FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
         )
       `, (err) => {
@@ -173,64 +703,192 @@ function initSchema(db) {
           reject(err);
           return;
         }
-        console.log('✓ Email configs table created');
+        console.log('✓ Mail sync status table created');
       });
       
-      // Create mail_folders table
+      // Create push_subscriptions table (one row per browser/device with
+      // Web Push enabled; endpoint and keys come from PushManager.subscribe)
       db.run(`
-        CREATE TABLE IF NOT EXISTS mail_folders (
+        CREATE TABLE IF NOT EXISTS push_subscriptions (
           id INTEGER PRIMARY KEY AUTOINCREMENT,
           user_id INTEGER NOT NULL,
-          name TEXT NOT NULL,
-          imap_path TEXT,
+          device_id TEXT,
+          endpoint TEXT NOT NULL UNIQUE,
+          p256dh TEXT NOT NULL,  -- Browser's public key (base64url)
+          auth TEXT NOT NULL,  -- Browser's auth secret (base64url)
+          user_agent TEXT,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-          UNIQUE(user_id, name)
+          last_push_at DATETIME,  -- Last push the push service accepted
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
         )
       `, (err) => {
         if (err) {
           reject(err);
           return;
         }
-        console.log('✓ Mail folders table created');
+        console.log('✓ Push subscriptions table created');
       });
       
-      // Create mail_messages table
+      // Create reminder_pushes table (calendar reminders already pushed, so
+      // each is sent once - see reminderScheduler)
+      // A changed reminder time counts as a new reminder
       db.run(`
-        CREATE TABLE IF NOT EXISTS mail_messages (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
+        CREATE TABLE IF NOT EXISTS reminder_pushes (
+          event_id INTEGER NOT NULL,
+          occurrence_date TEXT NOT NULL,  -- YYYY-MM-DD (the event's date for single events)
+          reminder_time TEXT NOT NULL,
+          sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (event_id, occurrence_date, reminder_time)
+        )
+      `, (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        console.log('✓ Reminder pushes table created');
+      });
+      
+      // Create sent_mail_keys table (idempotency keys of sent mail, so a
+      // retry of mail that was sent already isn't sent again - see
+      // mailService.sendEmail)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS sent_mail_keys (
           user_id INTEGER NOT NULL,
-          folder_id INTEGER NOT NULL,
-          message_id TEXT NOT NULL,
-          subject TEXT,
-          from_address TEXT,
-          to_address TEXT,
-          cc_address TEXT,
-          bcc_address TEXT,
-          body_text TEXT,
-          body_html TEXT,
-          date_received DATETIME NOT NULL,
-          read INTEGER DEFAULT 0,
+          idempotency_key TEXT NOT NULL,  -- Chosen by the client
+          message_id TEXT,  -- Set once the mail was sent
+          claimed_at DATETIME,  -- When the send started (an old claim can be taken over)
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-          FOREIGN KEY (folder_id) REFERENCES mail_folders(id) ON DELETE CASCADE,
-          UNIQUE(user_id, message_id)
+          PRIMARY KEY (user_id, idempotency_key),
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
         )
       `, (err) => {
         if (err) {
           reject(err);
           return;
         }
-        console.log('✓ Mail messages table created');
+        console.log('✓ Sent mail keys table created');
+        addColumnIfMissing(db, 'sent_mail_keys', 'claimed_at', 'DATETIME');
+      });
+      
+      // Create mail_folders table (folder names are unique per account)
+      db.run(mailFoldersTableSql('mail_folders'), (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        console.log('✓ Mail folders table created');
         
-        // Create indexes for better performance
-        db.run('CREATE INDEX IF NOT EXISTS idx_calendar_user_date ON calendar_events(user_id, date)', () => {});
-        db.run('CREATE INDEX IF NOT EXISTS idx_contacts_user ON contacts(user_id)', () => {});
-        db.run('CREATE INDEX IF NOT EXISTS idx_mail_user_folder ON mail_messages(user_id, folder_id)', () => {});
-        db.run('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)', () => {});
+        // IMAP sync state: special-use flag (\\Sent, \\Trash, ...) and the
+        // UIDVALIDITY/UIDNEXT/HIGHESTMODSEQ seen at the last sync
+        addColumnIfMissing(db, 'mail_folders', 'special_use', 'TEXT');
+        addColumnIfMissing(db, 'mail_folders', 'uid_validity', 'INTEGER');
+        addColumnIfMissing(db, 'mail_folders', 'uid_next', 'INTEGER');
+        addColumnIfMissing(db, 'mail_folders', 'highest_modseq', 'TEXT');
+      });
+      
+      // Create mail_messages table
+      // A message can be in several folders, so it's identified by folder and IMAP UID
+      db.run(mailMessagesTableSql('mail_messages'), (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        console.log('✓ Mail messages table created');
         
-        console.log('✓ Database indexes created');
-        resolve();
+        migrateMailTables(db, (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          
+          // Account of the message (the account of its folder)
+          addColumnIfMissing(db, 'mail_messages', 'account_id', 'INTEGER REFERENCES email_configs(id) ON DELETE CASCADE', () => {
+            db.run(
+              `UPDATE mail_messages SET account_id = (
+                 SELECT account_id FROM mail_folders WHERE mail_folders.id = mail_messages.folder_id
+               ) WHERE account_id IS NULL`,
+              () => {}
+            );
+          });
+          
+          // IMAP flags (\\Seen is the read column). flags_pending marks local
+          // changes that haven't been stored on the server yet
+          addColumnIfMissing(db, 'mail_messages', 'starred', 'INTEGER DEFAULT 0');
+          addColumnIfMissing(db, 'mail_messages', 'answered', 'INTEGER DEFAULT 0');
+          addColumnIfMissing(db, 'mail_messages', 'deleted', 'INTEGER DEFAULT 0');
+          addColumnIfMissing(db, 'mail_messages', 'flags_pending', 'INTEGER DEFAULT 0');
+          
+          // Reply-To, In-Reply-To and References headers (References as
+          // space-separated Message-IDs), for replies
+          addColumnIfMissing(db, 'mail_messages', 'reply_to_address', 'TEXT');
+          addColumnIfMissing(db, 'mail_messages', 'in_reply_to', 'TEXT', () => {
+            db.run('CREATE INDEX IF NOT EXISTS idx_mail_user_in_reply_to ON mail_messages(user_id, in_reply_to)', () => {});
+          });
+          addColumnIfMissing(db, 'mail_messages', 'message_references', 'TEXT');
+          
+          // Conversation a message belongs to (ID of its first message, see mailService)
+          addColumnIfMissing(db, 'mail_messages', 'thread_id', 'INTEGER', () => {
+            db.run('CREATE INDEX IF NOT EXISTS idx_mail_user_thread ON mail_messages(user_id, thread_id)', () => {});
+          });
+          
+          // Found by a server search, only the headers are downloaded so far
+          addColumnIfMissing(db, 'mail_messages', 'partial', 'INTEGER DEFAULT 0');
+          
+          // Create mail_attachments table
+          // The content itself is stored on disk (see mailService), keyed by storage_key
+          db.run(`
+            CREATE TABLE IF NOT EXISTS mail_attachments (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              user_id INTEGER NOT NULL,
+              message_id INTEGER NOT NULL,
+              filename TEXT,
+              content_type TEXT,
+              size INTEGER DEFAULT 0,
+              content_id TEXT,  -- For inline images referenced as cid: in the HTML body
+              inline INTEGER DEFAULT 0,  -- 0 or 1 (boolean)
+              storage_key TEXT NOT NULL,
+              created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+              FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+              FOREIGN KEY (message_id) REFERENCES mail_messages(id) ON DELETE CASCADE
+            )
+          `, (err) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            console.log('✓ Mail attachments table created');
+            
+            // Create indexes for better performance
+            db.run('CREATE INDEX IF NOT EXISTS idx_calendar_user_date ON calendar_events(user_id, date)', () => {});
+            db.run('CREATE INDEX IF NOT EXISTS idx_contacts_user ON contacts(user_id)', () => {});
+            db.run('CREATE INDEX IF NOT EXISTS idx_mail_user_folder ON mail_messages(user_id, folder_id)', () => {});
+            db.run('CREATE INDEX IF NOT EXISTS idx_mail_user_message_id ON mail_messages(user_id, message_id)', () => {});
+            db.run('CREATE INDEX IF NOT EXISTS idx_mail_attachments_message ON mail_attachments(message_id)', () => {});
+            db.run('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)', () => {});
+            db.run('CREATE INDEX IF NOT EXISTS idx_push_subscriptions_user ON push_subscriptions(user_id)', () => {});
+            
+            console.log('✓ Database indexes created');
+            
+            // Full-text search (see createSearchIndex)
+            createSearchIndexes(db, (err) => {
+              if (err) {
+                reject(err);
+                return;
+              }
+              console.log('✓ Search indexes created');
+              
+              // Change log for incremental sync (see createChangeLog)
+              createChangeLog(db, (err) => {
+                if (err) {
+                  reject(err);
+                  return;
+                }
+                console.log('✓ Sync change log created');
+                resolve();
+              });
+            });
+          });
+        });
       });
     });
   });
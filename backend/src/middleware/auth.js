@@ -11,13 +11,45 @@
  */
 
 const { verifyAccessToken } = require('../utils/jwt');
+const appPasswordService = require('../services/appPasswordService');
+
+// Failed Basic auth logins allowed per window, before further attempts are
+// refused without checking them: per client IP and username, and per client IP
+const FAILED_LOGIN_WINDOW = 15 * 60 * 1000;
+const MAX_FAILED_LOGINS_PER_USER = 10;
+const MAX_FAILED_LOGINS_PER_IP = 30;
+const FAILED_LOGINS_MAX_KEYS = 10000;
+const failedLogins = new Map();
+
+/**
+ * Failed logins counted under a key in the current window
+ */
+function getFailures(key) {
+  const entry = failedLogins.get(key);
+  return entry && entry.resetAt > Date.now() ? entry : null;
+}
+
+function recordFailure(key) {
+  const entry = getFailures(key) || { count: 0, resetAt: Date.now() + FAILED_LOGIN_WINDOW };
+  entry.count++;
+  failedLogins.set(key, entry);
+  
+  // Drop finished windows once there are many keys
+  if (failedLogins.size > FAILED_LOGINS_MAX_KEYS) {
+    for (const [oldKey, oldEntry] of failedLogins) {
+      if (oldEntry.resetAt <= Date.now()) {
+        failedLogins.delete(oldKey);
+      }
+    }
+  }
+}
 
 /**
  * Middleware to verify JWT access token
  * 
  * Expects token in Authorization header: "Bearer <token>"
  * 
- * If token is valid, adds userId to req.userId
+ * If token is valid, adds userId to req.userId (and its expiry, in milliseconds, to req.tokenExpiresAt)
  * If token is invalid, returns 401 Unauthorized
  */
 function authenticateToken(req, res, next) {
@@ -40,11 +72,76 @@ function authenticateToken(req, res, next) {
   // Add user ID to request object
   // This allows route handlers to know which user made the request
   req.userId = decoded.userId;
+  // (long-lived requests like the event stream end when the token expires)
+  req.tokenExpiresAt = decoded.exp * 1000;
   
   // Continue to next middleware/route handler
   next();
 }
 
+/**
+ * Middleware to verify HTTP Basic credentials
+ * 
+ * Used by the CalDAV/CardDAV endpoints, whose clients can't use JWTs or
+ * 2FA. They log in with the username (or email) and an app password
+ * created in Settings (see appPasswordService) - never the account password.
+ * Expects header: "Authorization: Basic base64(username:password)"
+ * 
+ * If credentials are valid, adds req.userId and req.user ({ id, username, email })
+ * If not, returns 401 with a WWW-Authenticate challenge, or 429 after too
+ * many failed attempts from the client
+ */
+async function authenticateBasic(req, res, next) {
+  const challenge = () => {
+    res.set('WWW-Authenticate', 'Basic realm="All-in-One PWA", charset="UTF-8"');
+    res.status(401).json({ error: 'Authentication required' });
+  };
+  
+  const authHeader = req.headers['authorization'] || '';
+  const [scheme, encoded] = authHeader.split(' ');
+  
+  if (!scheme || scheme.toLowerCase() !== 'basic' || !encoded) {
+    return challenge();
+  }
+  
+  const decoded = Buffer.from(encoded, 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  if (separator === -1) {
+    return challenge();
+  }
+  
+  const username = decoded.slice(0, separator);
+  const password = decoded.slice(separator + 1);
+  const userKey = `${req.ip}|${username.toLowerCase()}`;
+  const ipKey = req.ip;
+  
+  const limited = [
+    [getFailures(userKey), MAX_FAILED_LOGINS_PER_USER],
+    [getFailures(ipKey), MAX_FAILED_LOGINS_PER_IP],
+  ].find(([entry, max]) => entry && entry.count >= max);
+  if (limited) {
+    res.set('Retry-After', String(Math.ceil((limited[0].resetAt - Date.now()) / 1000)));
+    return res.status(429).json({ error: 'Too many failed logins. Please try again later.' });
+  }
+  
+  try {
+    const user = await appPasswordService.verifyAppPassword(username, password);
+    if (!user) {
+      recordFailure(userKey);
+      recordFailure(ipKey);
+      return challenge();
+    }
+    
+    failedLogins.delete(userKey);
+    req.userId = user.id;
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
 module.exports = {
   authenticateToken,
+  authenticateBasic,
 };
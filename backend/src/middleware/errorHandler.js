@@ -22,6 +22,8 @@ function errorHandler(err, req, res, next) {
   // Send error response
   res.status(status).json({
     error: message,
+    // Conflicts (409) come with the current version, so clients can show what changed
+    ...(err.current && { current: err.current }),
     // Only include stack trace in development
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
   });
@@ -1,16 +1,30 @@
 /**
  * Authentication routes
  * 
- * Handles user registration, login, logout, and 2FA setup
+ * Handles user registration, login, logout, sessions (signed-in devices),
+ * app passwords for CalDAV/CardDAV clients, and 2FA setup
  */
 
 const express = require('express');
 const router = express.Router();
 const authService = require('../services/authService');
+const pushService = require('../services/pushService');
+const appPasswordService = require('../services/appPasswordService');
 const { authenticateToken } = require('../middleware/auth');
 const { getSecretsForBackup } = require('../utils/secrets');
 const { getDatabase } = require('../database/init');
 
+/**
+ * Device details recorded with a session
+ * (the IP is the client's only if TRUST_PROXY is set behind a reverse proxy)
+ */
+function clientInfo(req) {
+  return {
+    userAgent: req.get('User-Agent'),
+    ipAddress: req.ip,
+  };
+}
+
 /**
  * GET /api/auth/setup-status
  * Check if admin exists (for first-time setup)
@@ -110,7 +124,7 @@ router.post('/login', async (req, res, next) => {
       return res.status(400).json({ error: 'Device ID is required' });
     }
     
-    const result = await authService.loginUser(username, password, twoFactorCode, deviceId);
+    const result = await authService.loginUser(username, password, twoFactorCode, deviceId, clientInfo(req));
     
     res.json(result);
   } catch (error) {
@@ -120,7 +134,7 @@ router.post('/login', async (req, res, next) => {
 
 /**
  * POST /api/auth/logout
- * Logout user (invalidate refresh token)
+ * Logout user (invalidate refresh token and stop push notifications to the device)
  * 
  * Requires authentication
  * Body: { refreshToken, deviceId }
@@ -134,6 +148,7 @@ router.post('/logout', authenticateToken, async (req, res, next) => {
     }
     
     await authService.logout(refreshToken, deviceId);
+    await pushService.deleteDeviceSubscriptions(req.userId, deviceId);
     
     res.json({ message: 'Logged out successfully' });
   } catch (error) {
@@ -155,7 +170,7 @@ router.post('/refresh', async (req, res, next) => {
       return res.status(400).json({ error: 'Refresh token and device ID are required' });
     }
     
-    const tokens = await authService.refreshAccessToken(refreshToken, deviceId);
+    const tokens = await authService.refreshAccessToken(refreshToken, deviceId, clientInfo(req));
     
     res.json(tokens);
   } catch (error) {
@@ -163,6 +178,124 @@ router.post('/refresh', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/auth/sessions
+ * List the signed-in devices (device name, user agent, IP, created and last used)
+ * 
+ * Requires authentication
+ * Query params:
+ * - deviceId: The asking device, marked as current
+ */
+router.get('/sessions', authenticateToken, async (req, res, next) => {
+  try {
+    const sessions = await authService.getSessions(req.userId, req.query.deviceId || null);
+    res.json(sessions);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions
+ * Sign out everywhere (all devices, including this one), stop push
+ * notifications to them and revoke the app passwords of CalDAV/CardDAV clients
+ * 
+ * Requires authentication
+ */
+router.delete('/sessions', authenticateToken, async (req, res, next) => {
+  try {
+    const deviceIds = await authService.revokeAllSessions(req.userId);
+    for (const deviceId of deviceIds) {
+      await pushService.deleteDeviceSubscriptions(req.userId, deviceId);
+    }
+    await appPasswordService.deleteAllAppPasswords(req.userId);
+    
+    res.json({ message: 'Signed out everywhere', count: deviceIds.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Sign a device out and stop push notifications to it
+ * 
+ * Requires authentication
+ */
+router.delete('/sessions/:id', authenticateToken, async (req, res, next) => {
+  try {
+    const deviceId = await authService.revokeSession(req.userId, parseInt(req.params.id));
+    
+    if (!deviceId) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    await pushService.deleteDeviceSubscriptions(req.userId, deviceId);
+    
+    res.json({ message: 'Device signed out' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/app-passwords
+ * List the app passwords of CalDAV/CardDAV clients (name, created, last used)
+ * 
+ * Requires authentication
+ */
+router.get('/app-passwords', authenticateToken, async (req, res, next) => {
+  try {
+    const appPasswords = await appPasswordService.getAppPasswords(req.userId);
+    res.json(appPasswords);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/app-passwords
+ * Create an app password for a CalDAV/CardDAV client
+ * 
+ * Requires authentication (so only after a login with 2FA)
+ * Body: { name }
+ * The response has the password - it can't be retrieved again.
+ */
+router.post('/app-passwords', authenticateToken, async (req, res, next) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    
+    if (!name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+    
+    const appPassword = await appPasswordService.createAppPassword(req.userId, name.slice(0, 100));
+    res.status(201).json(appPassword);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/auth/app-passwords/:id
+ * Revoke an app password (its client can't log in anymore)
+ * 
+ * Requires authentication
+ */
+router.delete('/app-passwords/:id', authenticateToken, async (req, res, next) => {
+  try {
+    const deleted = await appPasswordService.deleteAppPassword(req.userId, parseInt(req.params.id));
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'App password not found' });
+    }
+    
+    res.json({ message: 'App password revoked' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/auth/2fa/setup
  * Setup 2FA (generate secret and QR code)
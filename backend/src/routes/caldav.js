@@ -0,0 +1,518 @@
+/**
+ * CalDAV routes
+ *
+ * Lets native clients (Thunderbird, DAVx5, iOS/macOS Calendar, ...) sync
+ * the same events the PWA shows. Each user has one calendar collection.
+ *
+ * URL layout (relative to /api/caldav):
+ * - /                                   Service root (points to the principal)
+ * - /principals/:username/              User principal (points to the calendar home)
+ * - /calendars/:username/               Calendar home
+ * - /calendars/:username/default/       The user's calendar collection
+ * - /calendars/:username/default/x.ics  One event resource (a series or single
+ *                                       event plus its modified occurrences)
+ *
+ * Clients authenticate with HTTP Basic auth using their username (or
+ * email) and an app password from Settings - not the account password, which
+ * would skip 2FA (see middleware/auth.js and appPasswordService).
+ */
+
+const express = require('express');
+const router = express.Router();
+const calendarService = require('../services/calendarService');
+const { authenticateBasic } = require('../middleware/auth');
+const { buildCalendar, parseEvents, defaultTimeZone } = require('../utils/ical');
+const { addDays } = require('../utils/recurrence');
+const {
+  NS,
+  escapeXml,
+  parseXml,
+  findElement,
+  findElements,
+  clarkName,
+  getRequestedProps,
+  requestedProps,
+  sendMultistatus,
+  sendDavError,
+  refuseProppatch,
+  hrefElement,
+  hrefResourceName,
+  etag,
+  checkPreconditions,
+  getDepth,
+} = require('../utils/dav');
+
+const CALENDAR_NAME = 'default';
+const ALLOWED_METHODS = 'OPTIONS, GET, HEAD, PUT, DELETE, PROPFIND, PROPPATCH, REPORT';
+
+// Clark names used below
+const DAV = (name) => `{${NS.DAV}}${name}`;
+const CALDAV = (name) => `{${NS.CALDAV}}${name}`;
+const CALENDARSERVER = (name) => `{${NS.CALENDARSERVER}}${name}`;
+
+// DAV request bodies are XML (or iCalendar for PUT), whatever the client says
+router.use(express.text({ type: () => true, limit: '10mb' }));
+
+router.use((req, res, next) => {
+  res.set('DAV', '1, 3, calendar-access');
+  next();
+});
+
+// Clients probe capabilities with OPTIONS, often before authenticating
+router.options('*', (req, res) => {
+  res.set('Allow', ALLOWED_METHODS);
+  res.status(200).end();
+});
+
+// Everything else requires authentication
+router.use(authenticateBasic);
+
+// Users can only reach their own principal and calendars
+router.param('username', (req, res, next, username) => {
+  if (username !== req.user.username) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+  next();
+});
+
+/**
+ * URLs for the authenticated user
+ */
+function userUrls(req) {
+  const username = encodeURIComponent(req.user.username);
+  return {
+    root: `${req.baseUrl}/`,
+    principal: `${req.baseUrl}/principals/${username}/`,
+    home: `${req.baseUrl}/calendars/${username}/`,
+    calendar: `${req.baseUrl}/calendars/${username}/${CALENDAR_NAME}/`,
+  };
+}
+
+/**
+ * Resource name of a series or single event
+ */
+function resourceName(event) {
+  return event.davName || `${event.uid}.ics`;
+}
+
+/**
+ * Render a resource: its iCalendar data and ETag
+ */
+function renderResource(events) {
+  const data = buildCalendar(events, { timeZone: defaultTimeZone() });
+  return { name: resourceName(events[0]), events, data, etag: etag(data) };
+}
+
+/**
+ * Load all resources in the user's calendar
+ *
+ * Modified occurrences are grouped with their series.
+ *
+ * @returns {Promise<Array<Object>>} - { name, events, data, etag }
+ */
+async function loadResources(userId) {
+  const events = await calendarService.getEvents(userId, null, null, { expand: false });
+  const groups = new Map();
+
+  for (const event of events) {
+    if (!event.recurrenceParentId) {
+      groups.set(event.id, [event]);
+    }
+  }
+  for (const event of events) {
+    if (event.recurrenceParentId && groups.has(event.recurrenceParentId)) {
+      groups.get(event.recurrenceParentId).push(event);
+    }
+  }
+
+  return Array.from(groups.values()).map(renderResource);
+}
+
+/**
+ * Load one resource by name
+ *
+ * @returns {Promise<Object|null>} - { name, events, data, etag } or null
+ */
+async function loadResource(userId, name) {
+  const series = await calendarService.getEventByDavName(userId, name);
+  if (!series) {
+    return null;
+  }
+  const overrides = await calendarService.getOverrides(userId, series.id);
+  return renderResource([series, ...overrides]);
+}
+
+/**
+ * Compute the collection's ctag (changes whenever any resource changes)
+ */
+function collectionCtag(resources) {
+  return etag(resources.map(resource => `${resource.name}:${resource.etag}`).sort().join('\n'));
+}
+
+/**
+ * Properties of the calendar collection
+ */
+function calendarProps(req, resources) {
+  const urls = userUrls(req);
+  const ctag = collectionCtag(resources);
+
+  return {
+    [DAV('resourcetype')]: '<d:collection/><c:calendar/>',
+    [DAV('displayname')]: 'Calendar',
+    [DAV('owner')]: hrefElement(urls.principal),
+    [DAV('current-user-principal')]: hrefElement(urls.principal),
+    [DAV('current-user-privilege-set')]: ['read', 'write', 'write-content', 'bind', 'unbind']
+      .map(privilege => `<d:privilege><d:${privilege}/></d:privilege>`).join(''),
+    [DAV('supported-report-set')]: ['calendar-multiget', 'calendar-query']
+      .map(report => `<d:supported-report><d:report><c:${report}/></d:report></d:supported-report>`).join(''),
+    [DAV('getetag')]: escapeXml(ctag),
+    [CALENDARSERVER('getctag')]: escapeXml(ctag),
+    [CALDAV('supported-calendar-component-set')]: '<c:comp name="VEVENT"/>',
+    [CALDAV('supported-calendar-data')]: '<c:calendar-data content-type="text/calendar" version="2.0"/>',
+  };
+}
+
+/**
+ * Properties of an event resource
+ *
+ * calendar-data is only returned when asked for by name, not for allprop.
+ */
+function resourceProps(resource, requested) {
+  const props = {
+    [DAV('resourcetype')]: '',
+    [DAV('getetag')]: escapeXml(resource.etag),
+    [DAV('getcontenttype')]: 'text/calendar; charset=utf-8; component=vevent',
+    [DAV('getcontentlength')]: String(Buffer.byteLength(resource.data)),
+  };
+
+  if (requested && requested.includes(CALDAV('calendar-data'))) {
+    props[CALDAV('calendar-data')] = escapeXml(resource.data);
+  }
+
+  return props;
+}
+
+/**
+ * Properties shared by the service root and the calendar home
+ */
+function collectionProps(req) {
+  const urls = userUrls(req);
+  return {
+    [DAV('resourcetype')]: '<d:collection/>',
+    [DAV('current-user-principal')]: hrefElement(urls.principal),
+    [CALDAV('calendar-home-set')]: hrefElement(urls.home),
+  };
+}
+
+/**
+ * PROPFIND /api/caldav/
+ * Service root - tells clients where the user's principal is
+ */
+router.propfind('/', (req, res, next) => {
+  try {
+    const urls = userUrls(req);
+    sendMultistatus(res, [
+      { href: urls.root, props: collectionProps(req), requested: requestedProps(req) },
+    ]);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PROPFIND /api/caldav/principals/:username/
+ * User principal - tells clients where the calendars are
+ */
+router.propfind('/principals/:username', (req, res, next) => {
+  try {
+    const urls = userUrls(req);
+    const props = {
+      [DAV('resourcetype')]: '<d:principal/>',
+      [DAV('displayname')]: escapeXml(req.user.username),
+      [DAV('current-user-principal')]: hrefElement(urls.principal),
+      [DAV('principal-URL')]: hrefElement(urls.principal),
+      [CALDAV('calendar-home-set')]: hrefElement(urls.home),
+      [CALDAV('calendar-user-address-set')]: req.user.email
+        ? hrefElement(`mailto:${req.user.email}`)
+        : undefined,
+    };
+
+    sendMultistatus(res, [
+      { href: urls.principal, props, requested: requestedProps(req) },
+    ]);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PROPFIND /api/caldav/calendars/:username/
+ * Calendar home - lists the user's calendar with Depth: 1
+ */
+router.propfind('/calendars/:username', async (req, res, next) => {
+  try {
+    const urls = userUrls(req);
+    const requested = requestedProps(req);
+    const responses = [{ href: urls.home, props: collectionProps(req), requested }];
+
+    if (getDepth(req) > 0) {
+      const resources = await loadResources(req.userId);
+      responses.push({ href: urls.calendar, props: calendarProps(req, resources), requested });
+    }
+
+    sendMultistatus(res, responses);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PROPFIND /api/caldav/calendars/:username/default/
+ * Calendar collection - lists event resources (with their ETags) with Depth: 1
+ */
+router.propfind(`/calendars/:username/${CALENDAR_NAME}`, async (req, res, next) => {
+  try {
+    const urls = userUrls(req);
+    const requested = requestedProps(req);
+    const resources = await loadResources(req.userId);
+    const responses = [{ href: urls.calendar, props: calendarProps(req, resources), requested }];
+
+    if (getDepth(req) > 0) {
+      for (const resource of resources) {
+        responses.push({
+          href: urls.calendar + encodeURIComponent(resource.name),
+          props: resourceProps(resource, requested),
+          requested,
+        });
+      }
+    }
+
+    sendMultistatus(res, responses);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PROPFIND /api/caldav/calendars/:username/default/:resource
+ * Properties of a single event resource
+ */
+router.propfind(`/calendars/:username/${CALENDAR_NAME}/:resource`, async (req, res, next) => {
+  try {
+    const resource = await loadResource(req.userId, req.params.resource);
+    if (!resource) {
+      return res.status(404).end();
+    }
+
+    const requested = requestedProps(req);
+    sendMultistatus(res, [{
+      href: userUrls(req).calendar + encodeURIComponent(resource.name),
+      props: resourceProps(resource, requested),
+      requested,
+    }]);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PROPPATCH /api/caldav/...
+ * Properties are read-only; every property is refused
+ */
+router.proppatch('*', refuseProppatch);
+
+/**
+ * Parse a CalDAV time-range value (e.g. 20240101T000000Z) into a date
+ */
+function timeRangeDate(value) {
+  const match = value && /^(\d{4})(\d{2})(\d{2})/.exec(value);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * Find resources matching a calendar-query filter
+ *
+ * Only VEVENT component filters and time ranges are supported; other
+ * filters (property and parameter filters) are ignored, so the result
+ * may include extra resources, which clients handle fine.
+ */
+async function queryResources(userId, filter) {
+  const resources = await loadResources(userId);
+  if (!filter) {
+    return resources;
+  }
+
+  // We only store events, so queries for tasks, journals etc. match nothing
+  const components = findElements(filter, NS.CALDAV, 'comp-filter')
+    .map(element => (element.getAttribute('name') || '').toUpperCase());
+  if (components.some(name => name !== 'VCALENDAR' && name !== 'VEVENT')) {
+    return [];
+  }
+
+  const timeRange = findElement(filter, NS.CALDAV, 'time-range');
+  if (!timeRange) {
+    return resources;
+  }
+
+  // Event dates are floating, so widen the range by a day on each side to
+  // cover any timezone difference between client and server
+  const start = timeRangeDate(timeRange.getAttribute('start'));
+  const end = timeRangeDate(timeRange.getAttribute('end'));
+  const occurrences = await calendarService.getEvents(
+    userId,
+    start ? addDays(start, -1) : null,
+    end ? addDays(end, 1) : null
+  );
+
+  const matchingIds = new Set(occurrences.map(event => event.recurrenceParentId || event.id));
+  return resources.filter(resource => matchingIds.has(resource.events[0].id));
+}
+
+/**
+ * REPORT /api/caldav/calendars/:username/default/
+ * calendar-multiget: fetch resources by href
+ * calendar-query: find resources matching a filter (e.g. a time range)
+ */
+router.report(`/calendars/:username/${CALENDAR_NAME}`, async (req, res, next) => {
+  try {
+    const doc = parseXml(req.body);
+    if (!doc) {
+      return res.status(400).json({ error: 'REPORT body required' });
+    }
+
+    const urls = userUrls(req);
+    const report = clarkName(doc.documentElement);
+    const { allprop, props } = getRequestedProps(doc);
+    const requested = allprop ? null : props;
+
+    if (report === CALDAV('calendar-multiget')) {
+      const responses = [];
+
+      for (const hrefElementNode of findElements(doc, NS.DAV, 'href')) {
+        const href = (hrefElementNode.textContent || '').trim();
+        const name = hrefResourceName(href);
+        const resource = name ? await loadResource(req.userId, name) : null;
+
+        responses.push(resource
+          ? { href, props: resourceProps(resource, requested), requested }
+          : { href, status: 'HTTP/1.1 404 Not Found' });
+      }
+
+      return sendMultistatus(res, responses);
+    }
+
+    if (report === CALDAV('calendar-query')) {
+      const filter = findElement(doc, NS.CALDAV, 'filter');
+      const resources = await queryResources(req.userId, filter);
+
+      return sendMultistatus(res, resources.map(resource => ({
+        href: urls.calendar + encodeURIComponent(resource.name),
+        props: resourceProps(resource, requested),
+        requested,
+      })));
+    }
+
+    sendDavError(res, 403, DAV('supported-report'));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/caldav/calendars/:username/default/:resource
+ * Download an event resource as iCalendar
+ */
+router.get(`/calendars/:username/${CALENDAR_NAME}/:resource`, async (req, res, next) => {
+  try {
+    const resource = await loadResource(req.userId, req.params.resource);
+    if (!resource) {
+      return res.status(404).end();
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('ETag', resource.etag);
+    res.send(resource.data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/caldav/calendars/:username/default/:resource
+ * Create or replace an event resource
+ *
+ * Body: iCalendar with one VEVENT (plus modified occurrences with the same UID)
+ * Honours If-Match / If-None-Match so clients don't overwrite newer changes.
+ */
+router.put(`/calendars/:username/${CALENDAR_NAME}/:resource`, async (req, res, next) => {
+  try {
+    const name = req.params.resource;
+    const parsed = parseEvents(typeof req.body === 'string' ? req.body : '', { timeZone: defaultTimeZone() });
+
+    if (parsed.length === 0) {
+      return sendDavError(res, 403, CALDAV('supported-calendar-component'));
+    }
+
+    const failed = parsed.find(result => result.error);
+    if (failed) {
+      return sendDavError(res, 400, CALDAV('valid-calendar-object-resource'), escapeXml(failed.error));
+    }
+
+    const events = parsed.map(result => result.event);
+    const uid = events[0].uid;
+    if (!uid || events.some(event => event.uid !== uid)) {
+      return sendDavError(res, 400, CALDAV('valid-calendar-object-resource'),
+        'All events in a resource must have the same UID');
+    }
+
+    const existing = await loadResource(req.userId, name);
+    if (!checkPreconditions(req, existing ? existing.etag : null)) {
+      return res.status(412).end();
+    }
+
+    // The same UID can't be stored under two resource names
+    const sameUid = await calendarService.getEventByUid(req.userId, uid);
+    if (sameUid && (!existing || sameUid.id !== existing.events[0].id)) {
+      return sendDavError(res, 409, CALDAV('no-uid-conflict'),
+        hrefElement(userUrls(req).calendar + encodeURIComponent(resourceName(sameUid))));
+    }
+
+    const { created } = await calendarService.saveEventResource(req.userId, name, events);
+
+    // No ETag header: the stored data is normalized, so clients must fetch it
+    // again to get the ETag that matches what GET returns
+    res.status(created ? 201 : 204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/caldav/calendars/:username/default/:resource
+ * Delete an event resource (the whole series, if recurring)
+ */
+router.delete(`/calendars/:username/${CALENDAR_NAME}/:resource`, async (req, res, next) => {
+  try {
+    const resource = await loadResource(req.userId, req.params.resource);
+    if (!resource) {
+      return res.status(404).end();
+    }
+
+    if (!checkPreconditions(req, resource.etag)) {
+      return res.status(412).end();
+    }
+
+    await calendarService.deleteEvent(req.userId, resource.events[0].id);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Anything else (MKCALENDAR, MOVE, COPY, ...) isn't supported
+router.all('*', (req, res) => {
+  res.set('Allow', ALLOWED_METHODS);
+  res.status(405).json({ error: 'Method not allowed' });
+});
+
+module.exports = router;
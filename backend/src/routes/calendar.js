@@ -8,10 +8,23 @@ const express = require('express');
 const router = express.Router();
 const calendarService = require('../services/calendarService');
 const { authenticateToken } = require('../middleware/auth');
+const { buildCalendar, parseEvents, isValidTimeZone, defaultTimeZone } = require('../utils/ical');
 
 // All routes require authentication
 router.use(authenticateToken);
 
+/**
+ * Get the timezone for .ics conversion from the query string
+ * Returns null if an invalid timezone was given
+ */
+function getTimeZone(req) {
+  const { timezone } = req.query;
+  if (!timezone) {
+    return defaultTimeZone();
+  }
+  return isValidTimeZone(timezone) ? timezone : null;
+}
+
 /**
  * GET /api/calendar/events
  * Get all events for the authenticated user
@@ -53,7 +66,10 @@ router.get('/events/:id', async (req, res, next) => {
  * POST /api/calendar/events
  * Create a new event
  * 
- * Body: { title, description, date, startTime, endTime, location, reminderTime }
+ * Body: { title, description, date, startTime, endTime, location, reminderTime, rrule, exdates }
+ * 
+ * rrule is an RFC 5545 recurrence rule, e.g. "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10"
+ * exdates is an array of excluded occurrence dates (YYYY-MM-DD)
  */
 router.post('/events', async (req, res, next) => {
   try {
@@ -68,12 +84,30 @@ router.post('/events', async (req, res, next) => {
  * PUT /api/calendar/events/:id
  * Update an event
  * 
- * Body: { title, description, date, startTime, endTime, location, reminderTime }
+ * Body: { title, description, date, startTime, endTime, location, reminderTime, rrule, exdates,
+ *         scope, occurrenceDate, baseUpdatedAt }
+ * 
+ * For recurring events, scope selects what to update:
+ * - 'occurrence': only the occurrence on occurrenceDate
+ * - 'following': the occurrence on occurrenceDate and all later ones
+ * - 'all' (default): the whole series
+ * 
+ * baseUpdatedAt (optional) is the updatedAt of the event the change was made
+ * on: if the event was changed since, nothing is updated and the response is
+ * 409 Conflict with { error, current } (the event as it is now).
  */
 router.put('/events/:id', async (req, res, next) => {
   try {
     const eventId = parseInt(req.params.id);
-    const event = await calendarService.updateEvent(req.userId, eventId, req.body);
+    const { scope, occurrenceDate, baseUpdatedAt, ...eventData } = req.body;
+    
+    if (scope && scope !== 'all' && !occurrenceDate) {
+      return res.status(400).json({ error: 'occurrenceDate is required for this scope' });
+    }
+    
+    const event = occurrenceDate
+      ? await calendarService.updateOccurrence(req.userId, eventId, occurrenceDate, scope || 'all', eventData, baseUpdatedAt)
+      : await calendarService.updateEvent(req.userId, eventId, eventData, baseUpdatedAt);
     res.json(event);
   } catch (error) {
     next(error);
@@ -83,15 +117,109 @@ router.put('/events/:id', async (req, res, next) => {
 /**
  * DELETE /api/calendar/events/:id
  * Delete an event
+ * 
+ * Query params (recurring events):
+ * - scope: 'occurrence', 'following' or 'all' (default)
+ * - occurrenceDate: Date of the occurrence (YYYY-MM-DD)
+ * - baseUpdatedAt: updatedAt of the event the deletion was made on (optional,
+ *   409 Conflict if it was changed since - see PUT)
  */
 router.delete('/events/:id', async (req, res, next) => {
   try {
     const eventId = parseInt(req.params.id);
-    await calendarService.deleteEvent(req.userId, eventId);
+    const { scope, occurrenceDate, baseUpdatedAt } = req.query;
+    
+    if (scope && scope !== 'all' && !occurrenceDate) {
+      return res.status(400).json({ error: 'occurrenceDate is required for this scope' });
+    }
+    
+    if (occurrenceDate) {
+      await calendarService.deleteOccurrence(req.userId, eventId, occurrenceDate, scope || 'all', baseUpdatedAt);
+    } else {
+      await calendarService.deleteEvent(req.userId, eventId, baseUpdatedAt);
+    }
     res.json({ message: 'Event deleted successfully' });
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * GET /api/calendar/export.ics
+ * Export events as an iCalendar file
+ * 
+ * Query params:
+ * - startDate: Export events from this date (YYYY-MM-DD)
+ * - endDate: Export events until this date (YYYY-MM-DD)
+ * - timezone: IANA timezone of the event times (default: server timezone)
+ */
+router.get('/export.ics', async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const timeZone = getTimeZone(req);
+    
+    if (!timeZone) {
+      return res.status(400).json({ error: 'Invalid timezone' });
+    }
+    
+    const events = await calendarService.getEvents(req.userId, startDate, endDate, { expand: false });
+    const ics = buildCalendar(events, { timeZone, name: 'All-in-One Calendar' });
+    
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="calendar.ics"');
+    res.send(ics);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/calendar/import
+ * Import events from an iCalendar file
+ * 
+ * Body: raw .ics data (Content-Type: text/calendar)
+ * 
+ * Query params:
+ * - timezone: IANA timezone to convert event times into (default: server timezone)
+ * 
+ * Events are matched by UID, so re-importing a file updates existing events.
+ * Returns { created, updated, failed: [{ uid, title, error }] }
+ */
+router.post(
+  '/import',
+  express.text({ type: ['text/calendar', 'text/plain'], limit: '10mb' }),
+  async (req, res, next) => {
+    try {
+      const timeZone = getTimeZone(req);
+      
+      if (!timeZone) {
+        return res.status(400).json({ error: 'Invalid timezone' });
+      }
+      
+      if (typeof req.body !== 'string' || !req.body.trim()) {
+        return res.status(400).json({ error: 'iCalendar data is required' });
+      }
+      
+      let parsed;
+      try {
+        parsed = parseEvents(req.body, { timeZone });
+      } catch (parseError) {
+        return res.status(400).json({ error: parseError.message });
+      }
+      
+      const events = parsed.filter(item => item.event).map(item => item.event);
+      const result = await calendarService.importEvents(req.userId, events);
+      
+      // Include VEVENTs that couldn't be read at all
+      parsed
+        .filter(item => item.error)
+        .forEach(item => result.failed.push({ uid: item.uid, title: null, error: item.error }));
+      
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,426 @@
+/**
+ * CardDAV routes
+ *
+ * Lets native clients (DAVx5, iOS/macOS Contacts, Thunderbird, ...) sync
+ * the same contacts the PWA shows. Each user has one address book.
+ *
+ * URL layout (relative to /api/carddav):
+ * - /                                      Service root (points to the principal)
+ * - /principals/:username/                 User principal (points to the address book home)
+ * - /addressbooks/:username/               Address book home
+ * - /addressbooks/:username/default/       The user's address book
+ * - /addressbooks/:username/default/x.vcf  One contact
+ *
+ * Clients authenticate with HTTP Basic auth and an app password, like CalDAV
+ * (see caldav.js); the account password is refused.
+ */
+
+const express = require('express');
+const router = express.Router();
+const contactsService = require('../services/contactsService');
+const { authenticateBasic } = require('../middleware/auth');
+const { contactToVCard, parseVCards } = require('../utils/vcard');
+const {
+  NS,
+  escapeXml,
+  parseXml,
+  findElements,
+  clarkName,
+  getRequestedProps,
+  requestedProps,
+  sendMultistatus,
+  sendDavError,
+  refuseProppatch,
+  hrefElement,
+  hrefResourceName,
+  etag,
+  checkPreconditions,
+  getDepth,
+} = require('../utils/dav');
+
+const ADDRESSBOOK_NAME = 'default';
+const ALLOWED_METHODS = 'OPTIONS, GET, HEAD, PUT, DELETE, PROPFIND, PROPPATCH, REPORT';
+
+// Clark names used below
+const DAV = (name) => `{${NS.DAV}}${name}`;
+const CARDDAV = (name) => `{${NS.CARDDAV}}${name}`;
+const CALENDARSERVER = (name) => `{${NS.CALENDARSERVER}}${name}`;
+
+// DAV request bodies are XML (or vCard for PUT), whatever the client says
+router.use(express.text({ type: () => true, limit: '10mb' }));
+
+router.use((req, res, next) => {
+  res.set('DAV', '1, 3, addressbook');
+  next();
+});
+
+// Clients probe capabilities with OPTIONS, often before authenticating
+router.options('*', (req, res) => {
+  res.set('Allow', ALLOWED_METHODS);
+  res.status(200).end();
+});
+
+// Everything else requires authentication
+router.use(authenticateBasic);
+
+// Users can only reach their own principal and address book
+router.param('username', (req, res, next, username) => {
+  if (username !== req.user.username) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+  next();
+});
+
+/**
+ * URLs for the authenticated user
+ */
+function userUrls(req) {
+  const username = encodeURIComponent(req.user.username);
+  return {
+    root: `${req.baseUrl}/`,
+    principal: `${req.baseUrl}/principals/${username}/`,
+    home: `${req.baseUrl}/addressbooks/${username}/`,
+    addressbook: `${req.baseUrl}/addressbooks/${username}/${ADDRESSBOOK_NAME}/`,
+  };
+}
+
+/**
+ * Render a contact resource: its vCard data and ETag
+ */
+function renderResource(contact) {
+  const data = contactToVCard(contact);
+  return {
+    name: contact.davName || `${contact.uid}.vcf`,
+    contact,
+    data,
+    etag: etag(data),
+  };
+}
+
+/**
+ * Load all contact resources of a user
+ */
+async function loadResources(userId) {
+  const contacts = await contactsService.getContacts(userId, { includeVCard: true });
+  return contacts.map(renderResource);
+}
+
+/**
+ * Load one contact resource by name
+ */
+async function loadResource(userId, name) {
+  const contact = await contactsService.getContactByDavName(userId, name);
+  return contact ? renderResource(contact) : null;
+}
+
+/**
+ * Properties of the address book collection
+ */
+function addressbookProps(req, resources) {
+  const urls = userUrls(req);
+  const ctag = etag(resources.map(resource => `${resource.name}:${resource.etag}`).sort().join('\n'));
+
+  return {
+    [DAV('resourcetype')]: '<d:collection/><card:addressbook/>',
+    [DAV('displayname')]: 'Contacts',
+    [DAV('owner')]: hrefElement(urls.principal),
+    [DAV('current-user-principal')]: hrefElement(urls.principal),
+    [DAV('current-user-privilege-set')]: ['read', 'write', 'write-content', 'bind', 'unbind']
+      .map(privilege => `<d:privilege><d:${privilege}/></d:privilege>`).join(''),
+    [DAV('supported-report-set')]: ['addressbook-multiget', 'addressbook-query']
+      .map(report => `<d:supported-report><d:report><card:${report}/></d:report></d:supported-report>`).join(''),
+    [DAV('getetag')]: escapeXml(ctag),
+    [CALENDARSERVER('getctag')]: escapeXml(ctag),
+    [CARDDAV('supported-address-data')]: '<card:address-data-type content-type="text/vcard" version="3.0"/>'
+      + '<card:address-data-type content-type="text/vcard" version="4.0"/>',
+  };
+}
+
+/**
+ * Properties of a contact resource
+ *
+ * address-data is only returned when asked for by name, not for allprop.
+ */
+function resourceProps(resource, requested) {
+  const props = {
+    [DAV('resourcetype')]: '',
+    [DAV('getetag')]: escapeXml(resource.etag),
+    [DAV('getcontenttype')]: 'text/vcard; charset=utf-8',
+    [DAV('getcontentlength')]: String(Buffer.byteLength(resource.data)),
+  };
+
+  if (requested && requested.includes(CARDDAV('address-data'))) {
+    props[CARDDAV('address-data')] = escapeXml(resource.data);
+  }
+
+  return props;
+}
+
+/**
+ * Properties shared by the service root and the address book home
+ */
+function collectionProps(req) {
+  const urls = userUrls(req);
+  return {
+    [DAV('resourcetype')]: '<d:collection/>',
+    [DAV('current-user-principal')]: hrefElement(urls.principal),
+    [CARDDAV('addressbook-home-set')]: hrefElement(urls.home),
+  };
+}
+
+/**
+ * PROPFIND /api/carddav/
+ * Service root - tells clients where the user's principal is
+ */
+router.propfind('/', (req, res, next) => {
+  try {
+    sendMultistatus(res, [
+      { href: userUrls(req).root, props: collectionProps(req), requested: requestedProps(req) },
+    ]);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PROPFIND /api/carddav/principals/:username/
+ * User principal - tells clients where the address book is
+ */
+router.propfind('/principals/:username', (req, res, next) => {
+  try {
+    const urls = userUrls(req);
+    const props = {
+      [DAV('resourcetype')]: '<d:principal/>',
+      [DAV('displayname')]: escapeXml(req.user.username),
+      [DAV('current-user-principal')]: hrefElement(urls.principal),
+      [DAV('principal-URL')]: hrefElement(urls.principal),
+      [CARDDAV('addressbook-home-set')]: hrefElement(urls.home),
+    };
+
+    sendMultistatus(res, [
+      { href: urls.principal, props, requested: requestedProps(req) },
+    ]);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PROPFIND /api/carddav/addressbooks/:username/
+ * Address book home - lists the user's address book with Depth: 1
+ */
+router.propfind('/addressbooks/:username', async (req, res, next) => {
+  try {
+    const urls = userUrls(req);
+    const requested = requestedProps(req);
+    const responses = [{ href: urls.home, props: collectionProps(req), requested }];
+
+    if (getDepth(req) > 0) {
+      const resources = await loadResources(req.userId);
+      responses.push({ href: urls.addressbook, props: addressbookProps(req, resources), requested });
+    }
+
+    sendMultistatus(res, responses);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PROPFIND /api/carddav/addressbooks/:username/default/
+ * Address book - lists contact resources (with their ETags) with Depth: 1
+ */
+router.propfind(`/addressbooks/:username/${ADDRESSBOOK_NAME}`, async (req, res, next) => {
+  try {
+    const urls = userUrls(req);
+    const requested = requestedProps(req);
+    const resources = await loadResources(req.userId);
+    const responses = [{ href: urls.addressbook, props: addressbookProps(req, resources), requested }];
+
+    if (getDepth(req) > 0) {
+      for (const resource of resources) {
+        responses.push({
+          href: urls.addressbook + encodeURIComponent(resource.name),
+          props: resourceProps(resource, requested),
+          requested,
+        });
+      }
+    }
+
+    sendMultistatus(res, responses);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PROPFIND /api/carddav/addressbooks/:username/default/:resource
+ * Properties of a single contact
+ */
+router.propfind(`/addressbooks/:username/${ADDRESSBOOK_NAME}/:resource`, async (req, res, next) => {
+  try {
+    const resource = await loadResource(req.userId, req.params.resource);
+    if (!resource) {
+      return res.status(404).end();
+    }
+
+    const requested = requestedProps(req);
+    sendMultistatus(res, [{
+      href: userUrls(req).addressbook + encodeURIComponent(resource.name),
+      props: resourceProps(resource, requested),
+      requested,
+    }]);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PROPPATCH /api/carddav/...
+ * Properties are read-only; every property is refused
+ */
+router.proppatch('*', refuseProppatch);
+
+/**
+ * REPORT /api/carddav/addressbooks/:username/default/
+ * addressbook-multiget: fetch contacts by href
+ * addressbook-query: all contacts (filters aren't evaluated; clients
+ *                    filter the results themselves)
+ */
+router.report(`/addressbooks/:username/${ADDRESSBOOK_NAME}`, async (req, res, next) => {
+  try {
+    const doc = parseXml(req.body);
+    if (!doc) {
+      return res.status(400).json({ error: 'REPORT body required' });
+    }
+
+    const urls = userUrls(req);
+    const report = clarkName(doc.documentElement);
+    const { allprop, props } = getRequestedProps(doc);
+    const requested = allprop ? null : props;
+
+    if (report === CARDDAV('addressbook-multiget')) {
+      const responses = [];
+
+      for (const hrefNode of findElements(doc, NS.DAV, 'href')) {
+        const href = (hrefNode.textContent || '').trim();
+        const name = hrefResourceName(href);
+        const resource = name ? await loadResource(req.userId, name) : null;
+
+        responses.push(resource
+          ? { href, props: resourceProps(resource, requested), requested }
+          : { href, status: 'HTTP/1.1 404 Not Found' });
+      }
+
+      return sendMultistatus(res, responses);
+    }
+
+    if (report === CARDDAV('addressbook-query')) {
+      const resources = await loadResources(req.userId);
+
+      return sendMultistatus(res, resources.map(resource => ({
+        href: urls.addressbook + encodeURIComponent(resource.name),
+        props: resourceProps(resource, requested),
+        requested,
+      })));
+    }
+
+    sendDavError(res, 403, DAV('supported-report'));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/carddav/addressbooks/:username/default/:resource
+ * Download a contact as a vCard
+ */
+router.get(`/addressbooks/:username/${ADDRESSBOOK_NAME}/:resource`, async (req, res, next) => {
+  try {
+    const resource = await loadResource(req.userId, req.params.resource);
+    if (!resource) {
+      return res.status(404).end();
+    }
+
+    res.set('Content-Type', 'text/vcard; charset=utf-8');
+    res.set('ETag', resource.etag);
+    res.send(resource.data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/carddav/addressbooks/:username/default/:resource
+ * Create or replace a contact
+ *
+ * Body: a single vCard (3.0 or 4.0)
+ * Honours If-Match / If-None-Match so clients don't overwrite newer changes.
+ */
+router.put(`/addressbooks/:username/${ADDRESSBOOK_NAME}/:resource`, async (req, res, next) => {
+  try {
+    const name = req.params.resource;
+    const parsed = parseVCards(typeof req.body === 'string' ? req.body : '');
+
+    if (parsed.length !== 1) {
+      return sendDavError(res, 400, CARDDAV('valid-address-data'),
+        'The resource must contain exactly one vCard');
+    }
+    if (parsed[0].error) {
+      return sendDavError(res, 400, CARDDAV('valid-address-data'), escapeXml(parsed[0].error));
+    }
+
+    const contactData = parsed[0].contact;
+    const existing = await loadResource(req.userId, name);
+    if (!checkPreconditions(req, existing ? existing.etag : null)) {
+      return res.status(412).end();
+    }
+
+    // The same UID can't be stored under two resource names
+    if (contactData.uid) {
+      const sameUid = await contactsService.getContactByUid(req.userId, contactData.uid);
+      if (sameUid && (!existing || sameUid.id !== existing.contact.id)) {
+        return sendDavError(res, 409, CARDDAV('no-uid-conflict'),
+          hrefElement(userUrls(req).addressbook + encodeURIComponent(renderResource(sameUid).name)));
+      }
+    }
+
+    const { created } = await contactsService.saveContactResource(req.userId, name, contactData);
+
+    // No ETag header: the stored vCard is normalized, so clients must fetch
+    // it again to get the ETag that matches what GET returns
+    res.status(created ? 201 : 204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/carddav/addressbooks/:username/default/:resource
+ * Delete a contact
+ */
+router.delete(`/addressbooks/:username/${ADDRESSBOOK_NAME}/:resource`, async (req, res, next) => {
+  try {
+    const resource = await loadResource(req.userId, req.params.resource);
+    if (!resource) {
+      return res.status(404).end();
+    }
+
+    if (!checkPreconditions(req, resource.etag)) {
+      return res.status(412).end();
+    }
+
+    await contactsService.deleteContact(req.userId, resource.contact.id);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Anything else (MKCOL, MOVE, COPY, ...) isn't supported
+router.all('*', (req, res) => {
+  res.set('Allow', ALLOWED_METHODS);
+  res.status(405).json({ error: 'Method not allowed' });
+});
+
+module.exports = router;
@@ -8,6 +8,7 @@ const express = require('express');
 const router = express.Router();
 const contactsService = require('../services/contactsService');
 const { authenticateToken } = require('../middleware/auth');
+const { buildVCards, parseVCards } = require('../utils/vcard');
 
 // All routes require authentication
 router.use(authenticateToken);
@@ -25,6 +26,77 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/contacts/export.vcf
+ * Export all contacts as a vCard file
+ */
+router.get('/export.vcf', async (req, res, next) => {
+  try {
+    const contacts = await contactsService.getContacts(req.userId, { includeVCard: true });
+    
+    res.set('Content-Type', 'text/vcard; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="contacts.vcf"');
+    res.send(buildVCards(contacts));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/contacts/import
+ * Import contacts from a vCard file (vCard 3.0 or 4.0, any number of contacts)
+ * 
+ * Body: raw .vcf data (Content-Type: text/vcard)
+ * 
+ * Query params:
+ * - preview: If "true", nothing is imported. Returns
+ *   { contacts: [{ name, organization, phoneNumbers, emailAddresses, duplicate }], failed }
+ *   where duplicate is { id, name, reason } for contacts matching an existing one
+ * - duplicates: What to do with duplicates: 'skip' (default), 'merge' or 'create'
+ * 
+ * Returns { created, updated, skipped, failed: [{ uid, name, error }] }
+ */
+router.post(
+  '/import',
+  express.text({ type: ['text/vcard', 'text/x-vcard', 'text/directory', 'text/plain'], limit: '10mb' }),
+  async (req, res, next) => {
+    try {
+      const { preview, duplicates = 'skip' } = req.query;
+      
+      if (!['skip', 'merge', 'create'].includes(duplicates)) {
+        return res.status(400).json({ error: 'duplicates must be skip, merge or create' });
+      }
+      
+      if (typeof req.body !== 'string' || !req.body.trim()) {
+        return res.status(400).json({ error: 'vCard data is required' });
+      }
+      
+      let parsed;
+      try {
+        parsed = parseVCards(req.body);
+      } catch (parseError) {
+        return res.status(400).json({ error: parseError.message });
+      }
+      
+      const contacts = parsed.filter(item => item.contact).map(item => item.contact);
+      const failed = parsed
+        .filter(item => item.error)
+        .map(item => ({ uid: item.uid, name: null, error: item.error }));
+      
+      if (preview === 'true') {
+        const previewContacts = await contactsService.previewImport(req.userId, contacts);
+        return res.json({ contacts: previewContacts, failed });
+      }
+      
+      const result = await contactsService.importContacts(req.userId, contacts, duplicates);
+      result.failed.push(...failed);
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * GET /api/contacts/:id
  * Get a single contact by ID
@@ -63,12 +135,18 @@ router.post('/', async (req, res, next) => {
  * PUT /api/contacts/:id
  * Update a contact
  * 
- * Body: { name, phoneNumbers, emailAddresses, notes }
+ * Body: { name, phoneNumbers, emailAddresses, notes, baseUpdatedAt }
+ * 
+ * baseUpdatedAt (optional) is the updatedAt of the contact the change was
+ * made on: if the contact was changed since, nothing is updated and the
+ * response is 409 Conflict with { error, current } (the contact as it is now).
  */
 router.put('/:id', async (req, res, next) => {
   try {
     const contactId = parseInt(req.params.id);
-    const contact = await contactsService.updateContact(req.userId, contactId, req.body);
+    const { baseUpdatedAt, ...contactData } = req.body;
+    
+    const contact = await contactsService.updateContact(req.userId, contactId, contactData, baseUpdatedAt);
     res.json(contact);
   } catch (error) {
     next(error);
@@ -78,11 +156,15 @@ router.put('/:id', async (req, res, next) => {
 /**
  * DELETE /api/contacts/:id
  * Delete a contact
+ * 
+ * Query params:
+ * - baseUpdatedAt: updatedAt of the contact the deletion was made on
+ *   (optional, 409 Conflict if it was changed since - see PUT)
  */
 router.delete('/:id', async (req, res, next) => {
   try {
     const contactId = parseInt(req.params.id);
-    await contactsService.deleteContact(req.userId, contactId);
+    await contactsService.deleteContact(req.userId, contactId, req.query.baseUpdatedAt);
     res.json({ message: 'Contact deleted successfully' });
   } catch (error) {
     next(error);
@@ -0,0 +1,58 @@
+/**
+ * Event stream routes
+ * 
+ * Live updates for the app (see services/liveUpdates.js), sent as
+ * Server-Sent Events
+ */
+
+const express = require('express');
+const router = express.Router();
+const liveUpdates = require('../services/liveUpdates');
+const { authenticateToken } = require('../middleware/auth');
+
+// A comment is sent this often, so proxies don't close idle streams
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// All routes require authentication
+router.use(authenticateToken);
+
+/**
+ * GET /api/events/stream
+ * Stream changes to the user's calendar, contacts and mail
+ * 
+ * Sends a "ready" event once connected, then a "change" event for each
+ * change: data is { type, action, ... } (see services/liveUpdates.js).
+ * Changes made while an app wasn't connected aren't sent again, so apps
+ * should reload their data after reconnecting.
+ * 
+ * The stream ends when the access token expires - clients reconnect with
+ * a new one.
+ */
+router.get('/stream', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Don't let nginx buffer the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  const unsubscribe = liveUpdates.subscribe(req.userId, change => send('change', change));
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+  const expiry = setTimeout(() => res.end(), Math.max(req.tokenExpiresAt - Date.now(), 0));
+  
+  req.on('close', () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+  });
+  
+  send('ready', {});
+});
+
+module.exports = router;
@@ -5,31 +5,346 @@
  */
 
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const mailService = require('../services/mailService');
+const mailScheduler = require('../services/mailScheduler');
+const { isValidTokenUrl } = require('../utils/oauth2');
+const { isAllowedHost } = require('../utils/network');
+const { emailDomain, discoverSettings } = require('../utils/autoconfig');
 const { authenticateToken } = require('../middleware/auth');
 
 // All routes require authentication
 router.use(authenticateToken);
 
+// Attachments uploaded when composing are kept in memory until they're sent
+const MAX_ATTACHMENT_SIZE = 25 * 1024 * 1024;
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_SIZE, files: 20 },
+});
+
+/**
+ * Parse multipart/form-data bodies with "attachments" files
+ * JSON bodies are passed through unchanged.
+ */
+function uploadAttachments(req, res, next) {
+  upload.array('attachments')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: err.message });
+    }
+    next(err);
+  });
+}
+
+/**
+ * Account fields that can't be empty
+ */
+const REQUIRED_ACCOUNT_FIELDS = ['imapHost', 'imapPort', 'smtpHost', 'smtpPort', 'username'];
+
+/**
+ * Login fields of each auth type (authType: 'password' or 'oauth2')
+ */
+const AUTH_FIELDS = {
+  password: { required: [], secret: ['password'] },
+  oauth2: { required: ['oauthTokenUrl', 'oauthClientId'], secret: ['refreshToken'] },
+};
+
+/**
+ * Check an account from the request body
+ * 
+ * @param {Object|null} existing - The account being updated (null for a new
+ *   one). Secrets (password, refresh token) are only required for new
+ *   accounts and when switching auth types - otherwise they're kept.
+ * @returns {string|null} - Error message, or null if the account is valid
+ */
+function validateAccount(account, existing) {
+  const authType = account.authType || 'password';
+  if (!AUTH_FIELDS[authType]) {
+    return "authType must be 'password' or 'oauth2'";
+  }
+  
+  const { required, secret } = AUTH_FIELDS[authType];
+  const keepsSecrets = existing && existing.authType === authType;
+  const fields = [...REQUIRED_ACCOUNT_FIELDS, ...required, ...(keepsSecrets ? [] : secret)];
+  const missing = fields.filter(field => !account[field]);
+  
+  if (missing.length > 0) {
+    return `${missing.join(', ')} ${missing.length === 1 ? 'is' : 'are'} required`;
+  }
+  if (authType === 'oauth2' && !isValidTokenUrl(account.oauthTokenUrl)) {
+    return 'oauthTokenUrl must be an https:// URL';
+  }
+  return null;
+}
+
+/**
+ * Check that the hosts of an account (mail servers and OAuth2 token endpoint)
+ * aren't on loopback or private addresses - the server connects to them
+ * for the user
+ * 
+ * @returns {Promise<string|null>} - Error message, or null if all are allowed
+ */
+async function checkAccountHosts(account) {
+  const hosts = [account.imapHost, account.smtpHost];
+  if (account.authType === 'oauth2') {
+    hosts.push(new URL(account.oauthTokenUrl).hostname);
+  }
+  
+  for (const host of hosts) {
+    if (!(await isAllowedHost(host))) {
+      return 'Servers on local or private network addresses are not allowed';
+    }
+  }
+  return null;
+}
+
+// Connection tests and autodiscovery allowed per user and window (each one
+// makes the server connect to hosts the user chooses)
+const CONFIG_CHECK_WINDOW = 15 * 60 * 1000;
+const MAX_CONFIG_CHECKS = 30;
+const configChecks = new Map();
+
+/**
+ * Middleware to limit connection tests and autodiscovery per user
+ */
+function limitConfigChecks(req, res, next) {
+  const now = Date.now();
+  let entry = configChecks.get(req.userId);
+  if (!entry || entry.resetAt <= now) {
+    entry = { count: 0, resetAt: now + CONFIG_CHECK_WINDOW };
+    configChecks.set(req.userId, entry);
+  }
+  
+  if (entry.count >= MAX_CONFIG_CHECKS) {
+    res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+    return res.status(429).json({ error: 'Too many connection tests. Please try again later.' });
+  }
+  
+  entry.count++;
+  next();
+}
+
+/**
+ * Parse the optional "account" query param
+ * 
+ * @returns {number|null|undefined} - Account ID, null if not given, undefined if invalid
+ */
+function accountParam(req) {
+  if (req.query.account === undefined || req.query.account === '') {
+    return null;
+  }
+  
+  const accountId = Number(req.query.account);
+  return Number.isInteger(accountId) ? accountId : undefined;
+}
+
+/**
+ * GET /api/mail/accounts
+ * Get the user's email accounts (without passwords)
+ */
+router.get('/accounts', async (req, res, next) => {
+  try {
+    const accounts = await mailService.getAccounts(req.userId);
+    res.json(accounts);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/mail/accounts
+ * Add an email account
+ * 
+ * Body: { name, fromName, fromAddress, imapHost, imapPort, imapSecure,
+ *   smtpHost, smtpPort, smtpSecure, username, password }
+ * 
+ * name is shown in the folder list; fromName and fromAddress are the sender
+ * of sent mail (default: the username, without a name)
+ * 
+ * For OAuth2 (XOAUTH2) logins, instead of password: { authType: 'oauth2',
+ * oauthTokenUrl, oauthClientId, oauthClientSecret (optional), refreshToken }.
+ * Access tokens are requested from the token endpoint when needed.
+ */
+router.post('/accounts', async (req, res, next) => {
+  try {
+    const invalid = validateAccount(req.body, null) || await checkAccountHosts(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    
+    const account = await mailService.createAccount(req.userId, req.body);
+    mailScheduler.accountsChanged();
+    res.status(201).json(account);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/mail/accounts/:id
+ * Get an email account (without password)
+ */
+router.get('/accounts/:id', async (req, res, next) => {
+  try {
+    const account = await mailService.getAccount(req.userId, parseInt(req.params.id));
+    
+    if (!account) {
+      return res.status(404).json({ error: 'Email account not found' });
+    }
+    
+    res.json(account);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/mail/accounts/:id
+ * Update an email account
+ * 
+ * Body: like POST /accounts; the password (or client secret and refresh
+ * token) is kept if none is given
+ */
+router.put('/accounts/:id', async (req, res, next) => {
+  try {
+    const accountId = parseInt(req.params.id);
+    const existing = await mailService.getAccount(req.userId, accountId);
+    
+    if (!existing) {
+      return res.status(404).json({ error: 'Email account not found' });
+    }
+    
+    const invalid = validateAccount(req.body, existing) || await checkAccountHosts(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    
+    const account = await mailService.updateAccount(req.userId, accountId, req.body);
+    mailScheduler.accountsChanged();
+    res.json(account);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/mail/accounts/:id
+ * Remove an email account and its downloaded mail (the mailbox on the
+ * server is not changed)
+ */
+router.delete('/accounts/:id', async (req, res, next) => {
+  try {
+    const deleted = await mailService.deleteAccount(req.userId, parseInt(req.params.id));
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Email account not found' });
+    }
+    
+    mailScheduler.accountsChanged();
+    res.json({ message: 'Email account removed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/mail/config
- * Save email configuration
+ * Save email configuration of the first account (adds it if there's none)
  * 
- * Body: { imapHost, imapPort, imapSecure, smtpHost, smtpPort, smtpSecure, username, password }
+ * Body: { imapHost, imapPort, imapSecure, smtpHost, smtpPort, smtpSecure, username, password },
+ * or the OAuth2 fields instead of password (see POST /accounts)
  */
 router.post('/config', async (req, res, next) => {
   try {
+    const existing = await mailService.getEmailConfig(req.userId);
+    const invalid = validateAccount(req.body, existing) || await checkAccountHosts(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    
     await mailService.saveEmailConfig(req.userId, req.body);
+    mailScheduler.accountsChanged();
     res.json({ message: 'Email configuration saved successfully' });
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * POST /api/mail/config/test
+ * Check account settings without saving them: both servers are probed
+ * (DNS, connection, TLS, greeting and capabilities) and logged in to
+ * 
+ * Body: account settings like POST /accounts, plus accountId when editing
+ * an account (its stored password or tokens are used if none are given)
+ * 
+ * Returns { ok, imap, smtp }, each a diagnosis: { ok, host, port, secure,
+ * failedStep ('dns', 'connect', 'tls', 'greeting' or 'auth'; null if ok),
+ * error, addresses, tls ({ protocol, cipher, authorized, certificate }),
+ * greeting, capabilities, warnings }. If the OAuth2 provider rotated the
+ * refresh token, the new one is returned as refreshToken.
+ * 
+ * Servers on local or private network addresses are refused (400, unless
+ * MAIL_ALLOW_PRIVATE_HOSTS is set), and each user gets 30 tests and
+ * discoveries per 15 minutes (429 after that).
+ */
+router.post('/config/test', limitConfigChecks, async (req, res, next) => {
+  try {
+    const accountId = req.body.accountId ? parseInt(req.body.accountId) : null;
+    const existing = accountId ? await mailService.getAccount(req.userId, accountId) : null;
+    
+    if (accountId && !existing) {
+      return res.status(404).json({ error: 'Email account not found' });
+    }
+    
+    const invalid = validateAccount(req.body, existing) || await checkAccountHosts(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    
+    const result = await mailService.testConnection(req.userId, req.body, accountId);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/mail/config/discover
+ * Find the server settings for an email address (Mozilla autoconfig, the
+ * Thunderbird ISP database, SRV records, or well-known host names)
+ * 
+ * Query params:
+ * - email: The email address
+ * 
+ * Returns { source ('autoconfig', 'srv' or 'guess'), imap: { host, port,
+ * secure }, smtp: { host, port, secure }, username, authType }
+ * 
+ * Rate-limited together with POST /config/test.
+ */
+router.get('/config/discover', limitConfigChecks, async (req, res, next) => {
+  try {
+    const domain = emailDomain(req.query.email);
+    if (!domain) {
+      return res.status(400).json({ error: 'email must be an email address' });
+    }
+    
+    const settings = await discoverSettings(req.query.email);
+    if (!settings) {
+      return res.status(404).json({ error: `No server settings found for ${domain}` });
+    }
+    
+    res.json(settings);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/mail/config
- * Get email configuration (without password)
+ * Get email configuration of the first account (without password)
  */
 router.get('/config', async (req, res, next) => {
   try {
@@ -48,6 +363,7 @@ router.get('/config', async (req, res, next) => {
       smtpPort: config.smtpPort,
       smtpSecure: config.smtpSecure,
       username: config.username,
+      authType: config.authType,
     });
   } catch (error) {
     next(error);
@@ -57,10 +373,18 @@ router.get('/config', async (req, res, next) => {
 /**
  * GET /api/mail/folders
  * Get all mail folders
+ * 
+ * Query params:
+ * - account: Only the folders of this account
  */
 router.get('/folders', async (req, res, next) => {
   try {
-    const folders = await mailService.getFolders(req.userId);
+    const accountId = accountParam(req);
+    if (accountId === undefined) {
+      return res.status(400).json({ error: 'account must be an account ID' });
+    }
+    
+    const folders = await mailService.getFolders(req.userId, accountId);
     res.json(folders);
   } catch (error) {
     next(error);
@@ -70,6 +394,8 @@ router.get('/folders', async (req, res, next) => {
 /**
  * POST /api/mail/sync
  * Trigger email sync from IMAP server
+ * 
+ * Accounts are also synced in the background (see GET /sync/status)
  */
 router.post('/sync', async (req, res, next) => {
   try {
@@ -80,28 +406,180 @@ router.post('/sync', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/mail/sync/status
+ * Get the sync status of each account: { accountId, name, state
+ * ('connecting', 'syncing', 'idle', 'polling', 'error' or 'stopped'), mode
+ * ('idle' or 'poll'), lastSyncAt, lastError, lastErrorAt, failures, nextAttemptAt }
+ */
+router.get('/sync/status', async (req, res, next) => {
+  try {
+    const status = await mailService.getSyncStatus(req.userId);
+    res.json(status);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Search criteria for searching on the mail server (see GET /messages)
+ */
+const SERVER_SEARCH_TEXT = ['from', 'subject', 'text'];
+const SERVER_SEARCH_DATES = ['since', 'before'];
+
 /**
  * GET /api/mail/messages
  * Get messages in a folder
  * 
  * Query params:
  * - folder: Folder name (default: 'inbox')
+ * - account: Account ID (default: the folder of all accounts, e.g. all inboxes)
  * - limit: Number of messages (default: 50)
  * - offset: Offset for pagination (default: 0)
+ * 
+ * With any of these, the folder is searched on the mail server instead,
+ * which also finds messages that haven't been synced yet (all given
+ * criteria must match):
+ * - from, subject, text: Text in the sender, the subject or anywhere in the message
+ * - since, before: Date range the message was received in (YYYY-MM-DD;
+ *   since is inclusive, before exclusive)
  */
 router.get('/messages', async (req, res, next) => {
   try {
     const folder = req.query.folder || 'inbox';
+    const accountId = accountParam(req);
     const limit = parseInt(req.query.limit) || 50;
     const offset = parseInt(req.query.offset) || 0;
     
-    const messages = await mailService.getMessages(req.userId, folder, limit, offset);
+    if (accountId === undefined) {
+      return res.status(400).json({ error: 'account must be an account ID' });
+    }
+    
+    const criteria = {};
+    for (const key of SERVER_SEARCH_TEXT) {
+      if (req.query[key]) {
+        criteria[key] = String(req.query[key]);
+      }
+    }
+    for (const key of SERVER_SEARCH_DATES) {
+      if (req.query[key]) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(req.query[key]) || isNaN(new Date(req.query[key]))) {
+          return res.status(400).json({ error: `${key} must be a date (YYYY-MM-DD)` });
+        }
+        // Local midnight - IMAP compares dates without time
+        criteria[key] = new Date(`${req.query[key]}T00:00:00`);
+      }
+    }
+    
+    if (Object.keys(criteria).length > 0) {
+      const messages = await mailService.searchServer(req.userId, folder, accountId, criteria, limit, offset);
+      return res.json(messages);
+    }
+    
+    const messages = await mailService.getMessages(req.userId, folder, accountId, limit, offset);
     res.json(messages);
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * Move, copy, archive and delete actions
+ * 
+ * move and copy need a target folder name; delete moves messages to the
+ * trash, or deletes them permanently if they're in the trash already.
+ */
+const MESSAGE_ACTIONS = {
+  move: (userId, ids, folder) => mailService.moveMessages(userId, ids, folder),
+  copy: (userId, ids, folder) => mailService.copyMessages(userId, ids, folder),
+  archive: (userId, ids) => mailService.archiveMessages(userId, ids),
+  delete: (userId, ids) => mailService.deleteMessages(userId, ids),
+};
+
+/**
+ * Validate the target folder of a move or copy
+ */
+function invalidFolder(action, folder) {
+  return (action === 'move' || action === 'copy') && (typeof folder !== 'string' || !folder);
+}
+
+/**
+ * POST /api/mail/messages/:action
+ * Move, copy, archive or delete several messages
+ * 
+ * Body: { ids: [message IDs], folder (move and copy) }
+ */
+router.post('/messages/:action(move|copy|archive|delete)', async (req, res, next) => {
+  try {
+    const { action } = req.params;
+    const { ids, folder } = req.body;
+    
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every(Number.isInteger)) {
+      return res.status(400).json({ error: 'ids must be a non-empty list of message IDs' });
+    }
+    if (invalidFolder(action, folder)) {
+      return res.status(400).json({ error: 'Folder is required' });
+    }
+    
+    const result = await MESSAGE_ACTIONS[action](req.userId, ids, folder);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/mail/threads
+ * Get the conversations in a folder, latest first
+ * 
+ * Query params:
+ * - folder: Folder name (default: 'inbox')
+ * - account: Account ID (default: the folder of all accounts)
+ * - limit: Number of conversations (default: 50)
+ * - offset: Offset for pagination (default: 0)
+ */
+router.get('/threads', async (req, res, next) => {
+  try {
+    const folder = req.query.folder || 'inbox';
+    const accountId = accountParam(req);
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+    
+    if (accountId === undefined) {
+      return res.status(400).json({ error: 'account must be an account ID' });
+    }
+    
+    const threads = await mailService.getThreads(req.userId, folder, accountId, limit, offset);
+    res.json(threads);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/mail/threads/:id
+ * Get the messages of a conversation (marks them as read)
+ * 
+ * Query params:
+ * - folder: Folder the conversation is opened from (default: 'inbox')
+ * - markRead: 'false' leaves the messages unread (e.g. downloads for offline reading)
+ */
+router.get('/threads/:id', async (req, res, next) => {
+  try {
+    const thread = await mailService.getThread(req.userId, parseInt(req.params.id), req.query.folder || 'inbox', {
+      markRead: req.query.markRead !== 'false',
+    });
+    
+    if (!thread) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    
+    res.json(thread);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/mail/messages/:id
  * Get a single message by ID
@@ -121,13 +599,142 @@ router.get('/messages/:id', async (req, res, next) => {
   }
 });
 
+/**
+ * PATCH /api/mail/messages/:id
+ * Change message flags (stored on the mail server in the background)
+ * 
+ * Body: { read, starred, answered } (booleans, all optional)
+ */
+router.patch('/messages/:id', async (req, res, next) => {
+  try {
+    const { read, starred, answered } = req.body;
+    const changes = { read, starred, answered };
+    
+    const invalid = Object.values(changes).some(value => value !== undefined && typeof value !== 'boolean');
+    if (invalid || Object.values(changes).every(value => value === undefined)) {
+      return res.status(400).json({ error: 'read, starred or answered (boolean) is required' });
+    }
+    
+    const message = await mailService.updateMessageFlags(req.userId, parseInt(req.params.id), changes);
+    
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    
+    res.json(message);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/mail/messages/:id/draft/:type
+ * Get a reply, reply-all or forward of a message, to edit and send
+ * 
+ * type: reply, reply-all or forward
+ */
+router.get('/messages/:id/draft/:type(reply|reply-all|forward)', async (req, res, next) => {
+  try {
+    const draft = await mailService.getReplyDraft(req.userId, parseInt(req.params.id), req.params.type);
+    
+    if (!draft) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    
+    res.json(draft);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Run a move/copy/archive/delete action on a single message
+ */
+async function singleMessageAction(req, res, next, action) {
+  try {
+    const messageId = parseInt(req.params.id);
+    const { folder } = req.body || {};
+    
+    if (invalidFolder(action, folder)) {
+      return res.status(400).json({ error: 'Folder is required' });
+    }
+    
+    const message = await mailService.getMessage(req.userId, messageId, { markRead: false });
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    
+    const result = await MESSAGE_ACTIONS[action](req.userId, [messageId], folder);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/mail/messages/:id/move, /copy, /archive
+ * Move, copy or archive a message
+ * 
+ * Body: { folder } (move and copy)
+ */
+router.post('/messages/:id/:action(move|copy|archive)', (req, res, next) => {
+  singleMessageAction(req, res, next, req.params.action);
+});
+
+/**
+ * DELETE /api/mail/messages/:id
+ * Move a message to the trash, or delete it permanently if it's in the trash
+ */
+router.delete('/messages/:id', (req, res, next) => {
+  singleMessageAction(req, res, next, 'delete');
+});
+
+/**
+ * GET /api/mail/messages/:id/attachments/:attId
+ * Download an attachment
+ */
+router.get('/messages/:id/attachments/:attId', async (req, res, next) => {
+  try {
+    const attachment = await mailService.getAttachment(
+      req.userId,
+      parseInt(req.params.id),
+      parseInt(req.params.attId)
+    );
+    
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    
+    res.attachment(attachment.filename || 'attachment');
+    res.type(attachment.contentType);
+    res.set('Cache-Control', 'private, no-cache');
+    res.sendFile(attachment.path, { cacheControl: false }, (err) => {
+      if (err && !res.headersSent) {
+        next(err);
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/mail/send
  * Send an email
  * 
- * Body: { to, subject, text, html, cc, bcc }
+ * Body: { accountId, to, subject, text, html, cc, bcc, inReplyToId, forwardId, idempotencyKey }
+ * As multipart/form-data, the same fields plus "attachments" files
+ * 
+ * accountId is the account to send from (default: the account of the
+ * answered or forwarded message, otherwise the first account).
+ * inReplyToId is the ID of the message being answered, forwardId the ID
+ * of the message being forwarded (its attachments are included).
+ * idempotencyKey (optional) is a unique ID chosen by the client for the
+ * message: sending it again answers like the first time instead of sending
+ * it twice ({ messageId, duplicate: true }), or 409 while it's being sent
+ * (a send cut off by a restart is taken over after 10 minutes).
  */
-router.post('/send', async (req, res, next) => {
+router.post('/send', uploadAttachments, async (req, res, next) => {
   try {
     const { to, subject, text, html, cc, bcc } = req.body;
     
@@ -135,7 +742,41 @@ router.post('/send', async (req, res, next) => {
       return res.status(400).json({ error: 'To, subject, and text/html are required' });
     }
     
-    const result = await mailService.sendEmail(req.userId, { to, subject, text, html, cc, bcc });
+    // Multipart fields are strings
+    const inReplyToId = req.body.inReplyToId ? Number(req.body.inReplyToId) : null;
+    const forwardId = req.body.forwardId ? Number(req.body.forwardId) : null;
+    if ((inReplyToId !== null && !Number.isInteger(inReplyToId)) ||
+        (forwardId !== null && !Number.isInteger(forwardId))) {
+      return res.status(400).json({ error: 'inReplyToId and forwardId must be message IDs' });
+    }
+    const accountId = req.body.accountId ? Number(req.body.accountId) : null;
+    if (accountId !== null && !Number.isInteger(accountId)) {
+      return res.status(400).json({ error: 'accountId must be an account ID' });
+    }
+    const idempotencyKey = req.body.idempotencyKey || null;
+    if (idempotencyKey !== null && (typeof idempotencyKey !== 'string' || idempotencyKey.length > 100)) {
+      return res.status(400).json({ error: 'idempotencyKey must be a string of up to 100 characters' });
+    }
+    
+    const attachments = (req.files || []).map(file => ({
+      filename: file.originalname,
+      contentType: file.mimetype,
+      content: file.buffer,
+    }));
+    
+    const result = await mailService.sendEmail(req.userId, {
+      accountId,
+      to,
+      subject,
+      text,
+      html,
+      cc,
+      bcc,
+      inReplyToId,
+      forwardId,
+      attachments,
+      idempotencyKey,
+    });
     res.json(result);
   } catch (error) {
     next(error);
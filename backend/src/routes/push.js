@@ -0,0 +1,95 @@
+/**
+ * Push notification routes
+ * 
+ * Web Push subscriptions of the user's browsers and devices (see
+ * services/pushService.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+const pushService = require('../services/pushService');
+const { authenticateToken } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+/**
+ * GET /api/push/key
+ * Get the server's public key (applicationServerKey for pushManager.subscribe)
+ */
+router.get('/key', (req, res) => {
+  res.json({ publicKey: pushService.getPublicKey() });
+});
+
+/**
+ * POST /api/push/subscriptions
+ * Send reminders and new mail notifications to a browser
+ * 
+ * Body: { subscription (PushSubscription JSON: { endpoint, keys: { p256dh, auth } }), deviceId }
+ */
+router.post('/subscriptions', async (req, res, next) => {
+  try {
+    const { subscription, deviceId } = req.body;
+    
+    if (!subscription || typeof subscription.endpoint !== 'string' || !/^https:\/\//.test(subscription.endpoint) ||
+        !subscription.keys || !subscription.keys.p256dh || !subscription.keys.auth) {
+      return res.status(400).json({ error: 'A push subscription with endpoint and keys is required' });
+    }
+    
+    await pushService.saveSubscription(req.userId, subscription, {
+      deviceId,
+      userAgent: req.get('User-Agent'),
+    });
+    
+    res.status(201).json({ message: 'Push notifications enabled' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/push/subscriptions
+ * Stop sending notifications to a browser
+ * 
+ * Body: { endpoint }
+ */
+router.delete('/subscriptions', async (req, res, next) => {
+  try {
+    const { endpoint } = req.body;
+    
+    if (!endpoint) {
+      return res.status(400).json({ error: 'Endpoint is required' });
+    }
+    
+    if (!await pushService.deleteSubscription(req.userId, endpoint)) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+    
+    res.json({ message: 'Push notifications disabled' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/push/test
+ * Send a test notification to all of the user's subscribed devices
+ * 
+ * Returns { sent } (number of devices)
+ */
+router.post('/test', async (req, res, next) => {
+  try {
+    const sent = await pushService.sendToUser(req.userId, {
+      title: 'Test notification',
+      body: 'Push notifications are working.',
+      tag: 'test',
+      url: '/settings',
+    });
+    
+    res.json({ sent });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,49 @@
+/**
+ * Search routes
+ * 
+ * Full-text search across mail, contacts and calendar events
+ */
+
+const express = require('express');
+const router = express.Router();
+const mailService = require('../services/mailService');
+const contactsService = require('../services/contactsService');
+const calendarService = require('../services/calendarService');
+const { authenticateToken } = require('../middleware/auth');
+const { buildMatchQuery } = require('../utils/search');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+/**
+ * GET /api/search
+ * Search everything
+ * 
+ * Query params:
+ * - q: Search text (all words must match, the last one as a prefix)
+ * - limit: Results per module (default: 20, max: 100)
+ * 
+ * Returns { mail: [...], contacts: [...], events: [...] }, best matches first
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const matchQuery = buildMatchQuery(req.query.q);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    
+    if (!matchQuery) {
+      return res.status(400).json({ error: 'Search text (q) is required' });
+    }
+    
+    const [mail, contacts, events] = await Promise.all([
+      mailService.searchMessages(req.userId, matchQuery, limit),
+      contactsService.searchContacts(req.userId, matchQuery, limit),
+      calendarService.searchEvents(req.userId, matchQuery, limit),
+    ]);
+    
+    res.json({ mail, contacts, events });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+/**
+ * Sync routes
+ * 
+ * Incremental sync of the app's offline copy of events and contacts (see
+ * services/syncService.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+const syncService = require('../services/syncService');
+const { authenticateToken } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+/**
+ * GET /api/sync
+ * Get what changed since the last sync
+ * 
+ * Query params:
+ * - since: Cursor from the last response (optional - without it, everything is returned)
+ * 
+ * Returns { cursor, reset, calendar: { changed, deleted }, contacts: { changed, deleted } }:
+ * changed items and the IDs of deleted ones. With reset: true the response has
+ * everything and replaces the app's copy. Changed events come as occurrences,
+ * which replace all stored occurrences of the event.
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    let since = null;
+    if (req.query.since) {
+      since = syncService.parseCursor(req.query.since);
+      if (!since) {
+        return res.status(400).json({ error: 'Invalid sync cursor' });
+      }
+    }
+    
+    res.json(await syncService.getChanges(req.userId, since));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -11,27 +11,47 @@ const path = require('path');
 const config = require('./config');
 const { initDatabase } = require('./database/init');
 const { errorHandler } = require('./middleware/errorHandler');
+const mailScheduler = require('./services/mailScheduler');
+const reminderScheduler = require('./services/reminderScheduler');
 // Import secrets to ensure they're generated on startup
 require('./utils/secrets');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const calendarRoutes = require('./routes/calendar');
+const caldavRoutes = require('./routes/caldav');
 const contactsRoutes = require('./routes/contacts');
+const carddavRoutes = require('./routes/carddav');
 const mailRoutes = require('./routes/mail');
+const searchRoutes = require('./routes/search');
+const eventsRoutes = require('./routes/events');
+const pushRoutes = require('./routes/push');
+const syncRoutes = require('./routes/sync');
 
 // Create Express app
 const app = express();
 
+// Client IPs from X-Forwarded-For when running behind a reverse proxy
+app.set('trust proxy', config.trustProxy);
+
 // Middleware
 // CORS allows the frontend to make requests to the backend
 // If CORS_ORIGIN is set to "*" or "true", allow all origins
-app.use(cors({
+// DAV endpoints are skipped: cors answers every OPTIONS request itself,
+// but DAV clients use OPTIONS to discover server capabilities
+const davPaths = ['/api/caldav', '/api/carddav', '/.well-known/caldav', '/.well-known/carddav'];
+const corsMiddleware = cors({
   origin: (config.corsOrigin === '*' || config.corsOrigin === 'true') 
     ? true 
     : config.corsOrigin,
   credentials: true,
-}));
+});
+app.use((req, res, next) => {
+  if (davPaths.some(davPath => req.path.startsWith(davPath))) {
+    return next();
+  }
+  corsMiddleware(req, res, next);
+});
 
 // Parse JSON request bodies
 app.use(express.json());
@@ -44,8 +64,22 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/calendar', calendarRoutes);
+app.use('/api/caldav', caldavRoutes);
 app.use('/api/contacts', contactsRoutes);
+app.use('/api/carddav', carddavRoutes);
 app.use('/api/mail', mailRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/events', eventsRoutes);
+app.use('/api/push', pushRoutes);
+app.use('/api/sync', syncRoutes);
+
+// CalDAV/CardDAV service discovery (RFC 6764)
+app.all('/.well-known/caldav', (req, res) => {
+  res.redirect(301, '/api/caldav/');
+});
+app.all('/.well-known/carddav', (req, res) => {
+  res.redirect(301, '/api/carddav/');
+});
 
 // Serve static files from the React app (if public directory exists)
 // This allows the same server to serve both API and frontend
@@ -137,10 +171,27 @@ async function startServer() {
     console.log('Database initialized');
     
     // Start listening
-    app.listen(config.port, () => {
+    const server = app.listen(config.port, () => {
       console.log(`Server running on port ${config.port}`);
       console.log(`Environment: ${config.env}`);
+      
+      // Sync mail in the background (IMAP IDLE or polling)
+      mailScheduler.start();
+      
+      // Push calendar reminders to subscribed devices
+      reminderScheduler.start();
     });
+    
+    // Shut down cleanly (e.g. on docker stop): stop taking requests, let
+    // running mail syncs and reminder pushes finish and log out of the mail servers
+    const shutdown = async (signal) => {
+      console.log(`${signal} received, shutting down...`);
+      server.close();
+      await Promise.all([mailScheduler.stop(), reminderScheduler.stop()]);
+      process.exit(0);
+    };
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+    process.once('SIGINT', () => shutdown('SIGINT'));
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
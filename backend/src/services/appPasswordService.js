@@ -0,0 +1,175 @@
+/**
+ * App password service
+ * 
+ * CalDAV/CardDAV clients authenticate with HTTP Basic auth, which has no
+ * room for a 2FA code. So they don't get the account password: the user
+ * creates an app password per client in Settings (after a 2FA login) and
+ * can revoke it there.
+ * 
+ * App passwords are random, so a SHA-256 hash is enough to store them, and
+ * checking one is cheap enough for every DAV request.
+ */
+
+const crypto = require('crypto');
+const { getDatabase } = require('../database/init');
+
+// Characters of generated passwords (no 0/o, 1/l/i, to read and type them easily)
+const ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+const GROUPS = 4;
+const GROUP_LENGTH = 4;
+
+// How often last_used_at is written (clients send a request every few seconds while syncing)
+const LAST_USED_INTERVAL = '-5 minutes';
+
+/**
+ * Promise wrappers for the queries of this service
+ */
+function dbRun(sql, params = []) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(this);
+    });
+  });
+}
+
+function dbAll(sql, params = []) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(rows);
+    });
+  });
+}
+
+/**
+ * Hash an app password (dashes, spaces and case don't matter)
+ */
+function hashPassword(password) {
+  const normalized = password.replace(/[\s-]/g, '').toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+function generatePassword() {
+  const groups = [];
+  for (let i = 0; i < GROUPS; i++) {
+    let group = '';
+    for (let j = 0; j < GROUP_LENGTH; j++) {
+      group += ALPHABET[crypto.randomInt(ALPHABET.length)];
+    }
+    groups.push(group);
+  }
+  return groups.join('-');
+}
+
+function rowToAppPassword(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+  };
+}
+
+/**
+ * Get a user's app passwords (without the passwords)
+ * 
+ * @returns {Promise<Array<Object>>} - { id, name, createdAt, lastUsedAt }
+ */
+async function getAppPasswords(userId) {
+  const rows = await dbAll(
+    `SELECT id, name,
+       strftime('%Y-%m-%dT%H:%M:%SZ', created_at) AS created_at,
+       strftime('%Y-%m-%dT%H:%M:%SZ', last_used_at) AS last_used_at
+     FROM app_passwords WHERE user_id = ? ORDER BY id`,
+    [userId]
+  );
+  return rows.map(rowToAppPassword);
+}
+
+/**
+ * Create an app password
+ * 
+ * The password is only returned here - it can't be shown again.
+ * 
+ * @param {number} userId - User ID
+ * @param {string} name - What it's for, e.g. "Phone (DAVx5)"
+ * @returns {Promise<Object>} - { id, name, password }
+ */
+async function createAppPassword(userId, name) {
+  const password = generatePassword();
+  const result = await dbRun(
+    'INSERT INTO app_passwords (user_id, name, password_hash) VALUES (?, ?, ?)',
+    [userId, name, hashPassword(password)]
+  );
+  return { id: result.lastID, name, password };
+}
+
+/**
+ * Revoke an app password
+ * 
+ * @returns {Promise<boolean>} - false if the user has no such app password
+ */
+async function deleteAppPassword(userId, id) {
+  const result = await dbRun('DELETE FROM app_passwords WHERE id = ? AND user_id = ?', [id, userId]);
+  return result.changes > 0;
+}
+
+/**
+ * Revoke all of a user's app passwords (signing out everywhere)
+ * 
+ * @returns {Promise<number>} - Number revoked
+ */
+async function deleteAllAppPasswords(userId) {
+  const result = await dbRun('DELETE FROM app_passwords WHERE user_id = ?', [userId]);
+  return result.changes;
+}
+
+/**
+ * Check the credentials of a DAV client
+ * 
+ * @param {string} username - Username or email
+ * @param {string} password - App password
+ * @returns {Promise<Object|null>} - { id, username, email } or null if invalid
+ */
+async function verifyAppPassword(username, password) {
+  const [row] = await dbAll(
+    `SELECT app_passwords.id AS app_password_id, users.id, users.username, users.email
+     FROM app_passwords JOIN users ON users.id = app_passwords.user_id
+     WHERE app_passwords.password_hash = ? AND (users.username = ? OR users.email = ?)`,
+    [hashPassword(password), username, username]
+  );
+  if (!row) {
+    return null;
+  }
+  
+  await dbRun(
+    `UPDATE app_passwords SET last_used_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND (last_used_at IS NULL OR last_used_at < datetime('now', ?))`,
+    [row.app_password_id, LAST_USED_INTERVAL]
+  );
+  
+  return {
+    id: row.id,
+    username: row.username,
+    email: row.email,
+  };
+}
+
+module.exports = {
+  getAppPasswords,
+  createAppPassword,
+  deleteAppPassword,
+  deleteAllAppPasswords,
+  verifyAppPassword,
+};
@@ -9,10 +9,108 @@
  */
 
 const { hashPassword, verifyPassword, validatePassword } = require('../utils/password');
-const { generateAccessToken, generateRefreshToken, verifyRefreshToken } = require('../utils/jwt');
+const { generateAccessToken, generateRefreshToken, verifyRefreshToken, hashToken } = require('../utils/jwt');
 const { generateSecret, verifyToken } = require('../utils/2fa');
 const { getDatabase } = require('../database/init');
 
+/**
+ * Promise wrappers for the session queries
+ */
+function dbRun(sql, params = []) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(this);
+    });
+  });
+}
+
+function dbAll(sql, params = []) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(rows);
+    });
+  });
+}
+
+// Browsers and systems recognized in user agents, most specific first
+// (e.g. Chrome's user agent mentions Safari, Edge's mentions Chrome)
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\//],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//],
+];
+const SYSTEMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/],
+];
+
+/**
+ * Readable name of the device a session is used on, e.g. "Firefox on Android"
+ * 
+ * @param {string} userAgent - User-Agent header
+ * @returns {string}
+ */
+function describeDevice(userAgent) {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+  
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const system = SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+  if (!browser && !system) {
+    // Not a browser - e.g. "curl/8.5.0"
+    return userAgent.split(/[\s/]/)[0];
+  }
+  return [browser ? browser[0] : 'Browser', system && system[0]].filter(Boolean).join(' on ');
+}
+
+/**
+ * Log a security event (e.g. a stolen refresh token), for admins to review
+ */
+function logSecurityEvent(event, details) {
+  console.warn(`[security] ${event}`, JSON.stringify(details));
+}
+
+/**
+ * Start a session for a device
+ * 
+ * A new login replaces the device's earlier session. Only the refresh
+ * token's hash is stored.
+ * 
+ * @param {Object} client - { userAgent, ipAddress } of the request
+ */
+async function createSession(userId, deviceId, refreshToken, expiresAt, client = {}) {
+  await dbRun('DELETE FROM sessions WHERE user_id = ? AND device_id = ?', [userId, deviceId]);
+  await dbRun(
+    `INSERT INTO sessions
+       (user_id, device_id, refresh_token, expires_at, device_name, user_agent, ip_address, last_used_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+    [
+      userId, deviceId, hashToken(refreshToken), expiresAt.toISOString(),
+      describeDevice(client.userAgent), client.userAgent || null, client.ipAddress || null,
+    ]
+  );
+}
+
 /**
  * Check if any admin exists
  */
@@ -99,9 +197,10 @@ async function registerUser(username, email, password) {
  * @param {string} password - Plain text password
  * @param {string} twoFactorCode - 2FA code from authenticator app
  * @param {string} deviceId - Unique device identifier
+ * @param {Object} client - { userAgent, ipAddress } of the request, shown in the session list
  * @returns {Promise<Object>} - { user, accessToken, refreshToken }
  */
-async function loginUser(username, password, twoFactorCode, deviceId) {
+async function loginUser(username, password, twoFactorCode, deviceId, client = {}) {
   const db = getDatabase();
   
   return new Promise((resolve, reject) => {
@@ -168,15 +267,8 @@ async function loginUser(username, password, twoFactorCode, deviceId) {
         expiresAt.setDate(expiresAt.getDate() + 7);
         
         // Store refresh token in database
-        db.run(
-          'INSERT INTO sessions (user_id, device_id, refresh_token, expires_at) VALUES (?, ?, ?, ?)',
-          [user.id, deviceId, refreshToken, expiresAt.toISOString()],
-          (err) => {
-            if (err) {
-              reject(err);
-              return;
-            }
-            
+        createSession(user.id, deviceId, refreshToken, expiresAt, client)
+          .then(() => {
             resolve({
               user: {
                 id: user.id,
@@ -188,8 +280,8 @@ async function loginUser(username, password, twoFactorCode, deviceId) {
               accessToken,
               refreshToken,
             });
-          }
-        );
+          })
+          .catch(reject);
       }
     );
   });
@@ -434,64 +526,112 @@ async function verifyAndEnable2FAInitial(username, password, code) {
   });
 }
 
+/**
+ * Revoke the token family of a refresh token that was already rotated
+ * 
+ * A family is the chain of refresh tokens of one device's session. A token
+ * presented after it was exchanged means a copy of it is out there, so the
+ * whole session is deleted - the device and whoever has the copy both have
+ * to log in again - and a security event is logged.
+ * 
+ * @param {string} tokenHash - Hash of the presented refresh token
+ * @param {Object} client - { userAgent, ipAddress } of the request
+ * @returns {Promise<boolean>} - false if the token wasn't rotated (unknown token)
+ */
+async function revokeReusedToken(tokenHash, client) {
+  const [session] = await dbAll(
+    `SELECT sessions.id, sessions.user_id, sessions.device_id, sessions.device_name
+     FROM rotated_refresh_tokens JOIN sessions ON sessions.id = rotated_refresh_tokens.session_id
+     WHERE rotated_refresh_tokens.token_hash = ?`,
+    [tokenHash]
+  );
+  if (!session) {
+    return false;
+  }
+  
+  await dbRun('DELETE FROM rotated_refresh_tokens WHERE session_id = ?', [session.id]);
+  await dbRun('DELETE FROM sessions WHERE id = ?', [session.id]);
+  
+  logSecurityEvent('refresh_token_reuse', {
+    userId: session.user_id,
+    sessionId: session.id,
+    deviceId: session.device_id,
+    deviceName: session.device_name,
+    ipAddress: client.ipAddress || null,
+    userAgent: client.userAgent || null,
+  });
+  return true;
+}
+
 /**
  * Refresh access token using refresh token
  * 
+ * Refresh tokens are rotated: each works once and is exchanged for a new
+ * one. Exchanged tokens are remembered until they expire, and presenting one
+ * again revokes the device's session (see revokeReusedToken).
+ * 
  * @param {string} refreshToken - Refresh token
  * @param {string} deviceId - Device ID
+ * @param {Object} client - { userAgent, ipAddress } of the request, recorded as the session's last use
  * @returns {Promise<Object>} - { accessToken, refreshToken }
  */
-async function refreshAccessToken(refreshToken, deviceId) {
+async function refreshAccessToken(refreshToken, deviceId, client = {}) {
   // Verify refresh token
   const decoded = verifyRefreshToken(refreshToken);
   if (!decoded) {
     throw new Error('Invalid refresh token');
   }
   
-  const db = getDatabase();
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date().toISOString();
+  await dbRun('DELETE FROM rotated_refresh_tokens WHERE expires_at <= ?', [now]);
   
-  return new Promise((resolve, reject) => {
-    // Check if refresh token exists in database and is valid
-    db.get(
-      'SELECT * FROM sessions WHERE refresh_token = ? AND device_id = ? AND expires_at > datetime("now")',
-      [refreshToken, deviceId],
-      (err, session) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-        
-        if (!session) {
-          reject(new Error('Invalid or expired refresh token'));
-          return;
-        }
-        
-        // Generate new tokens
-        const newAccessToken = generateAccessToken(session.user_id);
-        const newRefreshToken = generateRefreshToken(session.user_id);
-        
-        // Update session with new refresh token
-        const expiresAt = new Date();
-        expiresAt.setDate(expiresAt.getDate() + 7);
-        
-        db.run(
-          'UPDATE sessions SET refresh_token = ?, expires_at = ? WHERE id = ?',
-          [newRefreshToken, expiresAt.toISOString(), session.id],
-          (err) => {
-            if (err) {
-              reject(err);
-              return;
-            }
-            
-            resolve({
-              accessToken: newAccessToken,
-              refreshToken: newRefreshToken,
-            });
-          }
-        );
-      }
-    );
-  });
+  // Check if refresh token exists in database and is valid
+  const [session] = await dbAll(
+    'SELECT * FROM sessions WHERE refresh_token = ? AND device_id = ? AND expires_at > ?',
+    [tokenHash, deviceId, now]
+  );
+  
+  if (!session) {
+    if (await revokeReusedToken(tokenHash, client)) {
+      throw new Error('Refresh token was already used. Please log in again.');
+    }
+    throw new Error('Invalid or expired refresh token');
+  }
+  
+  // Generate new tokens
+  const newAccessToken = generateAccessToken(session.user_id);
+  const newRefreshToken = generateRefreshToken(session.user_id);
+  
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + 7);
+  
+  // Remember the old token, then replace it - unless another request with
+  // the same token got there first, which makes this one a reuse
+  await dbRun(
+    'INSERT OR IGNORE INTO rotated_refresh_tokens (token_hash, session_id, expires_at) VALUES (?, ?, ?)',
+    [tokenHash, session.id, new Date(decoded.exp * 1000).toISOString()]
+  );
+  const result = await dbRun(
+    `UPDATE sessions SET refresh_token = ?, expires_at = ?, last_used_at = CURRENT_TIMESTAMP,
+       ip_address = COALESCE(?, ip_address), user_agent = COALESCE(?, user_agent),
+       device_name = COALESCE(?, device_name)
+     WHERE id = ? AND refresh_token = ?`,
+    [
+      hashToken(newRefreshToken), expiresAt.toISOString(), client.ipAddress || null, client.userAgent || null,
+      client.userAgent ? describeDevice(client.userAgent) : null, session.id, tokenHash,
+    ]
+  );
+  
+  if (result.changes === 0) {
+    await revokeReusedToken(tokenHash, client);
+    throw new Error('Refresh token was already used. Please log in again.');
+  }
+  
+  return {
+    accessToken: newAccessToken,
+    refreshToken: newRefreshToken,
+  };
 }
 
 /**
@@ -506,7 +646,7 @@ async function logout(refreshToken, deviceId) {
   return new Promise((resolve, reject) => {
     db.run(
       'DELETE FROM sessions WHERE refresh_token = ? AND device_id = ?',
-      [refreshToken, deviceId],
+      [hashToken(refreshToken), deviceId],
       (err) => {
         if (err) {
           reject(err);
@@ -518,6 +658,64 @@ async function logout(refreshToken, deviceId) {
   });
 }
 
+/**
+ * Get a user's sessions (signed-in devices), last used first
+ * 
+ * @param {number} userId - User ID
+ * @param {string} currentDeviceId - Device asking (marked as current)
+ * @returns {Promise<Array<Object>>} - { id, deviceName, userAgent, ipAddress,
+ *   createdAt, lastUsedAt, current }
+ */
+async function getSessions(userId, currentDeviceId = null) {
+  const rows = await dbAll(
+    `SELECT id, device_id, device_name, user_agent, ip_address,
+       strftime('%Y-%m-%dT%H:%M:%SZ', created_at) AS created_at,
+       strftime('%Y-%m-%dT%H:%M:%SZ', COALESCE(last_used_at, created_at)) AS last_used_at
+     FROM sessions WHERE user_id = ? AND expires_at > ?
+     ORDER BY last_used_at DESC, id DESC`,
+    [userId, new Date().toISOString()]
+  );
+  return rows.map(row => ({
+    id: row.id,
+    deviceName: row.device_name || describeDevice(row.user_agent),
+    userAgent: row.user_agent,
+    ipAddress: row.ip_address,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    current: row.device_id === currentDeviceId,
+  }));
+}
+
+/**
+ * Sign a device out (delete its session)
+ * 
+ * Its access token stays valid until it expires (15 minutes at most).
+ * 
+ * @param {number} userId - User ID
+ * @param {number} sessionId - Session ID
+ * @returns {Promise<string|null>} - The device's ID, or null if the user has no such session
+ */
+async function revokeSession(userId, sessionId) {
+  const [session] = await dbAll('SELECT device_id FROM sessions WHERE id = ? AND user_id = ?', [sessionId, userId]);
+  if (!session) {
+    return null;
+  }
+  await dbRun('DELETE FROM sessions WHERE id = ?', [sessionId]);
+  return session.device_id;
+}
+
+/**
+ * Sign a user out everywhere (delete all their sessions)
+ * 
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<string>>} - IDs of the devices signed out
+ */
+async function revokeAllSessions(userId) {
+  const rows = await dbAll('SELECT DISTINCT device_id FROM sessions WHERE user_id = ?', [userId]);
+  await dbRun('DELETE FROM sessions WHERE user_id = ?', [userId]);
+  return rows.map(row => row.device_id);
+}
+
 module.exports = {
   registerUser,
   loginUser,
@@ -527,4 +725,7 @@ module.exports = {
   verifyAndEnable2FAInitial,
   refreshAccessToken,
   logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
 };
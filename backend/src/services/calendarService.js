@@ -5,33 +5,162 @@
  */
 
 const { getDatabase } = require('../database/init');
+const {
+  parseRRule,
+  formatRRule,
+  expandOccurrences,
+  countOccurrencesBefore,
+  addDays,
+  daysBetween,
+} = require('../utils/recurrence');
+const { generateUid } = require('../utils/ical');
+const liveUpdates = require('./liveUpdates');
+
+// How far ahead recurring events are expanded when no end date is given
+const DEFAULT_EXPANSION_DAYS = 365;
+
+/**
+ * Tell the user's open apps that an event changed (see liveUpdates)
+ */
+function publishChange(userId, action, eventId) {
+  liveUpdates.publish(userId, { type: 'calendar', action, id: eventId });
+}
+
+/**
+ * Error for an event that doesn't exist (sent as 404)
+ */
+function eventNotFound() {
+  const error = new Error('Event not found');
+  error.status = 404;
+  return error;
+}
+
+/**
+ * Error for event data or options the API refuses (sent as 400)
+ */
+function invalidEvent(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Convert a database row to an event object
+ */
+function rowToEvent(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.description,
+    date: row.date,
+    startTime: row.start_time,
+    endTime: row.end_time,
+    location: row.location,
+    reminderTime: row.reminder_time,
+    rrule: row.rrule,
+    exdates: row.exdates ? JSON.parse(row.exdates) : [],
+    recurrenceParentId: row.recurrence_parent_id,
+    recurrenceDate: row.recurrence_date,
+    uid: row.uid,
+    davName: row.dav_name,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Validate and normalize a recurrence rule from the API
+ *
+ * @param {string|null} rrule - RRULE string (with or without "RRULE:" prefix)
+ * @returns {string|null} - Normalized rule or null for non-recurring events
+ */
+function normalizeRRule(rrule) {
+  if (!rrule) {
+    return null;
+  }
+  return formatRRule(parseRRule(rrule));
+}
+
+/**
+ * Shift an ISO reminder time by a number of days
+ */
+function shiftReminder(reminderTime, days) {
+  if (!reminderTime || days === 0) {
+    return reminderTime;
+  }
+  const shifted = new Date(reminderTime);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString();
+}
+
+/**
+ * Expand a recurring event into one event object per occurrence
+ *
+ * Each occurrence keeps the series ID and carries its `occurrenceDate`,
+ * which is what clients send back when editing a single occurrence.
+ */
+function expandEvent(event, startDate, endDate) {
+  const occurrences = expandOccurrences(event.date, event.rrule, {
+    rangeStart: startDate,
+    rangeEnd: endDate,
+    exdates: event.exdates,
+  });
+  
+  return occurrences.map(date => ({
+    ...event,
+    date,
+    occurrenceDate: date,
+    reminderTime: shiftReminder(event.reminderTime, daysBetween(event.date, date)),
+  }));
+}
 
 /**
  * Get all events for a user
  * 
+ * Recurring events are expanded into their individual occurrences within
+ * the date range. Without an end date, occurrences are expanded up to
+ * DEFAULT_EXPANSION_DAYS from today.
+ * 
  * @param {number} userId - User ID
  * @param {string} startDate - Optional start date filter (YYYY-MM-DD)
  * @param {string} endDate - Optional end date filter (YYYY-MM-DD)
+ * @param {Object} options - { expand: false } returns recurring events as
+ *                           stored (one entry per series), e.g. for export;
+ *                           { ids } only these events (e.g. changed ones)
  * @returns {Promise<Array>} - Array of events
  */
-function getEvents(userId, startDate = null, endDate = null) {
+function getEvents(userId, startDate = null, endDate = null, options = {}) {
+  const { expand = true, ids = null } = options;
   const db = getDatabase();
   
   return new Promise((resolve, reject) => {
-    let query = 'SELECT * FROM calendar_events WHERE user_id = ?';
+    // Single events must fall inside the range, recurring ones only need to
+    // start before its end (their occurrences are filtered after expansion)
+    let singleFilter = 'rrule IS NULL';
+    let recurringFilter = 'rrule IS NOT NULL';
     const params = [userId];
     
+    let idFilter = '';
+    if (ids) {
+      idFilter = ` AND id IN (${ids.map(() => '?').join(', ')})`;
+      params.push(...ids);
+    }
+    
     if (startDate) {
-      query += ' AND date >= ?';
+      singleFilter += ' AND date >= ?';
       params.push(startDate);
     }
     
     if (endDate) {
-      query += ' AND date <= ?';
+      singleFilter += ' AND date <= ?';
+      params.push(endDate);
+      recurringFilter += ' AND date <= ?';
       params.push(endDate);
     }
     
-    query += ' ORDER BY date, start_time';
+    const query = `SELECT * FROM calendar_events 
+                   WHERE user_id = ?${idFilter} AND ((${singleFilter}) OR (${recurringFilter}))
+                   ORDER BY date, start_time`;
     
     db.all(query, params, (err, rows) => {
       if (err) {
@@ -39,19 +168,29 @@ function getEvents(userId, startDate = null, endDate = null) {
         return;
       }
       
-      // Convert database rows to event objects
-      const events = rows.map(row => ({
-        id: row.id,
-        title: row.title,
-        description: row.description,
-        date: row.date,
-        startTime: row.start_time,
-        endTime: row.end_time,
-        location: row.location,
-        reminderTime: row.reminder_time,
-        createdAt: row.created_at,
-        updatedAt: row.updated_at,
-      }));
+      const expansionEnd = endDate || addDays(new Date().toISOString().slice(0, 10), DEFAULT_EXPANSION_DAYS);
+      const events = [];
+      
+      for (const row of rows) {
+        const event = rowToEvent(row);
+        
+        if (!event.rrule || !expand) {
+          events.push(event);
+          continue;
+        }
+        
+        try {
+          events.push(...expandEvent(event, startDate, expansionEnd));
+        } catch (expandError) {
+          // A broken rule shouldn't hide the rest of the calendar
+          console.error(`Could not expand recurring event ${event.id}:`, expandError.message);
+          events.push(event);
+        }
+      }
+      
+      events.sort((a, b) =>
+        a.date.localeCompare(b.date) || (a.startTime || '').localeCompare(b.startTime || '')
+      );
       
       resolve(events);
     });
@@ -83,18 +222,7 @@ function getEvent(userId, eventId) {
           return;
         }
         
-        resolve({
-          id: row.id,
-          title: row.title,
-          description: row.description,
-          date: row.date,
-          startTime: row.start_time,
-          endTime: row.end_time,
-          location: row.location,
-          reminderTime: row.reminder_time,
-          createdAt: row.created_at,
-          updatedAt: row.updated_at,
-        });
+        resolve(rowToEvent(row));
       }
     );
   });
@@ -119,24 +247,50 @@ function createEvent(userId, eventData) {
       endTime,
       location,
       reminderTime,
+      rrule,
+      exdates,
+      recurrenceParentId,
+      recurrenceDate,
+      uid,
+      davName,
     } = eventData;
     
     if (!title || !date) {
-      reject(new Error('Title and date are required'));
+      reject(invalidEvent('Title and date are required'));
+      return;
+    }
+    
+    let normalizedRRule;
+    try {
+      normalizedRRule = normalizeRRule(rrule);
+    } catch (ruleError) {
+      reject(ruleError);
       return;
     }
     
     db.run(
       `INSERT INTO calendar_events 
-       (user_id, title, description, date, start_time, end_time, location, reminder_time)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [userId, title, description || null, date, startTime || null, endTime || null, location || null, reminderTime || null],
+       (user_id, title, description, date, start_time, end_time, location, reminder_time,
+        rrule, exdates, recurrence_parent_id, recurrence_date, uid, dav_name)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        userId, title, description || null, date, startTime || null, endTime || null, location || null, reminderTime || null,
+        normalizedRRule,
+        normalizedRRule && exdates && exdates.length > 0 ? JSON.stringify(exdates) : null,
+        recurrenceParentId || null,
+        recurrenceDate || null,
+        // Modified occurrences share their series' UID, so they don't get one
+        recurrenceParentId ? null : (uid || generateUid()),
+        davName || null,
+      ],
       function(err) {
         if (err) {
           reject(err);
           return;
         }
         
+        publishChange(userId, 'created', this.lastID);
+        
         // Return the created event
         getEvent(userId, this.lastID).then(resolve).catch(reject);
       }
@@ -144,15 +298,40 @@ function createEvent(userId, eventData) {
   });
 }
 
+/**
+ * The error for a change refused by its baseUpdatedAt
+ * 
+ * Optimistic concurrency for changes made offline (see the frontend's
+ * services/outbox.js): the client sends the updatedAt of the event it
+ * changed, and the write only happens if the row still has it.
+ * 
+ * @returns {Promise<Error>} - status 404 if the event is gone, status 409
+ *   (with the event in error.current) if it was changed
+ */
+async function staleChangeError(userId, eventId) {
+  const event = await getEvent(userId, eventId);
+  
+  if (!event) {
+    return eventNotFound();
+  }
+  
+  const error = new Error('The event was changed since this change was made');
+  error.status = 409;
+  error.current = event;
+  return error;
+}
+
 /**
  * Update an event
  * 
  * @param {number} userId - User ID
  * @param {number} eventId - Event ID
  * @param {Object} eventData - Updated event data
+ * @param {string} [baseUpdatedAt] - Only update if the event still has this
+ *   updatedAt (see staleChangeError)
  * @returns {Promise<Object>} - Updated event
  */
-function updateEvent(userId, eventId, eventData) {
+function updateEvent(userId, eventId, eventData, baseUpdatedAt = null) {
   const db = getDatabase();
   
   return new Promise((resolve, reject) => {
@@ -164,6 +343,10 @@ function updateEvent(userId, eventId, eventData) {
       endTime,
       location,
       reminderTime,
+      rrule,
+      exdates,
+      uid,
+      davName,
     } = eventData;
     
     // Build update query dynamically (only update provided fields)
@@ -198,20 +381,55 @@ function updateEvent(userId, eventId, eventData) {
       updates.push('reminder_time = ?');
       values.push(reminderTime);
     }
+    if (rrule !== undefined) {
+      let normalizedRRule;
+      try {
+        normalizedRRule = normalizeRRule(rrule);
+      } catch (ruleError) {
+        reject(ruleError);
+        return;
+      }
+      updates.push('rrule = ?');
+      values.push(normalizedRRule);
+    }
+    if (exdates !== undefined) {
+      updates.push('exdates = ?');
+      values.push(exdates && exdates.length > 0 ? JSON.stringify(exdates) : null);
+    }
+    if (uid !== undefined) {
+      updates.push('uid = ?');
+      values.push(uid);
+    }
+    if (davName !== undefined) {
+      updates.push('dav_name = ?');
+      values.push(davName);
+    }
     
     if (updates.length === 0) {
       // No updates provided, just return current event
-      getEvent(userId, eventId).then(resolve).catch(reject);
+      getEvent(userId, eventId)
+        .then(async (event) => {
+          if (baseUpdatedAt && (!event || event.updatedAt !== baseUpdatedAt)) {
+            throw await staleChangeError(userId, eventId);
+          }
+          return event;
+        })
+        .then(resolve)
+        .catch(reject);
       return;
     }
     
-    updates.push('updated_at = CURRENT_TIMESTAMP');
+    // In milliseconds, so a change right after another one still changes it (see staleChangeError)
+    updates.push(`updated_at = strftime('%Y-%m-%d %H:%M:%f', 'now')`);
     values.push(eventId, userId);
+    if (baseUpdatedAt) {
+      values.push(baseUpdatedAt);
+    }
     
     db.run(
       `UPDATE calendar_events 
        SET ${updates.join(', ')} 
-       WHERE id = ? AND user_id = ?`,
+       WHERE id = ? AND user_id = ?${baseUpdatedAt ? ' AND updated_at = ?' : ''}`,
       values,
       function(err) {
         if (err) {
@@ -220,10 +438,16 @@ function updateEvent(userId, eventId, eventData) {
         }
         
         if (this.changes === 0) {
-          reject(new Error('Event not found'));
+          if (baseUpdatedAt) {
+            staleChangeError(userId, eventId).then(reject).catch(reject);
+          } else {
+            reject(eventNotFound());
+          }
           return;
         }
         
+        publishChange(userId, 'updated', eventId);
+        
         // Return the updated event
         getEvent(userId, eventId).then(resolve).catch(reject);
       }
@@ -234,17 +458,30 @@ function updateEvent(userId, eventId, eventData) {
 /**
  * Delete an event
  * 
+ * Deleting a recurring event also deletes its modified occurrences.
+ * 
  * @param {number} userId - User ID
  * @param {number} eventId - Event ID
+ * @param {string} [baseUpdatedAt] - Only delete if the event still has this
+ *   updatedAt (see staleChangeError)
  * @returns {Promise<boolean>} - True if deleted
  */
-function deleteEvent(userId, eventId) {
+function deleteEvent(userId, eventId, baseUpdatedAt = null) {
   const db = getDatabase();
   
   return new Promise((resolve, reject) => {
+    // One statement, so the check and the delete can't be split by another change
+    const unchanged = baseUpdatedAt
+      ? ' AND EXISTS (SELECT 1 FROM calendar_events WHERE id = ? AND user_id = ? AND updated_at = ?)'
+      : '';
+    const params = [eventId, eventId, userId];
+    if (baseUpdatedAt) {
+      params.push(eventId, userId, baseUpdatedAt);
+    }
+    
     db.run(
-      'DELETE FROM calendar_events WHERE id = ? AND user_id = ?',
-      [eventId, userId],
+      `DELETE FROM calendar_events WHERE (id = ? OR recurrence_parent_id = ?) AND user_id = ?${unchanged}`,
+      params,
       function(err) {
         if (err) {
           reject(err);
@@ -252,20 +489,557 @@ function deleteEvent(userId, eventId) {
         }
         
         if (this.changes === 0) {
-          reject(new Error('Event not found'));
+          if (baseUpdatedAt) {
+            staleChangeError(userId, eventId).then(reject).catch(reject);
+          } else {
+            reject(eventNotFound());
+          }
           return;
         }
         
+        publishChange(userId, 'deleted', eventId);
         resolve(true);
       }
     );
   });
 }
 
+/**
+ * Re-link modified occurrences on or after a date to another series
+ * (or delete them when newParentId is null). A null fromDate means all of them.
+ */
+function relinkOverrides(userId, eventId, fromDate, newParentId) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    const dateFilter = fromDate ? ' AND recurrence_date >= ?' : '';
+    const query = newParentId
+      ? `UPDATE calendar_events SET recurrence_parent_id = ? WHERE recurrence_parent_id = ? AND user_id = ?${dateFilter}`
+      : `DELETE FROM calendar_events WHERE recurrence_parent_id = ? AND user_id = ?${dateFilter}`;
+    const params = newParentId
+      ? [newParentId, eventId, userId]
+      : [eventId, userId];
+    if (fromDate) {
+      params.push(fromDate);
+    }
+    
+    db.run(query, params, function(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      // The series' modified occurrences changed
+      if (this.changes > 0) {
+        publishChange(userId, 'updated', eventId);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * End a series the day before a date
+ * 
+ * COUNT is replaced by UNTIL, and EXDATEs after the new end are dropped.
+ */
+function truncateSeries(userId, series, beforeDate, baseUpdatedAt = null) {
+  const rule = parseRRule(series.rrule);
+  rule.count = null;
+  rule.until = addDays(beforeDate, -1);
+  
+  return updateEvent(userId, series.id, {
+    rrule: formatRRule(rule),
+    exdates: series.exdates.filter(date => date < beforeDate),
+  }, baseUpdatedAt);
+}
+
+/**
+ * Update occurrences of a recurring event
+ * 
+ * Scopes:
+ * - 'occurrence': only this occurrence. It's excluded from the series and
+ *   saved as a separate event linked back to the series.
+ * - 'following': this and all later occurrences. The series is split in two
+ *   and the changes apply to the new series.
+ * - 'all': the whole series. Date changes are applied relative to the
+ *   occurrence, so moving one occurrence by a day moves the whole series.
+ * 
+ * @param {number} userId - User ID
+ * @param {number} eventId - Recurring event ID
+ * @param {string} occurrenceDate - Date of the occurrence being edited (YYYY-MM-DD)
+ * @param {string} scope - 'occurrence', 'following' or 'all'
+ * @param {Object} eventData - Updated event data
+ * @param {string} [baseUpdatedAt] - Only update if the series still has this
+ *   updatedAt (see staleChangeError)
+ * @returns {Promise<Object>} - Updated (or newly created) event
+ */
+async function updateOccurrence(userId, eventId, occurrenceDate, scope, eventData, baseUpdatedAt = null) {
+  const series = await getEvent(userId, eventId);
+  
+  if (!series) {
+    throw eventNotFound();
+  }
+  
+  // The series is read before it's written: the first write is conditional
+  // on what was read, so a change in between isn't overwritten
+  baseUpdatedAt = baseUpdatedAt || series.updatedAt;
+  
+  if (!series.rrule) {
+    return updateEvent(userId, eventId, eventData, baseUpdatedAt);
+  }
+  
+  const offset = daysBetween(series.date, occurrenceDate);
+  
+  if (scope === 'all' || (scope === 'following' && offset <= 0)) {
+    const seriesData = { ...eventData };
+    if (eventData.date !== undefined) {
+      seriesData.date = addDays(series.date, daysBetween(occurrenceDate, eventData.date));
+    }
+    if (eventData.reminderTime) {
+      seriesData.reminderTime = shiftReminder(eventData.reminderTime, -offset);
+    }
+    return updateEvent(userId, eventId, seriesData, baseUpdatedAt);
+  }
+  
+  const occurrence = {
+    ...series,
+    date: occurrenceDate,
+    reminderTime: shiftReminder(series.reminderTime, offset),
+  };
+  
+  if (scope === 'occurrence') {
+    await updateEvent(userId, eventId, {
+      exdates: [...new Set([...series.exdates, occurrenceDate])].sort(),
+    }, baseUpdatedAt);
+    
+    return createEvent(userId, {
+      ...occurrence,
+      ...eventData,
+      rrule: null,
+      exdates: null,
+      recurrenceParentId: eventId,
+      recurrenceDate: occurrenceDate,
+    });
+  }
+  
+  if (scope !== 'following') {
+    throw invalidEvent(`Invalid scope: ${scope}`);
+  }
+  
+  // Keep the remaining COUNT unless the client changed the rule
+  let rrule = eventData.rrule !== undefined ? normalizeRRule(eventData.rrule) : series.rrule;
+  if (rrule === series.rrule) {
+    const rule = parseRRule(series.rrule);
+    if (rule.count) {
+      rule.count -= countOccurrencesBefore(series.date, series.rrule, occurrenceDate);
+      rrule = formatRRule(rule);
+    }
+  }
+  
+  const newDate = eventData.date || occurrenceDate;
+  const shift = daysBetween(occurrenceDate, newDate);
+  
+  await truncateSeries(userId, series, occurrenceDate, baseUpdatedAt);
+  
+  const created = await createEvent(userId, {
+    ...occurrence,
+    ...eventData,
+    date: newDate,
+    rrule,
+    exdates: series.exdates
+      .filter(date => date >= occurrenceDate)
+      .map(date => addDays(date, shift)),
+    recurrenceParentId: null,
+    recurrenceDate: null,
+    uid: null,
+  });
+  
+  await relinkOverrides(userId, eventId, occurrenceDate, created.id);
+  
+  return created;
+}
+
+/**
+ * Delete occurrences of a recurring event
+ * 
+ * Scopes are the same as for updateOccurrence().
+ * 
+ * @param {number} userId - User ID
+ * @param {number} eventId - Recurring event ID
+ * @param {string} occurrenceDate - Date of the occurrence being deleted (YYYY-MM-DD)
+ * @param {string} scope - 'occurrence', 'following' or 'all'
+ * @param {string} [baseUpdatedAt] - Only delete if the series still has this
+ *   updatedAt (see staleChangeError)
+ * @returns {Promise<boolean>} - True if deleted
+ */
+async function deleteOccurrence(userId, eventId, occurrenceDate, scope, baseUpdatedAt = null) {
+  const series = await getEvent(userId, eventId);
+  
+  if (!series) {
+    throw eventNotFound();
+  }
+  
+  // See updateOccurrence
+  baseUpdatedAt = baseUpdatedAt || series.updatedAt;
+  
+  if (!series.rrule || scope === 'all' || (scope === 'following' && occurrenceDate <= series.date)) {
+    return deleteEvent(userId, eventId, baseUpdatedAt);
+  }
+  
+  if (scope === 'occurrence') {
+    await updateEvent(userId, eventId, {
+      exdates: [...new Set([...series.exdates, occurrenceDate])].sort(),
+    }, baseUpdatedAt);
+    return true;
+  }
+  
+  if (scope !== 'following') {
+    throw invalidEvent(`Invalid scope: ${scope}`);
+  }
+  
+  await truncateSeries(userId, series, occurrenceDate, baseUpdatedAt);
+  await relinkOverrides(userId, eventId, occurrenceDate, null);
+  
+  return true;
+}
+
+/**
+ * Find a series (or single event) by its iCalendar UID
+ * 
+ * @param {number} userId - User ID
+ * @param {string} uid - iCalendar UID
+ * @returns {Promise<Object|null>} - Event object or null
+ */
+function getEventByUid(userId, uid) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT * FROM calendar_events WHERE user_id = ? AND uid = ? AND recurrence_parent_id IS NULL',
+      [userId, uid],
+      (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(row ? rowToEvent(row) : null);
+      }
+    );
+  });
+}
+
+/**
+ * Find the modified occurrence of a series on a date
+ */
+function getOverride(userId, parentId, recurrenceDate) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT * FROM calendar_events WHERE user_id = ? AND recurrence_parent_id = ? AND recurrence_date = ?',
+      [userId, parentId, recurrenceDate],
+      (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(row ? rowToEvent(row) : null);
+      }
+    );
+  });
+}
+
+/**
+ * Import events (e.g. parsed from an .ics file)
+ * 
+ * Events are matched by UID, so importing the same file twice updates the
+ * existing events instead of duplicating them. Events with a RECURRENCE-ID
+ * become modified occurrences of the series with the same UID.
+ * 
+ * @param {number} userId - User ID
+ * @param {Array<Object>} events - Event data with `uid`, `recurrenceId` and `cancelled`
+ * @returns {Promise<Object>} - { created, updated, failed: [{ uid, title, error }] }
+ */
+async function importEvents(userId, events) {
+  const result = { created: 0, updated: 0, failed: [] };
+  
+  // Import series before their modified occurrences
+  const sorted = [...events].sort((a, b) => (a.recurrenceId ? 1 : 0) - (b.recurrenceId ? 1 : 0));
+  
+  for (const imported of sorted) {
+    const { uid, recurrenceId, cancelled, ...eventData } = imported;
+    
+    try {
+      const series = uid ? await getEventByUid(userId, uid) : null;
+      
+      if (recurrenceId && series && series.rrule) {
+        // Modified (or cancelled) occurrence of an imported series
+        if (!series.exdates.includes(recurrenceId)) {
+          await updateEvent(userId, series.id, {
+            exdates: [...series.exdates, recurrenceId].sort(),
+          });
+        }
+        
+        const existing = await getOverride(userId, series.id, recurrenceId);
+        if (cancelled) {
+          if (existing) {
+            await deleteEvent(userId, existing.id);
+          }
+          result.updated++;
+        } else if (existing) {
+          await updateEvent(userId, existing.id, { ...eventData, rrule: null });
+          result.updated++;
+        } else {
+          await createEvent(userId, {
+            ...eventData,
+            rrule: null,
+            recurrenceParentId: series.id,
+            recurrenceDate: recurrenceId,
+          });
+          result.created++;
+        }
+        continue;
+      }
+      
+      if (cancelled) {
+        continue;
+      }
+      
+      if (series && !recurrenceId) {
+        await updateEvent(userId, series.id, eventData);
+        result.updated++;
+      } else {
+        // Occurrences without a known series are imported as single events
+        await createEvent(userId, {
+          ...eventData,
+          uid: recurrenceId ? null : uid,
+          rrule: recurrenceId ? null : eventData.rrule,
+        });
+        result.created++;
+      }
+    } catch (error) {
+      result.failed.push({ uid, title: eventData.title, error: error.message });
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Find a series (or single event) by its CalDAV resource name
+ * 
+ * Events without a stored name are addressed as "<uid>.ics".
+ * 
+ * @param {number} userId - User ID
+ * @param {string} davName - Resource name, e.g. "abc.ics"
+ * @returns {Promise<Object|null>} - Event object or null
+ */
+function getEventByDavName(userId, davName) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT * FROM calendar_events
+       WHERE user_id = ? AND recurrence_parent_id IS NULL
+         AND (dav_name = ? OR (dav_name IS NULL AND uid || '.ics' = ?))`,
+      [userId, davName, davName],
+      (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(row ? rowToEvent(row) : null);
+      }
+    );
+  });
+}
+
+/**
+ * Get the modified occurrences of a series
+ * 
+ * @param {number} userId - User ID
+ * @param {number} parentId - Series ID
+ * @returns {Promise<Array>} - Array of events, ordered by recurrence date
+ */
+function getOverrides(userId, parentId) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    db.all(
+      'SELECT * FROM calendar_events WHERE user_id = ? AND recurrence_parent_id = ? ORDER BY recurrence_date',
+      [userId, parentId],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(rows.map(rowToEvent));
+      }
+    );
+  });
+}
+
+/**
+ * Create or replace an event from a CalDAV resource
+ * 
+ * A resource holds one series (or single event) plus its modified
+ * occurrences, all sharing one UID. Saving replaces all of them, since
+ * clients always send the complete resource.
+ * 
+ * @param {number} userId - User ID
+ * @param {string} davName - Resource name
+ * @param {Array<Object>} events - Parsed VEVENTs with `uid`, `recurrenceId` and `cancelled`
+ * @returns {Promise<Object>} - { event, created }
+ */
+async function saveEventResource(userId, davName, events) {
+  const master = events.find(event => !event.recurrenceId);
+  if (!master) {
+    throw invalidEvent('Resource has no main event');
+  }
+  
+  const { uid, recurrenceId, cancelled, ...eventData } = master;
+  const overrides = eventData.rrule
+    ? events.filter(event => event.recurrenceId && event.uid === uid)
+    : [];
+  
+  // Overridden dates are excluded from the series, like importEvents does
+  const exdates = [...new Set([
+    ...(eventData.exdates || []),
+    ...overrides.map(override => override.recurrenceId),
+  ])].sort();
+  
+  const existing = await getEventByDavName(userId, davName);
+  const name = davName === `${uid}.ics` ? null : davName;
+  let series;
+  
+  if (existing) {
+    series = await updateEvent(userId, existing.id, { ...eventData, exdates, uid, davName: name });
+    await relinkOverrides(userId, existing.id, null, null);
+  } else {
+    series = await createEvent(userId, { ...eventData, exdates, uid, davName: name });
+  }
+  
+  for (const override of overrides) {
+    if (override.cancelled) {
+      continue;
+    }
+    const { uid: overrideUid, recurrenceId: overrideDate, cancelled: overrideCancelled, ...overrideData } = override;
+    await createEvent(userId, {
+      ...overrideData,
+      rrule: null,
+      recurrenceParentId: series.id,
+      recurrenceDate: overrideDate,
+    });
+  }
+  
+  return { event: series, created: !existing };
+}
+
+/**
+ * Search events (title, description, location)
+ * 
+ * Recurring events are found once, as their series.
+ * 
+ * @param {string} matchQuery - FTS5 query (see utils/search)
+ * @returns {Promise<Array>} - Matching events, best matches first
+ */
+function searchEvents(userId, matchQuery, limit = 20) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT calendar_events.* FROM calendar_events_fts
+       JOIN calendar_events ON calendar_events.id = calendar_events_fts.rowid
+       WHERE calendar_events_fts MATCH ? AND calendar_events.user_id = ?
+       ORDER BY calendar_events_fts.rank
+       LIMIT ?`,
+      [matchQuery, userId, limit],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(rows.map(rowToEvent));
+      }
+    );
+  });
+}
+
+/**
+ * Find the reminders due in a time range, of all users
+ * 
+ * Used to push reminders (see reminderScheduler). Occurrences of recurring
+ * events have their own reminder time, the series' shifted to their date.
+ * 
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range
+ * @returns {Promise<Array>} - { userId, event } (occurrences have event.occurrenceDate)
+ */
+function getDueReminders(from, to) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    // Occurrences are only known after expansion, so every series with a reminder is read
+    db.all(
+      `SELECT * FROM calendar_events
+       WHERE reminder_time IS NOT NULL
+         AND (rrule IS NOT NULL OR julianday(reminder_time) BETWEEN julianday(?) AND julianday(?))`,
+      [from.toISOString(), to.toISOString()],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        
+        const due = [];
+        for (const row of rows) {
+          const event = rowToEvent(row);
+          
+          if (!event.rrule) {
+            due.push({ userId: row.user_id, event });
+            continue;
+          }
+          if (Number.isNaN(new Date(event.reminderTime).getTime())) {
+            continue;
+          }
+          
+          // Occurrences whose reminder can fall into the range (a day of
+          // margin, since reminders are in UTC and dates are local)
+          const leadDays = daysBetween(event.reminderTime.slice(0, 10), event.date);
+          const rangeStart = addDays(from.toISOString().slice(0, 10), leadDays - 1);
+          const rangeEnd = addDays(to.toISOString().slice(0, 10), leadDays + 1);
+          
+          try {
+            expandEvent(event, rangeStart, rangeEnd)
+              .filter((occurrence) => {
+                const time = new Date(occurrence.reminderTime);
+                return time >= from && time <= to;
+              })
+              .forEach(occurrence => due.push({ userId: row.user_id, event: occurrence }));
+          } catch (expandError) {
+            console.error(`Could not expand recurring event ${event.id}:`, expandError.message);
+          }
+        }
+        
+        resolve(due);
+      }
+    );
+  });
+}
+
 module.exports = {
   getEvents,
   getEvent,
   createEvent,
   updateEvent,
   deleteEvent,
+  updateOccurrence,
+  deleteOccurrence,
+  getEventByUid,
+  getEventByDavName,
+  getOverrides,
+  saveEventResource,
+  importEvents,
+  searchEvents,
+  getDueReminders,
 };
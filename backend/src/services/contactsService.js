@@ -5,20 +5,72 @@
  */
 
 const { getDatabase } = require('../database/init');
+const { generateUid } = require('../utils/ical');
+const liveUpdates = require('./liveUpdates');
+
+/**
+ * Tell the user's open apps that a contact changed (see liveUpdates)
+ * 
+ * Created and updated contacts are sent along, so apps can show them
+ * without loading them.
+ */
+function publishChange(userId, action, contactId, contact = null) {
+  const change = { type: 'contacts', action, id: contactId };
+  if (contact) {
+    change.data = contact;
+  }
+  liveUpdates.publish(userId, change);
+}
+
+/**
+ * Error for a contact that doesn't exist (sent as 404)
+ */
+function contactNotFound() {
+  const error = new Error('Contact not found');
+  error.status = 404;
+  return error;
+}
+
+/**
+ * Convert a database row to a contact object
+ * 
+ * The stored vCard (which may contain photos) is only included when
+ * asked for, to keep API responses small.
+ */
+function rowToContact(row, includeVCard = false) {
+  const contact = {
+    id: row.id,
+    name: row.name,
+    phoneNumbers: row.phone_numbers ? JSON.parse(row.phone_numbers) : [],
+    emailAddresses: row.email_addresses ? JSON.parse(row.email_addresses) : [],
+    notes: row.notes,
+    uid: row.uid,
+    davName: row.dav_name,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+  if (includeVCard) {
+    contact.vcard = row.vcard;
+  }
+  return contact;
+}
 
 /**
  * Get all contacts for a user
  * 
  * @param {number} userId - User ID
+ * @param {Object} options - { includeVCard: true } adds the stored vCard (for sync/export);
+ *                           { ids } only these contacts (e.g. changed ones)
  * @returns {Promise<Array>} - Array of contacts
  */
-function getContacts(userId) {
+function getContacts(userId, options = {}) {
   const db = getDatabase();
+  const idFilter = options.ids ? ` AND id IN (${options.ids.map(() => '?').join(', ')})` : '';
   
   return new Promise((resolve, reject) => {
     db.all(
-      'SELECT * FROM contacts WHERE user_id = ? ORDER BY name',
-      [userId],
+      `SELECT * FROM contacts WHERE user_id = ?${idFilter} ORDER BY name`,
+      [userId, ...(options.ids || [])],
       (err, rows) => {
         if (err) {
           reject(err);
@@ -26,17 +78,7 @@ function getContacts(userId) {
         }
         
         // Parse JSON fields and convert to contact objects
-        const contacts = rows.map(row => ({
-          id: row.id,
-          name: row.name,
-          phoneNumbers: row.phone_numbers ? JSON.parse(row.phone_numbers) : [],
-          emailAddresses: row.email_addresses ? JSON.parse(row.email_addresses) : [],
-          notes: row.notes,
-          createdAt: row.created_at,
-          updatedAt: row.updated_at,
-        }));
-        
-        resolve(contacts);
+        resolve(rows.map(row => rowToContact(row, options.includeVCard)));
       }
     );
   });
@@ -67,15 +109,7 @@ function getContact(userId, contactId) {
           return;
         }
         
-        resolve({
-          id: row.id,
-          name: row.name,
-          phoneNumbers: row.phone_numbers ? JSON.parse(row.phone_numbers) : [],
-          emailAddresses: row.email_addresses ? JSON.parse(row.email_addresses) : [],
-          notes: row.notes,
-          createdAt: row.created_at,
-          updatedAt: row.updated_at,
-        });
+        resolve(rowToContact(row));
       }
     );
   });
@@ -97,10 +131,15 @@ function createContact(userId, contactData) {
       phoneNumbers = [],
       emailAddresses = [],
       notes,
+      uid,
+      davName,
+      vcard,
     } = contactData;
     
     if (!name) {
-      reject(new Error('Name is required'));
+      const error = new Error('Name is required');
+      error.status = 400;
+      reject(error);
       return;
     }
     
@@ -109,9 +148,12 @@ function createContact(userId, contactData) {
     const emailAddressesJson = JSON.stringify(emailAddresses);
     
     db.run(
-      `INSERT INTO contacts (user_id, name, phone_numbers, email_addresses, notes)
-       VALUES (?, ?, ?, ?, ?)`,
-      [userId, name, phoneNumbersJson, emailAddressesJson, notes || null],
+      `INSERT INTO contacts (user_id, name, phone_numbers, email_addresses, notes, uid, dav_name, vcard)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        userId, name, phoneNumbersJson, emailAddressesJson, notes || null,
+        uid || generateUid(), davName || null, vcard || null,
+      ],
       function(err) {
         if (err) {
           reject(err);
@@ -119,21 +161,48 @@ function createContact(userId, contactData) {
         }
         
         // Return the created contact
-        getContact(userId, this.lastID).then(resolve).catch(reject);
+        getContact(userId, this.lastID)
+          .then((contact) => {
+            publishChange(userId, 'created', contact.id, contact);
+            resolve(contact);
+          })
+          .catch(reject);
       }
     );
   });
 }
 
+/**
+ * The error for a change refused by its baseUpdatedAt, like
+ * calendarService's staleChangeError
+ * 
+ * @returns {Promise<Error>} - status 404 if the contact is gone, status 409
+ *   (with the contact in error.current) if it was changed
+ */
+async function staleChangeError(userId, contactId) {
+  const contact = await getContact(userId, contactId);
+  
+  if (!contact) {
+    return contactNotFound();
+  }
+  
+  const error = new Error('The contact was changed since this change was made');
+  error.status = 409;
+  error.current = contact;
+  return error;
+}
+
 /**
  * Update a contact
  * 
  * @param {number} userId - User ID
  * @param {number} contactId - Contact ID
  * @param {Object} contactData - Updated contact data
+ * @param {string} [baseUpdatedAt] - Only update if the contact still has
+ *   this updatedAt (see staleChangeError)
  * @returns {Promise<Object>} - Updated contact
  */
-function updateContact(userId, contactId, contactData) {
+function updateContact(userId, contactId, contactData, baseUpdatedAt = null) {
   const db = getDatabase();
   
   return new Promise((resolve, reject) => {
@@ -142,6 +211,9 @@ function updateContact(userId, contactId, contactData) {
       phoneNumbers,
       emailAddresses,
       notes,
+      uid,
+      davName,
+      vcard,
     } = contactData;
     
     // Build update query dynamically
@@ -164,19 +236,43 @@ function updateContact(userId, contactId, contactData) {
       updates.push('notes = ?');
       values.push(notes);
     }
+    if (uid !== undefined) {
+      updates.push('uid = ?');
+      values.push(uid);
+    }
+    if (davName !== undefined) {
+      updates.push('dav_name = ?');
+      values.push(davName);
+    }
+    if (vcard !== undefined) {
+      updates.push('vcard = ?');
+      values.push(vcard);
+    }
     
     if (updates.length === 0) {
-      getContact(userId, contactId).then(resolve).catch(reject);
+      getContact(userId, contactId)
+        .then(async (contact) => {
+          if (baseUpdatedAt && (!contact || contact.updatedAt !== baseUpdatedAt)) {
+            throw await staleChangeError(userId, contactId);
+          }
+          return contact;
+        })
+        .then(resolve)
+        .catch(reject);
       return;
     }
     
-    updates.push('updated_at = CURRENT_TIMESTAMP');
+    // In milliseconds, so a change right after another one still changes it (see staleChangeError)
+    updates.push(`updated_at = strftime('%Y-%m-%d %H:%M:%f', 'now')`);
     values.push(contactId, userId);
+    if (baseUpdatedAt) {
+      values.push(baseUpdatedAt);
+    }
     
     db.run(
       `UPDATE contacts 
        SET ${updates.join(', ')} 
-       WHERE id = ? AND user_id = ?`,
+       WHERE id = ? AND user_id = ?${baseUpdatedAt ? ' AND updated_at = ?' : ''}`,
       values,
       function(err) {
         if (err) {
@@ -185,11 +281,20 @@ function updateContact(userId, contactId, contactData) {
         }
         
         if (this.changes === 0) {
-          reject(new Error('Contact not found'));
+          if (baseUpdatedAt) {
+            staleChangeError(userId, contactId).then(reject).catch(reject);
+          } else {
+            reject(contactNotFound());
+          }
           return;
         }
         
-        getContact(userId, contactId).then(resolve).catch(reject);
+        getContact(userId, contactId)
+          .then((contact) => {
+            publishChange(userId, 'updated', contactId, contact);
+            resolve(contact);
+          })
+          .catch(reject);
       }
     );
   });
@@ -200,15 +305,22 @@ function updateContact(userId, contactId, contactData) {
  * 
  * @param {number} userId - User ID
  * @param {number} contactId - Contact ID
+ * @param {string} [baseUpdatedAt] - Only delete if the contact still has
+ *   this updatedAt (see staleChangeError)
  * @returns {Promise<boolean>} - True if deleted
  */
-function deleteContact(userId, contactId) {
+function deleteContact(userId, contactId, baseUpdatedAt = null) {
   const db = getDatabase();
   
   return new Promise((resolve, reject) => {
+    const params = [contactId, userId];
+    if (baseUpdatedAt) {
+      params.push(baseUpdatedAt);
+    }
+    
     db.run(
-      'DELETE FROM contacts WHERE id = ? AND user_id = ?',
-      [contactId, userId],
+      `DELETE FROM contacts WHERE id = ? AND user_id = ?${baseUpdatedAt ? ' AND updated_at = ?' : ''}`,
+      params,
       function(err) {
         if (err) {
           reject(err);
@@ -216,20 +328,280 @@ function deleteContact(userId, contactId) {
         }
         
         if (this.changes === 0) {
-          reject(new Error('Contact not found'));
+          if (baseUpdatedAt) {
+            staleChangeError(userId, contactId).then(reject).catch(reject);
+          } else {
+            reject(contactNotFound());
+          }
           return;
         }
         
+        publishChange(userId, 'deleted', contactId);
         resolve(true);
       }
     );
   });
 }
 
+/**
+ * Find a contact by its vCard UID
+ * 
+ * @param {number} userId - User ID
+ * @param {string} uid - vCard UID
+ * @returns {Promise<Object|null>} - Contact object or null
+ */
+function getContactByUid(userId, uid) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT * FROM contacts WHERE user_id = ? AND uid = ?',
+      [userId, uid],
+      (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(row ? rowToContact(row, true) : null);
+      }
+    );
+  });
+}
+
+/**
+ * Find a contact by its CardDAV resource name
+ * 
+ * Contacts without a stored name are addressed as "<uid>.vcf".
+ * 
+ * @param {number} userId - User ID
+ * @param {string} davName - Resource name, e.g. "abc.vcf"
+ * @returns {Promise<Object|null>} - Contact object or null
+ */
+function getContactByDavName(userId, davName) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT * FROM contacts
+       WHERE user_id = ? AND (dav_name = ? OR (dav_name IS NULL AND uid || '.vcf' = ?))`,
+      [userId, davName, davName],
+      (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(row ? rowToContact(row, true) : null);
+      }
+    );
+  });
+}
+
+/**
+ * Create or replace a contact from a CardDAV resource
+ * 
+ * @param {number} userId - User ID
+ * @param {string} davName - Resource name
+ * @param {Object} contactData - Parsed vCard (see utils/vcard.js)
+ * @returns {Promise<Object>} - { contact, created }
+ */
+async function saveContactResource(userId, davName, contactData) {
+  const existing = await getContactByDavName(userId, davName);
+  const uid = contactData.uid || (existing ? existing.uid : generateUid());
+  const data = {
+    ...contactData,
+    uid,
+    davName: davName === `${uid}.vcf` ? null : davName,
+  };
+  
+  const contact = existing
+    ? await updateContact(userId, existing.id, data)
+    : await createContact(userId, data);
+  
+  return { contact, created: !existing };
+}
+
+/**
+ * Normalize a phone number for comparison (digits and leading +)
+ */
+function normalizePhone(phone) {
+  return phone.replace(/[^\d+]/g, '');
+}
+
+/**
+ * Find an existing contact that an imported contact duplicates
+ * 
+ * Matches by UID first, then by a shared email address or phone number,
+ * then by identical name.
+ * 
+ * @param {Array<Object>} existing - The user's contacts
+ * @param {Object} contact - Imported contact data
+ * @returns {Object|null} - { contact, reason } or null
+ */
+function findDuplicate(existing, contact) {
+  if (contact.uid) {
+    const match = existing.find(item => item.uid === contact.uid);
+    if (match) {
+      return { contact: match, reason: 'uid' };
+    }
+  }
+  
+  const emails = new Set(contact.emailAddresses.map(email => email.toLowerCase()));
+  const emailMatch = existing.find(item =>
+    item.emailAddresses.some(email => emails.has(email.toLowerCase()))
+  );
+  if (emailMatch) {
+    return { contact: emailMatch, reason: 'email' };
+  }
+  
+  const phones = new Set(contact.phoneNumbers.map(normalizePhone).filter(Boolean));
+  const phoneMatch = existing.find(item =>
+    item.phoneNumbers.some(phone => phones.has(normalizePhone(phone)))
+  );
+  if (phoneMatch) {
+    return { contact: phoneMatch, reason: 'phone' };
+  }
+  
+  const nameMatch = existing.find(item => item.name.toLowerCase() === contact.name.toLowerCase());
+  return nameMatch ? { contact: nameMatch, reason: 'name' } : null;
+}
+
+/**
+ * Preview an import: which contacts duplicate existing ones
+ * 
+ * @param {number} userId - User ID
+ * @param {Array<Object>} contacts - Parsed contacts (see utils/vcard.js)
+ * @returns {Promise<Array<Object>>} - Contacts with `duplicate: { id, name, reason }` or null
+ */
+async function previewImport(userId, contacts) {
+  const existing = await getContacts(userId);
+  
+  return contacts.map(contact => {
+    const duplicate = findDuplicate(existing, contact);
+    return {
+      name: contact.name,
+      organization: contact.organization,
+      phoneNumbers: contact.phoneNumbers,
+      emailAddresses: contact.emailAddresses,
+      duplicate: duplicate
+        ? { id: duplicate.contact.id, name: duplicate.contact.name, reason: duplicate.reason }
+        : null,
+    };
+  });
+}
+
+/**
+ * Import contacts (e.g. parsed from a .vcf file)
+ * 
+ * Duplicates of existing contacts (see findDuplicate) are handled by mode:
+ * - 'skip': leave the existing contact alone
+ * - 'merge': update the existing contact; phone numbers and emails are combined
+ * - 'create': import as a new contact anyway
+ * 
+ * @param {number} userId - User ID
+ * @param {Array<Object>} contacts - Parsed contacts (see utils/vcard.js)
+ * @param {string} duplicates - 'skip', 'merge' or 'create'
+ * @returns {Promise<Object>} - { created, updated, skipped, failed: [{ uid, name, error }] }
+ */
+async function importContacts(userId, contacts, duplicates = 'skip') {
+  const result = { created: 0, updated: 0, skipped: 0, failed: [] };
+  // Duplicates are matched against the contacts as they were before the
+  // import, so the result is what the preview showed
+  const existing = await getContacts(userId);
+  const merged = new Map();
+  const reservedUids = new Set();
+  
+  for (const imported of contacts) {
+    try {
+      const duplicate = findDuplicate(existing, imported);
+      
+      if (duplicate && duplicates === 'skip') {
+        result.skipped++;
+        continue;
+      }
+      
+      if (duplicate && duplicates === 'merge') {
+        // Several imported contacts can be merged into the same one
+        const current = merged.get(duplicate.contact.id) || duplicate.contact;
+        const phoneNumbers = [...current.phoneNumbers];
+        imported.phoneNumbers
+          .filter(phone => !phoneNumbers.some(item => normalizePhone(item) === normalizePhone(phone)))
+          .forEach(phone => phoneNumbers.push(phone));
+        const emailAddresses = [...current.emailAddresses];
+        imported.emailAddresses
+          .filter(email => !emailAddresses.some(item => item.toLowerCase() === email.toLowerCase()))
+          .forEach(email => emailAddresses.push(email));
+        
+        const updated = await updateContact(userId, current.id, {
+          name: imported.name,
+          phoneNumbers,
+          emailAddresses,
+          notes: imported.notes || current.notes,
+          vcard: imported.vcard,
+        });
+        merged.set(current.id, updated);
+        result.updated++;
+        continue;
+      }
+      
+      // A new contact can't reuse the UID of an existing one
+      const uidTaken = imported.uid && (
+        reservedUids.has(imported.uid) || existing.some(item => item.uid === imported.uid)
+      );
+      const created = await createContact(userId, {
+        ...imported,
+        uid: uidTaken ? null : imported.uid,
+      });
+      result.created++;
+      
+      if (created.uid) {
+        reservedUids.add(created.uid);
+      }
+    } catch (error) {
+      result.failed.push({ uid: imported.uid, name: imported.name, error: error.message });
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Search contacts (name, email addresses, phone numbers, notes)
+ * 
+ * @param {string} matchQuery - FTS5 query (see utils/search)
+ * @returns {Promise<Array>} - Matching contacts, best matches first
+ */
+function searchContacts(userId, matchQuery, limit = 20) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT contacts.* FROM contacts_fts
+       JOIN contacts ON contacts.id = contacts_fts.rowid
+       WHERE contacts_fts MATCH ? AND contacts.user_id = ?
+       ORDER BY contacts_fts.rank
+       LIMIT ?`,
+      [matchQuery, userId, limit],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(rows.map(row => rowToContact(row)));
+      }
+    );
+  });
+}
+
 module.exports = {
   getContacts,
   getContact,
   createContact,
   updateContact,
   deleteContact,
+  getContactByUid,
+  getContactByDavName,
+  saveContactResource,
+  previewImport,
+  importContacts,
+  searchContacts,
 };
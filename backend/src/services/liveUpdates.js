@@ -0,0 +1,73 @@
+/**
+ * Live updates
+ * 
+ * Tells a user's open apps about changes to their data as they happen, so
+ * they don't have to poll (routes/events.js streams them to the app).
+ * Changes are published by the services, so changes made through CalDAV,
+ * CardDAV or background mail sync are sent too.
+ * 
+ * A change is { type, action, ... }:
+ * - type: 'calendar', 'contacts' or 'mail'
+ * - action: 'created', 'updated' or 'deleted'
+ * - calendar: id (of the event or series)
+ * - contacts: id, and data (the contact) unless it was deleted
+ * - mail: ids (of the messages)
+ * 
+ * Changes are only kept in memory: apps that weren't connected load the
+ * current data when they connect.
+ */
+
+// Listeners by user ID
+const listeners = new Map();
+
+/**
+ * Listen for changes to a user's data
+ * 
+ * @param {number} userId - User ID
+ * @param {Function} listener - Called with each change
+ * @returns {Function} - Stops listening
+ */
+function subscribe(userId, listener) {
+  const key = Number(userId);
+  if (!listeners.has(key)) {
+    listeners.set(key, new Set());
+  }
+  listeners.get(key).add(listener);
+  
+  return () => {
+    const userListeners = listeners.get(key);
+    if (userListeners) {
+      userListeners.delete(listener);
+      if (userListeners.size === 0) {
+        listeners.delete(key);
+      }
+    }
+  };
+}
+
+/**
+ * Send a change to the user's listeners
+ * 
+ * @param {number} userId - User ID
+ * @param {Object} change - { type, action, ... } (see above)
+ */
+function publish(userId, change) {
+  const userListeners = listeners.get(Number(userId));
+  if (!userListeners) {
+    return;
+  }
+  
+  for (const listener of userListeners) {
+    try {
+      listener(change);
+    } catch (error) {
+      // A broken connection shouldn't fail the change itself
+      console.error('Error sending live update:', error);
+    }
+  }
+}
+
+module.exports = {
+  subscribe,
+  publish,
+};
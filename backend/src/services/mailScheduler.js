@@ -0,0 +1,308 @@
+/**
+ * Mail scheduler
+ *
+ * Syncs every email account in the background, so mail arrives while the
+ * app is closed. Each account has a worker that:
+ * - Syncs the account when it starts
+ * - Keeps an IMAP connection with INBOX open; with IDLE, the server reports
+ *   new, removed and changed messages right away, and each change is synced
+ * - Syncs the account every mailPollInterval instead if the server doesn't
+ *   support IDLE (IDLE accounts are also synced that often, for the other folders)
+ * - Retries with exponential backoff after failures (and after the IDLE
+ *   connection drops)
+ *
+ * The state of each worker is recorded in mail_sync_status (see
+ * mailService.getSyncStatus). Syncs go through mailService, so they never
+ * overlap with syncs the user requested.
+ */
+
+const config = require('../config');
+const mailService = require('./mailService');
+const imapUtils = require('../utils/imap');
+
+// How often the account list is checked for added, changed and removed accounts
+const RECONCILE_INTERVAL = 60 * 1000;
+
+// Delay before retrying after a failure, doubled with each failure in a row
+const RETRY_DELAY = 30 * 1000;
+const MAX_RETRY_DELAY = 30 * 60 * 1000;
+
+// Changes reported with IDLE are synced after this delay, so a burst of
+// new mail is synced at once
+const CHANGE_DELAY = 2000;
+
+// Workers are started this far apart, so a restart doesn't log in to
+// every mail server at the same moment
+const START_STAGGER = 1000;
+
+// How long stop() waits for running syncs
+const STOP_TIMEOUT = 10000;
+
+// Workers by account ID
+const workers = new Map();
+
+// Timer of the periodic account list check (null while stopped)
+let reconcileTimer = null;
+
+// Account list checks run one at a time
+let reconciling = Promise.resolve();
+
+/**
+ * Record the state of a worker (errors are logged - the worker goes on)
+ */
+function setStatus(worker, fields) {
+  return mailService.updateSyncStatus(worker.userId, worker.accountId, fields)
+    .catch(error => console.error(`Error saving sync status of account ${worker.accountId}:`, error));
+}
+
+/**
+ * Delay before the next attempt after failures in a row (with some jitter,
+ * so accounts on the same server don't retry together)
+ */
+function retryDelay(failures) {
+  const delay = Math.min(RETRY_DELAY * 2 ** (failures - 1), MAX_RETRY_DELAY);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Run the worker's next cycle after a delay (replacing a scheduled one)
+ */
+function schedule(worker, delay) {
+  clearTimeout(worker.timer);
+  worker.timer = setTimeout(() => runWorker(worker), delay);
+}
+
+/**
+ * Log out of the worker's IDLE connection
+ */
+function disconnect(worker) {
+  if (worker.imap) {
+    const imap = worker.imap;
+    worker.imap = null;
+    imapUtils.disconnect(imap);
+  }
+}
+
+/**
+ * Open the worker's IDLE connection: INBOX is selected and changes to it
+ * schedule a sync. Servers without IDLE are disconnected again.
+ *
+ * @returns {Promise<string>} - Mode: 'idle' or 'poll'
+ */
+async function connect(worker) {
+  const imap = await mailService.connectAccount(worker.userId, worker.accountId);
+  if (worker.stopped || !imap.serverSupports('IDLE')) {
+    imapUtils.disconnect(imap);
+    return 'poll';
+  }
+  
+  try {
+    await imapUtils.openFolder(imap, 'INBOX', true);
+  } catch (error) {
+    imapUtils.disconnect(imap);
+    throw error;
+  }
+  
+  // node-imap sends IDLE by itself while no other command is running
+  const onChange = () => {
+    if (worker.imap === imap) {
+      schedule(worker, CHANGE_DELAY);
+    }
+  };
+  imap.on('mail', onChange);
+  imap.on('expunge', onChange);
+  imap.on('update', onChange);
+  imap.once('close', () => {
+    if (worker.imap === imap && !worker.stopped) {
+      worker.imap = null;
+      failed(worker, new Error('The connection to the IMAP server was closed'));
+    }
+  });
+  
+  worker.imap = imap;
+  return 'idle';
+}
+
+/**
+ * Handle a failed sync or connection: drop the IDLE connection and retry later
+ */
+function failed(worker, error) {
+  disconnect(worker);
+  worker.failures++;
+  
+  const delay = retryDelay(worker.failures);
+  console.error(`Background sync of account ${worker.accountId} failed (retrying in ${Math.round(delay / 1000)}s):`, error.message);
+  setStatus(worker, {
+    state: 'error',
+    failures: worker.failures,
+    lastError: error.message,
+    lastErrorAt: new Date(),
+    nextAttemptAt: new Date(Date.now() + delay),
+  });
+  schedule(worker, delay);
+}
+
+/**
+ * One cycle of a worker: sync the account, (re)connect for IDLE if needed
+ * and schedule the next cycle
+ */
+async function runWorker(worker) {
+  worker.timer = null;
+  if (worker.stopped) {
+    return;
+  }
+  // A change reported during a sync is synced once it's done
+  if (worker.running) {
+    worker.changed = true;
+    return;
+  }
+  
+  worker.running = true;
+  try {
+    await setStatus(worker, { state: 'syncing' });
+    worker.sync = mailService.syncAccountEmails(worker.userId, worker.accountId);
+    await worker.sync;
+    
+    // Servers without IDLE aren't asked again until the worker restarts
+    if (!worker.imap && worker.mode !== 'poll' && !worker.stopped) {
+      await setStatus(worker, { state: 'connecting' });
+      worker.mode = await connect(worker);
+    }
+    if (worker.stopped) {
+      return;
+    }
+    
+    worker.failures = 0;
+    await setStatus(worker, {
+      state: worker.mode === 'idle' ? 'idle' : 'polling',
+      mode: worker.mode,
+      failures: 0,
+      nextAttemptAt: new Date(Date.now() + config.mailPollInterval),
+    });
+    schedule(worker, config.mailPollInterval);
+  } catch (error) {
+    if (!worker.stopped) {
+      failed(worker, error);
+    }
+  } finally {
+    worker.sync = null;
+    worker.running = false;
+    // (after a failure, the retry is soon enough)
+    if (worker.changed && !worker.stopped && worker.failures === 0) {
+      schedule(worker, CHANGE_DELAY);
+    }
+    worker.changed = false;
+  }
+}
+
+/**
+ * Stop a worker: cancel its timers, log out and wait for its sync
+ */
+async function stopWorker(worker) {
+  worker.stopped = true;
+  clearTimeout(worker.timer);
+  disconnect(worker);
+  
+  if (worker.sync) {
+    await worker.sync.catch(() => {});
+  }
+  await setStatus(worker, { state: 'stopped', nextAttemptAt: null });
+}
+
+/**
+ * Start workers for new accounts, restart the ones of changed accounts
+ * (e.g. new server settings) and stop the ones of removed accounts
+ */
+async function reconcile() {
+  const accounts = await mailService.getAllAccounts();
+  const current = new Map(accounts.map(account => [account.id, account]));
+  
+  for (const [accountId, worker] of workers) {
+    const account = current.get(accountId);
+    if (!account || account.updatedAt !== worker.updatedAt) {
+      workers.delete(accountId);
+      await stopWorker(worker);
+    }
+  }
+  
+  let delay = 0;
+  for (const account of accounts) {
+    if (!workers.has(account.id)) {
+      const worker = {
+        accountId: account.id,
+        userId: account.userId,
+        updatedAt: account.updatedAt,
+        mode: null,
+        imap: null,
+        timer: null,
+        sync: null,
+        running: false,
+        changed: false,
+        stopped: false,
+        failures: 0,
+      };
+      workers.set(account.id, worker);
+      schedule(worker, delay);
+      delay += START_STAGGER;
+    }
+  }
+}
+
+/**
+ * Check the account list now (after accounts were added, changed or removed)
+ */
+function accountsChanged() {
+  if (!reconcileTimer) {
+    return Promise.resolve();
+  }
+  
+  reconciling = reconciling
+    .then(reconcile)
+    .catch(error => console.error('Error updating background mail sync:', error));
+  return reconciling;
+}
+
+/**
+ * Start background sync of all accounts (unless disabled with MAIL_BACKGROUND_SYNC=false)
+ */
+function start() {
+  if (!config.mailBackgroundSync) {
+    console.log('Background mail sync is disabled');
+    return;
+  }
+  if (reconcileTimer) {
+    return;
+  }
+  
+  reconcileTimer = setInterval(accountsChanged, RECONCILE_INTERVAL);
+  accountsChanged();
+  console.log('Background mail sync started');
+}
+
+/**
+ * Stop background sync: log out of all IDLE connections and wait (a while)
+ * for running syncs
+ */
+async function stop() {
+  if (!reconcileTimer) {
+    return;
+  }
+  
+  clearInterval(reconcileTimer);
+  reconcileTimer = null;
+  await reconciling;
+  
+  const stopping = Array.from(workers.values()).map(stopWorker);
+  workers.clear();
+  await Promise.race([
+    Promise.all(stopping),
+    new Promise(resolve => setTimeout(resolve, STOP_TIMEOUT).unref()),
+  ]);
+  console.log('Background mail sync stopped');
+}
+
+module.exports = {
+  start,
+  stop,
+  accountsChanged,
+};
@@ -2,23 +2,121 @@
  * Mail service
  * 
  * Business logic for email:
- * - Email configuration
- * - Fetching emails from IMAP
+ * - Email accounts (several per user, each with its own folders and messages),
+ *   logging in with a password or OAuth2 (XOAUTH2), and connection tests
+ *   of their settings
+ * - Syncing folders and emails from IMAP (on request, and in the background
+ *   by mailScheduler), with a sync status per account
  * - Sending emails via SMTP
- * 
- * This is intentionally simple - polling-based, no real-time sync
+ * - Storing attachments (metadata in mail_attachments, content on disk)
  */
 
-const Imap = require('imap');
 const nodemailer = require('nodemailer');
+const addressparser = require('nodemailer/lib/addressparser');
+const { simpleParser } = require('mailparser');
 const { getDatabase } = require('../database/init');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const config = require('../config');
+const imapUtils = require('../utils/imap');
+const probe = require('../utils/probe');
+const oauth2 = require('../utils/oauth2');
+const liveUpdates = require('./liveUpdates');
+const pushService = require('./pushService');
 
 // Encryption key from config (auto-generated on first run, stored in persistent volume)
 const ENCRYPTION_KEY = config.encryptionKey;
 const ALGORITHM = 'aes-256-cbc';
 
+// Attachment content is stored in <attachmentsPath>/<userId>/<storage key>
+const ATTACHMENTS_PATH = config.attachmentsPath;
+
+// Folders every user has, even if the server doesn't have them (yet)
+const DEFAULT_FOLDERS = [
+  { name: 'inbox', imapPath: 'INBOX' },
+  { name: 'sent', imapPath: 'Sent' },
+  { name: 'trash', imapPath: 'Trash' },
+];
+
+// Local names of special-use folders (other folders are named by their IMAP path)
+const SPECIAL_USE_NAMES = {
+  '\\Sent': 'sent',
+  '\\Trash': 'trash',
+  '\\Drafts': 'drafts',
+  '\\Junk': 'junk',
+  '\\Archive': 'archive',
+};
+
+// Common names of those folders, for servers without SPECIAL-USE
+const WELL_KNOWN_FOLDERS = {
+  sent: ['sent', 'sent items', 'sent messages', 'sent mail'],
+  trash: ['trash', 'deleted items', 'deleted messages'],
+  drafts: ['drafts'],
+  junk: ['junk', 'spam', 'junk e-mail'],
+  archive: ['archive'],
+};
+
+// Folders that only show messages from other folders (Gmail "All Mail", "Starred", ...)
+const VIRTUAL_FOLDERS = ['\\All', '\\Flagged', '\\Important'];
+
+// IMAP flags mirrored in mail_messages columns
+const FLAG_COLUMNS = {
+  read: '\\Seen',
+  starred: '\\Flagged',
+  answered: '\\Answered',
+  deleted: '\\Deleted',
+};
+
+// Flags that can be changed through the API (\\Deleted is only read from the server)
+const EDITABLE_FLAGS = ['read', 'starred', 'answered'];
+
+// New messages are downloaded in batches to keep memory use bounded
+const FETCH_BATCH_SIZE = 25;
+
+// IMAP SEARCH keys for the criteria of searchServer
+const SERVER_SEARCH_KEYS = {
+  from: 'FROM',
+  subject: 'SUBJECT',
+  text: 'TEXT',
+  since: 'SINCE',
+  before: 'BEFORE',
+};
+
+// Syncs requested by the user in progress by user ID, so concurrent sync
+// requests share one run
+const runningSyncs = new Map();
+
+// Last queued sync by user ID: a user's syncs (requested or background, see
+// queueSync) run one at a time
+const syncQueues = new Map();
+
+// mail_sync_status columns of the sync status fields
+const SYNC_STATUS_COLUMNS = {
+  state: 'state',
+  mode: 'mode',
+  lastSyncAt: 'last_sync_at',
+  lastError: 'last_error',
+  lastErrorAt: 'last_error_at',
+  failures: 'failures',
+  nextAttemptAt: 'next_attempt_at',
+};
+
+// OAuth2 token refreshes in progress by account ID, so a sync and a flag
+// change don't both use up the refresh token
+const runningRefreshes = new Map();
+
+// Access tokens are refreshed this long before they expire
+const TOKEN_EXPIRY_MARGIN = 60 * 1000;
+
+// How long idempotency keys of sent mail are kept (a queued message can be
+// retried after a long time offline)
+const SENT_MAIL_KEY_DAYS = 30;
+
+// A send that hasn't finished after this long was cut off (e.g. a restart),
+// so a retry may take its key over
+const SEND_CLAIM_MINUTES = 10;
+
 // Ensure encryption key is exactly 32 bytes for AES-256
 if (!ENCRYPTION_KEY || ENCRYPTION_KEY.length < 32) {
   throw new Error('ENCRYPTION_KEY must be at least 32 characters. This should be auto-generated on first run.');
@@ -49,14 +147,14 @@ function decrypt(text) {
 }
 
 /**
- * Get or create default folders for a user
+ * Get or create default folders for an account
  */
-function ensureDefaultFolders(userId) {
+function ensureDefaultFolders(userId, accountId) {
   const db = getDatabase();
   
   return new Promise((resolve, reject) => {
     // Check if folders exist
-    db.get('SELECT COUNT(*) as count FROM mail_folders WHERE user_id = ?', [userId], (err, row) => {
+    db.get('SELECT COUNT(*) as count FROM mail_folders WHERE account_id = ?', [accountId], (err, row) => {
       if (err) {
         reject(err);
         return;
@@ -69,24 +167,18 @@ function ensureDefaultFolders(userId) {
       }
       
       // Create default folders
-      const folders = [
-        { name: 'inbox', imapPath: 'INBOX' },
-        { name: 'sent', imapPath: 'Sent' },
-        { name: 'trash', imapPath: 'Trash' },
-      ];
-      
       let completed = 0;
-      folders.forEach(folder => {
+      DEFAULT_FOLDERS.forEach(folder => {
         db.run(
-          'INSERT INTO mail_folders (user_id, name, imap_path) VALUES (?, ?, ?)',
-          [userId, folder.name, folder.imapPath],
+          'INSERT INTO mail_folders (user_id, account_id, name, imap_path) VALUES (?, ?, ?, ?)',
+          [userId, accountId, folder.name, folder.imapPath],
           (err) => {
             if (err) {
               reject(err);
               return;
             }
             completed++;
-            if (completed === folders.length) {
+            if (completed === DEFAULT_FOLDERS.length) {
               resolve();
             }
           }
@@ -97,479 +189,2645 @@ function ensureDefaultFolders(userId) {
 }
 
 /**
- * Get email configuration for a user
+ * Email account as shown to the user (without the password)
  */
-function getEmailConfig(userId) {
-  const db = getDatabase();
-  
-  return new Promise((resolve, reject) => {
-    db.get('SELECT * FROM email_configs WHERE user_id = ?', [userId], (err, row) => {
-      if (err) {
-        reject(err);
-        return;
-      }
-      
-      if (!row) {
-        resolve(null);
-        return;
-      }
-      
-      // Decrypt password
-      const decryptedPassword = decrypt(row.password_encrypted);
-      
-      resolve({
-        imapHost: row.imap_host,
-        imapPort: row.imap_port,
-        imapSecure: row.imap_secure === 1,
-        smtpHost: row.smtp_host,
-        smtpPort: row.smtp_port,
-        smtpSecure: row.smtp_secure === 1,
-        username: row.username,
-        password: decryptedPassword,
-      });
-    });
-  });
+function rowToAccount(row) {
+  return {
+    id: row.id,
+    name: row.name || row.from_address || row.username,
+    fromName: row.from_name || '',
+    fromAddress: row.from_address || '',
+    imapHost: row.imap_host,
+    imapPort: row.imap_port,
+    imapSecure: row.imap_secure === 1,
+    smtpHost: row.smtp_host,
+    smtpPort: row.smtp_port,
+    smtpSecure: row.smtp_secure === 1,
+    username: row.username,
+    authType: row.auth_type || 'password',
+    oauthTokenUrl: row.oauth_token_url || '',
+    oauthClientId: row.oauth_client_id || '',
+  };
 }
 
 /**
- * Save email configuration for a user
+ * Get the email accounts of a user, in the order they were added
  */
-function saveEmailConfig(userId, config) {
-  const db = getDatabase();
-  
-  return new Promise((resolve, reject) => {
-    const {
-      imapHost,
-      imapPort,
-      imapSecure,
-      smtpHost,
-      smtpPort,
-      smtpSecure,
-      username,
-      password,
-    } = config;
-    
-    // Encrypt password before storing
-    const encryptedPassword = encrypt(password);
-    
-    // Check if config exists
-    db.get('SELECT id FROM email_configs WHERE user_id = ?', [userId], (err, row) => {
-      if (err) {
-        reject(err);
-        return;
-      }
-      
-      if (row) {
-        // Update existing config
-        db.run(
-          `UPDATE email_configs 
-           SET imap_host = ?, imap_port = ?, imap_secure = ?,
-               smtp_host = ?, smtp_port = ?, smtp_secure = ?,
-               username = ?, password_encrypted = ?, updated_at = CURRENT_TIMESTAMP
-           WHERE user_id = ?`,
-          [imapHost, imapPort, imapSecure ? 1 : 0, smtpHost, smtpPort, smtpSecure ? 1 : 0, username, encryptedPassword, userId],
-          (err) => {
-            if (err) {
-              reject(err);
-              return;
-            }
-            ensureDefaultFolders(userId).then(resolve).catch(reject);
-          }
-        );
-      } else {
-        // Insert new config
-        db.run(
-          `INSERT INTO email_configs 
-           (user_id, imap_host, imap_port, imap_secure, smtp_host, smtp_port, smtp_secure, username, password_encrypted)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-          [userId, imapHost, imapPort, imapSecure ? 1 : 0, smtpHost, smtpPort, smtpSecure ? 1 : 0, username, encryptedPassword],
-          (err) => {
-            if (err) {
-              reject(err);
-              return;
-            }
-            ensureDefaultFolders(userId).then(resolve).catch(reject);
-          }
-        );
-      }
-    });
-  });
+async function getAccounts(userId) {
+  const rows = await dbAll(getDatabase(), 'SELECT * FROM email_configs WHERE user_id = ? ORDER BY id', [userId]);
+  return rows.map(rowToAccount);
 }
 
 /**
- * Get all folders for a user
+ * Get the email accounts of all users, for background sync
+ * 
+ * @returns {Promise<Array<Object>>} - { id, userId, updatedAt }
  */
-function getFolders(userId) {
-  const db = getDatabase();
-  
-  return new Promise((resolve, reject) => {
-    db.all('SELECT * FROM mail_folders WHERE user_id = ? ORDER BY name', [userId], (err, rows) => {
-      if (err) {
-        reject(err);
-        return;
-      }
-      
-      resolve(rows.map(row => ({
-        id: row.id,
-        name: row.name,
-        imapPath: row.imap_path,
-      })));
-    });
-  });
+async function getAllAccounts() {
+  const rows = await dbAll(getDatabase(), 'SELECT id, user_id, updated_at FROM email_configs ORDER BY id');
+  return rows.map(row => ({ id: row.id, userId: row.user_id, updatedAt: row.updated_at }));
 }
 
 /**
- * Get folder ID by name
+ * Get an email account (null if the user has no such account)
  */
-function getFolderId(userId, folderName) {
-  const db = getDatabase();
-  
-  return new Promise((resolve, reject) => {
-    db.get('SELECT id FROM mail_folders WHERE user_id = ? AND name = ?', [userId, folderName], (err, row) => {
-      if (err) {
-        reject(err);
-        return;
-      }
-      resolve(row ? row.id : null);
-    });
-  });
+async function getAccount(userId, accountId) {
+  const rows = await dbAll(getDatabase(), 'SELECT * FROM email_configs WHERE id = ? AND user_id = ?', [accountId, userId]);
+  return rows[0] ? rowToAccount(rows[0]) : null;
 }
 
 /**
- * Sync emails from IMAP server
+ * Get the configuration of an email account, including its password
  * 
- * This is a simple polling-based sync - fetches new emails and stores them
+ * @param {number|null} accountId - Account ID (null: the user's first account)
+ * @returns {Promise<Object|null>} - Account with password, or null if not found
  */
-async function syncEmails(userId) {
-  const config = await getEmailConfig(userId);
-  
-  if (!config) {
-    throw new Error('Email configuration not found');
-  }
+function getEmailConfig(userId, accountId = null) {
+  const db = getDatabase();
   
   return new Promise((resolve, reject) => {
-    const imap = new Imap({
-      user: config.username,
-      password: config.password,
-      host: config.imapHost,
-      port: config.imapPort,
-      tls: config.imapSecure,
-    });
-    
-    imap.once('ready', () => {
-      // Open INBOX
-      imap.openBox('INBOX', false, (err, box) => {
+    db.get(
+      'SELECT * FROM email_configs WHERE user_id = ? AND (? IS NULL OR id = ?) ORDER BY id LIMIT 1',
+      [userId, accountId, accountId],
+      (err, row) => {
         if (err) {
-          imap.end();
           reject(err);
           return;
         }
         
-        // Search for unseen messages
-        imap.search(['UNSEEN'], (err, results) => {
-          if (err) {
-            imap.end();
-            reject(err);
-            return;
-          }
-          
-          if (results.length === 0) {
-            imap.end();
-            resolve({ synced: 0 });
-            return;
-          }
-          
-          // Fetch messages
-          const fetch = imap.fetch(results, {
-            bodies: '',
-            struct: true,
-          });
-          
-          let synced = 0;
-          
-          fetch.on('message', (msg, seqno) => {
-            let messageData = {
-              messageId: null,
-              subject: '',
-              from: '',
-              to: '',
-              date: null,
-              bodyText: '',
-              bodyHtml: '',
-            };
-            
-            msg.on('body', (stream, info) => {
-              let buffer = '';
-              stream.on('data', (chunk) => {
-                buffer += chunk.toString('utf8');
-              });
-              stream.once('end', () => {
-                // Simple email parsing (in production, use a proper email parser)
-                const lines = buffer.split('\n');
-                let inHeaders = true;
-                let bodyStart = false;
-                
-                for (let line of lines) {
-                  if (inHeaders) {
-                    if (line.toLowerCase().startsWith('message-id:')) {
-                      messageData.messageId = line.substring(11).trim();
-                    } else if (line.toLowerCase().startsWith('subject:')) {
-                      messageData.subject = line.substring(8).trim();
-                    } else if (line.toLowerCase().startsWith('from:')) {
-                      messageData.from = line.substring(5).trim();
-                    } else if (line.toLowerCase().startsWith('to:')) {
-                      messageData.to = line.substring(3).trim();
-                    } else if (line.toLowerCase().startsWith('date:')) {
-                      messageData.date = new Date(line.substring(5).trim());
-                    } else if (line.trim() === '') {
-                      inHeaders = false;
-                      bodyStart = true;
-                    }
-                  } else if (bodyStart) {
-                    messageData.bodyText += line + '\n';
-                  }
-                }
-              });
-            });
-            
-            msg.once('end', () => {
-              // Save message to database
-              saveMessage(userId, 'inbox', messageData).then(() => {
-                synced++;
-                if (synced === results.length) {
-                  imap.end();
-                  resolve({ synced });
-                }
-              }).catch((err) => {
-                console.error('Error saving message:', err);
-                synced++;
-                if (synced === results.length) {
-                  imap.end();
-                  resolve({ synced });
-                }
-              });
-            });
-          });
-          
-          fetch.once('error', (err) => {
-            imap.end();
-            reject(err);
-          });
+        if (!row) {
+          resolve(null);
+          return;
+        }
+        
+        // Decrypt password and OAuth2 tokens
+        resolve({
+          ...rowToAccount(row),
+          password: row.password_encrypted ? decrypt(row.password_encrypted) : null,
+          oauthClientSecret: row.oauth_client_secret_encrypted ? decrypt(row.oauth_client_secret_encrypted) : null,
+          refreshToken: row.oauth_refresh_token_encrypted ? decrypt(row.oauth_refresh_token_encrypted) : null,
+          accessToken: row.oauth_access_token_encrypted ? decrypt(row.oauth_access_token_encrypted) : null,
+          accessTokenExpires: row.oauth_expires_at ? new Date(row.oauth_expires_at) : null,
         });
-      });
-    });
-    
-    imap.once('error', (err) => {
-      reject(err);
-    });
-    
-    imap.connect();
+      }
+    );
   });
 }
 
 /**
- * Save a message to the database
+ * Add an email account
+ * 
+ * @param {Object} account - { name, fromName, fromAddress, imapHost, imapPort, imapSecure,
+ *   smtpHost, smtpPort, smtpSecure, username, password }; OAuth2 accounts have
+ *   authType 'oauth2', oauthTokenUrl, oauthClientId, oauthClientSecret and
+ *   refreshToken instead of a password
+ * @returns {Promise<Object>} - The new account
  */
-function saveMessage(userId, folderName, messageData) {
-  const db = getDatabase();
+async function createAccount(userId, account) {
+  const oauth = account.authType === 'oauth2';
+  const result = await dbRun(
+    getDatabase(),
+    `INSERT INTO email_configs 
+     (user_id, name, from_name, from_address, imap_host, imap_port, imap_secure,
+      smtp_host, smtp_port, smtp_secure, username, password_encrypted, auth_type,
+      oauth_token_url, oauth_client_id, oauth_client_secret_encrypted, oauth_refresh_token_encrypted)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      userId,
+      account.name || null,
+      account.fromName || null,
+      account.fromAddress || null,
+      account.imapHost,
+      account.imapPort,
+      account.imapSecure ? 1 : 0,
+      account.smtpHost,
+      account.smtpPort,
+      account.smtpSecure ? 1 : 0,
+      account.username,
+      // Encrypt password and OAuth2 secrets before storing
+      oauth ? null : encrypt(account.password),
+      oauth ? 'oauth2' : 'password',
+      oauth ? account.oauthTokenUrl : null,
+      oauth ? account.oauthClientId : null,
+      oauth && account.oauthClientSecret ? encrypt(account.oauthClientSecret) : null,
+      oauth ? encrypt(account.refreshToken) : null,
+    ]
+  );
   
-  return new Promise((resolve, reject) => {
-    getFolderId(userId, folderName).then(folderId => {
-      if (!folderId) {
-        reject(new Error('Folder not found'));
-        return;
-      }
-      
-      // Check if message already exists
-      db.get(
-        'SELECT id FROM mail_messages WHERE user_id = ? AND message_id = ?',
-        [userId, messageData.messageId],
-        (err, row) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-          
-          if (row) {
-            // Message already exists, skip
-            resolve();
-            return;
-          }
-          
-          // Insert new message
-          db.run(
-            `INSERT INTO mail_messages 
-             (user_id, folder_id, message_id, subject, from_address, to_address, 
-              body_text, body_html, date_received)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [
-              userId,
-              folderId,
-              messageData.messageId || `msg-${Date.now()}`,
-              messageData.subject || '',
-              messageData.from || '',
-              messageData.to || '',
-              messageData.bodyText || '',
-              messageData.bodyHtml || '',
-              messageData.date ? messageData.date.toISOString() : new Date().toISOString(),
-            ],
-            (err) => {
-              if (err) {
-                reject(err);
-                return;
-              }
-              resolve();
-            }
-          );
-        }
-      );
-    }).catch(reject);
-  });
+  await ensureDefaultFolders(userId, result.lastID);
+  return getAccount(userId, result.lastID);
 }
 
 /**
- * Get messages in a folder
+ * Update an email account
+ * 
+ * The password, the OAuth2 client secret and the refresh token are only
+ * changed if new ones are given. Switching between password and OAuth2
+ * drops the credentials of the other mode.
+ * 
+ * @returns {Promise<Object|null>} - Updated account, or null if not found
  */
-function getMessages(userId, folderName, limit = 50, offset = 0) {
-  const db = getDatabase();
+async function updateAccount(userId, accountId, account) {
+  const oauth = account.authType === 'oauth2';
+  const result = await dbRun(
+    getDatabase(),
+    `UPDATE email_configs 
+     SET name = ?, from_name = ?, from_address = ?,
+         imap_host = ?, imap_port = ?, imap_secure = ?,
+         smtp_host = ?, smtp_port = ?, smtp_secure = ?,
+         username = ?, auth_type = ?,
+         password_encrypted = CASE WHEN ? THEN NULL ELSE COALESCE(?, password_encrypted) END,
+         oauth_token_url = ?, oauth_client_id = ?,
+         oauth_client_secret_encrypted = CASE WHEN ? THEN COALESCE(?, oauth_client_secret_encrypted) END,
+         oauth_refresh_token_encrypted = CASE WHEN ? THEN COALESCE(?, oauth_refresh_token_encrypted) END,
+         -- A cached access token may be for other settings
+         oauth_access_token_encrypted = NULL, oauth_expires_at = NULL,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND user_id = ?`,
+    [
+      account.name || null,
+      account.fromName || null,
+      account.fromAddress || null,
+      account.imapHost,
+      account.imapPort,
+      account.imapSecure ? 1 : 0,
+      account.smtpHost,
+      account.smtpPort,
+      account.smtpSecure ? 1 : 0,
+      account.username,
+      oauth ? 'oauth2' : 'password',
+      oauth ? 1 : 0,
+      !oauth && account.password ? encrypt(account.password) : null,
+      oauth ? account.oauthTokenUrl : null,
+      oauth ? account.oauthClientId : null,
+      oauth ? 1 : 0,
+      oauth && account.oauthClientSecret ? encrypt(account.oauthClientSecret) : null,
+      oauth ? 1 : 0,
+      oauth && account.refreshToken ? encrypt(account.refreshToken) : null,
+      accountId,
+      userId,
+    ]
+  );
   
-  return new Promise((resolve, reject) => {
-    getFolderId(userId, folderName).then(folderId => {
-      if (!folderId) {
-        reject(new Error('Folder not found'));
-        return;
-      }
-      
-      db.all(
-        `SELECT * FROM mail_messages 
-         WHERE user_id = ? AND folder_id = ? 
-         ORDER BY date_received DESC 
-         LIMIT ? OFFSET ?`,
-        [userId, folderId, limit, offset],
-        (err, rows) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-          
-          resolve(rows.map(row => ({
-            id: row.id,
-            subject: row.subject,
-            from: row.from_address,
-            to: row.to_address,
-            date: row.date_received,
-            read: row.read === 1,
-            bodyText: row.body_text,
-            bodyHtml: row.body_html,
-          })));
-        }
-      );
-    }).catch(reject);
-  });
+  if (result.changes === 0) {
+    return null;
+  }
+  
+  await ensureDefaultFolders(userId, accountId);
+  return getAccount(userId, accountId);
 }
 
 /**
- * Get a single message by ID
+ * Remove an email account with its folders and messages
+ * 
+ * Only the local copies are deleted - the mailbox on the server is untouched.
+ * 
+ * @returns {Promise<boolean>} - false if the account doesn't exist
  */
-function getMessage(userId, messageId) {
+async function deleteAccount(userId, accountId) {
   const db = getDatabase();
+  if (!await getAccount(userId, accountId)) {
+    return false;
+  }
   
-  return new Promise((resolve, reject) => {
-    db.get(
-      'SELECT * FROM mail_messages WHERE id = ? AND user_id = ?',
-      [messageId, userId],
-      (err, row) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-        
-        if (!row) {
-          resolve(null);
-          return;
-        }
-        
-        // Mark as read
-        db.run('UPDATE mail_messages SET read = 1 WHERE id = ?', [messageId]);
-        
-        resolve({
-          id: row.id,
-          subject: row.subject,
-          from: row.from_address,
-          to: row.to_address,
-          cc: row.cc_address,
-          bcc: row.bcc_address,
-          date: row.date_received,
-          read: true,
-          bodyText: row.body_text,
-          bodyHtml: row.body_html,
-        });
-      }
-    );
-  });
+  await waitForSync(userId);
+  const messages = await dbAll(db, 'SELECT id FROM mail_messages WHERE account_id = ?', [accountId]);
+  await deleteLocalMessages(userId, messages.map(message => message.id));
+  await dbRun(db, 'DELETE FROM mail_folders WHERE account_id = ?', [accountId]);
+  await dbRun(db, 'DELETE FROM mail_sync_status WHERE account_id = ?', [accountId]);
+  await dbRun(db, 'DELETE FROM email_configs WHERE id = ? AND user_id = ?', [accountId, userId]);
+  return true;
 }
 
 /**
- * Send an email
+ * Save email configuration for a user
+ * 
+ * Updates the user's first account, or adds one if there's none yet.
  */
-async function sendEmail(userId, emailData) {
-  const config = await getEmailConfig(userId);
+async function saveEmailConfig(userId, config) {
+  const existing = await getEmailConfig(userId);
   
-  if (!config) {
-    throw new Error('Email configuration not found');
+  if (existing) {
+    await updateAccount(userId, existing.id, {
+      ...config,
+      name: existing.name,
+      fromName: existing.fromName,
+      fromAddress: existing.fromAddress,
+    });
+  } else {
+    await createAccount(userId, config);
+  }
+}
+
+/**
+ * Get a valid OAuth2 access token for an account
+ * 
+ * Uses the stored token until shortly before it expires, then gets a new
+ * one with the refresh token and stores it (with the new refresh token, if
+ * the provider rotated it).
+ * 
+ * @param {Object} account - Account from getEmailConfig, or settings that
+ *   aren't saved yet (no id - see refreshAccountToken)
+ * @param {boolean} force - Refresh even if the stored token hasn't expired
+ *   (e.g. after the server rejected it)
+ * @returns {Promise<string>} - Access token
+ */
+async function getAccessToken(account, force = false) {
+  const valid = account.accessToken && account.accessTokenExpires &&
+    account.accessTokenExpires.getTime() - TOKEN_EXPIRY_MARGIN > Date.now();
+  if (valid && !force) {
+    return account.accessToken;
   }
   
-  const {
-    to,
-    subject,
-    text,
-    html,
-    cc,
-    bcc,
-  } = emailData;
+  if (!account.id) {
+    return refreshAccountToken(account);
+  }
+  if (!runningRefreshes.has(account.id)) {
+    const refresh = refreshAccountToken(account)
+      .finally(() => runningRefreshes.delete(account.id));
+    runningRefreshes.set(account.id, refresh);
+  }
+  return runningRefreshes.get(account.id);
+}
+
+/**
+ * Refresh and store the OAuth2 access token of an account
+ * 
+ * Settings that aren't saved yet (connection tests) keep the tokens in the
+ * settings object instead.
+ */
+async function refreshAccountToken(account) {
+  const token = await oauth2.refreshAccessToken({
+    tokenUrl: account.oauthTokenUrl,
+    clientId: account.oauthClientId,
+    clientSecret: account.oauthClientSecret,
+    refreshToken: account.refreshToken,
+  });
+  
+  if (!account.id) {
+    account.accessToken = token.accessToken;
+    account.accessTokenExpires = token.expiresAt;
+    account.refreshToken = token.refreshToken || account.refreshToken;
+    return token.accessToken;
+  }
+  
+  await dbRun(
+    getDatabase(),
+    `UPDATE email_configs
+     SET oauth_access_token_encrypted = ?, oauth_expires_at = ?,
+         oauth_refresh_token_encrypted = COALESCE(?, oauth_refresh_token_encrypted)
+     WHERE id = ?`,
+    [
+      encrypt(token.accessToken),
+      token.expiresAt.toISOString(),
+      token.refreshToken ? encrypt(token.refreshToken) : null,
+      account.id,
+    ]
+  );
   
-  // Create SMTP transporter
+  return token.accessToken;
+}
+
+/**
+ * Add a current access token to an OAuth2 account's settings (password
+ * accounts are returned as they are)
+ */
+async function authorize(account, force = false) {
+  if (account.authType !== 'oauth2') {
+    return account;
+  }
+  return { ...account, accessToken: await getAccessToken(account, force) };
+}
+
+/**
+ * Connect and log in to an account's IMAP server
+ * 
+ * If the server rejects an OAuth2 access token (e.g. it was revoked before
+ * it expired), a new one is requested and the login is tried once more.
+ */
+async function connectImap(account) {
+  try {
+    return await imapUtils.connect(await authorize(account));
+  } catch (error) {
+    if (account.authType !== 'oauth2' || error.source !== 'authentication') {
+      throw error;
+    }
+    return imapUtils.connect(await authorize(account, true));
+  }
+}
+
+/**
+ * Run fn(transporter) with a nodemailer transport for an account's SMTP server
+ * 
+ * Like connectImap, a rejected OAuth2 access token is refreshed once.
+ */
+async function withSmtp(account, fn, force = false) {
+  const authorized = await authorize(account, force);
   const transporter = nodemailer.createTransport({
-    host: config.smtpHost,
-    port: config.smtpPort,
-    secure: config.smtpSecure,
-    auth: {
-      user: config.username,
-      pass: config.password,
-    },
+    host: account.smtpHost,
+    port: account.smtpPort,
+    secure: account.smtpSecure,
+    auth: account.authType === 'oauth2'
+      ? { type: 'OAuth2', user: account.username, accessToken: authorized.accessToken }
+      : { user: account.username, pass: account.password },
   });
   
-  // Send email
-  const info = await transporter.sendMail({
-    from: config.username,
-    to,
-    cc,
-    bcc,
-    subject,
-    text,
-    html,
-  });
+  try {
+    return await fn(transporter);
+  } catch (error) {
+    if (account.authType !== 'oauth2' || error.code !== 'EAUTH' || force) {
+      throw error;
+    }
+    return withSmtp(account, fn, true);
+  } finally {
+    transporter.close();
+  }
+}
+
+/**
+ * Send a message with an account's SMTP server (nodemailer message options)
+ */
+function sendWithSmtp(account, message) {
+  return withSmtp(account, transporter => transporter.sendMail(message));
+}
+
+/**
+ * Settings of a connection test, with the stored secrets of the account
+ * being edited filled in (as when saving it)
+ * 
+ * The test keeps the account's ID only while it uses the stored refresh
+ * token, so tokens refreshed for other settings aren't stored.
+ */
+function testSettings(settings, stored) {
+  const authType = settings.authType || 'password';
+  const keepsSecrets = Boolean(stored && stored.authType === authType);
+  const usesStoredToken = keepsSecrets && authType === 'oauth2' && !settings.refreshToken;
+  
+  return {
+    id: usesStoredToken ? stored.id : null,
+    imapHost: settings.imapHost,
+    imapPort: parseInt(settings.imapPort),
+    imapSecure: Boolean(settings.imapSecure),
+    smtpHost: settings.smtpHost,
+    smtpPort: parseInt(settings.smtpPort),
+    smtpSecure: Boolean(settings.smtpSecure),
+    username: settings.username,
+    authType,
+    password: settings.password || (keepsSecrets ? stored.password : null),
+    oauthTokenUrl: settings.oauthTokenUrl,
+    oauthClientId: settings.oauthClientId,
+    oauthClientSecret: settings.oauthClientSecret || (keepsSecrets ? stored.oauthClientSecret : null),
+    refreshToken: settings.refreshToken || (keepsSecrets ? stored.refreshToken : null),
+    accessToken: usesStoredToken ? stored.accessToken : null,
+    accessTokenExpires: usesStoredToken ? stored.accessTokenExpires : null,
+  };
+}
+
+/**
+ * Test one of an account's servers: probe it, then log in
+ * 
+ * @param {string} protocol - 'imap' or 'smtp'
+ * @returns {Promise<Object>} - Diagnosis: { ok, host, port, secure, failedStep
+ *   ('dns', 'connect', 'tls', 'greeting' or 'auth'; null if ok), error,
+ *   addresses, tls, greeting, capabilities (before login), warnings }
+ */
+async function testServer(account, protocol) {
+  const host = account[`${protocol}Host`];
+  const port = account[`${protocol}Port`];
+  const secure = account[`${protocol}Secure`];
+  
+  const result = await probe.probeServer(protocol, host, port, secure);
+  const diagnosis = { host, port, secure, ...result, warnings: [] };
+  if (!result.ok) {
+    return diagnosis;
+  }
+  
+  const capabilities = result.capabilities.map(capability => capability.toUpperCase());
+  if (!secure && protocol === 'imap') {
+    // node-imap doesn't upgrade plain connections with STARTTLS
+    diagnosis.warnings.push('The login is sent unencrypted - use SSL/TLS (usually port 993) if the server supports it');
+  }
+  if (!secure && protocol === 'smtp' && !capabilities.includes('STARTTLS')) {
+    diagnosis.warnings.push("The server doesn't offer STARTTLS, so the login is sent unencrypted");
+  }
+  if (account.authType === 'oauth2' && !capabilities.some(capability => capability.includes('XOAUTH2'))) {
+    diagnosis.warnings.push("The server doesn't list XOAUTH2 among its login methods");
+  }
+  
+  try {
+    if (protocol === 'imap') {
+      imapUtils.disconnect(await connectImap(account));
+    } else {
+      await withSmtp(account, transporter => transporter.verify());
+    }
+    return diagnosis;
+  } catch (error) {
+    return { ...diagnosis, ok: false, failedStep: 'auth', error: error.message };
+  }
+}
+
+/**
+ * Check that account settings work, without saving them
+ * 
+ * Both servers are probed step by step (DNS, connection, TLS, greeting and
+ * capabilities) and logged in to.
+ * 
+ * @param {Object} settings - Account settings like for createAccount
+ * @param {number|null} accountId - The account being edited, whose stored
+ *   password or tokens are used if the settings have none
+ * @returns {Promise<Object>} - { ok, imap, smtp } (see testServer), plus
+ *   refreshToken if the OAuth2 provider rotated the one in the settings
+ *   (it has to be saved instead)
+ * @throws {Error} - With status 404 if the account doesn't exist
+ */
+async function testConnection(userId, settings, accountId = null) {
+  const stored = accountId ? await getEmailConfig(userId, accountId) : null;
+  if (accountId && !stored) {
+    const error = new Error('Email account not found');
+    error.status = 404;
+    throw error;
+  }
+  
+  const account = testSettings(settings, stored);
+  const imap = await testServer(account, 'imap');
+  const smtp = await testServer(account, 'smtp');
+  
+  const result = { ok: imap.ok && smtp.ok, imap, smtp };
+  if (!account.id && settings.refreshToken && account.refreshToken !== settings.refreshToken) {
+    result.refreshToken = account.refreshToken;
+  }
+  return result;
+}
+
+/**
+ * Get all folders for a user
+ * 
+ * @param {number|null} accountId - Only the folders of this account
+ */
+async function getFolders(userId, accountId = null) {
+  const rows = await dbAll(
+    getDatabase(),
+    'SELECT * FROM mail_folders WHERE user_id = ? AND (? IS NULL OR account_id = ?) ORDER BY account_id, name',
+    [userId, accountId, accountId]
+  );
+  
+  return rows.map(row => ({
+    id: row.id,
+    accountId: row.account_id,
+    name: row.name,
+    imapPath: row.imap_path,
+    specialUse: row.special_use,
+  }));
+}
+
+/**
+ * Get the folders with a name, in one account or in all of them
+ * 
+ * Without an account this is a unified folder: "inbox" means the inboxes
+ * of all the user's accounts.
+ * 
+ * @param {number|null} accountId - Account ID (null: all accounts)
+ * @returns {Promise<Array<Object>>} - mail_folders rows
+ */
+function getFolderRows(userId, folderName, accountId = null) {
+  return dbAll(
+    getDatabase(),
+    'SELECT * FROM mail_folders WHERE user_id = ? AND name = ? AND (? IS NULL OR account_id = ?)',
+    [userId, folderName, accountId, accountId]
+  );
+}
+
+/**
+ * Format a parsed address header (mailparser may return a list when the
+ * header appears more than once)
+ */
+function formatAddresses(addresses) {
+  if (!addresses) {
+    return '';
+  }
+  return [].concat(addresses).map(address => address.text).join(', ');
+}
+
+/**
+ * Parse a raw RFC 822 message
+ * 
+ * Walks the whole MIME tree: decodes transfer encodings (base64,
+ * quoted-printable), converts charsets to UTF-8, decodes encoded-word
+ * headers and unfolds folded headers.
+ * 
+ * @param {Buffer} source - Raw message as fetched from IMAP
+ * @returns {Promise<Object>} - Message data for saveMessage (including attachments)
+ */
+async function parseMessage(source) {
+  const parsed = await simpleParser(source, {
+    skipTextToHtml: true,
+    skipImageLinks: true,
+  });
+  
+  return {
+    messageId: parsed.messageId || null,
+    subject: parsed.subject || '',
+    from: formatAddresses(parsed.from),
+    to: formatAddresses(parsed.to),
+    cc: formatAddresses(parsed.cc),
+    replyTo: formatAddresses(parsed.replyTo),
+    inReplyTo: parsed.inReplyTo || null,
+    references: [].concat(parsed.references || []).join(' ') || null,
+    date: parsed.date || null,
+    bodyText: parsed.text || '',
+    bodyHtml: parsed.html || '',
+    attachments: parsed.attachments.map(attachment => ({
+      filename: attachment.filename || null,
+      contentType: attachment.contentType,
+      content: attachment.content,
+      contentId: attachment.cid || null,
+      inline: attachment.contentDisposition === 'inline' || attachment.related === true,
+    })),
+  };
+}
+
+/**
+ * Promise wrappers for the queries used by the IMAP sync
+ */
+function dbRun(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(this);
+    });
+  });
+}
+
+function dbAll(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(rows);
+    });
+  });
+}
+
+/**
+ * Tell the user's open apps that messages were created, updated (flags,
+ * folder) or deleted (see liveUpdates)
+ */
+function publishChange(userId, action, messageIds) {
+  if (messageIds.length > 0) {
+    liveUpdates.publish(userId, { type: 'mail', action, ids: messageIds });
+  }
+}
+
+/**
+ * Push a notification about new mail in an inbox to the user's devices
+ * (see pushService)
+ * 
+ * Only unread messages count: a single one is shown with its sender and
+ * subject and opens its conversation, several are summed up. Each account
+ * has one notification, replaced by the next.
+ */
+async function pushNewMail(userId, folder, messageIds) {
+  const db = getDatabase();
+  const rows = await dbAll(
+    db,
+    `SELECT thread_id, subject, from_address FROM mail_messages
+     WHERE id IN (${messageIds.map(() => '?').join(', ')}) AND read = 0
+     ORDER BY date_received DESC`,
+    messageIds
+  );
+  
+  if (rows.length === 0) {
+    return;
+  }
+  
+  const url = `/mail?account=${folder.account_id}&folder=inbox`;
+  const notification = rows.length === 1
+    ? {
+      title: senderName(rows[0].from_address) || 'New message',
+      body: rows[0].subject || '(No subject)',
+      url: `${url}&thread=${rows[0].thread_id}`,
+    }
+    : {
+      title: `${rows.length} new messages`,
+      body: [...new Set(rows.map(row => senderName(row.from_address)).filter(Boolean))].join(', '),
+      url,
+    };
+  
+  await pushService.sendToUser(userId, { ...notification, tag: `mail-${folder.account_id}` });
+}
+
+/**
+ * Decide which server folders to sync and what they're called locally
+ * 
+ * INBOX and the special-use folders (Sent, Trash, ...) are always synced and
+ * get fixed names, so the API can refer to them the same way on every
+ * server. Other folders are synced when subscribed (or when the server
+ * doesn't report any subscriptions) and keep their IMAP path as name.
+ * 
+ * @param {Array<Object>} serverFolders - From imapUtils.listFolders
+ * @param {Set<string>} subscribed - Paths from imapUtils.listSubscribed
+ * @returns {Array<Object>} - { name, imapPath, specialUse }
+ */
+function mapServerFolders(serverFolders, subscribed) {
+  const selectable = serverFolders.filter(folder =>
+    !folder.attribs.some(attrib => /^\\(noselect|nonexistent)$/i.test(attrib)) &&
+    !VIRTUAL_FOLDERS.includes(folder.specialUse)
+  );
+  
+  const folders = [];
+  const add = (folder, name) => folders.push({
+    name,
+    imapPath: folder.path,
+    specialUse: folder.specialUse,
+  });
+  const isTaken = (name) => folders.some(folder => folder.name === name);
+  const isMapped = (folder) => folders.some(mapped => mapped.imapPath === folder.path);
+  
+  const inbox = selectable.find(folder => folder.path.toUpperCase() === 'INBOX');
+  if (inbox) {
+    add(inbox, 'inbox');
+  }
+  
+  for (const folder of selectable) {
+    const name = SPECIAL_USE_NAMES[folder.specialUse];
+    if (name && !isTaken(name) && !isMapped(folder)) {
+      add(folder, name);
+    }
+  }
+  
+  for (const folder of selectable) {
+    if (isMapped(folder)) {
+      continue;
+    }
+    
+    const leafName = (folder.delimiter ? folder.path.split(folder.delimiter).pop() : folder.path).toLowerCase();
+    const wellKnown = Object.keys(WELL_KNOWN_FOLDERS)
+      .find(name => !isTaken(name) && WELL_KNOWN_FOLDERS[name].includes(leafName));
+    
+    if (wellKnown) {
+      add(folder, wellKnown);
+    } else if ((subscribed.size === 0 || subscribed.has(folder.path)) && !isTaken(folder.path)) {
+      add(folder, folder.path);
+    }
+  }
+  
+  return folders;
+}
+
+/**
+ * Store an account's folder list from the server in mail_folders
+ * 
+ * Folders that are gone from the server (or were unsubscribed) are deleted
+ * locally with their messages, except the default folders.
+ * 
+ * @returns {Promise<Array<Object>>} - mail_folders rows of the folders to sync
+ */
+async function updateFolders(userId, accountId, serverFolders) {
+  const db = getDatabase();
+  const existing = await dbAll(db, 'SELECT * FROM mail_folders WHERE account_id = ?', [accountId]);
+  
+  for (const folder of serverFolders) {
+    const row = existing.find(existingRow => existingRow.name === folder.name);
+    
+    if (!row) {
+      await dbRun(
+        db,
+        'INSERT INTO mail_folders (user_id, account_id, name, imap_path, special_use) VALUES (?, ?, ?, ?, ?)',
+        [userId, accountId, folder.name, folder.imapPath, folder.specialUse]
+      );
+    } else if (row.imap_path !== folder.imapPath) {
+      // Now mapped to another server folder - its UIDs start over
+      await dbRun(
+        db,
+        `UPDATE mail_folders SET imap_path = ?, special_use = ?, uid_validity = NULL, uid_next = NULL
+         WHERE id = ?`,
+        [folder.imapPath, folder.specialUse, row.id]
+      );
+    } else if (row.special_use !== folder.specialUse) {
+      await dbRun(db, 'UPDATE mail_folders SET special_use = ? WHERE id = ?', [folder.specialUse, row.id]);
+    }
+  }
+  
+  const names = new Set(serverFolders.map(folder => folder.name));
+  const defaultNames = DEFAULT_FOLDERS.map(folder => folder.name);
+  
+  for (const row of existing) {
+    if (!names.has(row.name) && !defaultNames.includes(row.name)) {
+      const messages = await dbAll(db, 'SELECT id FROM mail_messages WHERE folder_id = ?', [row.id]);
+      await deleteLocalMessages(userId, messages.map(message => message.id));
+      await dbRun(db, 'DELETE FROM mail_folders WHERE id = ?', [row.id]);
+    }
+  }
+  
+  const rows = await dbAll(db, 'SELECT * FROM mail_folders WHERE account_id = ?', [accountId]);
+  return rows.filter(row => names.has(row.name));
+}
+
+/**
+ * Save a message downloaded from an IMAP folder
+ * 
+ * If we already have a copy that isn't linked to the server yet (a sent
+ * message saved before the server's Sent folder was synced), that copy
+ * gets the UID instead of storing the message twice.
+ * 
+ * @returns {Promise<number|null>} - ID of the new message (null if a copy was linked)
+ */
+async function saveSyncedMessage(userId, folderId, uid, flags, messageData) {
+  const db = getDatabase();
+  const columns = flagsToColumns(flags);
+  
+  if (messageData.messageId) {
+    const copies = await dbAll(
+      db,
+      'SELECT id FROM mail_messages WHERE folder_id = ? AND uid IS NULL AND message_id = ? LIMIT 1',
+      [folderId, messageData.messageId]
+    );
+    if (copies.length > 0) {
+      await dbRun(
+        db,
+        'UPDATE mail_messages SET uid = ?, read = ?, starred = ?, answered = ?, deleted = ? WHERE id = ?',
+        [uid, columns.read, columns.starred, columns.answered, columns.deleted, copies[0].id]
+      );
+      publishChange(userId, 'updated', [copies[0].id]);
+      return null;
+    }
+  }
+  
+  return insertMessage(userId, folderId, { ...messageData, ...columns, uid });
+}
+
+/**
+ * Flag columns (0 or 1) for a list of IMAP flags
+ */
+function flagsToColumns(flags) {
+  const columns = {};
+  for (const [column, flag] of Object.entries(FLAG_COLUMNS)) {
+    columns[column] = flags.includes(flag) ? 1 : 0;
+  }
+  return columns;
+}
+
+/**
+ * Store local flag changes of a folder's messages on the server
+ * 
+ * The folder must be open read-write. Only the editable flags are stored,
+ * and a message stays pending if it was changed again in the meantime.
+ */
+async function pushPendingFlags(imap, folder) {
+  const db = getDatabase();
+  const rows = await dbAll(
+    db,
+    `SELECT id, uid, read, starred, answered FROM mail_messages
+     WHERE folder_id = ? AND flags_pending = 1 AND uid IS NOT NULL`,
+    [folder.id]
+  );
+  
+  for (const column of EDITABLE_FLAGS) {
+    const flag = FLAG_COLUMNS[column];
+    await imapUtils.storeFlag(imap, rows.filter(row => row[column] === 1).map(row => row.uid), flag, true);
+    await imapUtils.storeFlag(imap, rows.filter(row => row[column] !== 1).map(row => row.uid), flag, false);
+  }
+  
+  for (const row of rows) {
+    await dbRun(
+      db,
+      `UPDATE mail_messages SET flags_pending = 0
+       WHERE id = ? AND read = ? AND starred = ? AND answered = ?`,
+      [row.id, row.read, row.starred, row.answered]
+    );
+  }
+}
+
+/**
+ * Pull flag changes made on the server (by other mail clients)
+ * 
+ * With CONDSTORE only messages changed since the last sync's HIGHESTMODSEQ
+ * are fetched, otherwise the flags of all messages. Local changes that
+ * haven't been stored on the server yet win.
+ * 
+ * @returns {Promise<number>} - Number of messages whose flags changed
+ */
+async function pullFlags(imap, userId, folder, box) {
+  const db = getDatabase();
+  const condstore = imap.serverSupports('CONDSTORE') && Boolean(box.highestmodseq);
+  const sameValidity = folder.uid_validity === box.uidvalidity;
+  
+  if (box.messages.total === 0 || (condstore && sameValidity && folder.highest_modseq === String(box.highestmodseq))) {
+    return 0;
+  }
+  
+  const changedSince = condstore && sameValidity && folder.highest_modseq ? folder.highest_modseq : null;
+  const messages = await imapUtils.fetchMessages(imap, '1:*', { changedSince });
+  
+  const rows = await dbAll(
+    db,
+    `SELECT id, uid, read, starred, answered, deleted FROM mail_messages
+     WHERE folder_id = ? AND uid IS NOT NULL AND flags_pending = 0`,
+    [folder.id]
+  );
+  const rowsByUid = new Map(rows.map(row => [row.uid, row]));
+  const updated = [];
+  
+  for (const message of messages) {
+    const row = rowsByUid.get(message.uid);
+    if (!row) {
+      continue;
+    }
+    
+    const columns = flagsToColumns(message.flags);
+    if (Object.keys(columns).some(column => row[column] !== columns[column])) {
+      await dbRun(
+        db,
+        'UPDATE mail_messages SET read = ?, starred = ?, answered = ?, deleted = ? WHERE id = ? AND flags_pending = 0',
+        [columns.read, columns.starred, columns.answered, columns.deleted, row.id]
+      );
+      updated.push(row.id);
+    }
+  }
+  
+  publishChange(userId, 'updated', updated);
+  return updated.length;
+}
+
+/**
+ * Sync one folder incrementally
+ * 
+ * UIDVALIDITY and UIDNEXT from the last sync are stored per folder:
+ * - UIDVALIDITY changed: the server renumbered the folder, so local copies are dropped
+ * - UIDNEXT and message count unchanged: nothing was added or removed
+ * - Otherwise new UIDs are downloaded and UIDs gone from the server are deleted locally
+ * Flags are synced both ways: pending local changes are stored first, then
+ * changes from the server are pulled (see pullFlags).
+ * 
+ * @returns {Promise<Object>} - { synced, deleted, updated }
+ */
+async function syncFolder(imap, userId, folder) {
+  const db = getDatabase();
+  // Read-write, to store flags - bodies are fetched with BODY.PEEK, so nothing gets marked as read
+  const box = await imapUtils.openFolder(imap, folder.imap_path, false);
+  const result = { synced: 0, deleted: 0, updated: 0 };
+  
+  if (folder.uid_validity !== box.uidvalidity) {
+    const stale = await dbAll(db, 'SELECT id FROM mail_messages WHERE folder_id = ? AND uid IS NOT NULL', [folder.id]);
+    await deleteLocalMessages(userId, stale.map(row => row.id));
+  } else {
+    await pushPendingFlags(imap, folder);
+  }
+  
+  const rows = await dbAll(db, 'SELECT id, uid FROM mail_messages WHERE folder_id = ? AND uid IS NOT NULL', [folder.id]);
+  
+  if (folder.uid_validity !== box.uidvalidity ||
+      folder.uid_next !== box.uidnext ||
+      box.messages.total !== rows.length) {
+    Object.assign(result, await syncFolderMessages(imap, userId, folder, box, rows));
+  }
+  
+  result.updated = await pullFlags(imap, userId, folder, box);
+  
+  await dbRun(
+    db,
+    'UPDATE mail_folders SET uid_validity = ?, uid_next = ?, highest_modseq = ? WHERE id = ?',
+    [box.uidvalidity, box.uidnext, box.highestmodseq ? String(box.highestmodseq) : null, folder.id]
+  );
+  
+  return result;
+}
+
+/**
+ * Download new messages of the open folder and delete the ones gone from the server
+ * 
+ * @param {Array<Object>} rows - Local messages of the folder ({ id, uid })
+ * @returns {Promise<Object>} - { synced, deleted }
+ */
+async function syncFolderMessages(imap, userId, folder, box, rows) {
+  const result = { synced: 0, deleted: 0 };
+  const serverUids = box.messages.total > 0 ? await imapUtils.searchUids(imap, ['ALL']) : [];
+  const serverSet = new Set(serverUids);
+  const localUids = new Set(rows.map(row => row.uid));
+  
+  // Expunged on the server (deleted, or moved to another folder)
+  const deleted = rows.filter(row => !serverSet.has(row.uid)).map(row => row.id);
+  await deleteLocalMessages(userId, deleted);
+  result.deleted = deleted.length;
+  
+  const newUids = serverUids.filter(uid => !localUids.has(uid)).sort((a, b) => a - b);
+  const synced = [];
+  
+  for (let i = 0; i < newUids.length; i += FETCH_BATCH_SIZE) {
+    const messages = await imapUtils.fetchMessages(imap, newUids.slice(i, i + FETCH_BATCH_SIZE), { source: true });
+    const created = [];
+    
+    for (const message of messages) {
+      try {
+        const messageData = await parseMessage(message.source);
+        const id = await saveSyncedMessage(userId, folder.id, message.uid, message.flags, messageData);
+        if (id) {
+          created.push(id);
+        }
+        result.synced++;
+      } catch (error) {
+        // Skipped for now - it's still missing locally, so the next sync retries it
+        console.error(`Error saving message ${message.uid} in ${folder.imap_path}:`, error);
+      }
+    }
+    
+    // Sent per batch, so a long first sync shows up as it goes
+    publishChange(userId, 'created', created);
+    synced.push(...created);
+  }
+  
+  // New mail since the last sync - not on the first sync (or after the
+  // server renumbered the folder), where everything is new
+  if (folder.name === 'inbox' && folder.uid_validity === box.uidvalidity && synced.length > 0) {
+    pushNewMail(userId, folder, synced).catch(error => console.error('Error pushing new mail:', error));
+  }
+  
+  return result;
+}
+
+/**
+ * Store pending flag changes on the server
+ * 
+ * Runs in the background after flags are changed locally. If the server
+ * can't be reached, the changes stay pending and the next sync stores them.
+ */
+async function pushFlagChanges(userId) {
+  const db = getDatabase();
+  const folders = await dbAll(
+    db,
+    `SELECT DISTINCT mail_folders.* FROM mail_folders
+     JOIN mail_messages ON mail_messages.folder_id = mail_folders.id
+     WHERE mail_folders.user_id = ? AND mail_messages.flags_pending = 1 AND mail_messages.uid IS NOT NULL`,
+    [userId]
+  );
+  
+  for (const accountId of new Set(folders.map(folder => folder.account_id))) {
+    await withImap(userId, accountId, async (imap) => {
+      for (const folder of folders.filter(folder => folder.account_id === accountId)) {
+        const box = await imapUtils.openFolder(imap, folder.imap_path, false);
+        // Our UIDs are from an old UIDVALIDITY - the next sync downloads the folder again
+        if (box.uidvalidity === folder.uid_validity) {
+          await pushPendingFlags(imap, folder);
+        }
+      }
+    });
+  }
+}
+
+/**
+ * Change the read, starred and answered flags of a message
+ * 
+ * The change is saved locally right away and stored on the server in the
+ * background (see pushFlagChanges).
+ * 
+ * @param {Object} changes - { read, starred, answered } (booleans, all optional)
+ * @returns {Promise<Object|null>} - Updated message, or null if not found
+ */
+async function updateMessageFlags(userId, messageId, changes) {
+  const db = getDatabase();
+  const columns = EDITABLE_FLAGS.filter(column => typeof changes[column] === 'boolean');
+  
+  if (columns.length > 0) {
+    const result = await dbRun(
+      db,
+      `UPDATE mail_messages SET ${columns.map(column => `${column} = ?`).join(', ')}, flags_pending = 1
+       WHERE id = ? AND user_id = ?`,
+      [...columns.map(column => (changes[column] ? 1 : 0)), messageId, userId]
+    );
+    
+    if (result.changes > 0) {
+      publishChange(userId, 'updated', [messageId]);
+      pushFlagChanges(userId).catch(error => console.error('Error storing flags on server:', error));
+    }
+  }
+  
+  return getMessage(userId, messageId, { markRead: false });
+}
+
+/**
+ * Sync emails from IMAP server
+ * 
+ * Syncs all of the user's accounts: discovers each server's folders and
+ * syncs INBOX, the special-use folders and all subscribed folders (see
+ * mapServerFolders and syncFolder). Calling this during a sync returns the
+ * running sync's result; a background sync of one of the accounts is
+ * finished first.
+ * 
+ * @returns {Promise<Object>} - { synced, deleted, updated (flag changes), folders,
+ *   errors (accounts that couldn't be synced: { accountId, error }) }
+ */
+function syncEmails(userId) {
+  if (!runningSyncs.has(userId)) {
+    const sync = queueSync(userId, () => runSync(userId)).finally(() => runningSyncs.delete(userId));
+    runningSyncs.set(userId, sync);
+  }
+  return runningSyncs.get(userId);
+}
+
+/**
+ * Sync one account (background sync, see mailScheduler)
+ * 
+ * Runs after the user's other syncs, like syncEmails.
+ * 
+ * @returns {Promise<Object>} - { synced, deleted, updated, folders }
+ */
+function syncAccountEmails(userId, accountId) {
+  return queueSync(userId, () => syncAccount(userId, accountId));
+}
+
+/**
+ * Run a sync of a user after the ones already queued
+ * 
+ * Two syncs of the same folders at once would download messages twice.
+ */
+function queueSync(userId, fn) {
+  const previous = syncQueues.get(userId) || Promise.resolve();
+  const sync = previous.then(fn);
+  const done = sync.catch(() => {});
+  syncQueues.set(userId, done);
+  done.then(() => {
+    if (syncQueues.get(userId) === done) {
+      syncQueues.delete(userId);
+    }
+  });
+  return sync;
+}
+
+async function runSync(userId) {
+  const accounts = await getAccounts(userId);
+  
+  if (accounts.length === 0) {
+    throw new Error('Email configuration not found');
+  }
+  
+  const result = { synced: 0, deleted: 0, updated: 0, folders: 0, errors: [] };
+  const failures = [];
+  
+  for (const account of accounts) {
+    try {
+      const accountResult = await syncAccount(userId, account.id);
+      result.synced += accountResult.synced;
+      result.deleted += accountResult.deleted;
+      result.updated += accountResult.updated;
+      result.folders += accountResult.folders;
+    } catch (error) {
+      // One unreachable account shouldn't stop the others
+      console.error(`Error syncing account ${account.name}:`, error);
+      failures.push(error);
+      result.errors.push({ accountId: account.id, error: error.message });
+    }
+  }
+  
+  // Nothing could be synced
+  if (failures.length === accounts.length) {
+    throw failures[0];
+  }
+  
+  return result;
+}
+
+/**
+ * Sync the folders of one account, recording the outcome in its sync status
+ */
+async function syncAccount(userId, accountId) {
+  try {
+    const result = await syncAccountFolders(userId, accountId);
+    await updateSyncStatus(userId, accountId, { lastSyncAt: new Date(), lastError: null });
+    return result;
+  } catch (error) {
+    await updateSyncStatus(userId, accountId, { lastError: error.message, lastErrorAt: new Date() });
+    throw error;
+  }
+}
+
+/**
+ * Discover an account's folders on the server and sync them
+ */
+async function syncAccountFolders(userId, accountId) {
+  const config = await getEmailConfig(userId, accountId);
+  if (!config) {
+    throw new Error('Email account not found');
+  }
+  
+  await ensureDefaultFolders(userId, accountId);
+  const imap = await connectImap(config);
+  
+  try {
+    const serverFolders = await imapUtils.listFolders(imap);
+    const subscribed = await imapUtils.listSubscribed(imap);
+    const folders = await updateFolders(userId, accountId, mapServerFolders(serverFolders, subscribed));
+    
+    const result = { synced: 0, deleted: 0, updated: 0, folders: folders.length };
+    
+    for (const folder of folders) {
+      try {
+        const folderResult = await syncFolder(imap, userId, folder);
+        result.synced += folderResult.synced;
+        result.deleted += folderResult.deleted;
+        result.updated += folderResult.updated;
+      } catch (error) {
+        // One broken folder shouldn't stop the others
+        console.error(`Error syncing folder ${folder.imap_path}:`, error);
+      }
+    }
+    
+    return result;
+  } finally {
+    imapUtils.disconnect(imap);
+  }
+}
+
+/**
+ * Insert a message into a folder
+ * 
+ * messageData.uid is the IMAP UID (null for messages the server doesn't have yet)
+ * 
+ * @returns {Promise<number>} - Database ID of the message
+ */
+function insertMessage(userId, folderId, messageData) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO mail_messages 
+       (user_id, account_id, folder_id, message_id, uid, subject, from_address, to_address, 
+        cc_address, bcc_address, reply_to_address, in_reply_to, message_references,
+        body_text, body_html, date_received, read, starred, answered, deleted, partial)
+       VALUES (?, (SELECT account_id FROM mail_folders WHERE id = ?), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        userId,
+        folderId,
+        folderId,
+        messageData.messageId || `msg-${Date.now()}`,
+        messageData.uid || null,
+        messageData.subject || '',
+        messageData.from || '',
+        messageData.to || '',
+        messageData.cc || null,
+        messageData.bcc || null,
+        messageData.replyTo || null,
+        messageData.inReplyTo || null,
+        messageData.references || null,
+        messageData.bodyText || '',
+        messageData.bodyHtml || '',
+        messageData.date ? messageData.date.toISOString() : new Date().toISOString(),
+        messageData.read ? 1 : 0,
+        messageData.starred ? 1 : 0,
+        messageData.answered ? 1 : 0,
+        messageData.deleted ? 1 : 0,
+        messageData.partial ? 1 : 0,
+      ],
+      function(err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        
+        const id = this.lastID;
+        saveAttachments(userId, id, messageData.attachments || [])
+          .then(() => assignThread(userId, id))
+          .then(() => resolve(id))
+          .catch(reject);
+      }
+    );
+  });
+}
+
+/**
+ * Subject without reply/forward prefixes and list tags ("Re: [list] Fwd: Hi" -> "Hi")
+ */
+function normalizeSubject(subject) {
+  let normalized = (subject || '').trim();
+  let previous;
+  do {
+    previous = normalized;
+    normalized = normalized.replace(/^((re|fwd?|fw|aw|wg|sv)(\[\d+\])?\s*:|\[[^\]]*\])\s*/i, '');
+  } while (normalized !== previous);
+  return normalized;
+}
+
+/**
+ * Message-IDs in an In-Reply-To or References header
+ */
+function parseMessageIds(header) {
+  return (header || '').match(/<[^<>\s]+>/g) || [];
+}
+
+/**
+ * Put a message into a conversation
+ * 
+ * Messages are linked by their headers: copies of the same message, the
+ * messages it answers (In-Reply-To, References) and answers that arrived
+ * before it. If that finds nothing and the subject has a "Re:" or "Fwd:"
+ * prefix, a conversation with the same subject from the last 30 days is
+ * used. Otherwise the message starts a new conversation.
+ * 
+ * A conversation's thread_id is the ID of its first message. When a message
+ * links two conversations, they're merged. Conversations don't span accounts.
+ */
+async function assignThread(userId, messageId) {
+  const db = getDatabase();
+  const [message] = await dbAll(db, 'SELECT * FROM mail_messages WHERE id = ?', [messageId]);
+  
+  const relatedIds = [
+    message.message_id,
+    ...parseMessageIds(message.in_reply_to),
+    ...parseMessageIds(message.message_references),
+  ];
+  const placeholders = relatedIds.map(() => '?').join(', ');
+  const linked = await dbAll(
+    db,
+    `SELECT DISTINCT thread_id FROM mail_messages
+     WHERE user_id = ? AND account_id IS ? AND id != ? AND thread_id IS NOT NULL
+       AND (message_id IN (${placeholders}) OR in_reply_to = ?)`,
+    [userId, message.account_id, messageId, ...relatedIds, message.message_id]
+  );
+  let threadIds = linked.map(row => row.thread_id);
+  
+  const subject = normalizeSubject(message.subject);
+  if (threadIds.length === 0 && subject && subject !== (message.subject || '').trim()) {
+    const date = new Date(message.date_received);
+    const since = new Date(date.getTime() - 30 * 24 * 60 * 60 * 1000);
+    const candidates = await dbAll(
+      db,
+      `SELECT thread_id, subject FROM mail_messages
+       WHERE user_id = ? AND account_id IS ? AND id != ? AND thread_id IS NOT NULL
+         AND subject LIKE ? ESCAPE '\\' AND date_received BETWEEN ? AND ?
+       ORDER BY date_received DESC`,
+      [userId, message.account_id, messageId, '%' + subject.replace(/[\\%_]/g, '\\$&'), since.toISOString(), date.toISOString()]
+    );
+    const match = candidates.find(row => normalizeSubject(row.subject).toLowerCase() === subject.toLowerCase());
+    if (match) {
+      threadIds = [match.thread_id];
+    }
+  }
+  
+  const threadId = threadIds.length > 0 ? Math.min(...threadIds) : messageId;
+  const merged = threadIds.filter(id => id !== threadId);
+  
+  await dbRun(
+    db,
+    `UPDATE mail_messages SET thread_id = ?
+     WHERE user_id = ? AND (id = ? OR thread_id IN (${merged.map(() => '?').join(', ') || 'NULL'}))`,
+    [threadId, userId, messageId, ...merged]
+  );
+}
+
+/**
+ * Put messages stored before conversations existed into conversations,
+ * oldest first
+ */
+async function assignMissingThreads(userId) {
+  const rows = await dbAll(
+    getDatabase(),
+    'SELECT id FROM mail_messages WHERE user_id = ? AND thread_id IS NULL ORDER BY date_received, id',
+    [userId]
+  );
+  for (const row of rows) {
+    await assignThread(userId, row.id);
+  }
+}
+
+/**
+ * Display name of the first address in an address header
+ */
+function senderName(addresses) {
+  const [first] = parseAddressList(addresses);
+  return first ? (first.name || first.address) : '';
+}
+
+/**
+ * Get the conversations with messages in a folder, latest first
+ * 
+ * Counts are of the conversation's messages in this folder.
+ * 
+ * @param {number|null} accountId - Account ID (null: the folder of all accounts)
+ * @returns {Promise<Array<Object>>} - { id, accountId, subject, participants, date, snippet,
+ *   messageCount, unreadCount, starred, answered, messageIds, latestMessageId }
+ */
+async function getThreads(userId, folderName, accountId = null, limit = 50, offset = 0) {
+  const db = getDatabase();
+  const folderIds = (await getFolderRows(userId, folderName, accountId)).map(folder => folder.id);
+  
+  if (folderIds.length === 0) {
+    throw folderNotFound();
+  }
+  const folderPlaceholders = folderIds.map(() => '?').join(', ');
+  
+  await assignMissingThreads(userId);
+  
+  const threads = await dbAll(
+    db,
+    `SELECT thread_id, MAX(date_received) AS last_date FROM mail_messages
+     WHERE user_id = ? AND folder_id IN (${folderPlaceholders}) AND deleted = 0
+     GROUP BY thread_id
+     ORDER BY last_date DESC
+     LIMIT ? OFFSET ?`,
+    [userId, ...folderIds, limit, offset]
+  );
+  
+  if (threads.length === 0) {
+    return [];
+  }
+  
+  const rows = await dbAll(
+    db,
+    `SELECT id, account_id, thread_id, subject, from_address, date_received, read, starred, answered, body_text
+     FROM mail_messages
+     WHERE user_id = ? AND folder_id IN (${folderPlaceholders}) AND deleted = 0
+       AND thread_id IN (${threads.map(() => '?').join(', ')})
+     ORDER BY date_received DESC, id DESC`,
+    [userId, ...folderIds, ...threads.map(thread => thread.thread_id)]
+  );
+  
+  return threads.map(thread => {
+    const messages = rows.filter(row => row.thread_id === thread.thread_id);
+    const latest = messages[0];
+    const participants = [...new Set(messages.map(row => senderName(row.from_address)).filter(Boolean))];
+    
+    return {
+      id: thread.thread_id,
+      accountId: latest.account_id,
+      subject: latest.subject,
+      participants,
+      date: latest.date_received,
+      snippet: (latest.body_text || '').substring(0, 100),
+      messageCount: messages.length,
+      unreadCount: messages.filter(row => row.read !== 1).length,
+      starred: messages.some(row => row.starred === 1),
+      answered: latest.answered === 1,
+      messageIds: messages.map(row => row.id),
+      latestMessageId: latest.id,
+    };
+  });
+}
+
+/**
+ * Get the messages of a conversation, oldest first
+ * 
+ * Includes its messages from all folders, except the trash and junk folders
+ * (unless the conversation is opened from there). Opening a conversation
+ * marks its messages as read.
+ * 
+ * @param {string} folderName - Folder the conversation is opened from
+ * @param {Object} options - { markRead: false } leaves the messages unread
+ *   (e.g. when the app downloads them for offline reading)
+ * @returns {Promise<Object|null>} - { id, subject, messages (with their folder) }, or null if not found
+ */
+async function getThread(userId, threadId, folderName, options = {}) {
+  const { markRead = true } = options;
+  const rows = await dbAll(
+    getDatabase(),
+    `SELECT mail_messages.id, mail_folders.name AS folder FROM mail_messages
+     JOIN mail_folders ON mail_folders.id = mail_messages.folder_id
+     WHERE mail_messages.user_id = ? AND mail_messages.thread_id = ? AND mail_messages.deleted = 0
+     ORDER BY mail_messages.date_received, mail_messages.id`,
+    [userId, threadId]
+  );
+  const visible = rows.filter(row => row.folder === folderName || (row.folder !== 'trash' && row.folder !== 'junk'));
+  
+  if (visible.length === 0) {
+    return null;
+  }
+  
+  const messages = [];
+  for (const row of visible) {
+    messages.push({ ...await getMessage(userId, row.id, { markRead: false }), folder: row.folder });
+  }
+  
+  // Mark as read (here and on the server), in one go
+  const unread = messages.filter(message => !message.read);
+  if (markRead && unread.length > 0) {
+    await dbRun(
+      getDatabase(),
+      `UPDATE mail_messages SET read = 1, flags_pending = 1 WHERE id IN (${unread.map(() => '?').join(', ')})`,
+      unread.map(message => message.id)
+    );
+    unread.forEach(message => { message.read = true; });
+    publishChange(userId, 'updated', unread.map(message => message.id));
+    pushFlagChanges(userId).catch(error => console.error('Error storing flags on server:', error));
+  }
+  
+  return {
+    id: threadId,
+    subject: messages[messages.length - 1].subject,
+    messages,
+  };
+}
+
+/**
+ * Save a message to a folder of an account by name
+ */
+async function saveMessage(userId, accountId, folderName, messageData) {
+  const [folder] = await getFolderRows(userId, folderName, accountId);
+  
+  if (!folder) {
+    throw new Error('Folder not found');
+  }
+  
+  const id = await insertMessage(userId, folder.id, messageData);
+  publishChange(userId, 'created', [id]);
+  return id;
+}
+
+/**
+ * Path of a stored attachment on disk
+ */
+function attachmentPath(userId, storageKey) {
+  return path.join(ATTACHMENTS_PATH, String(userId), storageKey);
+}
+
+/**
+ * Store the attachments of a message
+ * 
+ * @param {number} userId - User ID
+ * @param {number} messageId - Database ID of the message
+ * @param {Array<Object>} attachments - { filename, contentType, content (Buffer), contentId, inline }
+ */
+async function saveAttachments(userId, messageId, attachments) {
+  if (attachments.length === 0) {
+    return;
+  }
+  
+  const db = getDatabase();
+  await fs.promises.mkdir(path.join(ATTACHMENTS_PATH, String(userId)), { recursive: true });
+  
+  for (const attachment of attachments) {
+    const storageKey = crypto.randomBytes(16).toString('hex');
+    const filePath = attachmentPath(userId, storageKey);
+    await fs.promises.writeFile(filePath, attachment.content);
+    
+    await new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO mail_attachments 
+         (user_id, message_id, filename, content_type, size, content_id, inline, storage_key)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          userId,
+          messageId,
+          attachment.filename || null,
+          attachment.contentType || 'application/octet-stream',
+          attachment.content.length,
+          attachment.contentId || null,
+          attachment.inline ? 1 : 0,
+          storageKey,
+        ],
+        (err) => {
+          if (err) {
+            // Don't leave orphaned files behind
+            fs.unlink(filePath, () => reject(err));
+            return;
+          }
+          resolve();
+        }
+      );
+    });
+  }
+}
+
+/**
+ * Get the attachments of a message (metadata only)
+ */
+function getAttachments(userId, messageId) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    db.all(
+      'SELECT * FROM mail_attachments WHERE message_id = ? AND user_id = ? ORDER BY id',
+      [messageId, userId],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        
+        resolve(rows.map(row => ({
+          id: row.id,
+          filename: row.filename,
+          contentType: row.content_type,
+          size: row.size,
+          contentId: row.content_id,
+          inline: row.inline === 1,
+        })));
+      }
+    );
+  });
+}
+
+/**
+ * Get a single attachment, including the path of its content on disk
+ */
+function getAttachment(userId, messageId, attachmentId) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT * FROM mail_attachments WHERE id = ? AND message_id = ? AND user_id = ?',
+      [attachmentId, messageId, userId],
+      (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        
+        if (!row) {
+          resolve(null);
+          return;
+        }
+        
+        resolve({
+          id: row.id,
+          filename: row.filename,
+          contentType: row.content_type,
+          size: row.size,
+          path: attachmentPath(userId, row.storage_key),
+        });
+      }
+    );
+  });
+}
+
+/**
+ * Read the attachments of a message, including their content
+ * 
+ * @returns {Promise<Array<Object>>} - { filename, contentType, content (Buffer), contentId, inline }
+ */
+async function readAttachments(userId, messageId) {
+  const rows = await dbAll(
+    getDatabase(),
+    'SELECT * FROM mail_attachments WHERE message_id = ? AND user_id = ? ORDER BY id',
+    [messageId, userId]
+  );
+  const attachments = [];
+  
+  for (const row of rows) {
+    attachments.push({
+      filename: row.filename,
+      contentType: row.content_type,
+      content: await fs.promises.readFile(attachmentPath(userId, row.storage_key)),
+      contentId: row.content_id,
+      inline: row.inline === 1,
+    });
+  }
+  
+  return attachments;
+}
+
+/**
+ * Delete messages and their attachment files from the database
+ * 
+ * This only removes the local copies, not the messages on the server.
+ */
+async function deleteLocalMessages(userId, messageIds) {
+  const db = getDatabase();
+  
+  // Stay well below SQLite's limit on query parameters
+  for (let i = 0; i < messageIds.length; i += 500) {
+    const ids = messageIds.slice(i, i + 500);
+    const placeholders = ids.map(() => '?').join(', ');
+    
+    const attachments = await dbAll(
+      db,
+      `SELECT storage_key FROM mail_attachments WHERE user_id = ? AND message_id IN (${placeholders})`,
+      [userId, ...ids]
+    );
+    await dbRun(db, `DELETE FROM mail_attachments WHERE user_id = ? AND message_id IN (${placeholders})`, [userId, ...ids]);
+    await dbRun(db, `DELETE FROM mail_messages WHERE user_id = ? AND id IN (${placeholders})`, [userId, ...ids]);
+    
+    await Promise.all(attachments.map(attachment =>
+      fs.promises.unlink(attachmentPath(userId, attachment.storage_key)).catch(() => {})
+    ));
+  }
+  
+  publishChange(userId, 'deleted', messageIds);
+}
+
+/**
+ * Get a folder of an account by name (null if the account has no such folder)
+ */
+async function getFolderByName(userId, accountId, folderName) {
+  const [folder] = await getFolderRows(userId, folderName, accountId);
+  return folder || null;
+}
+
+/**
+ * Split messages by account, with each account's folder of the given folders
+ * 
+ * @param {Array<Object>} rows - mail_messages rows
+ * @param {Array<Object>} folders - mail_folders rows (see getFolderRows)
+ * @returns {Array<Object>} - { accountId, folder (null if the account has none), rows }
+ */
+function groupByAccount(rows, folders) {
+  return [...new Set(rows.map(row => row.account_id))].map(accountId => ({
+    accountId,
+    folder: folders.find(folder => folder.account_id === accountId) || null,
+    rows: rows.filter(row => row.account_id === accountId),
+  }));
+}
+
+/**
+ * Get messages of a user by database ID (IDs of other users' messages are ignored)
+ */
+async function getMessageRows(userId, messageIds) {
+  const db = getDatabase();
+  const rows = [];
+  
+  for (let i = 0; i < messageIds.length; i += 500) {
+    const ids = messageIds.slice(i, i + 500);
+    const placeholders = ids.map(() => '?').join(', ');
+    rows.push(...await dbAll(
+      db,
+      `SELECT * FROM mail_messages WHERE user_id = ? AND id IN (${placeholders})`,
+      [userId, ...ids]
+    ));
+  }
+  
+  return rows;
+}
+
+/**
+ * Wait for running syncs, so they don't bring back messages we're moving
+ */
+async function waitForSync(userId) {
+  if (syncQueues.has(userId)) {
+    await syncQueues.get(userId);
+  }
+}
+
+/**
+ * Update the sync status of an account
+ * 
+ * @param {Object} fields - Any of state, mode, lastSyncAt, lastError,
+ *   lastErrorAt, failures and nextAttemptAt (dates as Date objects)
+ */
+async function updateSyncStatus(userId, accountId, fields) {
+  const db = getDatabase();
+  const entries = Object.entries(fields).filter(([field]) => SYNC_STATUS_COLUMNS[field]);
+  
+  // Only for accounts that still exist
+  await dbRun(
+    db,
+    `INSERT OR IGNORE INTO mail_sync_status (account_id, user_id)
+     SELECT id, user_id FROM email_configs WHERE id = ? AND user_id = ?`,
+    [accountId, userId]
+  );
+  await dbRun(
+    db,
+    `UPDATE mail_sync_status
+     SET ${entries.map(([field]) => `${SYNC_STATUS_COLUMNS[field]} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE account_id = ? AND user_id = ?`,
+    [...entries.map(([, value]) => (value instanceof Date ? value.toISOString() : value)), accountId, userId]
+  );
+}
+
+/**
+ * Get the sync status of the user's accounts
+ * 
+ * @returns {Promise<Array<Object>>} - { accountId, name, state, mode,
+ *   lastSyncAt, lastError, lastErrorAt, failures, nextAttemptAt }
+ */
+async function getSyncStatus(userId) {
+  const rows = await dbAll(
+    getDatabase(),
+    `SELECT email_configs.id AS account_id, email_configs.name, email_configs.from_address,
+            email_configs.username, mail_sync_status.state, mail_sync_status.mode,
+            mail_sync_status.last_sync_at, mail_sync_status.last_error, mail_sync_status.last_error_at,
+            mail_sync_status.failures, mail_sync_status.next_attempt_at
+     FROM email_configs
+     LEFT JOIN mail_sync_status ON mail_sync_status.account_id = email_configs.id
+     WHERE email_configs.user_id = ?
+     ORDER BY email_configs.id`,
+    [userId]
+  );
+  
+  return rows.map(row => ({
+    accountId: row.account_id,
+    name: row.name || row.from_address || row.username,
+    state: row.state || 'stopped',
+    mode: row.mode || null,
+    lastSyncAt: row.last_sync_at || null,
+    lastError: row.last_error || null,
+    lastErrorAt: row.last_error_at || null,
+    failures: row.failures || 0,
+    nextAttemptAt: row.next_attempt_at || null,
+  }));
+}
+
+/**
+ * Connect and log in to an account's IMAP server (the caller disconnects)
+ */
+async function connectAccount(userId, accountId) {
+  const config = await getEmailConfig(userId, accountId);
+  if (!config) {
+    throw new Error('Email account not found');
+  }
+  return connectImap(config);
+}
+
+/**
+ * Connect to an account's IMAP server, run fn(imap) and log out
+ */
+async function withImap(userId, accountId, fn) {
+  const config = await getEmailConfig(userId, accountId);
+  if (!config) {
+    throw new Error('Email configuration not found');
+  }
+  
+  const imap = await connectImap(config);
+  try {
+    return await fn(imap);
+  } finally {
+    imapUtils.disconnect(imap);
+  }
+}
+
+/**
+ * Run an IMAP operation on the server copies of messages, one folder at a time
+ * 
+ * The messages have to be from the account imap is connected to. Each folder is opened read-write and its pending flag changes are stored
+ * first, so they aren't lost. Messages the server doesn't have (no UID yet,
+ * or UIDs from an old UIDVALIDITY) are skipped.
+ * 
+ * @param {Array<Object>} rows - mail_messages rows
+ * @param {Function} operation - async (uids) called for each folder
+ */
+async function forEachServerFolder(imap, userId, rows, operation) {
+  const uidsByFolder = new Map();
+  for (const row of rows.filter(row => row.uid !== null)) {
+    if (!uidsByFolder.has(row.folder_id)) {
+      uidsByFolder.set(row.folder_id, []);
+    }
+    uidsByFolder.get(row.folder_id).push(row.uid);
+  }
+  
+  const folders = await dbAll(getDatabase(), 'SELECT * FROM mail_folders WHERE user_id = ?', [userId]);
+  const foldersById = new Map(folders.map(folder => [folder.id, folder]));
+  
+  for (const [folderId, uids] of uidsByFolder) {
+    const folder = foldersById.get(folderId);
+    const box = await imapUtils.openFolder(imap, folder.imap_path, false);
+    if (box.uidvalidity !== folder.uid_validity) {
+      continue;
+    }
+    await pushPendingFlags(imap, folder);
+    await operation(uids);
+  }
+}
+
+/**
+ * Find the UIDs that messages got after being moved or copied to a folder
+ * 
+ * Looked up by Message-ID. Messages that aren't found keep no UID, and the
+ * next sync of the folder links them up (see saveSyncedMessage).
+ * 
+ * @returns {Promise<Map<number, number>>} - Message database ID -> UID
+ */
+async function findServerCopies(imap, target, rows) {
+  const found = new Map();
+  const box = await imapUtils.openFolder(imap, target.imap_path, true);
+  
+  // The folder isn't synced yet - its next sync downloads everything anyway
+  if (box.uidvalidity !== target.uid_validity) {
+    return found;
+  }
+  
+  const linked = await dbAll(getDatabase(), 'SELECT uid FROM mail_messages WHERE folder_id = ? AND uid IS NOT NULL', [target.id]);
+  const taken = new Set(linked.map(row => row.uid));
+  
+  for (const row of rows) {
+    const uids = await imapUtils.searchUids(imap, [['HEADER', 'MESSAGE-ID', row.message_id]]);
+    const uid = uids.filter(candidate => !taken.has(candidate)).sort((a, b) => b - a)[0];
+    if (uid) {
+      taken.add(uid);
+      found.set(row.id, uid);
+    }
+  }
+  
+  return found;
+}
+
+/**
+ * Move messages to a folder of their account, on the server and locally
+ */
+async function moveRows(userId, rows, target) {
+  const db = getDatabase();
+  rows = rows.filter(row => row.folder_id !== target.id);
+  const serverRows = rows.filter(row => row.uid !== null);
+  let newUids = new Map();
+  
+  if (serverRows.length > 0) {
+    newUids = await withImap(userId, target.account_id, async (imap) => {
+      await forEachServerFolder(imap, userId, serverRows, uids => imapUtils.moveMessages(imap, uids, target.imap_path));
+      return findServerCopies(imap, target, serverRows);
+    });
+  }
+  
+  for (const row of rows) {
+    await dbRun(
+      db,
+      'UPDATE mail_messages SET folder_id = ?, uid = ? WHERE id = ?',
+      [target.id, newUids.get(row.id) || null, row.id]
+    );
+  }
+  
+  publishChange(userId, 'updated', rows.map(row => row.id));
+  return rows.length;
+}
+
+/**
+ * Error for a folder that doesn't exist (sent as 404)
+ */
+function folderNotFound() {
+  const error = new Error('Folder not found');
+  error.status = 404;
+  return error;
+}
+
+/**
+ * Move messages to another folder
+ * 
+ * Messages stay in their account - they're moved to the folder with this
+ * name in their account. Uses IMAP MOVE, or COPY and EXPUNGE on servers
+ * without it.
+ * 
+ * @param {Array<number>} messageIds - Database IDs of the messages
+ * @param {string} folderName - Target folder name
+ * @param {Function} notFound - Error to throw if an account has no such folder
+ * @returns {Promise<Object>} - { moved }
+ */
+async function moveMessages(userId, messageIds, folderName, notFound = folderNotFound) {
+  const targets = await getFolderRows(userId, folderName);
+  if (targets.length === 0) {
+    throw notFound();
+  }
+  
+  await waitForSync(userId);
+  const groups = groupByAccount(await getMessageRows(userId, messageIds), targets);
+  if (groups.some(group => !group.folder)) {
+    throw notFound();
+  }
+  
+  let moved = 0;
+  for (const group of groups) {
+    moved += await moveRows(userId, group.rows, group.folder);
+  }
+  
+  return { moved };
+}
+
+/**
+ * Move messages to the archive folder
+ * 
+ * @returns {Promise<Object>} - { moved }
+ */
+async function archiveMessages(userId, messageIds) {
+  return moveMessages(userId, messageIds, 'archive', () => {
+    const error = new Error('The mail server has no archive folder');
+    error.status = 400;
+    return error;
+  });
+}
+
+/**
+ * Copy messages to another folder
+ * 
+ * Like moveMessages, messages are copied within their account.
+ * 
+ * @returns {Promise<Object>} - { copied }
+ */
+async function copyMessages(userId, messageIds, folderName) {
+  const targets = await getFolderRows(userId, folderName);
+  if (targets.length === 0) {
+    throw folderNotFound();
+  }
+  
+  await waitForSync(userId);
+  const groups = groupByAccount(await getMessageRows(userId, messageIds), targets);
+  if (groups.some(group => !group.folder)) {
+    throw folderNotFound();
+  }
+  
+  let copied = 0;
+  for (const group of groups) {
+    copied += await copyRows(userId, group.rows, group.folder);
+  }
+  
+  return { copied };
+}
+
+/**
+ * Copy messages to a folder of their account, on the server and locally
+ */
+async function copyRows(userId, rows, target) {
+  rows = rows.filter(row => row.folder_id !== target.id);
+  const serverRows = rows.filter(row => row.uid !== null);
+  let newUids = new Map();
+  
+  if (serverRows.length > 0) {
+    newUids = await withImap(userId, target.account_id, async (imap) => {
+      await forEachServerFolder(imap, userId, serverRows, uids => imapUtils.copyMessages(imap, uids, target.imap_path));
+      return findServerCopies(imap, target, serverRows);
+    });
+  }
+  
+  const created = [];
+  for (const row of rows) {
+    const attachments = await readAttachments(userId, row.id);
+    
+    created.push(await insertMessage(userId, target.id, {
+      messageId: row.message_id,
+      uid: newUids.get(row.id) || null,
+      subject: row.subject,
+      from: row.from_address,
+      to: row.to_address,
+      cc: row.cc_address,
+      bcc: row.bcc_address,
+      replyTo: row.reply_to_address,
+      inReplyTo: row.in_reply_to,
+      references: row.message_references,
+      bodyText: row.body_text,
+      bodyHtml: row.body_html,
+      date: new Date(row.date_received),
+      read: row.read === 1,
+      starred: row.starred === 1,
+      answered: row.answered === 1,
+      attachments,
+    }));
+  }
+  
+  publishChange(userId, 'created', created);
+  return rows.length;
+}
+
+/**
+ * Delete messages
+ * 
+ * Messages are moved to the trash folder of their account; messages already
+ * in the trash are deleted permanently (on the server and locally).
+ * 
+ * @returns {Promise<Object>} - { trashed, deleted }
+ */
+async function deleteMessages(userId, messageIds) {
+  const trashFolders = await getFolderRows(userId, 'trash');
+  
+  await waitForSync(userId);
+  const groups = groupByAccount(await getMessageRows(userId, messageIds), trashFolders);
+  let trashed = 0;
+  const deleted = [];
+  
+  for (const { accountId, folder: trash, rows } of groups) {
+    const inTrash = rows.filter(row => !trash || row.folder_id === trash.id);
+    
+    if (trash) {
+      trashed += await moveRows(userId, rows.filter(row => row.folder_id !== trash.id), trash);
+    }
+    
+    if (inTrash.some(row => row.uid !== null)) {
+      await withImap(userId, accountId, imap =>
+        forEachServerFolder(imap, userId, inTrash, uids => imapUtils.expungeMessages(imap, uids))
+      );
+    }
+    deleted.push(...inTrash);
+  }
+  await deleteLocalMessages(userId, deleted.map(row => row.id));
+  
+  return { trashed, deleted: deleted.length };
+}
+
+/**
+ * Message list entry for a mail_messages row
+ */
+function rowToListMessage(row) {
+  return {
+    id: row.id,
+    accountId: row.account_id,
+    subject: row.subject,
+    from: row.from_address,
+    to: row.to_address,
+    date: row.date_received,
+    read: row.read === 1,
+    starred: row.starred === 1,
+    answered: row.answered === 1,
+    threadId: row.thread_id,
+    bodyText: row.body_text,
+    bodyHtml: row.body_html,
+  };
+}
+
+/**
+ * Get messages in a folder
+ * 
+ * @param {number|null} accountId - Account ID (null: the folder of all accounts)
+ */
+async function getMessages(userId, folderName, accountId = null, limit = 50, offset = 0) {
+  const folderIds = (await getFolderRows(userId, folderName, accountId)).map(folder => folder.id);
+  
+  if (folderIds.length === 0) {
+    throw folderNotFound();
+  }
+  
+  const rows = await dbAll(
+    getDatabase(),
+    `SELECT * FROM mail_messages 
+     WHERE user_id = ? AND folder_id IN (${folderIds.map(() => '?').join(', ')}) AND deleted = 0
+     ORDER BY date_received DESC 
+     LIMIT ? OFFSET ?`,
+    [userId, ...folderIds, limit, offset]
+  );
+  
+  return rows.map(rowToListMessage);
+}
+
+/**
+ * Search a folder on the mail server (IMAP SEARCH)
+ * 
+ * Finds messages that haven't been synced yet, e.g. old mail while the first
+ * sync of a large mailbox is still running. Matches we don't have are
+ * downloaded without their body (partial = 1); the body is downloaded when
+ * the message is opened. Runs after the user's running and queued syncs
+ * (see queueSync), since both update the same cached folders.
+ * 
+ * @param {number|null} accountId - Account ID (null: the folder of all accounts)
+ * @param {Object} criteria - { from, subject, text, since (Date), before (Date) },
+ *   all given criteria must match
+ * @returns {Promise<Array>} - Messages like getMessages, newest first
+ */
+async function searchServer(userId, folderName, accountId, criteria, limit = 50, offset = 0) {
+  const db = getDatabase();
+  const query = Object.entries(criteria).map(([key, value]) => [SERVER_SEARCH_KEYS[key], value]);
+  
+  // Writes to the same folders as the syncs, so it runs in their queue
+  const matches = await queueSync(userId, async () => {
+    const folders = await getFolderRows(userId, folderName, accountId);
+    if (folders.length === 0) {
+      throw folderNotFound();
+    }
+    if (!folders.some(folder => folder.imap_path)) {
+      const error = new Error('This folder is not on the mail server');
+      error.status = 400;
+      throw error;
+    }
+    
+    const results = [];
+    for (const folder of folders.filter(folder => folder.imap_path)) {
+      const uids = await withImap(userId, folder.account_id, async (imap) => {
+        const box = await imapUtils.openFolder(imap, folder.imap_path);
+        
+        // Cached messages have to use the server's current UIDs (see syncFolder)
+        if (folder.uid_validity !== box.uidvalidity) {
+          if (folder.uid_validity !== null) {
+            const stale = await dbAll(db, 'SELECT id FROM mail_messages WHERE folder_id = ? AND uid IS NOT NULL', [folder.id]);
+            await deleteLocalMessages(userId, stale.map(row => row.id));
+          }
+          await dbRun(db, 'UPDATE mail_folders SET uid_validity = ?, uid_next = NULL WHERE id = ?', [box.uidvalidity, folder.id]);
+        }
+        
+        const found = await imapUtils.searchUids(imap, ['UNDELETED', ...query]);
+        // Newest first (UIDs grow as messages arrive). The page is picked by
+        // date below, so every folder has to have the messages up to its end.
+        const candidates = found.sort((a, b) => b - a).slice(0, offset + limit);
+        
+        const local = new Set((await dbAll(
+          db,
+          `SELECT uid FROM mail_messages WHERE folder_id = ? AND uid IN (${candidates.map(() => '?').join(', ')})`,
+          [folder.id, ...candidates]
+        )).map(row => row.uid));
+        const missing = candidates.filter(uid => !local.has(uid));
+        
+        for (let i = 0; i < missing.length; i += FETCH_BATCH_SIZE) {
+          const messages = await imapUtils.fetchMessages(imap, missing.slice(i, i + FETCH_BATCH_SIZE), { headers: true });
+          for (const message of messages) {
+            try {
+              const messageData = await parseMessage(message.source);
+              await insertMessage(userId, folder.id, {
+                ...messageData,
+                ...flagsToColumns(message.flags),
+                uid: message.uid,
+                partial: true,
+              });
+            } catch (error) {
+              // e.g. a message that can't be parsed
+              console.error(`Error saving message ${message.uid} in ${folder.imap_path}:`, error);
+            }
+          }
+        }
+        
+        return candidates;
+      });
+      
+      if (uids.length > 0) {
+        results.push({ folderId: folder.id, uids });
+      }
+    }
+    
+    return results;
+  });
+  
+  if (matches.length === 0) {
+    return [];
+  }
+  
+  const rows = await dbAll(
+    db,
+    `SELECT * FROM mail_messages
+     WHERE deleted = 0 AND (${matches.map(match => `(folder_id = ? AND uid IN (${match.uids.map(() => '?').join(', ')}))`).join(' OR ')})
+     ORDER BY date_received DESC
+     LIMIT ? OFFSET ?`,
+    [...matches.flatMap(match => [match.folderId, ...match.uids]), limit, offset]
+  );
+  return rows.map(rowToListMessage);
+}
+
+/**
+ * Download the body and attachments of a message found by searchServer
+ * 
+ * Does nothing if the message is complete already. If the server doesn't
+ * have it anymore, the message stays as it is until the next sync removes it.
+ */
+async function downloadPartialMessage(userId, messageId) {
+  const db = getDatabase();
+  const [row] = await dbAll(
+    db,
+    `SELECT mail_messages.id, mail_messages.account_id, mail_messages.uid, mail_folders.imap_path, mail_folders.uid_validity
+     FROM mail_messages JOIN mail_folders ON mail_folders.id = mail_messages.folder_id
+     WHERE mail_messages.id = ? AND mail_messages.user_id = ? AND mail_messages.partial = 1`,
+    [messageId, userId]
+  );
+  if (!row || !row.uid || !row.imap_path) {
+    return;
+  }
+  
+  await withImap(userId, row.account_id, async (imap) => {
+    const box = await imapUtils.openFolder(imap, row.imap_path);
+    if (box.uidvalidity !== row.uid_validity) {
+      return;
+    }
+    
+    const [message] = await imapUtils.fetchMessages(imap, [row.uid], { source: true });
+    if (!message) {
+      return;
+    }
+    
+    const messageData = await parseMessage(message.source);
+    await dbRun(
+      db,
+      'UPDATE mail_messages SET body_text = ?, body_html = ?, partial = 0 WHERE id = ? AND partial = 1',
+      [messageData.bodyText || '', messageData.bodyHtml || '', row.id]
+    );
+    await saveAttachments(userId, row.id, messageData.attachments);
+  });
+}
+
+/**
+ * Search messages (subject, from, to, body)
+ * 
+ * @param {string} matchQuery - FTS5 query (see utils/search)
+ * @returns {Promise<Array>} - { id, accountId, threadId, folder, subject, from, date, read, snippet },
+ *   best matches first
+ */
+async function searchMessages(userId, matchQuery, limit = 20) {
+  const rows = await dbAll(
+    getDatabase(),
+    `SELECT mail_messages.*, mail_folders.name AS folder,
+       snippet(mail_messages_fts, -1, '', '', '...', 16) AS snippet
+     FROM mail_messages_fts
+     JOIN mail_messages ON mail_messages.id = mail_messages_fts.rowid
+     JOIN mail_folders ON mail_folders.id = mail_messages.folder_id
+     WHERE mail_messages_fts MATCH ? AND mail_messages.user_id = ? AND mail_messages.deleted = 0
+     ORDER BY mail_messages_fts.rank
+     LIMIT ?`,
+    [matchQuery, userId, limit]
+  );
+  
+  return rows.map(row => ({
+    id: row.id,
+    accountId: row.account_id,
+    threadId: row.thread_id,
+    folder: row.folder,
+    subject: row.subject,
+    from: row.from_address,
+    date: row.date_received,
+    read: row.read === 1,
+    snippet: row.snippet,
+  }));
+}
+
+/**
+ * Get a single message by ID
+ * 
+ * Opening a message marks it as read, unless options.markRead is false.
+ * Messages found by a server search are downloaded completely first.
+ */
+function getMessage(userId, messageId, options = {}) {
+  const { markRead = true } = options;
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT * FROM mail_messages WHERE id = ? AND user_id = ?',
+      [messageId, userId],
+      (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        
+        if (!row) {
+          resolve(null);
+          return;
+        }
+        
+        // Found by a server search - download the rest first (if that fails,
+        // e.g. while offline, the headers are shown)
+        if (row.partial === 1 && !options.skipDownload) {
+          downloadPartialMessage(userId, row.id)
+            .catch(error => console.error('Error downloading message:', error))
+            .then(() => getMessage(userId, messageId, { ...options, skipDownload: true }))
+            .then(resolve, reject);
+          return;
+        }
+        
+        // Mark as read (here and on the server)
+        const read = row.read === 1 || markRead;
+        if (row.read !== 1 && markRead) {
+          db.run('UPDATE mail_messages SET read = 1, flags_pending = 1 WHERE id = ?', [messageId], (err) => {
+            if (!err) {
+              publishChange(userId, 'updated', [messageId]);
+              pushFlagChanges(userId).catch(error => console.error('Error storing flags on server:', error));
+            }
+          });
+        }
+        
+        getAttachments(userId, row.id).then(attachments => resolve({
+          id: row.id,
+          accountId: row.account_id,
+          subject: row.subject,
+          from: row.from_address,
+          to: row.to_address,
+          cc: row.cc_address,
+          bcc: row.bcc_address,
+          replyTo: row.reply_to_address,
+          date: row.date_received,
+          read,
+          starred: row.starred === 1,
+          answered: row.answered === 1,
+          threadId: row.thread_id,
+          bodyText: row.body_text,
+          bodyHtml: row.body_html,
+          attachments,
+        })).catch(reject);
+      }
+    );
+  });
+}
+
+/**
+ * Parse an address list ("Name <a@example.com>, b@example.com")
+ * 
+ * @returns {Array<Object>} - { name, address }
+ */
+function parseAddressList(text) {
+  const addresses = [];
+  for (const entry of addressparser(text || '')) {
+    // Groups ("Team: a@example.com, b@example.com;") list their members
+    addresses.push(...(entry.group || [entry]));
+  }
+  return addresses.filter(entry => entry.address);
+}
+
+/**
+ * Format addresses for a To or Cc field, without duplicates and
+ * without the excluded addresses (compared case-insensitively)
+ */
+function formatAddressList(addresses, exclude = []) {
+  const seen = new Set(exclude.map(address => address.toLowerCase()));
+  const formatted = [];
+  
+  for (const { name, address } of addresses) {
+    if (seen.has(address.toLowerCase())) {
+      continue;
+    }
+    seen.add(address.toLowerCase());
+    
+    if (!name) {
+      formatted.push(address);
+    } else if (/^[\p{L}\p{N} .'-]+$/u.test(name)) {
+      formatted.push(`${name} <${address}>`);
+    } else {
+      formatted.push(`"${name.replace(/(["\\])/g, '\\$1')}" <${address}>`);
+    }
+  }
+  
+  return formatted.join(', ');
+}
+
+/**
+ * Add a subject prefix ("Re:", "Fwd:") unless the subject already has it
+ */
+function prefixSubject(prefix, subject, existing) {
+  return existing.test(subject || '') ? subject : `${prefix} ${subject || ''}`.trim();
+}
+
+/**
+ * Build a reply or forward of a message, ready to edit and send
+ * 
+ * - reply: to the Reply-To (or From) address; replies to our own messages go
+ *   to their recipients
+ * - reply-all: also to the other To and Cc recipients, except ourselves
+ * - forward: no recipients, with the original's attachments (see forwardId in sendEmail)
+ * 
+ * The answer is sent from the account that received the original (accountId).
+ * 
+ * @param {string} type - "reply", "reply-all" or "forward"
+ * @returns {Promise<Object|null>} - { accountId, to, cc, subject, text, inReplyToId, forwardId,
+ *   attachments (forwarded, metadata only) }, or null if the message doesn't exist
+ */
+async function getReplyDraft(userId, messageId, type) {
+  // Quoting and forwarding need the body and attachments
+  await downloadPartialMessage(userId, messageId)
+    .catch(error => console.error('Error downloading message:', error));
+  const rows = await getMessageRows(userId, [messageId]);
+  if (rows.length === 0) {
+    return null;
+  }
+  
+  const original = rows[0];
+  const config = await getEmailConfig(userId, original.account_id);
+  // Our login and the address we send as (usually, but not always, the same)
+  const ownAddresses = config ? [config.username, config.fromAddress].filter(Boolean) : [];
+  const accountId = config ? config.id : null;
+  const date = new Date(original.date_received).toUTCString();
+  const body = original.body_text || '';
+  
+  if (type === 'forward') {
+    const header = [
+      '---------- Forwarded message ----------',
+      `From: ${original.from_address || ''}`,
+      `Date: ${date}`,
+      `Subject: ${original.subject || ''}`,
+      `To: ${original.to_address || ''}`,
+      ...(original.cc_address ? [`Cc: ${original.cc_address}`] : []),
+    ].join('\n');
+    const attachments = await getAttachments(userId, original.id);
+    
+    return {
+      accountId,
+      to: '',
+      cc: '',
+      subject: prefixSubject('Fwd:', original.subject, /^(fwd?|fw):/i),
+      text: `\n\n${header}\n\n${body}`,
+      inReplyToId: null,
+      forwardId: original.id,
+      attachments: attachments.filter(attachment => !attachment.inline),
+    };
+  }
+  
+  const from = parseAddressList(original.from_address);
+  const fromSelf = from.some(entry =>
+    ownAddresses.some(address => entry.address.toLowerCase() === address.toLowerCase())
+  );
+  let to = fromSelf ? parseAddressList(original.to_address) : parseAddressList(original.reply_to_address || original.from_address);
+  let cc = [];
+  
+  if (type === 'reply-all') {
+    to = [...to, ...parseAddressList(original.to_address)];
+    cc = parseAddressList(original.cc_address);
+  }
+  
+  const toText = formatAddressList(to, fromSelf ? [] : ownAddresses);
+  const quoted = body.replace(/\r?\n$/, '').split(/\r?\n/).map(line => (line ? `> ${line}` : '>')).join('\n');
+  
+  return {
+    accountId,
+    to: toText || formatAddressList(to),
+    cc: formatAddressList(cc, [...ownAddresses, ...parseAddressList(toText).map(entry => entry.address)]),
+    subject: prefixSubject('Re:', original.subject, /^re:/i),
+    text: `\n\nOn ${date}, ${original.from_address || 'unknown sender'} wrote:\n${quoted}\n`,
+    inReplyToId: original.id,
+    forwardId: null,
+    attachments: [],
+  };
+}
+
+/**
+ * Error for a message that doesn't exist (sent as 404)
+ */
+function messageNotFound() {
+  const error = new Error('Message not found');
+  error.status = 404;
+  return error;
+}
+
+/**
+ * Claim an idempotency key for sending a message
+ * 
+ * A key whose send never finished (the server stopped in the middle) is
+ * taken over after SEND_CLAIM_MINUTES, so the message isn't stuck.
+ * 
+ * @returns {Promise<Object|null>} - null if the key is new (claimed),
+ *   otherwise the earlier send: { messageId } (null while it's being sent)
+ */
+async function claimSendKey(userId, idempotencyKey) {
+  const db = getDatabase();
+  
+  await dbRun(db, `DELETE FROM sent_mail_keys WHERE created_at < datetime('now', '-${SENT_MAIL_KEY_DAYS} days')`);
+  
+  const claimed = await dbRun(
+    db,
+    'INSERT OR IGNORE INTO sent_mail_keys (user_id, idempotency_key, claimed_at) VALUES (?, ?, CURRENT_TIMESTAMP)',
+    [userId, idempotencyKey]
+  );
+  if (claimed.changes > 0) {
+    return null;
+  }
+  
+  const takenOver = await dbRun(
+    db,
+    `UPDATE sent_mail_keys SET claimed_at = CURRENT_TIMESTAMP
+     WHERE user_id = ? AND idempotency_key = ? AND message_id IS NULL
+       AND (claimed_at IS NULL OR claimed_at < datetime('now', '-${SEND_CLAIM_MINUTES} minutes'))`,
+    [userId, idempotencyKey]
+  );
+  if (takenOver.changes > 0) {
+    return null;
+  }
+  
+  const [row] = await dbAll(
+    db,
+    'SELECT message_id FROM sent_mail_keys WHERE user_id = ? AND idempotency_key = ?',
+    [userId, idempotencyKey]
+  );
+  return { messageId: row ? row.message_id : null };
+}
+
+/**
+ * Send an email
+ * 
+ * accountId: account to send from - by default the account of the message
+ *   this answers or forwards, otherwise the user's first account
+ * attachments: [{ filename, contentType, content (Buffer) }]
+ * inReplyToId: ID of the message this answers - sets In-Reply-To and
+ *   References, and flags the original as answered
+ * forwardId: ID of the message this forwards - its attachments are sent too
+ * idempotencyKey: chosen by the client for each message; a request with a
+ *   key that was sent already isn't sent again (the answer of the first one
+ *   may have been lost), and one that's being sent gets a 409
+ */
+async function sendEmail(userId, emailData) {
+  const {
+    accountId,
+    to,
+    subject,
+    text,
+    html,
+    cc,
+    bcc,
+    inReplyToId,
+    forwardId,
+    idempotencyKey,
+  } = emailData;
+  let { attachments = [] } = emailData;
+  
+  // Threading headers: the original's References plus its Message-ID
+  let inReplyTo = null;
+  let references = null;
+  let originalAccountId = null;
+  if (inReplyToId) {
+    const [original] = await getMessageRows(userId, [inReplyToId]);
+    if (!original) {
+      throw messageNotFound();
+    }
+    originalAccountId = original.account_id;
+    inReplyTo = original.message_id;
+    references = [original.message_references || original.in_reply_to, original.message_id].filter(Boolean).join(' ');
+  }
+  
+  if (forwardId) {
+    const [original] = await getMessageRows(userId, [forwardId]);
+    if (!original) {
+      throw messageNotFound();
+    }
+    originalAccountId = originalAccountId || original.account_id;
+    const forwarded = await readAttachments(userId, original.id);
+    attachments = [...forwarded.filter(attachment => !attachment.inline), ...attachments];
+  }
+  
+  const config = await getEmailConfig(userId, accountId || originalAccountId);
+  
+  if (!config && accountId) {
+    const error = new Error('Email account not found');
+    error.status = 404;
+    throw error;
+  }
+  if (!config) {
+    throw new Error('Email configuration not found');
+  }
+  const sender = { name: config.fromName, address: config.fromAddress || config.username };
+  
+  if (idempotencyKey) {
+    const earlier = await claimSendKey(userId, idempotencyKey);
+    if (earlier && earlier.messageId) {
+      return { messageId: earlier.messageId, duplicate: true };
+    }
+    if (earlier) {
+      const error = new Error('This message is being sent already');
+      error.status = 409;
+      throw error;
+    }
+  }
+  
+  // Send email
+  let info;
+  try {
+    info = await sendWithSmtp(config, {
+      from: sender,
+      to,
+      cc,
+      bcc,
+      subject,
+      text,
+      html,
+      inReplyTo,
+      references,
+      attachments: attachments.map(attachment => ({
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        content: attachment.content,
+      })),
+    });
+  } catch (error) {
+    // Not sent, so it can be tried again
+    if (idempotencyKey) {
+      await dbRun(getDatabase(), 'DELETE FROM sent_mail_keys WHERE user_id = ? AND idempotency_key = ?', [userId, idempotencyKey]);
+    }
+    throw error;
+  }
+  
+  // Sent: retries are answered from here on
+  if (idempotencyKey) {
+    await dbRun(
+      getDatabase(),
+      'UPDATE sent_mail_keys SET message_id = ? WHERE user_id = ? AND idempotency_key = ?',
+      [info.messageId, userId, idempotencyKey]
+    );
+  }
   
   // Save to sent folder
-  await saveMessage(userId, 'sent', {
+  await saveMessage(userId, config.id, 'sent', {
     messageId: info.messageId,
     subject,
-    from: config.username,
+    from: formatAddressList([sender]),
     to,
+    cc,
+    bcc,
+    inReplyTo,
+    references,
     date: new Date(),
     bodyText: text || '',
     bodyHtml: html || '',
+    attachments,
   });
   
+  if (inReplyToId) {
+    await updateMessageFlags(userId, inReplyToId, { answered: true });
+  }
+  
   return { messageId: info.messageId };
 }
 
 module.exports = {
   getEmailConfig,
   saveEmailConfig,
+  getAccounts,
+  getAllAccounts,
+  getAccount,
+  createAccount,
+  updateAccount,
+  deleteAccount,
+  testConnection,
   getFolders,
   syncEmails,
+  syncAccountEmails,
+  getSyncStatus,
+  updateSyncStatus,
+  connectAccount,
   getMessages,
+  searchServer,
   getMessage,
+  getThreads,
+  getThread,
+  searchMessages,
+  updateMessageFlags,
+  moveMessages,
+  copyMessages,
+  archiveMessages,
+  deleteMessages,
+  getAttachment,
+  getReplyDraft,
   sendEmail,
 };
@@ -0,0 +1,154 @@
+/**
+ * Push service
+ * 
+ * Web Push notifications (VAPID): subscriptions of the user's browsers and
+ * devices, and sending to all of them. Pushes reach the service worker
+ * even when the app is closed (see reminderScheduler and mailService for
+ * what is pushed).
+ */
+
+const webpush = require('web-push');
+const config = require('../config');
+const { getDatabase } = require('../database/init');
+
+// How long push services keep a push for a device that's offline (seconds)
+const DEFAULT_TTL = 24 * 60 * 60;
+
+// How long to wait for a push service
+const PUSH_TIMEOUT = 15000;
+
+webpush.setVapidDetails(config.vapidSubject, config.vapidPublicKey, config.vapidPrivateKey);
+
+/**
+ * Promise wrappers for the queries of this service
+ */
+function dbRun(sql, params = []) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(this);
+    });
+  });
+}
+
+function dbAll(sql, params = []) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(rows);
+    });
+  });
+}
+
+/**
+ * Get the public key browsers subscribe with (applicationServerKey)
+ * 
+ * @returns {string} - Base64url-encoded VAPID public key
+ */
+function getPublicKey() {
+  return config.vapidPublicKey;
+}
+
+/**
+ * Save a browser's push subscription
+ * 
+ * A subscription belongs to the user who saved it last, so a browser that
+ * another user signs in to gets that user's pushes.
+ * 
+ * @param {number} userId - User ID
+ * @param {Object} subscription - PushSubscription JSON: { endpoint, keys: { p256dh, auth } }
+ * @param {Object} device - { deviceId, userAgent }
+ */
+async function saveSubscription(userId, subscription, device = {}) {
+  await dbRun(
+    `INSERT INTO push_subscriptions (user_id, device_id, endpoint, p256dh, auth, user_agent)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT(endpoint) DO UPDATE SET
+       user_id = excluded.user_id, device_id = excluded.device_id, p256dh = excluded.p256dh,
+       auth = excluded.auth, user_agent = excluded.user_agent`,
+    [
+      userId, device.deviceId || null, subscription.endpoint,
+      subscription.keys.p256dh, subscription.keys.auth, device.userAgent || null,
+    ]
+  );
+}
+
+/**
+ * Remove a push subscription
+ * 
+ * @returns {Promise<boolean>} - false if the user has no such subscription
+ */
+async function deleteSubscription(userId, endpoint) {
+  const result = await dbRun('DELETE FROM push_subscriptions WHERE user_id = ? AND endpoint = ?', [userId, endpoint]);
+  return result.changes > 0;
+}
+
+/**
+ * Remove the push subscriptions of a device (e.g. when it signs out)
+ */
+async function deleteDeviceSubscriptions(userId, deviceId) {
+  await dbRun('DELETE FROM push_subscriptions WHERE user_id = ? AND device_id = ?', [userId, deviceId]);
+}
+
+/**
+ * Send a push to one subscription
+ * 
+ * Subscriptions the push service doesn't know (any more) are removed.
+ * 
+ * @returns {Promise<boolean>} - Whether the push service accepted it
+ */
+async function sendToSubscription(row, payload, options) {
+  const subscription = { endpoint: row.endpoint, keys: { p256dh: row.p256dh, auth: row.auth } };
+  
+  try {
+    await webpush.sendNotification(subscription, JSON.stringify(payload), {
+      TTL: DEFAULT_TTL,
+      timeout: PUSH_TIMEOUT,
+      ...options,
+    });
+    await dbRun('UPDATE push_subscriptions SET last_push_at = CURRENT_TIMESTAMP WHERE id = ?', [row.id]);
+    return true;
+  } catch (error) {
+    // Unsubscribed or expired
+    if (error.statusCode === 404 || error.statusCode === 410) {
+      await dbRun('DELETE FROM push_subscriptions WHERE id = ?', [row.id]);
+    } else {
+      console.error(`Error sending push to subscription ${row.id}:`, error.statusCode || '', error.body || error.message);
+    }
+    return false;
+  }
+}
+
+/**
+ * Push a notification to all of a user's subscribed devices
+ * 
+ * The service worker shows it (see the frontend's public/push-handler.js).
+ * 
+ * @param {number} userId - User ID
+ * @param {Object} notification - { title, body, tag, url (opened on click) }
+ * @param {Object} options - web-push options, e.g. { TTL, urgency, topic }
+ * @returns {Promise<number>} - Number of devices the push was sent to
+ */
+async function sendToUser(userId, notification, options = {}) {
+  const rows = await dbAll('SELECT * FROM push_subscriptions WHERE user_id = ?', [userId]);
+  const results = await Promise.all(rows.map(row => sendToSubscription(row, notification, options)));
+  return results.filter(Boolean).length;
+}
+
+module.exports = {
+  getPublicKey,
+  saveSubscription,
+  deleteSubscription,
+  deleteDeviceSubscriptions,
+  sendToUser,
+};
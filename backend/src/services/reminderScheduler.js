@@ -0,0 +1,157 @@
+/**
+ * Reminder scheduler
+ * 
+ * Pushes calendar reminders (reminder_time) to the user's devices when
+ * they're due, so they arrive while the app is closed (see pushService).
+ * 
+ * Every CHECK_INTERVAL, the reminders due in the last MISSED_WINDOW are
+ * looked up. Each one is recorded in reminder_pushes before it's sent, so
+ * it's sent once, also across restarts. Reminders missed by longer (e.g.
+ * while the server was down) aren't sent any more.
+ */
+
+const { getDatabase } = require('../database/init');
+const calendarService = require('./calendarService');
+const pushService = require('./pushService');
+
+// How often due reminders are looked up
+const CHECK_INTERVAL = 30 * 1000;
+
+// How late a reminder may still be sent
+const MISSED_WINDOW = 15 * 60 * 1000;
+
+// How long push services try to deliver a reminder to an offline device (seconds)
+const REMINDER_TTL = 60 * 60;
+
+// Sent reminders are forgotten after this long (they're far out of the window by then)
+const HISTORY_DAYS = 2;
+
+// Timer of the periodic check (null while stopped)
+let checkTimer = null;
+
+// Checks run one at a time
+let checking = Promise.resolve();
+
+/**
+ * Record a reminder as sent
+ * 
+ * @returns {Promise<boolean>} - false if it was sent before
+ */
+function claimReminder(event) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    db.run(
+      'INSERT OR IGNORE INTO reminder_pushes (event_id, occurrence_date, reminder_time) VALUES (?, ?, ?)',
+      [event.id, event.date, event.reminderTime],
+      function(err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(this.changes > 0);
+      }
+    );
+  });
+}
+
+/**
+ * Forget reminders sent long ago
+ */
+function pruneHistory() {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    db.run(`DELETE FROM reminder_pushes WHERE sent_at < datetime('now', '-${HISTORY_DAYS} days')`, (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Notification for a reminder, e.g. "Tue, Oct 20 at 09:30 · Room 1"
+ * 
+ * Clicking it opens the event's day in the calendar.
+ */
+function reminderNotification(event) {
+  // Event dates and times are the user's local ones, so they're formatted as they are
+  const day = new Date(`${event.date}T00:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+  const when = event.startTime ? `${day} at ${event.startTime}` : `${day} (all day)`;
+  
+  return {
+    title: event.title,
+    body: [when, event.location].filter(Boolean).join(' · '),
+    tag: `event-${event.id}-${event.date}`,
+    url: `/calendar?date=${event.date}`,
+  };
+}
+
+/**
+ * Send the reminders that are due
+ */
+async function check() {
+  const now = new Date();
+  const due = await calendarService.getDueReminders(new Date(now.getTime() - MISSED_WINDOW), now);
+  
+  for (const { userId, event } of due) {
+    try {
+      if (await claimReminder(event)) {
+        await pushService.sendToUser(userId, reminderNotification(event), { TTL: REMINDER_TTL, urgency: 'high' });
+      }
+    } catch (error) {
+      console.error(`Error sending reminder of event ${event.id}:`, error);
+    }
+  }
+  
+  await pruneHistory();
+}
+
+/**
+ * Check for due reminders now (unless a check is running)
+ */
+function runCheck() {
+  checking = checking
+    .then(check)
+    .catch(error => console.error('Error checking reminders:', error));
+  return checking;
+}
+
+/**
+ * Start pushing reminders
+ */
+function start() {
+  if (checkTimer) {
+    return;
+  }
+  
+  checkTimer = setInterval(runCheck, CHECK_INTERVAL);
+  runCheck();
+  console.log('Reminder push started');
+}
+
+/**
+ * Stop pushing reminders (waits for a running check)
+ */
+async function stop() {
+  if (!checkTimer) {
+    return;
+  }
+  
+  clearInterval(checkTimer);
+  checkTimer = null;
+  await checking;
+}
+
+module.exports = {
+  start,
+  stop,
+};
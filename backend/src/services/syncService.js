@@ -0,0 +1,140 @@
+/**
+ * Sync service
+ * 
+ * Lists what changed in a user's events and contacts since a cursor, so
+ * apps update their offline copy instead of downloading everything again
+ * (see routes/sync.js).
+ * 
+ * Changes come from the sync_changes log, which database triggers keep
+ * (see createChangeLog in database/init.js): one row per item with its
+ * latest change under an increasing seq, and tombstones for deleted items.
+ * 
+ * A cursor is "<seq>.<date>": the last change the app has, and the day its
+ * recurring events were expanded. Occurrences are only expanded a year
+ * ahead (see calendarService.getEvents), so on a new day all recurring
+ * events are sent again.
+ */
+
+const { getDatabase } = require('../database/init');
+const calendarService = require('./calendarService');
+const contactsService = require('./contactsService');
+
+// Most IDs per query (SQLite limits the number of parameters)
+const ID_CHUNK_SIZE = 500;
+
+function dbAll(sql, params = []) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(rows);
+    });
+  });
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a cursor
+ * 
+ * @param {string} cursor - "<seq>.<YYYY-MM-DD>"
+ * @returns {Object|null} - { seq, date }, or null if it isn't a cursor
+ */
+function parseCursor(cursor) {
+  const match = /^(\d+)\.(\d{4}-\d{2}-\d{2})$/.exec(cursor || '');
+  return match ? { seq: parseInt(match[1]), date: match[2] } : null;
+}
+
+/**
+ * Load items by ID, a chunk at a time
+ */
+async function loadByIds(ids, load) {
+  const items = [];
+  for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+    items.push(...await load(ids.slice(i, i + ID_CHUNK_SIZE)));
+  }
+  return items;
+}
+
+/**
+ * Get the changes since a cursor
+ * 
+ * Without a cursor (or with one this database can't continue - e.g. after
+ * restoring a backup), everything is returned with reset: true, and the
+ * app replaces its copy.
+ * 
+ * Changed items are sent as they are now, so a change made while this runs
+ * may be sent again with the next cursor.
+ * 
+ * @param {number} userId - User ID
+ * @param {Object|null} since - Parsed cursor (see parseCursor)
+ * @returns {Promise<Object>} - { cursor, reset, calendar: { changed, deleted },
+ *   contacts: { changed, deleted } }: changed are the items (event
+ *   occurrences), deleted their IDs. All cached occurrences of a changed
+ *   or deleted event are replaced.
+ */
+async function getChanges(userId, since = null) {
+  const [{ latest }] = await dbAll('SELECT COALESCE(MAX(seq), 0) AS latest FROM sync_changes');
+  const cursor = `${latest}.${today()}`;
+  
+  if (!since || since.seq > latest) {
+    const [events, contacts] = await Promise.all([
+      calendarService.getEvents(userId),
+      contactsService.getContacts(userId),
+    ]);
+    return {
+      cursor,
+      reset: true,
+      calendar: { changed: events, deleted: [] },
+      contacts: { changed: contacts, deleted: [] },
+    };
+  }
+  
+  const rows = await dbAll(
+    'SELECT type, item_id, deleted FROM sync_changes WHERE user_id = ? AND seq > ? AND seq <= ? ORDER BY seq',
+    [userId, since.seq, latest]
+  );
+  const ids = (type, deleted) => rows
+    .filter(row => row.type === type && Boolean(row.deleted) === deleted)
+    .map(row => row.item_id);
+  
+  // Occurrences are expanded up to a year from today, so that moves daily
+  const changedEventIds = new Set(ids('calendar', false));
+  if (since.date !== today()) {
+    const recurring = await dbAll(
+      'SELECT id FROM calendar_events WHERE user_id = ? AND rrule IS NOT NULL',
+      [userId]
+    );
+    recurring.forEach(row => changedEventIds.add(row.id));
+  }
+  
+  const [events, contacts] = await Promise.all([
+    loadByIds([...changedEventIds], chunk => calendarService.getEvents(userId, null, null, { ids: chunk })),
+    loadByIds(ids('contacts', false), chunk => contactsService.getContacts(userId, { ids: chunk })),
+  ]);
+  
+  // Events without occurrences left in range are gone from the app's copy too
+  const withOccurrences = new Set(events.map(event => event.id));
+  const deletedEvents = [
+    ...ids('calendar', true),
+    ...[...changedEventIds].filter(id => !withOccurrences.has(id)),
+  ];
+  
+  return {
+    cursor,
+    reset: false,
+    calendar: { changed: events, deleted: deletedEvents },
+    contacts: { changed: contacts, deleted: ids('contacts', true) },
+  };
+}
+
+module.exports = {
+  parseCursor,
+  getChanges,
+};
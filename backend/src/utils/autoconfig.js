@@ -0,0 +1,307 @@
+/**
+ * Mail server autodiscovery
+ *
+ * Finds the IMAP and SMTP settings for an email address, trying (like
+ * Thunderbird):
+ * 1. Mozilla autoconfig files published by the domain
+ *    (autoconfig.<domain> and /.well-known/autoconfig)
+ * 2. The Thunderbird ISP database, for the domain and then for the domain
+ *    of its MX server (e.g. domains hosted by Google or Microsoft)
+ * 3. SRV records (RFC 6186/8314: _imaps, _imap, _submissions, _submission)
+ * 4. Well-known host names (imap.<domain>, mail.<domain>, ...) that resolve
+ */
+
+const dns = require('dns').promises;
+const { DOMParser } = require('@xmldom/xmldom');
+const config = require('../config');
+const { isAllowedHost } = require('./network');
+
+// Timeout for each autoconfig request and DNS query
+const LOOKUP_TIMEOUT = 10000;
+
+// Redirects followed for each autoconfig request
+const MAX_REDIRECTS = 3;
+
+// Guessed host names and ports, in order of preference
+const DEFAULT_SERVERS = {
+  imap: { hosts: ['imap', 'mail', ''], port: 993, secure: true },
+  smtp: { hosts: ['smtp', 'mail', ''], port: 465, secure: true },
+};
+
+/**
+ * Check an email address and get its domain
+ *
+ * Only public-looking domain names are accepted, since requests are made to
+ * hosts under them.
+ *
+ * @returns {string|null} - Lowercase domain, or null if the address is invalid
+ */
+function emailDomain(email) {
+  const match = /^[^@\s]+@([a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,})$/i.exec(String(email || '').trim());
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Fill in the placeholders of an autoconfig username
+ */
+function expandPlaceholders(text, email) {
+  const [localPart, domain] = email.split('@');
+  return text
+    .replace(/%EMAILADDRESS%/g, email)
+    .replace(/%EMAILLOCALPART%/g, localPart)
+    .replace(/%EMAILDOMAIN%/g, domain);
+}
+
+/**
+ * Text of the first child element with this name
+ */
+function childText(element, name) {
+  const child = Array.from(element.childNodes).find(node => node.nodeType === 1 && node.localName === name);
+  return child ? child.textContent.trim() : '';
+}
+
+/**
+ * Read a Mozilla autoconfig file (config-v1.1.xml)
+ *
+ * Of the servers listed, SSL/TLS ones are preferred over STARTTLS and plain
+ * ones; otherwise the file's order is kept.
+ *
+ * @returns {Object|null} - { imap, smtp, username, authType }, or null if the
+ *   file doesn't describe both an IMAP and an SMTP server
+ */
+function parseAutoconfig(xml, email) {
+  let invalid = false;
+  const doc = new DOMParser({
+    errorHandler: {
+      warning: () => {},
+      error: () => { invalid = true; },
+      fatalError: () => { invalid = true; },
+    },
+  }).parseFromString(xml, 'text/xml');
+
+  if (invalid || !doc || !doc.documentElement || doc.documentElement.localName !== 'clientConfig') {
+    return null;
+  }
+
+  const pickServer = (tagName, type) => {
+    const servers = Array.from(doc.getElementsByTagName(tagName))
+      .filter(element => element.getAttribute('type') === type)
+      .map(element => ({
+        host: expandPlaceholders(childText(element, 'hostname'), email),
+        port: parseInt(childText(element, 'port')),
+        socketType: childText(element, 'socketType'),
+        username: expandPlaceholders(childText(element, 'username'), email),
+        authentication: Array.from(element.getElementsByTagName('authentication'))
+          .map(node => node.textContent.trim()),
+      }))
+      .filter(server => server.host && server.port);
+    return servers.find(server => server.socketType === 'SSL') || servers[0] || null;
+  };
+
+  const imap = pickServer('incomingServer', 'imap');
+  const smtp = pickServer('outgoingServer', 'smtp');
+  if (!imap || !smtp) {
+    return null;
+  }
+
+  // Providers that only take OAuth2 logins list no password method
+  const oauthOnly = imap.authentication.includes('OAuth2') &&
+    !imap.authentication.some(method => method.startsWith('password'));
+
+  return {
+    imap: { host: imap.host, port: imap.port, secure: imap.socketType === 'SSL' },
+    smtp: { host: smtp.host, port: smtp.port, secure: smtp.socketType === 'SSL' },
+    username: imap.username || email,
+    authType: oauthOnly ? 'oauth2' : 'password',
+  };
+}
+
+/**
+ * Fetch and read an autoconfig file
+ *
+ * Files published by the domain are only fetched from public addresses
+ * (see isAllowedHost), redirects included; the settings database
+ * (MAIL_AUTOCONFIG_URL) is set by the admin and trusted.
+ *
+ * @param {boolean} checkHosts - Refuse hosts on private addresses
+ * @returns {Promise<Object|null>} - Settings, or null if there's no usable file
+ */
+async function fetchAutoconfig(url, email, checkHosts = true) {
+  try {
+    let response;
+    for (let redirects = 0; ; redirects++) {
+      if (checkHosts && !(await isAllowedHost(new URL(url).hostname))) {
+        return null;
+      }
+      response = await fetch(url, { redirect: 'manual', signal: AbortSignal.timeout(LOOKUP_TIMEOUT) });
+
+      const location = response.headers.get('location');
+      if (response.status < 300 || response.status >= 400 || !location || redirects >= MAX_REDIRECTS) {
+        break;
+      }
+      url = new URL(location, url).href;
+    }
+
+    if (!response.ok) {
+      return null;
+    }
+    return parseAutoconfig(await response.text(), email);
+  } catch (error) {
+    // Not reachable (no such host, no HTTPS, timeout, ...)
+    return null;
+  }
+}
+
+/**
+ * Run a DNS query, with null instead of "not found" errors
+ */
+async function resolveOrNull(query) {
+  try {
+    return await Promise.race([
+      query,
+      new Promise((resolve, reject) => setTimeout(() => reject(new Error('DNS timeout')), LOOKUP_TIMEOUT).unref()),
+    ]);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Registrable domain of a host name (approximated as its last two labels,
+ * e.g. "aspmx.l.google.com" → "google.com")
+ */
+function baseDomain(host) {
+  return host.replace(/\.$/, '').split('.').slice(-2).join('.').toLowerCase();
+}
+
+/**
+ * Look for autoconfig files (the domain's own, then the ISP database)
+ */
+async function discoverAutoconfig(email, domain) {
+  const query = `emailaddress=${encodeURIComponent(email)}`;
+  const urls = [
+    `https://autoconfig.${domain}/mail/config-v1.1.xml?${query}`,
+    `https://${domain}/.well-known/autoconfig/mail/config-v1.1.xml?${query}`,
+  ];
+
+  for (const url of urls) {
+    const settings = await fetchAutoconfig(url, email);
+    if (settings) {
+      return settings;
+    }
+  }
+
+  const listed = await fetchAutoconfig(`${config.autoconfigUrl}${domain}`, email, false);
+  if (listed) {
+    return listed;
+  }
+
+  // Domains with mail hosted elsewhere: try the mail host's provider
+  const mx = await resolveOrNull(dns.resolveMx(domain));
+  if (mx && mx.length > 0) {
+    const primary = mx.sort((a, b) => a.priority - b.priority)[0].exchange;
+    const provider = baseDomain(primary);
+    if (provider !== domain) {
+      return fetchAutoconfig(`${config.autoconfigUrl}${provider}`, email, false);
+    }
+  }
+  return null;
+}
+
+/**
+ * First usable SRV record of the given services
+ *
+ * @param {Array<Object>} services - { name (e.g. "_imaps._tcp"), secure }
+ * @returns {Promise<Object|null>} - { host, port, secure }
+ */
+async function findSrvServer(domain, services) {
+  for (const service of services) {
+    const records = await resolveOrNull(dns.resolveSrv(`${service.name}.${domain}`));
+    // A target of "." means the service isn't offered
+    const record = (records || [])
+      .filter(srv => srv.name && srv.name !== '.')
+      .sort((a, b) => a.priority - b.priority || b.weight - a.weight)[0];
+    if (record) {
+      return { host: record.name.replace(/\.$/, ''), port: record.port, secure: service.secure };
+    }
+  }
+  return null;
+}
+
+/**
+ * Look for SRV records of the mail services (RFC 6186, with the implicit
+ * TLS ones from RFC 8314 first)
+ */
+async function discoverSrv(email, domain) {
+  const imap = await findSrvServer(domain, [
+    { name: '_imaps._tcp', secure: true },
+    { name: '_imap._tcp', secure: false },
+  ]);
+  const smtp = await findSrvServer(domain, [
+    { name: '_submissions._tcp', secure: true },
+    { name: '_submission._tcp', secure: false },
+  ]);
+
+  if (!imap || !smtp) {
+    return null;
+  }
+  return { imap, smtp, username: email, authType: 'password' };
+}
+
+/**
+ * Guess the usual host names, keeping the first one that resolves
+ */
+async function discoverDefaults(email, domain) {
+  const guess = async ({ hosts, port, secure }) => {
+    for (const prefix of hosts) {
+      const host = prefix ? `${prefix}.${domain}` : domain;
+      if (await resolveOrNull(dns.lookup(host))) {
+        return { host, port, secure };
+      }
+    }
+    return null;
+  };
+
+  const imap = await guess(DEFAULT_SERVERS.imap);
+  const smtp = await guess(DEFAULT_SERVERS.smtp);
+  if (!imap || !smtp) {
+    return null;
+  }
+  return { imap, smtp, username: email, authType: 'password' };
+}
+
+/**
+ * Find the mail server settings for an email address
+ *
+ * Guessed settings are only a starting point - check them with a
+ * connection test.
+ *
+ * @returns {Promise<Object|null>} - { source ('autoconfig', 'srv' or 'guess'),
+ *   imap: { host, port, secure }, smtp: { host, port, secure }, username,
+ *   authType ('password' or 'oauth2') }, or null if nothing was found
+ */
+async function discoverSettings(email) {
+  const domain = emailDomain(email);
+  if (!domain) {
+    return null;
+  }
+
+  const methods = [
+    ['autoconfig', discoverAutoconfig],
+    ['srv', discoverSrv],
+    ['guess', discoverDefaults],
+  ];
+  for (const [source, discover] of methods) {
+    const settings = await discover(email.trim(), domain);
+    if (settings) {
+      return { source, ...settings };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  emailDomain,
+  parseAutoconfig,
+  discoverSettings,
+};
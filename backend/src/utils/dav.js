@@ -0,0 +1,343 @@
+/**
+ * WebDAV utilities
+ *
+ * Shared helpers for the CalDAV (and CardDAV) endpoints:
+ * - Parsing XML request bodies (PROPFIND, REPORT, PROPPATCH)
+ * - Building 207 Multi-Status responses
+ *
+ * Properties are identified in Clark notation: "{namespace}name",
+ * e.g. "{DAV:}displayname".
+ */
+
+const crypto = require('crypto');
+const { DOMParser } = require('@xmldom/xmldom');
+
+const NS = {
+  DAV: 'DAV:',
+  CALDAV: 'urn:ietf:params:xml:ns:caldav',
+  CARDDAV: 'urn:ietf:params:xml:ns:carddav',
+  CALENDARSERVER: 'http://calendarserver.org/ns/',
+};
+
+// Prefixes used in our responses
+const PREFIXES = {
+  [NS.DAV]: 'd',
+  [NS.CALDAV]: 'c',
+  [NS.CARDDAV]: 'card',
+  [NS.CALENDARSERVER]: 'cs',
+};
+
+/**
+ * Escape text for use in XML
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\r/g, '&#13;');
+}
+
+/**
+ * Parse an XML request body
+ *
+ * @param {string} body - Raw request body
+ * @returns {Document|null} - Parsed document, or null for an empty body
+ * @throws {Error} - With status 400 if the XML is malformed
+ */
+function parseXml(body) {
+  if (!body || typeof body !== 'string' || !body.trim()) {
+    return null;
+  }
+
+  let parseError = null;
+  const doc = new DOMParser({
+    errorHandler: {
+      warning: () => {},
+      error: (message) => { parseError = message; },
+      fatalError: (message) => { parseError = message; },
+    },
+  }).parseFromString(body, 'text/xml');
+
+  if (parseError || !doc || !doc.documentElement) {
+    const error = new Error('Invalid XML request body');
+    error.status = 400;
+    throw error;
+  }
+
+  return doc;
+}
+
+/**
+ * Clark notation name of an element ("{namespace}localName")
+ */
+function clarkName(element) {
+  return `{${element.namespaceURI || ''}}${element.localName}`;
+}
+
+/**
+ * Child elements of an element (skipping text and comments)
+ */
+function childElements(element) {
+  const children = [];
+  for (let node = element.firstChild; node; node = node.nextSibling) {
+    if (node.nodeType === 1) {
+      children.push(node);
+    }
+  }
+  return children;
+}
+
+/**
+ * All descendant elements with a namespace and local name
+ */
+function findElements(root, namespace, name) {
+  return Array.from(root.getElementsByTagNameNS(namespace, name));
+}
+
+/**
+ * First descendant element with a namespace and local name
+ */
+function findElement(root, namespace, name) {
+  return findElements(root, namespace, name)[0] || null;
+}
+
+/**
+ * Read the property names requested by a PROPFIND or REPORT body
+ *
+ * @param {Document|null} doc - Parsed request body
+ * @returns {Object} - { allprop: boolean, props: Array<string> } (Clark names)
+ */
+function getRequestedProps(doc) {
+  if (!doc) {
+    // An empty PROPFIND body means allprop
+    return { allprop: true, props: [] };
+  }
+
+  if (findElement(doc, NS.DAV, 'allprop') || findElement(doc, NS.DAV, 'propname')) {
+    return { allprop: true, props: [] };
+  }
+
+  const prop = findElement(doc, NS.DAV, 'prop');
+  return {
+    allprop: !prop,
+    props: prop ? childElements(prop).map(clarkName) : [],
+  };
+}
+
+/**
+ * Read the property names requested by a PROPFIND request
+ *
+ * @param {Object} req - Express request (body parsed as text)
+ * @returns {Array<string>|null} - Clark names, or null for allprop
+ */
+function requestedProps(req) {
+  const { allprop, props } = getRequestedProps(parseXml(req.body));
+  return allprop ? null : props;
+}
+
+/**
+ * Serialize an element name in Clark notation, declaring unknown namespaces inline
+ */
+function elementName(clark) {
+  const match = /^\{(.*)\}(.+)$/.exec(clark);
+  const namespace = match ? match[1] : '';
+  const name = match ? match[2] : clark;
+  const prefix = PREFIXES[namespace];
+
+  if (prefix) {
+    return { open: `${prefix}:${name}`, close: `${prefix}:${name}` };
+  }
+  return { open: `x:${name} xmlns:x="${escapeXml(namespace)}"`, close: `x:${name}` };
+}
+
+/**
+ * Build an XML element for a property
+ *
+ * @param {string} clark - Property name in Clark notation
+ * @param {string} value - Inner XML (already escaped), or empty for no content
+ */
+function propElement(clark, value) {
+  const name = elementName(clark);
+  return value ? `<${name.open}>${value}</${name.close}>` : `<${name.open}/>`;
+}
+
+/**
+ * Build a 207 Multi-Status response body
+ *
+ * Each response is either
+ * - { href, props, requested }: props maps Clark names to inner XML, and
+ *   requested lists the props the client asked for (null = all of them).
+ *   Requested props we don't have are returned with 404.
+ * - { href, status }: a bare status (e.g. "HTTP/1.1 404 Not Found")
+ *
+ * @param {Array<Object>} responses - Responses as described above
+ * @returns {string} - XML document
+ */
+function multistatus(responses) {
+  const namespaces = Object.entries(PREFIXES)
+    .map(([namespace, prefix]) => `xmlns:${prefix}="${namespace}"`)
+    .join(' ');
+
+  const body = responses.map(response => {
+    let inner = `<d:href>${escapeXml(response.href)}</d:href>`;
+
+    if (response.status) {
+      inner += `<d:status>${response.status}</d:status>`;
+    } else {
+      const names = response.requested || Object.keys(response.props);
+      const found = names.filter(name => response.props[name] !== undefined);
+      const missing = names.filter(name => response.props[name] === undefined);
+      const missingStatus = response.missingStatus || 'HTTP/1.1 404 Not Found';
+
+      if (found.length > 0) {
+        inner += '<d:propstat><d:prop>'
+          + found.map(name => propElement(name, response.props[name])).join('')
+          + '</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat>';
+      }
+      if (missing.length > 0) {
+        inner += '<d:propstat><d:prop>'
+          + missing.map(name => propElement(name, '')).join('')
+          + `</d:prop><d:status>${missingStatus}</d:status></d:propstat>`;
+      }
+    }
+
+    return `<d:response>${inner}</d:response>`;
+  }).join('');
+
+  return `<?xml version="1.0" encoding="utf-8"?>\n<d:multistatus ${namespaces}>${body}</d:multistatus>`;
+}
+
+/**
+ * Send a 207 Multi-Status response
+ */
+function sendMultistatus(res, responses) {
+  res.status(207);
+  res.set('Content-Type', 'application/xml; charset=utf-8');
+  res.send(multistatus(responses));
+}
+
+/**
+ * Send a DAV error with a precondition element (e.g. "{DAV:}supported-report")
+ */
+function sendDavError(res, status, precondition, inner = '') {
+  const namespaces = Object.entries(PREFIXES)
+    .map(([namespace, prefix]) => `xmlns:${prefix}="${namespace}"`)
+    .join(' ');
+
+  res.status(status);
+  res.set('Content-Type', 'application/xml; charset=utf-8');
+  res.send(`<?xml version="1.0" encoding="utf-8"?>\n<d:error ${namespaces}>${propElement(precondition, inner)}</d:error>`);
+}
+
+/**
+ * Answer a PROPPATCH by refusing every property
+ *
+ * Our collection properties are read-only, but clients try to set e.g. a
+ * color. A 403 per property tells them to keep their own value.
+ */
+function refuseProppatch(req, res, next) {
+  try {
+    const doc = parseXml(req.body);
+    const names = doc
+      ? findElements(doc, NS.DAV, 'prop').flatMap(prop => childElements(prop).map(clarkName))
+      : [];
+
+    sendMultistatus(res, [{
+      href: req.originalUrl,
+      props: {},
+      requested: names,
+      missingStatus: 'HTTP/1.1 403 Forbidden',
+    }]);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Build an <href> value
+ */
+function hrefElement(href) {
+  return `<d:href>${escapeXml(href)}</d:href>`;
+}
+
+/**
+ * Resource name (last path segment) of an href, e.g. "abc.ics"
+ */
+function hrefResourceName(href) {
+  const segment = href.trim().split('/').filter(Boolean).pop() || '';
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+}
+
+/**
+ * Compute a strong ETag for resource content
+ */
+function etag(content) {
+  return `"${crypto.createHash('md5').update(content).digest('hex')}"`;
+}
+
+/**
+ * Check If-Match / If-None-Match preconditions for a write
+ *
+ * @param {Object} req - Express request
+ * @param {string|null} currentEtag - ETag of the existing resource (null if none)
+ * @returns {boolean} - True if the write may go ahead
+ */
+function checkPreconditions(req, currentEtag) {
+  const ifMatch = req.headers['if-match'];
+  const ifNoneMatch = req.headers['if-none-match'];
+
+  if (ifMatch) {
+    if (!currentEtag) {
+      return false;
+    }
+    if (ifMatch.trim() !== '*' && !ifMatch.split(',').map(value => value.trim()).includes(currentEtag)) {
+      return false;
+    }
+  }
+
+  if (ifNoneMatch && currentEtag) {
+    if (ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').map(value => value.trim()).includes(currentEtag)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Depth header as a number (0 or 1; "infinity" is treated as 1)
+ */
+function getDepth(req, defaultDepth = 0) {
+  const depth = req.headers.depth;
+  if (depth === undefined) {
+    return defaultDepth;
+  }
+  return depth === '0' ? 0 : 1;
+}
+
+module.exports = {
+  NS,
+  escapeXml,
+  parseXml,
+  childElements,
+  findElement,
+  findElements,
+  clarkName,
+  getRequestedProps,
+  requestedProps,
+  multistatus,
+  sendMultistatus,
+  sendDavError,
+  refuseProppatch,
+  hrefElement,
+  hrefResourceName,
+  etag,
+  checkPreconditions,
+  getDepth,
+};
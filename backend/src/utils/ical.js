@@ -0,0 +1,713 @@
+/**
+ * iCalendar utilities
+ *
+ * Parses and generates iCalendar (RFC 5545) data, and converts between
+ * VEVENT components and our calendar event objects.
+ *
+ * Our events store a floating date and time (no timezone), so times from
+ * other calendars are converted into the user's timezone on import, and
+ * exported as floating local times.
+ */
+
+const crypto = require('crypto');
+const { addDays } = require('./recurrence');
+
+const PRODUCT_ID = '-//All-in-One PWA//Calendar//EN';
+
+// Lines longer than this (in bytes) must be folded
+const MAX_LINE_LENGTH = 75;
+
+/**
+ * Unfold content lines (continuation lines start with a space or tab)
+ */
+function unfoldLines(text) {
+  return text
+    .replace(/\r\n[ \t]/g, '')
+    .replace(/\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .filter(line => line.trim() !== '');
+}
+
+/**
+ * Parse a single content line: NAME;PARAM=value;PARAM="quoted":VALUE
+ *
+ * @param {string} line - Unfolded content line
+ * @returns {Object|null} - { name, group, params, value } or null if malformed
+ */
+function parseContentLine(line) {
+  let inQuotes = false;
+  let colonIndex = -1;
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      colonIndex = i;
+      break;
+    }
+  }
+
+  if (colonIndex === -1) {
+    return null;
+  }
+
+  const head = line.slice(0, colonIndex);
+  const value = line.slice(colonIndex + 1);
+
+  // Split parameters on semicolons outside quotes
+  const segments = [];
+  let current = '';
+  inQuotes = false;
+  for (const char of head) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+      current += char;
+    } else if (char === ';' && !inQuotes) {
+      segments.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  segments.push(current);
+
+  // vCard allows a "group." prefix on property names
+  let name = segments.shift().toUpperCase();
+  let group = null;
+  const dotIndex = name.indexOf('.');
+  if (dotIndex !== -1) {
+    group = name.slice(0, dotIndex);
+    name = name.slice(dotIndex + 1);
+  }
+
+  const params = {};
+  for (const segment of segments) {
+    const equalsIndex = segment.indexOf('=');
+    if (equalsIndex === -1) {
+      // vCard 2.1 style bare parameter (e.g. "TEL;CELL:...")
+      params.TYPE = params.TYPE ? `${params.TYPE},${segment}` : segment;
+      continue;
+    }
+    const paramName = segment.slice(0, equalsIndex).toUpperCase();
+    const paramValue = segment.slice(equalsIndex + 1).replace(/^"|"$/g, '');
+    params[paramName] = params[paramName] ? `${params[paramName]},${paramValue}` : paramValue;
+  }
+
+  return { name, group, params, value };
+}
+
+/**
+ * Parse iCalendar (or vCard) text into a tree of components
+ *
+ * @param {string} text - Raw .ics/.vcf data
+ * @returns {Array<Object>} - Top-level components: { name, properties, components }
+ * @throws {Error} - If BEGIN/END blocks don't match
+ */
+function parseComponents(text) {
+  const root = { name: null, properties: [], components: [] };
+  const stack = [root];
+
+  for (const line of unfoldLines(text)) {
+    const property = parseContentLine(line);
+    if (!property) {
+      continue;
+    }
+
+    const current = stack[stack.length - 1];
+
+    if (property.name === 'BEGIN') {
+      const component = { name: property.value.trim().toUpperCase(), properties: [], components: [] };
+      current.components.push(component);
+      stack.push(component);
+    } else if (property.name === 'END') {
+      if (stack.length === 1 || current.name !== property.value.trim().toUpperCase()) {
+        throw new Error(`Invalid calendar data: unexpected END:${property.value}`);
+      }
+      stack.pop();
+    } else {
+      current.properties.push(property);
+    }
+  }
+
+  if (stack.length !== 1) {
+    throw new Error(`Invalid calendar data: missing END:${stack[stack.length - 1].name}`);
+  }
+
+  return root.components;
+}
+
+/**
+ * Get the first property with a name
+ */
+function getProperty(component, name) {
+  return component.properties.find(property => property.name === name) || null;
+}
+
+/**
+ * Get all properties with a name
+ */
+function getProperties(component, name) {
+  return component.properties.filter(property => property.name === name);
+}
+
+/**
+ * Unescape a TEXT value (\n, \, \; \\)
+ */
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Escape a TEXT value
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets without splitting UTF-8 characters
+ */
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= MAX_LINE_LENGTH) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let currentLength = 0;
+
+  for (const char of line) {
+    const charLength = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = parts.length === 0 ? MAX_LINE_LENGTH : MAX_LINE_LENGTH - 1;
+    if (currentLength + charLength > limit) {
+      parts.push(current);
+      current = '';
+      currentLength = 0;
+    }
+    current += char;
+    currentLength += charLength;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a content line
+ *
+ * @param {string} name - Property name
+ * @param {Object} params - Parameters ({ VALUE: 'DATE' })
+ * @param {string} value - Already escaped value
+ * @returns {string} - Folded content line
+ */
+function formatContentLine(name, params, value) {
+  let line = name;
+  for (const [paramName, paramValue] of Object.entries(params || {})) {
+    // vCard TYPE lists ("CELL,VOICE") are written unquoted
+    const needsQuotes = /[:;]/.test(paramValue) || (paramName !== 'TYPE' && paramValue.includes(','));
+    line += `;${paramName}=${needsQuotes ? `"${paramValue}"` : paramValue}`;
+  }
+  return foldLine(`${line}:${value}`);
+}
+
+/**
+ * Serialize a component tree back into text (CRLF line endings)
+ *
+ * Properties are { name, group, params, value } with value already escaped
+ * (group is optional, for vCard "item1.TEL" style names).
+ */
+function formatComponent(component) {
+  const lines = [`BEGIN:${component.name}`];
+  for (const property of component.properties) {
+    const name = property.group ? `${property.group}.${property.name}` : property.name;
+    lines.push(formatContentLine(name, property.params, property.value));
+  }
+  for (const child of component.components || []) {
+    lines.push(formatComponent(child));
+  }
+  lines.push(`END:${component.name}`);
+  return lines.join('\r\n');
+}
+
+/**
+ * Check whether a timezone name is a valid IANA zone (e.g. "Europe/Berlin")
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Server's default timezone, used when the client doesn't send one
+ */
+function defaultTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Wall clock date and time of an instant in a timezone
+ *
+ * @param {Date} instant - Point in time
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} - { date: 'YYYY-MM-DD', time: 'HH:MM' }
+ */
+function utcToZoned(instant, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(instant).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    seconds: parts.second,
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds
+ */
+function timeZoneOffset(instant, timeZone) {
+  const zoned = utcToZoned(new Date(instant), timeZone);
+  const asUtc = Date.parse(`${zoned.date}T${zoned.time}:${zoned.seconds}Z`);
+  return asUtc - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * Convert a wall clock date and time in a timezone to a UTC instant
+ *
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {string} time - Time (HH:MM or HH:MM:SS)
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} - Point in time
+ */
+function zonedToUtc(date, time, timeZone) {
+  const guess = Date.parse(`${date}T${time.length === 5 ? `${time}:00` : time}Z`);
+  const offset = timeZoneOffset(guess, timeZone);
+  let instant = guess - offset;
+
+  // Correct for DST changes between the guess and the result
+  const correctedOffset = timeZoneOffset(instant, timeZone);
+  if (correctedOffset !== offset) {
+    instant = guess - correctedOffset;
+  }
+
+  return new Date(instant);
+}
+
+/**
+ * Parse a DATE or DATE-TIME property into our date/time fields
+ *
+ * UTC times and times with a known TZID are converted to `timeZone`.
+ * Floating times (and unknown TZIDs) are taken as they are.
+ *
+ * @param {Object} property - Parsed property
+ * @param {string} timeZone - Target IANA timezone
+ * @returns {Object|null} - { date, time } (time is null for all-day values)
+ */
+function parseDateProperty(property, timeZone) {
+  return parseDateValue(property.value.trim(), property.params, timeZone);
+}
+
+/**
+ * Parse a single DATE or DATE-TIME value (see parseDateProperty)
+ */
+function parseDateValue(value, params, timeZone) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value);
+  if (!match) {
+    return null;
+  }
+
+  const date = `${match[1]}-${match[2]}-${match[3]}`;
+
+  if (!match[4] || (params && params.VALUE === 'DATE')) {
+    return { date, time: null };
+  }
+
+  const time = `${match[4]}:${match[5]}`;
+  const seconds = match[6] || '00';
+
+  if (match[7]) {
+    return utcToZoned(new Date(`${date}T${time}:${seconds}Z`), timeZone);
+  }
+
+  const sourceZone = params && params.TZID ? params.TZID.replace(/^\//, '') : null;
+  if (sourceZone && sourceZone !== timeZone && isValidTimeZone(sourceZone)) {
+    return utcToZoned(zonedToUtc(date, `${time}:${seconds}`, sourceZone), timeZone);
+  }
+
+  return { date, time };
+}
+
+/**
+ * Parse an iCalendar duration (e.g. "-PT15M", "P1DT2H") into milliseconds
+ */
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const total = ((((parseInt(weeks || 0, 10) * 7 + parseInt(days || 0, 10)) * 24
+    + parseInt(hours || 0, 10)) * 60 + parseInt(minutes || 0, 10)) * 60
+    + parseInt(seconds || 0, 10)) * 1000;
+
+  return sign === '-' ? -total : total;
+}
+
+/**
+ * Format milliseconds as an iCalendar duration (e.g. "-PT15M")
+ */
+function formatDuration(milliseconds) {
+  const sign = milliseconds < 0 ? '-' : '';
+  let remaining = Math.round(Math.abs(milliseconds) / 1000);
+
+  const days = Math.floor(remaining / 86400);
+  remaining -= days * 86400;
+  const hours = Math.floor(remaining / 3600);
+  remaining -= hours * 3600;
+  const minutes = Math.floor(remaining / 60);
+  const seconds = remaining - minutes * 60;
+
+  let result = `${sign}P${days ? `${days}D` : ''}`;
+  if (hours || minutes || seconds || !days) {
+    result += 'T';
+    if (hours) result += `${hours}H`;
+    if (minutes) result += `${minutes}M`;
+    if (seconds || (!hours && !minutes)) result += `${seconds}S`;
+  }
+  return result;
+}
+
+/**
+ * Format a UTC timestamp as an iCalendar UTC DATE-TIME (YYYYMMDDTHHMMSSZ)
+ *
+ * Accepts Date objects and SQLite timestamps ("YYYY-MM-DD HH:MM:SS", UTC).
+ */
+function formatUtc(value) {
+  const date = value instanceof Date ? value : new Date(`${String(value).replace(' ', 'T')}Z`);
+  const valid = isNaN(date.getTime()) ? new Date() : date;
+  return valid.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Format our date (and optional time) as an iCalendar DATE or floating DATE-TIME
+ */
+function formatLocal(date, time) {
+  const compactDate = date.replace(/-/g, '');
+  if (!time) {
+    return { params: { VALUE: 'DATE' }, value: compactDate };
+  }
+  return { params: {}, value: `${compactDate}T${time.replace(/:/g, '').padEnd(6, '0').slice(0, 6)}` };
+}
+
+/**
+ * Generate a new event UID
+ */
+function generateUid() {
+  return `${crypto.randomUUID()}@all-in-one-pwa`;
+}
+
+/**
+ * Convert a calendar event into a VEVENT component
+ *
+ * @param {Object} event - Event object from calendarService
+ * @param {Object} options - { timeZone, uid, recurrenceDate, parentStartTime, skipExdates }
+ *   - uid: UID to use (modified occurrences use their series' UID)
+ *   - recurrenceDate/parentStartTime: set RECURRENCE-ID for modified occurrences
+ *   - skipExdates: EXDATEs not to export (dates with a modified occurrence)
+ * @returns {Object} - VEVENT component
+ */
+function eventToVEvent(event, options = {}) {
+  const timeZone = options.timeZone || defaultTimeZone();
+  const properties = [];
+  const add = (name, value, params = {}) => properties.push({ name, params, value });
+
+  add('UID', escapeText(options.uid || event.uid || `event-${event.id}@all-in-one-pwa`));
+  add('DTSTAMP', formatUtc(event.updatedAt || new Date()));
+  if (event.createdAt) {
+    add('CREATED', formatUtc(event.createdAt));
+  }
+  if (event.updatedAt) {
+    add('LAST-MODIFIED', formatUtc(event.updatedAt));
+  }
+
+  const start = formatLocal(event.date, event.startTime);
+  add('DTSTART', start.value, start.params);
+
+  if (event.startTime && event.endTime && event.endTime > event.startTime) {
+    const end = formatLocal(event.date, event.endTime);
+    add('DTEND', end.value, end.params);
+  } else if (!event.startTime) {
+    // All-day events end (exclusively) on the next day
+    const end = formatLocal(addDays(event.date, 1));
+    add('DTEND', end.value, end.params);
+  }
+
+  if (options.recurrenceDate) {
+    const recurrenceId = formatLocal(options.recurrenceDate, options.parentStartTime);
+    add('RECURRENCE-ID', recurrenceId.value, recurrenceId.params);
+  }
+
+  add('SUMMARY', escapeText(event.title));
+  if (event.description) {
+    add('DESCRIPTION', escapeText(event.description));
+  }
+  if (event.location) {
+    add('LOCATION', escapeText(event.location));
+  }
+
+  if (event.rrule) {
+    // UNTIL must have the same value type as DTSTART
+    const rrule = event.startTime
+      ? event.rrule.replace(/UNTIL=(\d{8})(?!T)/, 'UNTIL=$1T235959')
+      : event.rrule;
+    add('RRULE', rrule);
+
+    const skip = new Set(options.skipExdates || []);
+    const exdates = (event.exdates || []).filter(date => !skip.has(date));
+    if (exdates.length > 0) {
+      const formatted = exdates.map(date => formatLocal(date, event.startTime));
+      add('EXDATE', formatted.map(item => item.value).join(','), formatted[0].params);
+    }
+  }
+
+  const components = [];
+  if (event.reminderTime) {
+    const alarm = [
+      { name: 'ACTION', params: {}, value: 'DISPLAY' },
+      { name: 'DESCRIPTION', params: {}, value: escapeText(event.title) },
+    ];
+    const startInstant = zonedToUtc(event.date, event.startTime || '00:00', timeZone);
+    const offset = new Date(event.reminderTime).getTime() - startInstant.getTime();
+
+    if (isNaN(offset)) {
+      // Unparseable reminder - skip the alarm
+    } else if (event.rrule) {
+      // Recurring events need a relative trigger so every occurrence gets one
+      alarm.unshift({ name: 'TRIGGER', params: {}, value: formatDuration(offset) });
+      components.push({ name: 'VALARM', properties: alarm, components: [] });
+    } else {
+      alarm.unshift({ name: 'TRIGGER', params: { VALUE: 'DATE-TIME' }, value: formatUtc(new Date(event.reminderTime)) });
+      components.push({ name: 'VALARM', properties: alarm, components: [] });
+    }
+  }
+
+  return { name: 'VEVENT', properties, components };
+}
+
+/**
+ * Build a complete VCALENDAR document from events
+ *
+ * Recurring series are exported once with their RRULE. Modified occurrences
+ * are exported as VEVENTs sharing the series UID with a RECURRENCE-ID.
+ *
+ * @param {Array<Object>} events - Unexpanded events from calendarService
+ * @param {Object} options - { timeZone, name }
+ * @returns {string} - iCalendar text
+ */
+function buildCalendar(events, options = {}) {
+  const byId = new Map(events.map(event => [event.id, event]));
+  const overrideDates = new Map();
+
+  for (const event of events) {
+    if (event.recurrenceParentId && byId.has(event.recurrenceParentId)) {
+      const dates = overrideDates.get(event.recurrenceParentId) || [];
+      dates.push(event.recurrenceDate);
+      overrideDates.set(event.recurrenceParentId, dates);
+    }
+  }
+
+  const calendar = {
+    name: 'VCALENDAR',
+    properties: [
+      { name: 'VERSION', params: {}, value: '2.0' },
+      { name: 'PRODID', params: {}, value: PRODUCT_ID },
+      { name: 'CALSCALE', params: {}, value: 'GREGORIAN' },
+    ],
+    components: [],
+  };
+
+  if (options.name) {
+    calendar.properties.push({ name: 'X-WR-CALNAME', params: {}, value: escapeText(options.name) });
+  }
+
+  for (const event of events) {
+    const parent = event.recurrenceParentId ? byId.get(event.recurrenceParentId) : null;
+
+    calendar.components.push(eventToVEvent(event, {
+      timeZone: options.timeZone,
+      uid: parent ? parent.uid : undefined,
+      recurrenceDate: parent ? event.recurrenceDate : null,
+      parentStartTime: parent ? parent.startTime : null,
+      skipExdates: overrideDates.get(event.id),
+    }));
+  }
+
+  return formatComponent(calendar) + '\r\n';
+}
+
+/**
+ * Convert a UTC UNTIL in an RRULE into a date in the given timezone
+ * (our recurrence rules work on whole days)
+ */
+function localizeUntil(rrule, timeZone) {
+  return rrule.replace(/UNTIL=(\d{8}T\d{6}Z)/i, (match, value) => {
+    const local = parseDateValue(value.toUpperCase(), {}, timeZone);
+    return local ? `UNTIL=${local.date.replace(/-/g, '')}` : match;
+  });
+}
+
+/**
+ * Convert a VEVENT component into calendar event data
+ *
+ * @param {Object} component - Parsed VEVENT
+ * @param {Object} options - { timeZone }
+ * @returns {Object} - Event data plus `uid`, `recurrenceId` and `cancelled`
+ * @throws {Error} - If the event has no start date
+ */
+function vEventToEvent(component, options = {}) {
+  const timeZone = options.timeZone || defaultTimeZone();
+  const text = (name) => {
+    const property = getProperty(component, name);
+    return property ? unescapeText(property.value) : null;
+  };
+
+  const startProperty = getProperty(component, 'DTSTART');
+  const start = startProperty ? parseDateProperty(startProperty, timeZone) : null;
+  if (!start) {
+    throw new Error('Event has no valid DTSTART');
+  }
+
+  let endTime = null;
+  const endProperty = getProperty(component, 'DTEND');
+  const durationProperty = getProperty(component, 'DURATION');
+  if (start.time && endProperty) {
+    const end = parseDateProperty(endProperty, timeZone);
+    endTime = end && end.date === start.date ? end.time : null;
+  } else if (start.time && durationProperty) {
+    const duration = parseDuration(durationProperty.value);
+    if (duration) {
+      const end = utcToZoned(new Date(zonedToUtc(start.date, start.time, timeZone).getTime() + duration), timeZone);
+      endTime = end.date === start.date ? end.time : null;
+    }
+  }
+
+  const rruleProperty = getProperty(component, 'RRULE');
+  const exdates = [];
+  for (const property of getProperties(component, 'EXDATE')) {
+    for (const value of property.value.split(',')) {
+      const parsed = parseDateValue(value.trim(), property.params, timeZone);
+      if (parsed) {
+        exdates.push(parsed.date);
+      }
+    }
+  }
+
+  // Only the first alarm is kept - events have a single reminder
+  let reminderTime = null;
+  const alarm = component.components.find(child => child.name === 'VALARM');
+  const trigger = alarm ? getProperty(alarm, 'TRIGGER') : null;
+  if (trigger) {
+    if (trigger.params.VALUE === 'DATE-TIME') {
+      const instant = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(trigger.value.trim());
+      if (instant) {
+        reminderTime = new Date(`${instant[1]}-${instant[2]}-${instant[3]}T${instant[4]}:${instant[5]}:${instant[6]}Z`).toISOString();
+      }
+    } else {
+      const offset = parseDuration(trigger.value);
+      if (offset !== null && trigger.params.RELATED !== 'END') {
+        const startInstant = zonedToUtc(start.date, start.time || '00:00', timeZone);
+        reminderTime = new Date(startInstant.getTime() + offset).toISOString();
+      }
+    }
+  }
+
+  const recurrenceIdProperty = getProperty(component, 'RECURRENCE-ID');
+  const recurrenceId = recurrenceIdProperty ? parseDateProperty(recurrenceIdProperty, timeZone) : null;
+  const status = getProperty(component, 'STATUS');
+
+  return {
+    uid: text('UID'),
+    recurrenceId: recurrenceId ? recurrenceId.date : null,
+    cancelled: !!status && status.value.trim().toUpperCase() === 'CANCELLED',
+    title: text('SUMMARY') || '(No title)',
+    description: text('DESCRIPTION'),
+    location: text('LOCATION'),
+    date: start.date,
+    startTime: start.time,
+    endTime,
+    reminderTime,
+    rrule: rruleProperty ? localizeUntil(rruleProperty.value.trim(), timeZone) : null,
+    exdates: [...new Set(exdates)].sort(),
+  };
+}
+
+/**
+ * Parse all VEVENTs from an iCalendar document
+ *
+ * @param {string} text - iCalendar text
+ * @param {Object} options - { timeZone }
+ * @returns {Array<Object>} - { event, error } per VEVENT (error is set if it couldn't be read)
+ */
+function parseEvents(text, options = {}) {
+  const results = [];
+
+  for (const calendar of parseComponents(text)) {
+    const events = calendar.name === 'VEVENT'
+      ? [calendar]
+      : calendar.components.filter(component => component.name === 'VEVENT');
+
+    for (const component of events) {
+      try {
+        results.push({ event: vEventToEvent(component, options), error: null });
+      } catch (error) {
+        const uid = getProperty(component, 'UID');
+        results.push({ event: null, uid: uid ? uid.value : null, error: error.message });
+      }
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  parseComponents,
+  parseContentLine,
+  getProperty,
+  getProperties,
+  escapeText,
+  unescapeText,
+  formatContentLine,
+  formatComponent,
+  formatUtc,
+  isValidTimeZone,
+  defaultTimeZone,
+  generateUid,
+  eventToVEvent,
+  buildCalendar,
+  vEventToEvent,
+  parseEvents,
+};
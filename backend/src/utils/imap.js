@@ -0,0 +1,343 @@
+/**
+ * IMAP utilities
+ *
+ * Promise wrappers around the callback-based node-imap client, so the
+ * mail service can sync folders with async/await.
+ */
+
+const Imap = require('imap');
+const { buildXOAuth2Token } = require('./oauth2');
+
+/**
+ * Connect and log in to an IMAP server
+ *
+ * Logs in with AUTHENTICATE XOAUTH2 if the configuration has an OAuth2
+ * access token, otherwise with the password.
+ *
+ * @param {Object} config - Email configuration from mailService
+ * @returns {Promise<Imap>} - Connected client (call disconnect() when done)
+ */
+function connect(config) {
+  return new Promise((resolve, reject) => {
+    const imap = new Imap({
+      user: config.username,
+      password: config.accessToken ? undefined : config.password,
+      xoauth2: config.accessToken ? buildXOAuth2Token(config.username, config.accessToken) : undefined,
+      host: config.imapHost,
+      port: config.imapPort,
+      tls: config.imapSecure,
+    });
+
+    const onError = (err) => reject(err);
+    imap.once('error', onError);
+
+    imap.once('ready', () => {
+      imap.removeListener('error', onError);
+      // Errors after login (e.g. the connection dropping) surface as
+      // failed commands - don't let them crash the server
+      imap.on('error', (err) => {
+        console.error('IMAP connection error:', err.message);
+      });
+      resolve(imap);
+    });
+
+    imap.connect();
+  });
+}
+
+/**
+ * Log out and close the connection
+ */
+function disconnect(imap) {
+  if (imap.state !== 'disconnected') {
+    imap.end();
+  }
+}
+
+/**
+ * Flatten a node-imap mailbox tree into a list of folders
+ */
+function flattenBoxes(boxes, parentPath = '') {
+  const folders = [];
+
+  for (const [name, box] of Object.entries(boxes || {})) {
+    const path = parentPath ? parentPath + box.delimiter + name : name;
+    folders.push({
+      path,
+      delimiter: box.delimiter,
+      attribs: box.attribs || [],
+      specialUse: box.special_use_attrib || null,
+    });
+    folders.push(...flattenBoxes(box.children, path));
+  }
+
+  return folders;
+}
+
+/**
+ * List all folders on the server (LIST)
+ *
+ * @returns {Promise<Array<Object>>} - { path, delimiter, attribs, specialUse }
+ */
+function listFolders(imap) {
+  return new Promise((resolve, reject) => {
+    imap.getBoxes((err, boxes) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(flattenBoxes(boxes));
+    });
+  });
+}
+
+/**
+ * List the paths of subscribed folders (LSUB)
+ *
+ * @returns {Promise<Set<string>>}
+ */
+function listSubscribed(imap) {
+  return new Promise((resolve, reject) => {
+    imap.getSubscribedBoxes((err, boxes) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(new Set(flattenBoxes(boxes).map(folder => folder.path)));
+    });
+  });
+}
+
+/**
+ * Open a folder
+ *
+ * @param {boolean} readOnly - EXAMINE instead of SELECT
+ * @returns {Promise<Object>} - node-imap box (uidvalidity, uidnext, messages.total, ...)
+ */
+function openFolder(imap, path, readOnly = true) {
+  return new Promise((resolve, reject) => {
+    imap.openBox(path, readOnly, (err, box) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(box);
+    });
+  });
+}
+
+/**
+ * Search the open folder (UID SEARCH)
+ *
+ * @returns {Promise<Array<number>>} - Matching UIDs
+ */
+function searchUids(imap, criteria) {
+  return new Promise((resolve, reject) => {
+    imap.search(criteria, (err, uids) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(uids);
+    });
+  });
+}
+
+/**
+ * Fetch messages from the open folder by UID
+ *
+ * Bodies are fetched with BODY.PEEK, so this doesn't mark messages as read.
+ *
+ * @param {Array<number>|string} uids - UIDs or a UID range ("1:*")
+ * @param {Object} options - { source: fetch the raw message too, headers: fetch
+ *   only its header, changedSince: only messages whose flags changed after this MODSEQ (CONDSTORE) }
+ * @returns {Promise<Array<Object>>} - { uid, flags, modseq, source (Buffer, if requested) }
+ */
+function fetchMessages(imap, uids, options = {}) {
+  return new Promise((resolve, reject) => {
+    if (Array.isArray(uids) && uids.length === 0) {
+      resolve([]);
+      return;
+    }
+
+    const fetchOptions = {};
+    if (options.source) {
+      fetchOptions.bodies = '';
+    } else if (options.headers) {
+      fetchOptions.bodies = 'HEADER';
+    }
+    if (options.changedSince) {
+      fetchOptions.modifiers = { changedsince: options.changedSince };
+    }
+
+    const messages = [];
+    const fetch = imap.fetch(uids, fetchOptions);
+
+    fetch.on('message', (msg) => {
+      const message = { uid: null, flags: [], modseq: null, source: null };
+      const chunks = [];
+
+      msg.on('body', (stream) => {
+        stream.on('data', (chunk) => chunks.push(chunk));
+      });
+
+      msg.once('attributes', (attributes) => {
+        message.uid = attributes.uid;
+        message.flags = attributes.flags || [];
+        message.modseq = attributes.modseq || null;
+      });
+
+      msg.once('end', () => {
+        if (options.source || options.headers) {
+          message.source = Buffer.concat(chunks);
+        }
+        messages.push(message);
+      });
+    });
+
+    fetch.once('error', reject);
+    fetch.once('end', () => resolve(messages));
+  });
+}
+
+/**
+ * Add or remove a flag on messages in the open folder (UID STORE)
+ *
+ * @param {Array<number>} uids - Message UIDs
+ * @param {string} flag - e.g. "\\Seen"
+ * @param {boolean} value - true to add the flag, false to remove it
+ */
+function storeFlag(imap, uids, flag, value) {
+  return new Promise((resolve, reject) => {
+    if (uids.length === 0) {
+      resolve();
+      return;
+    }
+
+    const store = value ? imap.addFlags : imap.delFlags;
+    store.call(imap, uids, flag, (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Move messages from the open folder to another folder
+ *
+ * Uses UID MOVE (RFC 6851) when the server supports it, otherwise COPY,
+ * then \Deleted and EXPUNGE of just these messages (node-imap keeps other
+ * messages flagged \Deleted from being expunged).
+ *
+ * @param {Array<number>} uids - Message UIDs
+ * @param {string} path - Target folder path
+ */
+function moveMessages(imap, uids, path) {
+  return new Promise((resolve, reject) => {
+    if (uids.length === 0) {
+      resolve();
+      return;
+    }
+
+    try {
+      imap.move(uids, path, (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve();
+      });
+    } catch (error) {
+      // e.g. the server doesn't allow deleting messages in this folder
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Copy messages from the open folder to another folder (UID COPY)
+ *
+ * @param {Array<number>} uids - Message UIDs
+ * @param {string} path - Target folder path
+ */
+function copyMessages(imap, uids, path) {
+  return new Promise((resolve, reject) => {
+    if (uids.length === 0) {
+      resolve();
+      return;
+    }
+
+    imap.copy(uids, path, (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Send EXPUNGE, or UID EXPUNGE for the given UIDs (UIDPLUS)
+ */
+function expunge(imap, uids) {
+  return new Promise((resolve, reject) => {
+    const done = (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve();
+    };
+
+    if (uids) {
+      imap.expunge(uids, done);
+    } else {
+      imap.expunge(done);
+    }
+  });
+}
+
+/**
+ * Permanently delete messages from the open folder
+ *
+ * Flags them \Deleted and expunges them. Without UIDPLUS, EXPUNGE removes
+ * every message flagged \Deleted, so messages deleted by other clients are
+ * unflagged while it runs and flagged again afterwards.
+ *
+ * @param {Array<number>} uids - Message UIDs
+ */
+async function expungeMessages(imap, uids) {
+  if (uids.length === 0) {
+    return;
+  }
+
+  await storeFlag(imap, uids, '\\Deleted', true);
+
+  if (imap.serverSupports('UIDPLUS')) {
+    await expunge(imap, uids);
+    return;
+  }
+
+  const others = (await searchUids(imap, ['DELETED'])).filter(uid => !uids.includes(uid));
+  await storeFlag(imap, others, '\\Deleted', false);
+  await expunge(imap, null);
+  await storeFlag(imap, others, '\\Deleted', true);
+}
+
+module.exports = {
+  connect,
+  disconnect,
+  listFolders,
+  listSubscribed,
+  openFolder,
+  searchUids,
+  fetchMessages,
+  storeFlag,
+  moveMessages,
+  copyMessages,
+  expungeMessages,
+};
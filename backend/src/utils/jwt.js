@@ -7,8 +7,10 @@
  * We use two types of tokens:
  * 1. Access tokens - Short-lived (15 min), used for API requests
  * 2. Refresh tokens - Long-lived (7 days), used to get new access tokens
+ *    (each one works once - see authService.refreshAccessToken)
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const config = require('../config');
 
@@ -35,9 +37,11 @@ function generateAccessToken(userId) {
 /**
  * Generate refresh token
  * 
- * Refresh tokens are long-lived and stored in database
+ * Refresh tokens are long-lived and stored in database (as a hash)
  * They're used to get new access tokens without re-login
  * 
+ * Each gets a random ID, so tokens issued in the same second differ.
+ * 
  * @param {number} userId - User ID
  * @returns {string} - JWT refresh token
  */
@@ -45,10 +49,22 @@ function generateRefreshToken(userId) {
   return jwt.sign(
     { userId },
     config.jwtRefreshSecret,
-    { expiresIn: config.jwtRefreshExpiration }
+    { expiresIn: config.jwtRefreshExpiration, jwtid: crypto.randomBytes(16).toString('hex') }
   );
 }
 
+/**
+ * Hash a refresh token for storage (SHA-256, hex)
+ * 
+ * The database only keeps hashes, so a leaked copy of it can't be used to log in.
+ * 
+ * @param {string} token - JWT refresh token
+ * @returns {string} - 64 hex characters
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
 /**
  * Verify access token
  * 
@@ -84,4 +100,5 @@ module.exports = {
   generateRefreshToken,
   verifyAccessToken,
   verifyRefreshToken,
+  hashToken,
 };
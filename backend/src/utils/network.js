@@ -0,0 +1,82 @@
+/**
+ * Network address checks
+ *
+ * Users can make the server connect to hosts they choose (mail servers,
+ * OAuth2 token endpoints, autoconfig files). Those connections must not
+ * reach the server itself or its local network - unless the admin allows
+ * it (MAIL_ALLOW_PRIVATE_HOSTS, e.g. for a mail server on the LAN).
+ */
+
+const dns = require('dns').promises;
+const net = require('net');
+const config = require('../config');
+
+// Loopback, private, link-local, shared (CGNAT) and unspecified ranges
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Check if an IP address is loopback, private or link-local
+ * IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4.
+ *
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return PRIVATE_RANGES.check(mapped[1], 'ipv4');
+  }
+
+  const family = net.isIP(address);
+  if (!family) {
+    return false;
+  }
+  return PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Check if the server may connect to a host name or IP address: it must
+ * not resolve to a private address (unless MAIL_ALLOW_PRIVATE_HOSTS is set)
+ *
+ * Every address is checked, not only the first. Host names that can't be
+ * resolved are allowed - connecting to them fails anyway.
+ *
+ * @returns {Promise<boolean>}
+ */
+async function isAllowedHost(host) {
+  if (config.mailAllowPrivateHosts) {
+    return true;
+  }
+
+  const name = String(host || '').replace(/^\[(.*)\]$/, '$1');
+  if (net.isIP(name)) {
+    return !isPrivateAddress(name);
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.lookup(name, { all: true });
+  } catch (error) {
+    return true;
+  }
+  return !addresses.some(entry => isPrivateAddress(entry.address));
+}
+
+module.exports = {
+  isPrivateAddress,
+  isAllowedHost,
+};
@@ -0,0 +1,90 @@
+/**
+ * OAuth2 utilities
+ *
+ * Mail providers that don't allow password logins (Gmail, Outlook, ...)
+ * take an OAuth2 access token instead (SASL XOAUTH2). Access tokens are
+ * short-lived; they're requested from the provider's token endpoint with
+ * the account's refresh token (RFC 6749, section 6).
+ */
+
+/**
+ * Check a token endpoint URL
+ *
+ * Refresh tokens and client secrets are sent to it, so it has to be HTTPS -
+ * except on this machine (e.g. a stand-in endpoint for testing).
+ *
+ * @returns {boolean}
+ */
+function isValidTokenUrl(text) {
+  let url;
+  try {
+    url = new URL(text);
+  } catch (error) {
+    return false;
+  }
+
+  if (url.protocol === 'https:') {
+    return true;
+  }
+  return url.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+}
+
+/**
+ * Get a new access token with a refresh token
+ *
+ * @param {Object} options - { tokenUrl, clientId, clientSecret, refreshToken }
+ * @returns {Promise<Object>} - { accessToken, expiresAt (Date), refreshToken
+ *   (a new one if the provider rotated it, otherwise null) }
+ */
+async function refreshAccessToken({ tokenUrl, clientId, clientSecret, refreshToken }) {
+  const params = new URLSearchParams({
+    grant_type: 'refresh_token',
+    refresh_token: refreshToken,
+    client_id: clientId,
+  });
+  if (clientSecret) {
+    params.append('client_secret', clientSecret);
+  }
+
+  let response;
+  let body;
+  try {
+    response = await fetch(tokenUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body: params.toString(),
+      signal: AbortSignal.timeout(30000),
+    });
+    body = await response.json().catch(() => ({}));
+  } catch (error) {
+    throw new Error(`OAuth2 token endpoint can't be reached: ${error.message}`);
+  }
+
+  if (!response.ok || !body.access_token) {
+    // e.g. invalid_grant: the refresh token was revoked or has expired
+    const reason = body.error_description || body.error || `HTTP ${response.status}`;
+    throw new Error(`OAuth2 token refresh failed: ${reason}`);
+  }
+
+  // Without expires_in, assume the usual hour
+  const expiresIn = Number(body.expires_in) || 3600;
+
+  return {
+    accessToken: body.access_token,
+    expiresAt: new Date(Date.now() + expiresIn * 1000),
+    refreshToken: body.refresh_token || null,
+  };
+}
+
+/**
+ * Build the SASL XOAUTH2 initial response (base64)
+ */
+function buildXOAuth2Token(user, accessToken) {
+  return Buffer.from(`user=${user}\x01auth=Bearer ${accessToken}\x01\x01`).toString('base64');
+}
+
+module.exports = {
+  isValidTokenUrl,
+  refreshAccessToken,
+  buildXOAuth2Token,
+};
@@ -0,0 +1,246 @@
+/**
+ * Mail server probe
+ *
+ * Checks an IMAP or SMTP server step by step, before logging in: resolving
+ * the host name, connecting (with the TLS handshake for SSL/TLS ports) and
+ * reading the greeting and capability list. Connection tests use it to tell
+ * where a setting is wrong.
+ */
+
+const dns = require('dns').promises;
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+// Timeout for connecting and for each server response
+const PROBE_TIMEOUT = 15000;
+
+// Socket errors that mean the TLS handshake failed
+const TLS_ERROR = /SSL|TLS|CERT|certificate|self.signed|EPROTO/i;
+
+/**
+ * Explain a connection error
+ *
+ * @returns {Object} - { step ('connect' or 'tls'), error }
+ */
+function describeConnectError(error, host, port, secure) {
+  if (error.code === 'ECONNREFUSED') {
+    return { step: 'connect', error: `Connection refused - nothing is listening on ${host}:${port}` };
+  }
+  if (error.code === 'ETIMEDOUT' || error.code === 'EHOSTUNREACH' || error.code === 'ENETUNREACH') {
+    return { step: 'connect', error: `Can't reach ${host}:${port} (${error.code}) - check the host, the port and firewalls` };
+  }
+  if (secure && TLS_ERROR.test(`${error.code} ${error.message}`)) {
+    const hint = /wrong version|packet length|EPROTO/i.test(`${error.code} ${error.message}`)
+      ? ' - the server may not use SSL/TLS on this port (try STARTTLS/plain settings or another port)'
+      : '';
+    // OpenSSL errors have a short reason next to the full message
+    return { step: 'tls', error: `TLS handshake failed: ${error.reason || error.message}${hint}` };
+  }
+  return { step: 'connect', error: error.message };
+}
+
+/**
+ * Connect, with the TLS handshake if secure
+ *
+ * The certificate is checked here rather than by TLS itself, so an untrusted
+ * one can be reported with its details.
+ *
+ * @returns {Promise<Object>} - { socket, tls: details or null }
+ */
+function openSocket(host, port, secure) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: net.isIP(host) ? undefined : host, rejectUnauthorized: false })
+      : net.connect({ host, port });
+
+    const fail = (error) => {
+      socket.destroy();
+      reject(error);
+    };
+    socket.setTimeout(PROBE_TIMEOUT, () => fail(Object.assign(new Error('Connection timed out'), { code: 'ETIMEDOUT' })));
+    socket.once('error', fail);
+
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      socket.removeListener('error', fail);
+      socket.on('error', () => {});
+      if (!secure) {
+        resolve({ socket, tls: null });
+        return;
+      }
+
+      const certificate = socket.getPeerCertificate();
+      resolve({
+        socket,
+        tls: {
+          protocol: socket.getProtocol(),
+          cipher: socket.getCipher().name,
+          authorized: socket.authorized,
+          authorizationError: socket.authorizationError ? String(socket.authorizationError) : null,
+          certificate: certificate && certificate.subject ? {
+            subject: certificate.subject.CN || null,
+            issuer: certificate.issuer ? certificate.issuer.O || certificate.issuer.CN || null : null,
+            validTo: certificate.valid_to || null,
+          } : null,
+        },
+      });
+    });
+  });
+}
+
+/**
+ * Read server responses line by line
+ *
+ * @returns {Function} - Waits for the next line (rejects on timeout or close)
+ */
+function lineReader(socket) {
+  let buffer = '';
+  const lines = [];
+  let waiting = null;
+
+  const deliver = () => {
+    if (waiting && lines.length > 0) {
+      const { resolve } = waiting;
+      waiting = null;
+      resolve(lines.shift());
+    }
+  };
+
+  socket.setEncoding('utf8');
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    const parts = buffer.split(/\r?\n/);
+    buffer = parts.pop();
+    lines.push(...parts);
+    deliver();
+  });
+  socket.on('close', () => {
+    if (waiting) {
+      waiting.reject(new Error('The server closed the connection'));
+      waiting = null;
+    }
+  });
+
+  return () => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      waiting = null;
+      reject(new Error('The server did not respond'));
+    }, PROBE_TIMEOUT);
+    waiting = {
+      resolve: (line) => { clearTimeout(timer); resolve(line); },
+      reject: (error) => { clearTimeout(timer); reject(error); },
+    };
+    deliver();
+  });
+}
+
+/**
+ * Read the IMAP greeting and capabilities (from the greeting, or CAPABILITY)
+ */
+async function imapHandshake(socket, readLine) {
+  const greeting = await readLine();
+  if (!/^\* (OK|PREAUTH)/i.test(greeting)) {
+    throw new Error(`Not an IMAP server greeting: ${greeting.slice(0, 100)}`);
+  }
+
+  let match = /\[CAPABILITY ([^\]]*)\]/i.exec(greeting);
+  if (!match) {
+    socket.write('A1 CAPABILITY\r\n');
+    for (let line = await readLine(); !/^A1 /.test(line); line = await readLine()) {
+      match = match || /^\* CAPABILITY (.*)$/i.exec(line);
+    }
+  }
+  socket.write('A2 LOGOUT\r\n');
+
+  return { greeting, capabilities: match ? match[1].trim().split(/\s+/) : [] };
+}
+
+/**
+ * Read the SMTP greeting and the extensions from EHLO
+ */
+async function smtpHandshake(socket, readLine) {
+  // Greetings may span several lines ("220-...")
+  let greeting = await readLine();
+  while (/^220-/.test(greeting)) {
+    greeting = await readLine();
+  }
+  if (!/^220 /.test(greeting)) {
+    throw new Error(`Not an SMTP server greeting: ${greeting.slice(0, 100)}`);
+  }
+
+  socket.write(`EHLO ${os.hostname() || 'localhost'}\r\n`);
+  const capabilities = [];
+  let line = await readLine();
+  if (!/^250[ -]/.test(line)) {
+    throw new Error(`EHLO was rejected: ${line.slice(0, 100)}`);
+  }
+  // The first line is the server's name
+  while (/^250-/.test(line)) {
+    line = await readLine();
+    capabilities.push(line.slice(4).trim());
+  }
+  socket.write('QUIT\r\n');
+
+  return { greeting, capabilities };
+}
+
+/**
+ * Probe a mail server
+ *
+ * @param {string} protocol - 'imap' or 'smtp'
+ * @returns {Promise<Object>} - { ok, failedStep ('dns', 'connect', 'tls' or
+ *   'greeting', null if ok), error, addresses, tls ({ protocol, cipher,
+ *   authorized, authorizationError, certificate } for SSL/TLS ports),
+ *   greeting, capabilities }
+ */
+async function probeServer(protocol, host, port, secure) {
+  const result = {
+    ok: false,
+    failedStep: null,
+    error: null,
+    addresses: [],
+    tls: null,
+    greeting: null,
+    capabilities: [],
+  };
+  const fail = (step, error) => ({ ...result, failedStep: step, error });
+
+  try {
+    result.addresses = (await dns.lookup(host, { all: true })).map(entry => entry.address);
+  } catch (error) {
+    return fail('dns', `Host name ${host} can't be resolved (${error.code || error.message})`);
+  }
+
+  let connection;
+  try {
+    connection = await openSocket(host, port, secure);
+  } catch (error) {
+    const { step, error: message } = describeConnectError(error, host, port, secure);
+    return fail(step, message);
+  }
+
+  const { socket } = connection;
+  result.tls = connection.tls;
+  if (result.tls && !result.tls.authorized) {
+    socket.destroy();
+    return fail('tls', `The server's certificate isn't trusted: ${result.tls.authorizationError}`);
+  }
+
+  try {
+    const handshake = protocol === 'imap' ? imapHandshake : smtpHandshake;
+    const { greeting, capabilities } = await handshake(socket, lineReader(socket));
+    return { ...result, ok: true, greeting, capabilities };
+  } catch (error) {
+    const hint = !secure && /did not respond/.test(error.message)
+      ? ' - the server may expect SSL/TLS on this port'
+      : '';
+    return fail('greeting', error.message + hint);
+  } finally {
+    socket.end();
+    setTimeout(() => socket.destroy(), 1000).unref();
+  }
+}
+
+module.exports = {
+  probeServer,
+};
@@ -0,0 +1,492 @@
+/**
+ * Recurrence rule utilities
+ *
+ * Parses and expands RFC 5545 recurrence rules (RRULE) for calendar events.
+ *
+ * Supported parts:
+ * - FREQ (DAILY, WEEKLY, MONTHLY, YEARLY) and INTERVAL
+ * - BYDAY (with ordinals for MONTHLY/YEARLY, e.g. "2MO" or "-1FR")
+ * - BYMONTHDAY and BYMONTH
+ * - COUNT and UNTIL
+ * - WKST (week start for WEEKLY rules)
+ *
+ * Events are stored with a plain date (YYYY-MM-DD), so all date math here
+ * is done on whole days in UTC to avoid timezone and DST surprises.
+ */
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Safety limit so a rule that never matches can't loop forever
+const MAX_PERIODS = 10000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error for a malformed or unsupported rule (sent as 400)
+ */
+function invalidRule(message) {
+  const error = new Error(`Invalid recurrence rule: ${message}`);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Convert a YYYY-MM-DD string to a UTC Date
+ */
+function toDate(dateString) {
+  return new Date(`${dateString}T00:00:00Z`);
+}
+
+/**
+ * Convert a UTC Date to a YYYY-MM-DD string
+ */
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Add a number of days to a YYYY-MM-DD string
+ *
+ * @param {string} dateString - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (can be negative)
+ * @returns {string} - New date (YYYY-MM-DD)
+ */
+function addDays(dateString, days) {
+  return toDateString(new Date(toDate(dateString).getTime() + days * DAY_MS));
+}
+
+/**
+ * Number of whole days from one date to another
+ *
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @returns {number} - Days between the dates (negative if `to` is earlier)
+ */
+function daysBetween(from, to) {
+  return Math.round((toDate(to).getTime() - toDate(from).getTime()) / DAY_MS);
+}
+
+/**
+ * Parse an UNTIL value (YYYYMMDD or YYYYMMDDTHHMMSS[Z]) into YYYY-MM-DD
+ */
+function parseUntil(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value);
+  if (!match) {
+    throw invalidRule(`bad UNTIL value "${value}"`);
+  }
+  return `${match[1]}-${match[2]}-${match[3]}`;
+}
+
+/**
+ * Parse a comma-separated list of integers, checking each is in range
+ */
+function parseIntList(name, value, min, max) {
+  return value.split(',').map(part => {
+    const number = parseInt(part, 10);
+    if (isNaN(number) || String(number) !== part.replace(/^\+/, '') || Math.abs(number) < min || Math.abs(number) > max) {
+      throw invalidRule(`bad ${name} value "${part}"`);
+    }
+    return number;
+  });
+}
+
+/**
+ * Parse an RRULE string
+ *
+ * @param {string} rruleString - e.g. "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10"
+ *                               (an "RRULE:" prefix is allowed)
+ * @returns {Object} - { freq, interval, count, until, byDay, byMonthDay, byMonth, wkst }
+ * @throws {Error} - If the rule is malformed or uses unsupported parts
+ */
+function parseRRule(rruleString) {
+  if (!rruleString || typeof rruleString !== 'string') {
+    throw invalidRule('rule is empty');
+  }
+
+  const rule = {
+    freq: null,
+    interval: 1,
+    count: null,
+    until: null,
+    byDay: [],
+    byMonthDay: [],
+    byMonth: [],
+    wkst: 'MO',
+  };
+
+  const body = rruleString.trim().replace(/^RRULE:/i, '');
+
+  for (const part of body.split(';')) {
+    if (!part) {
+      continue;
+    }
+
+    const [rawName, value] = part.split('=');
+    const name = rawName.toUpperCase();
+
+    if (!value) {
+      throw invalidRule(`missing value for ${name}`);
+    }
+
+    switch (name) {
+      case 'FREQ':
+        rule.freq = value.toUpperCase();
+        if (!FREQUENCIES.includes(rule.freq)) {
+          throw invalidRule(`unsupported FREQ "${value}"`);
+        }
+        break;
+      case 'INTERVAL':
+        rule.interval = parseIntList('INTERVAL', value, 1, 1000)[0];
+        if (rule.interval < 1) {
+          throw invalidRule('INTERVAL must be positive');
+        }
+        break;
+      case 'COUNT':
+        rule.count = parseIntList('COUNT', value, 1, 100000)[0];
+        if (rule.count < 1) {
+          throw invalidRule('COUNT must be positive');
+        }
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value.toUpperCase());
+        break;
+      case 'BYDAY':
+        rule.byDay = value.toUpperCase().split(',').map(item => {
+          const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(item);
+          if (!match) {
+            throw invalidRule(`bad BYDAY value "${item}"`);
+          }
+          const ordinal = match[1] ? parseInt(match[1], 10) : null;
+          if (ordinal === 0 || Math.abs(ordinal) > 53) {
+            throw invalidRule(`bad BYDAY value "${item}"`);
+          }
+          return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseIntList('BYMONTHDAY', value, 1, 31);
+        break;
+      case 'BYMONTH':
+        rule.byMonth = parseIntList('BYMONTH', value, 1, 12);
+        if (rule.byMonth.some(month => month < 1)) {
+          throw invalidRule('BYMONTH must be 1-12');
+        }
+        break;
+      case 'WKST':
+        rule.wkst = value.toUpperCase();
+        if (!WEEKDAYS.includes(rule.wkst)) {
+          throw invalidRule(`bad WKST value "${value}"`);
+        }
+        break;
+      default:
+        throw invalidRule(`unsupported part ${name}`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw invalidRule('FREQ is required');
+  }
+
+  if (rule.count && rule.until) {
+    throw invalidRule('COUNT and UNTIL cannot both be set');
+  }
+
+  if (rule.byDay.some(day => day.ordinal !== null) && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+    throw invalidRule('BYDAY ordinals are only allowed for MONTHLY and YEARLY rules');
+  }
+
+  return rule;
+}
+
+/**
+ * Format a parsed rule back into an RRULE string
+ *
+ * @param {Object} rule - Rule as returned by parseRRule()
+ * @returns {string} - RRULE string (without "RRULE:" prefix)
+ */
+function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.interval && rule.interval !== 1) {
+    parts.push(`INTERVAL=${rule.interval}`);
+  }
+  if (rule.byDay.length > 0) {
+    parts.push('BYDAY=' + rule.byDay.map(day => `${day.ordinal || ''}${WEEKDAYS[day.weekday]}`).join(','));
+  }
+  if (rule.byMonthDay.length > 0) {
+    parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  }
+  if (rule.byMonth.length > 0) {
+    parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  }
+  if (rule.wkst && rule.wkst !== 'MO') {
+    parts.push(`WKST=${rule.wkst}`);
+  }
+  if (rule.count) {
+    parts.push(`COUNT=${rule.count}`);
+  }
+  if (rule.until) {
+    parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+  }
+
+  return parts.join(';');
+}
+
+/**
+ * Number of days in a month (month is 0-based)
+ */
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * Resolve BYMONTHDAY values (negative counts from the end) for a month
+ */
+function monthDays(year, month, byMonthDay) {
+  const total = daysInMonth(year, month);
+  return byMonthDay
+    .map(day => (day > 0 ? day : total + day + 1))
+    .filter(day => day >= 1 && day <= total)
+    .map(day => new Date(Date.UTC(year, month, day)));
+}
+
+/**
+ * Resolve BYDAY values within a range of days (a month or a year)
+ *
+ * "MO" means every Monday in the range, "2MO" the second Monday,
+ * "-1MO" the last Monday.
+ */
+function weekdaysInRange(first, last, byDay) {
+  const dates = [];
+
+  for (const { weekday, ordinal } of byDay) {
+    const matches = [];
+    for (let time = first.getTime(); time <= last.getTime(); time += DAY_MS) {
+      const date = new Date(time);
+      if (date.getUTCDay() === weekday) {
+        matches.push(date);
+      }
+    }
+
+    if (ordinal === null) {
+      dates.push(...matches);
+    } else {
+      const match = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+      if (match) {
+        dates.push(match);
+      }
+    }
+  }
+
+  return dates;
+}
+
+/**
+ * Candidate dates within one month for MONTHLY/YEARLY rules
+ */
+function candidatesInMonth(rule, start, year, month) {
+  const hasByDay = rule.byDay.length > 0;
+  const hasByMonthDay = rule.byMonthDay.length > 0;
+
+  if (!hasByDay && !hasByMonthDay) {
+    // Default: same day of month as the first occurrence (skip short months)
+    return monthDays(year, month, [start.getUTCDate()]);
+  }
+
+  const first = new Date(Date.UTC(year, month, 1));
+  const last = new Date(Date.UTC(year, month, daysInMonth(year, month)));
+
+  if (hasByDay && hasByMonthDay) {
+    // BYDAY limits BYMONTHDAY when both are given
+    const allowed = new Set(weekdaysInRange(first, last, rule.byDay).map(date => date.getTime()));
+    return monthDays(year, month, rule.byMonthDay).filter(date => allowed.has(date.getTime()));
+  }
+
+  return hasByDay
+    ? weekdaysInRange(first, last, rule.byDay)
+    : monthDays(year, month, rule.byMonthDay);
+}
+
+/**
+ * Candidate dates for one period of the rule
+ *
+ * A period is a day, week, month or year (depending on FREQ), and
+ * `index` counts periods from the first occurrence in steps of INTERVAL.
+ */
+function candidatesForPeriod(rule, start, index) {
+  const step = index * rule.interval;
+  let dates = [];
+
+  if (rule.freq === 'DAILY') {
+    dates = [new Date(start.getTime() + step * DAY_MS)];
+    if (rule.byDay.length > 0) {
+      const weekdays = rule.byDay.map(day => day.weekday);
+      dates = dates.filter(date => weekdays.includes(date.getUTCDay()));
+    }
+    if (rule.byMonthDay.length > 0) {
+      dates = dates.filter(date =>
+        monthDays(date.getUTCFullYear(), date.getUTCMonth(), rule.byMonthDay)
+          .some(day => day.getTime() === date.getTime())
+      );
+    }
+  } else if (rule.freq === 'WEEKLY') {
+    // Find the first day of the week containing the first occurrence
+    const weekStartDay = WEEKDAYS.indexOf(rule.wkst);
+    const offset = (start.getUTCDay() - weekStartDay + 7) % 7;
+    const weekStart = new Date(start.getTime() - offset * DAY_MS + step * 7 * DAY_MS);
+    const weekdays = rule.byDay.length > 0
+      ? rule.byDay.map(day => day.weekday)
+      : [start.getUTCDay()];
+
+    dates = weekdays.map(weekday =>
+      new Date(weekStart.getTime() + ((weekday - weekStartDay + 7) % 7) * DAY_MS)
+    );
+  } else if (rule.freq === 'MONTHLY') {
+    const monthIndex = start.getUTCMonth() + step;
+    const year = start.getUTCFullYear() + Math.floor(monthIndex / 12);
+    const month = monthIndex % 12;
+    dates = candidatesInMonth(rule, start, year, month);
+  } else if (rule.freq === 'YEARLY') {
+    const year = start.getUTCFullYear() + step;
+
+    if (rule.byMonth.length === 0 && rule.byDay.some(day => day.ordinal !== null)) {
+      // Ordinals are relative to the whole year (e.g. "20MO")
+      dates = weekdaysInRange(
+        new Date(Date.UTC(year, 0, 1)),
+        new Date(Date.UTC(year, 11, 31)),
+        rule.byDay
+      );
+    } else {
+      const months = rule.byMonth.length > 0
+        ? rule.byMonth.map(month => month - 1)
+        : [start.getUTCMonth()];
+      for (const month of months) {
+        dates.push(...candidatesInMonth(rule, start, year, month));
+      }
+    }
+  }
+
+  if (rule.byMonth.length > 0 && rule.freq !== 'YEARLY') {
+    dates = dates.filter(date => rule.byMonth.includes(date.getUTCMonth() + 1));
+  }
+
+  // Sort and remove duplicates
+  return [...new Set(dates.map(toDateString))].sort();
+}
+
+/**
+ * Roughly how many periods lie between two dates
+ *
+ * Used to skip ahead to the requested range for rules without COUNT.
+ * It errs on the low side so no occurrences are missed.
+ */
+function periodsBetween(rule, from, to) {
+  const start = toDate(from);
+  const end = toDate(to);
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return Math.floor(daysBetween(from, to) / rule.interval);
+    case 'WEEKLY':
+      return Math.floor(daysBetween(from, to) / 7 / rule.interval) - 1;
+    case 'MONTHLY':
+      return Math.floor(((end.getUTCFullYear() - start.getUTCFullYear()) * 12
+        + end.getUTCMonth() - start.getUTCMonth()) / rule.interval) - 1;
+    case 'YEARLY':
+      return Math.floor((end.getUTCFullYear() - start.getUTCFullYear()) / rule.interval) - 1;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Expand a recurring event into occurrence dates
+ *
+ * The event's own date is always the first occurrence. EXDATEs are
+ * removed from the result but still count towards COUNT, as per RFC 5545.
+ *
+ * @param {string} startDate - Date of the first occurrence (YYYY-MM-DD)
+ * @param {string} rruleString - Recurrence rule
+ * @param {Object} options - { rangeStart, rangeEnd, exdates }
+ * @returns {Array<string>} - Occurrence dates (YYYY-MM-DD) within the range
+ */
+function expandOccurrences(startDate, rruleString, options = {}) {
+  const { rangeStart = null, rangeEnd = null, exdates = [] } = options;
+  const rule = parseRRule(rruleString);
+  const start = toDate(startDate);
+  const excluded = new Set(exdates);
+  const occurrences = [];
+
+  if (!rangeEnd && !rule.count && !rule.until) {
+    throw new Error('An end date is required to expand an unbounded recurrence');
+  }
+
+  let count = 0;
+
+  // Returns false once the rule (or the range) has been exhausted
+  const visit = (date) => {
+    if (rule.until && date > rule.until) {
+      return false;
+    }
+    if (rangeEnd && date > rangeEnd) {
+      return false;
+    }
+
+    count++;
+    if (!excluded.has(date) && (!rangeStart || date >= rangeStart)) {
+      occurrences.push(date);
+    }
+
+    return !(rule.count && count >= rule.count);
+  };
+
+  if (!visit(startDate)) {
+    return occurrences;
+  }
+
+  // Without COUNT, earlier periods can't affect the result, so skip them
+  let firstPeriod = 0;
+  if (!rule.count && rangeStart && rangeStart > startDate) {
+    firstPeriod = Math.max(0, periodsBetween(rule, startDate, rangeStart));
+  }
+
+  for (let index = firstPeriod; index < firstPeriod + MAX_PERIODS; index++) {
+    for (const date of candidatesForPeriod(rule, start, index)) {
+      if (date <= startDate) {
+        continue;
+      }
+      if (!visit(date)) {
+        return occurrences;
+      }
+    }
+  }
+
+  return occurrences;
+}
+
+/**
+ * Count the occurrences of a rule that fall before a given date
+ *
+ * Used when splitting a series with COUNT into two.
+ *
+ * @param {string} startDate - Date of the first occurrence (YYYY-MM-DD)
+ * @param {string} rruleString - Recurrence rule
+ * @param {string} beforeDate - Count occurrences strictly before this date
+ * @returns {number} - Number of occurrences
+ */
+function countOccurrencesBefore(startDate, rruleString, beforeDate) {
+  if (beforeDate <= startDate) {
+    return 0;
+  }
+  return expandOccurrences(startDate, rruleString, { rangeEnd: addDays(beforeDate, -1) }).length;
+}
+
+module.exports = {
+  parseRRule,
+  formatRRule,
+  expandOccurrences,
+  countOccurrencesBefore,
+  addDays,
+  daysBetween,
+};
@@ -0,0 +1,34 @@
+/**
+ * Full-text search utilities
+ *
+ * Mail, contacts and events are indexed in SQLite FTS5 tables
+ * (<table>_fts, see database/init.js).
+ */
+
+/**
+ * Turn search box text into an FTS5 MATCH query
+ *
+ * Every word has to match (as a prefix for the last word, so results show
+ * up while typing). Words are quoted, so FTS5 operators and punctuation in
+ * the text are searched for literally instead of causing syntax errors.
+ *
+ * @param {string} text - Search text
+ * @returns {string|null} - MATCH query, or null if there's nothing to search for
+ */
+function buildMatchQuery(text) {
+  const words = (text || '').match(/\S+/g);
+  if (!words) {
+    return null;
+  }
+
+  return words
+    .map((word, index) => {
+      const quoted = `"${word.replace(/"/g, '""')}"`;
+      return index === words.length - 1 ? `${quoted}*` : quoted;
+    })
+    .join(' ');
+}
+
+module.exports = {
+  buildMatchQuery,
+};
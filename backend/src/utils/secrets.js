@@ -17,10 +17,20 @@
 const fs = require('fs');
 const crypto = require('crypto');
 const path = require('path');
+const webpush = require('web-push');
 
 const SECRETS_FILE = '/data/secrets.env';
 const DATA_DIR = '/data';
 
+// Names of the secrets in the secrets file (and environment variables)
+const SECRET_NAMES = {
+  jwtSecret: 'JWT_SECRET',
+  jwtRefreshSecret: 'JWT_REFRESH_SECRET',
+  encryptionKey: 'ENCRYPTION_KEY',
+  vapidPublicKey: 'VAPID_PUBLIC_KEY',
+  vapidPrivateKey: 'VAPID_PRIVATE_KEY',
+};
+
 /**
  * Generate a cryptographically secure random string
  * 
@@ -66,6 +76,8 @@ function loadSecretsFromFile() {
 /**
  * Save secrets to file
  * 
+ * Missing secrets (e.g. ones set as environment variables) are left out.
+ * 
  * @param {Object} secrets - Secrets object
  */
 function saveSecretsToFile(secrets) {
@@ -81,9 +93,9 @@ function saveSecretsToFile(secrets) {
       '# DO NOT EDIT MANUALLY',
       '# Backup this file securely!',
       '#',
-      `JWT_SECRET=${secrets.jwtSecret}`,
-      `JWT_REFRESH_SECRET=${secrets.jwtRefreshSecret}`,
-      `ENCRYPTION_KEY=${secrets.encryptionKey}`,
+      ...Object.entries(SECRET_NAMES)
+        .filter(([key]) => secrets[key])
+        .map(([key, name]) => `${name}=${secrets[key]}`),
       '',
       '# Generated on: ' + new Date().toISOString(),
     ];
@@ -105,9 +117,21 @@ function saveSecretsToFile(secrets) {
  * 2. Persistent file (if exists, use those)
  * 3. Generate new secrets and save to file
  * 
- * @returns {Object} - { jwtSecret, jwtRefreshSecret, encryptionKey }
+ * The Web Push (VAPID) key pair is looked up the same way, on its own, so
+ * secrets files from before Web Push get one added.
+ * 
+ * @returns {Object} - { jwtSecret, jwtRefreshSecret, encryptionKey, vapidPublicKey, vapidPrivateKey }
  */
 function getOrGenerateSecrets() {
+  const fileSecrets = loadSecretsFromFile() || {};
+  // What the secrets file holds (secrets from environment variables aren't written to it)
+  const stored = {};
+  Object.entries(SECRET_NAMES).forEach(([key, name]) => {
+    stored[key] = fileSecrets[name];
+  });
+  let changed = false;
+  let secrets;
+  
   // Check environment variables first (allows override)
   const envSecrets = {
     jwtSecret: process.env.JWT_SECRET,
@@ -115,38 +139,54 @@ function getOrGenerateSecrets() {
     encryptionKey: process.env.ENCRYPTION_KEY,
   };
   
-  // If all env vars are set, use them
   if (envSecrets.jwtSecret && envSecrets.jwtRefreshSecret && envSecrets.encryptionKey) {
+    // If all env vars are set, use them
     console.log('✓ Using secrets from environment variables');
-    return envSecrets;
-  }
-  
-  // Try to load from persistent file
-  const fileSecrets = loadSecretsFromFile();
-  if (fileSecrets && fileSecrets.JWT_SECRET && fileSecrets.JWT_REFRESH_SECRET && fileSecrets.ENCRYPTION_KEY) {
+    secrets = envSecrets;
+  } else if (stored.jwtSecret && stored.jwtRefreshSecret && stored.encryptionKey) {
+    // Try to load from persistent file
     console.log('✓ Using secrets from persistent storage');
-    return {
-      jwtSecret: fileSecrets.JWT_SECRET,
-      jwtRefreshSecret: fileSecrets.JWT_REFRESH_SECRET,
-      encryptionKey: fileSecrets.ENCRYPTION_KEY,
+    secrets = {
+      jwtSecret: stored.jwtSecret,
+      jwtRefreshSecret: stored.jwtRefreshSecret,
+      encryptionKey: stored.encryptionKey,
     };
+  } else {
+    // Generate new secrets (first run)
+    console.log('⚠️  First run detected - generating new secrets...');
+    secrets = {
+      jwtSecret: generateSecret(64),
+      jwtRefreshSecret: generateSecret(64),
+      encryptionKey: generateSecret(32), // 32 bytes = 64 hex chars
+    };
+    Object.assign(stored, secrets);
+    changed = true;
   }
   
-  // Generate new secrets (first run)
-  console.log('⚠️  First run detected - generating new secrets...');
-  const newSecrets = {
-    jwtSecret: generateSecret(64),
-    jwtRefreshSecret: generateSecret(64),
-    encryptionKey: generateSecret(32), // 32 bytes = 64 hex chars
-  };
-  
-  // Save to persistent file
-  saveSecretsToFile(newSecrets);
+  if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+    secrets.vapidPublicKey = process.env.VAPID_PUBLIC_KEY;
+    secrets.vapidPrivateKey = process.env.VAPID_PRIVATE_KEY;
+  } else if (stored.vapidPublicKey && stored.vapidPrivateKey) {
+    secrets.vapidPublicKey = stored.vapidPublicKey;
+    secrets.vapidPrivateKey = stored.vapidPrivateKey;
+  } else {
+    // A new key pair makes browsers subscribe to push notifications again
+    const keys = webpush.generateVAPIDKeys();
+    secrets.vapidPublicKey = stored.vapidPublicKey = keys.publicKey;
+    secrets.vapidPrivateKey = stored.vapidPrivateKey = keys.privateKey;
+    changed = true;
+    console.log('✓ Web Push (VAPID) keys generated');
+  }
   
-  console.log('✓ New secrets generated and saved');
-  console.log('⚠️  IMPORTANT: Backup the secrets file at:', SECRETS_FILE);
+  if (changed) {
+    // Save to persistent file
+    saveSecretsToFile(stored);
+    
+    console.log('✓ New secrets generated and saved');
+    console.log('⚠️  IMPORTANT: Backup the secrets file at:', SECRETS_FILE);
+  }
   
-  return newSecrets;
+  return secrets;
 }
 
 /**
@@ -160,6 +200,8 @@ function getSecretsForBackup() {
     jwtSecret: secrets.jwtSecret,
     jwtRefreshSecret: secrets.jwtRefreshSecret,
     encryptionKey: secrets.encryptionKey,
+    vapidPublicKey: secrets.vapidPublicKey,
+    vapidPrivateKey: secrets.vapidPrivateKey,
     secretsFile: SECRETS_FILE,
     generatedAt: fs.existsSync(SECRETS_FILE) 
       ? fs.statSync(SECRETS_FILE).mtime.toISOString()
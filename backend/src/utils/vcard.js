@@ -0,0 +1,239 @@
+/**
+ * vCard utilities
+ *
+ * Converts between vCard (RFC 2426 / RFC 6350) data and our contact objects.
+ *
+ * Contacts only store a few fields, so the last vCard received from a client
+ * is kept as well. When a contact is exported, the fields we manage are
+ * written from the contact and everything else (addresses, photos, ...) is
+ * taken from the stored vCard, so syncing doesn't lose data.
+ */
+
+const {
+  parseComponents,
+  getProperty,
+  getProperties,
+  escapeText,
+  unescapeText,
+  formatComponent,
+  formatUtc,
+} = require('./ical');
+
+const PRODUCT_ID = '-//All-in-One PWA//Contacts//EN';
+
+// Properties written from the contact itself (the rest come from the stored vCard)
+const MANAGED_PROPERTIES = new Set(['VERSION', 'PRODID', 'UID', 'FN', 'N', 'TEL', 'EMAIL', 'NOTE', 'REV']);
+
+/**
+ * Split a structured value (N, ADR, ...) on unescaped semicolons
+ */
+function splitStructured(value) {
+  return value.split(/(?<!\\);/).map(unescapeText);
+}
+
+/**
+ * Phone number from a TEL value (vCard 4.0 may use "tel:" URIs)
+ */
+function telValue(property) {
+  return unescapeText(property.value).replace(/^tel:/i, '').trim();
+}
+
+/**
+ * Email address from an EMAIL value
+ */
+function emailValue(property) {
+  return unescapeText(property.value).replace(/^mailto:/i, '').trim();
+}
+
+/**
+ * Build a structured name (N) from a display name
+ * The last word is used as the family name.
+ */
+function structuredName(name) {
+  const words = name.trim().split(/\s+/);
+  const family = words.length > 1 ? words.pop() : '';
+  return [family, words.join(' '), '', '', ''].map(escapeText).join(';');
+}
+
+/**
+ * Display name from a structured name (N): "Given Additional Family"
+ */
+function nameFromStructured(value) {
+  const [family, given, additional, prefix, suffix] = splitStructured(value);
+  return [prefix, given, additional, family, suffix]
+    .filter(part => part && part.trim())
+    .join(' ')
+    .trim();
+}
+
+/**
+ * Get the VCARD component of a stored vCard
+ */
+function parseStoredVCard(vcard) {
+  if (!vcard) {
+    return null;
+  }
+  try {
+    return parseComponents(vcard).find(component => component.name === 'VCARD') || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Convert a contact into vCard text
+ *
+ * @param {Object} contact - Contact object from contactsService
+ * @returns {string} - vCard text (CRLF line endings)
+ */
+function contactToVCard(contact) {
+  const stored = parseStoredVCard(contact.vcard);
+  const storedVersion = stored ? getProperty(stored, 'VERSION') : null;
+  const properties = [];
+  const add = (name, value, params = {}, group = null) => properties.push({ name, group, params, value });
+
+  add('VERSION', storedVersion ? storedVersion.value.trim() : '3.0');
+  add('PRODID', PRODUCT_ID);
+  add('UID', escapeText(contact.uid || `contact-${contact.id}@all-in-one-pwa`));
+  add('FN', escapeText(contact.name));
+
+  // Keep the client's structured name unless the name was changed here
+  const storedName = stored ? getProperty(stored, 'FN') : null;
+  const storedN = stored ? getProperty(stored, 'N') : null;
+  if (storedN && storedName && unescapeText(storedName.value) === contact.name) {
+    add('N', storedN.value, storedN.params, storedN.group);
+  } else {
+    add('N', structuredName(contact.name));
+  }
+
+  // Keep types (CELL, WORK, ...) of numbers and addresses that still exist
+  const storedTels = stored ? getProperties(stored, 'TEL') : [];
+  for (const phone of contact.phoneNumbers || []) {
+    const match = storedTels.find(property => telValue(property) === phone);
+    if (match) {
+      storedTels.splice(storedTels.indexOf(match), 1);
+      add('TEL', match.value, match.params, match.group);
+    } else {
+      add('TEL', escapeText(phone));
+    }
+  }
+
+  const storedEmails = stored ? getProperties(stored, 'EMAIL') : [];
+  for (const email of contact.emailAddresses || []) {
+    const match = storedEmails.find(property => emailValue(property) === email);
+    if (match) {
+      storedEmails.splice(storedEmails.indexOf(match), 1);
+      add('EMAIL', match.value, match.params, match.group);
+    } else {
+      add('EMAIL', escapeText(email));
+    }
+  }
+
+  if (contact.notes) {
+    add('NOTE', escapeText(contact.notes));
+  }
+
+  if (contact.updatedAt) {
+    add('REV', formatUtc(contact.updatedAt));
+  }
+
+  if (stored) {
+    // Drop grouped labels (item1.X-ABLABEL) of removed numbers and addresses
+    const usedGroups = new Set(properties.map(property => property.group).filter(Boolean));
+    const removedGroups = new Set([...storedTels, ...storedEmails].map(property => property.group).filter(Boolean));
+
+    for (const property of stored.properties) {
+      if (MANAGED_PROPERTIES.has(property.name)) {
+        continue;
+      }
+      if (property.group && removedGroups.has(property.group) && !usedGroups.has(property.group)) {
+        continue;
+      }
+      properties.push(property);
+    }
+  }
+
+  return formatComponent({ name: 'VCARD', properties, components: [] }) + '\r\n';
+}
+
+/**
+ * Convert a list of contacts into one .vcf document
+ */
+function buildVCards(contacts) {
+  return contacts.map(contactToVCard).join('');
+}
+
+/**
+ * Convert a parsed VCARD component into contact data
+ *
+ * @param {Object} component - Parsed VCARD
+ * @returns {Object} - { uid, name, phoneNumbers, emailAddresses, notes, organization, vcard }
+ * @throws {Error} - If the vCard has no usable name
+ */
+function vCardToContact(component) {
+  const text = (name) => {
+    const property = getProperty(component, name);
+    return property ? unescapeText(property.value).trim() : '';
+  };
+
+  const phoneNumbers = getProperties(component, 'TEL').map(telValue).filter(Boolean);
+  const emailAddresses = getProperties(component, 'EMAIL').map(emailValue).filter(Boolean);
+  const structured = getProperty(component, 'N');
+  const org = getProperty(component, 'ORG');
+
+  const name = text('FN')
+    || (structured ? nameFromStructured(structured.value) : '')
+    || (org ? splitStructured(org.value)[0].trim() : '')
+    || emailAddresses[0]
+    || phoneNumbers[0];
+
+  if (!name) {
+    throw new Error('Contact has no name');
+  }
+
+  const notes = getProperties(component, 'NOTE')
+    .map(property => unescapeText(property.value))
+    .join('\n');
+
+  return {
+    uid: text('UID') || null,
+    name,
+    phoneNumbers,
+    emailAddresses,
+    notes: notes || null,
+    // Not stored separately (it's kept in the vCard), but shown in import previews
+    organization: org ? splitStructured(org.value).filter(Boolean).join(', ') : null,
+    vcard: formatComponent(component) + '\r\n',
+  };
+}
+
+/**
+ * Parse all vCards from a .vcf document
+ *
+ * @param {string} text - vCard text (one or more VCARDs)
+ * @returns {Array<Object>} - { contact, error } per VCARD (error is set if it couldn't be read)
+ */
+function parseVCards(text) {
+  const results = [];
+
+  for (const component of parseComponents(text)) {
+    if (component.name !== 'VCARD') {
+      continue;
+    }
+    try {
+      results.push({ contact: vCardToContact(component), error: null });
+    } catch (error) {
+      const uid = getProperty(component, 'UID');
+      results.push({ contact: null, uid: uid ? uid.value : null, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  contactToVCard,
+  buildVCards,
+  vCardToContact,
+  parseVCards,
+};
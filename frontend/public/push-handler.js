@@ -0,0 +1,50 @@
+/**
+ * Push notification handler
+ * 
+ * Loaded into the generated service worker (see workbox.importScripts in
+ * vite.config.js). Shows the reminders and new mail notifications the
+ * server pushes (see the backend's services/pushService.js), also while
+ * the app is closed, and opens the event or message when one is clicked.
+ */
+
+// Push payload: { title, body, tag, url }
+self.addEventListener('push', (event) => {
+  if (!event.data) {
+    return;
+  }
+  
+  let payload;
+  try {
+    payload = event.data.json();
+  } catch (error) {
+    payload = { title: event.data.text() };
+  }
+  
+  event.waitUntil(
+    self.registration.showNotification(payload.title || 'All-in-One', {
+      body: payload.body,
+      tag: payload.tag,
+      icon: '/pwa-192x192.png',
+      badge: '/pwa-192x192.png',
+      data: { url: payload.url || '/' },
+    })
+  );
+});
+
+// Open the notification's page. An open window of the app is asked to go
+// there itself (see Layout.jsx) - loading the page would sign the user out.
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = (event.notification.data && event.notification.data.url) || '/';
+  
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then((windows) => {
+      const client = windows[0];
+      if (client) {
+        client.postMessage({ type: 'navigate', url });
+        return client.focus();
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});
@@ -0,0 +1,66 @@
+/**
+ * Background Sync handler
+ * 
+ * Loaded into the generated service worker (see workbox.importScripts in
+ * vite.config.js). The app registers a sync for calendar and contact
+ * changes made offline ('outbox', see src/services/outbox.js) and for mail
+ * written offline ('mail-outbox', see src/services/mailOutbox.js), and the
+ * browser fires it once the connection is back.
+ * 
+ * Nothing is sent from the service worker itself: the login only lives in
+ * the open app, so one open window is asked to send them. Without an open,
+ * signed-in window, or if sending fails, the browser tries again later.
+ */
+
+const SYNC_TAGS = ['outbox', 'mail-outbox'];
+
+// How long a window gets to send the changes
+const FLUSH_TIMEOUT = 60 * 1000;
+
+function flushInWindow(client, tag) {
+  return new Promise((resolve, reject) => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => reject(new Error('No answer from the app')), FLUSH_TIMEOUT);
+    
+    channel.port1.onmessage = (message) => {
+      clearTimeout(timer);
+      if (message.data && message.data.done) {
+        resolve();
+      } else {
+        reject(new Error('Changes could not be sent yet'));
+      }
+    };
+    client.postMessage({ type: 'sync', tag }, [channel.port2]);
+  });
+}
+
+/**
+ * Ask the windows one at a time - the one in use first - until one has sent
+ * everything (windows still on the login page don't answer)
+ */
+async function flushInOneWindow(tag) {
+  const windows = await self.clients.matchAll({ type: 'window' });
+  if (windows.length === 0) {
+    throw new Error('No open window to send the changes');
+  }
+  
+  const rank = client => (client.focused ? 0 : client.visibilityState === 'visible' ? 1 : 2);
+  windows.sort((a, b) => rank(a) - rank(b));
+  
+  let lastError;
+  for (const client of windows) {
+    try {
+      await flushInWindow(client, tag);
+      return;
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
+
+self.addEventListener('sync', (event) => {
+  if (SYNC_TAGS.includes(event.tag)) {
+    event.waitUntil(flushInOneWindow(event.tag));
+  }
+});
@@ -8,6 +8,9 @@
 import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import { useState, useEffect } from 'react';
 import { getAccessToken, authAPI } from './services/api';
+import { syncPushSubscription } from './services/notifications';
+import { startOutbox } from './services/outbox';
+import { startMailOutbox } from './services/mailOutbox';
 import Login from './components/Login';
 import Register from './components/Register';
 import Dashboard from './components/Dashboard';
@@ -15,6 +18,7 @@ import Calendar from './modules/calendar/Calendar';
 import Contacts from './modules/contacts/Contacts';
 import Mail from './modules/mail/Mail';
 import Settings from './components/Settings';
+import Search from './components/Search';
 import './App.css';
 
 function App() {
@@ -42,6 +46,16 @@ function App() {
     checkSetup();
   }, []);
 
+  // Reminders and new mail notifications for this browser (see services/notifications.js),
+  // and changes and mail made offline (see services/outbox.js and services/mailOutbox.js)
+  useEffect(() => {
+    if (isAuthenticated) {
+      syncPushSubscription();
+      startOutbox();
+      startMailOutbox();
+    }
+  }, [isAuthenticated]);
+
   if (isLoading) {
     return <div className="loading">Loading...</div>;
   }
@@ -90,6 +104,12 @@ function App() {
             isAuthenticated ? <Mail /> : <Navigate to="/login" />
           } 
         />
+        <Route 
+          path="/search" 
+          element={
+            isAuthenticated ? <Search /> : <Navigate to="/login" />
+          } 
+        />
         <Route 
           path="/settings" 
           element={
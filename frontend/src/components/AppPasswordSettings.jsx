@@ -0,0 +1,115 @@
+/**
+ * App password settings component
+ * 
+ * Calendar and contacts apps (CalDAV/CardDAV) can't do 2FA, so they log in
+ * with an app password instead of the account password. Each app gets its
+ * own, shown once when it's created, and can be revoked here.
+ */
+
+import { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { authAPI } from '../services/api';
+
+function AppPasswordSettings() {
+  const [appPasswords, setAppPasswords] = useState([]);
+  const [name, setName] = useState('');
+  const [created, setCreated] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    loadAppPasswords();
+  }, []);
+
+  const loadAppPasswords = async () => {
+    try {
+      setAppPasswords(await authAPI.getAppPasswords());
+    } catch (error) {
+      setMessage({ error: true, text: error.message });
+    }
+  };
+
+  const run = async (action) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      await action();
+      await loadAppPasswords();
+    } catch (error) {
+      setMessage({ error: true, text: error.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      setCreated(await authAPI.createAppPassword(name.trim()));
+      setName('');
+    });
+  };
+
+  const handleDelete = (appPassword) => {
+    if (!window.confirm(`Revoke the app password "${appPassword.name}"? The app won't be able to sync anymore.`)) {
+      return;
+    }
+    run(async () => {
+      await authAPI.deleteAppPassword(appPassword.id);
+      if (created && created.id === appPassword.id) {
+        setCreated(null);
+      }
+    });
+  };
+
+  return (
+    <div className="card">
+      <h2>Calendar &amp; Contacts Apps</h2>
+      <p>
+        Apps that sync over CalDAV/CardDAV (DAVx5, iOS/macOS, Thunderbird) log in with your username
+        and an app password - not your account password.
+      </p>
+      {appPasswords.map(appPassword => (
+        <div key={appPassword.id} className="mt-md" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 'var(--spacing-md)' }}>
+          <div>
+            <strong>{appPassword.name}</strong>
+            <div style={{ color: 'var(--text-light)', fontSize: '0.875rem' }}>
+              {`created ${format(new Date(appPassword.createdAt), 'MMM d, yyyy')} · `}
+              {appPassword.lastUsedAt
+                ? `last used ${format(new Date(appPassword.lastUsedAt), 'MMM d, yyyy HH:mm')}`
+                : 'never used'}
+            </div>
+          </div>
+          <button onClick={() => handleDelete(appPassword)} className="btn-secondary" disabled={busy}>
+            Revoke
+          </button>
+        </div>
+      ))}
+      {created && (
+        <div className="mt-md">
+          <p>
+            App password for <strong>{created.name}</strong> - enter it in the app now, it won't be shown again:
+          </p>
+          <p style={{ fontFamily: 'monospace', fontSize: '1.25rem' }}>{created.password}</p>
+        </div>
+      )}
+      <form onSubmit={handleCreate} className="mt-md" style={{ display: 'flex', gap: 'var(--spacing-sm)' }}>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="App name, e.g. Phone (DAVx5)"
+          maxLength={100}
+        />
+        <button type="submit" className="btn-primary" disabled={busy || !name.trim()}>
+          Create
+        </button>
+      </form>
+      {message && (
+        <p className={`mt-md ${message.error ? 'text-error' : 'text-success'}`}>{message.text}</p>
+      )}
+    </div>
+  );
+}
+
+export default AppPasswordSettings;
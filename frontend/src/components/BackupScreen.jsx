@@ -38,6 +38,8 @@ function BackupScreen({ onComplete }) {
         jwtSecret: backupData.jwtSecret,
         jwtRefreshSecret: backupData.jwtRefreshSecret,
         encryptionKey: backupData.encryptionKey,
+        vapidPublicKey: backupData.vapidPublicKey,
+        vapidPrivateKey: backupData.vapidPrivateKey,
       },
       instructions: {
         restore: 'To restore: Copy these secrets to /data/secrets.env or set as environment variables',
@@ -4,17 +4,45 @@
  * Provides consistent layout with navigation for all pages
  */
 
+import { useState, useEffect } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { authAPI } from '../services/api';
+import { detachPush } from '../services/notifications';
 import { useNavigate } from 'react-router-dom';
 import './Layout.css';
 
 function Layout({ children }) {
   const location = useLocation();
   const navigate = useNavigate();
+  const [searchText, setSearchText] = useState('');
+
+  // Notifications clicked while the app is open (see public/push-handler.js)
+  useEffect(() => {
+    if (!('serviceWorker' in navigator)) {
+      return;
+    }
+    
+    const handleMessage = (event) => {
+      if (event.data && event.data.type === 'navigate') {
+        navigate(event.data.url);
+      }
+    };
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+  }, []);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    if (searchText.trim()) {
+      navigate(`/search?q=${encodeURIComponent(searchText.trim())}`);
+      setSearchText('');
+    }
+  };
 
   const handleLogout = async () => {
     try {
+      // No more notifications for this user on this device
+      await detachPush();
       await authAPI.logout();
       navigate('/login');
     } catch (error) {
@@ -29,6 +57,14 @@ function Layout({ children }) {
       {/* Desktop sidebar */}
       <aside className="sidebar">
         <h2 style={{ marginBottom: 'var(--spacing-lg)' }}>All-in-One</h2>
+        <form onSubmit={handleSearch} className="sidebar-search">
+          <input
+            type="search"
+            value={searchText}
+            onChange={(e) => setSearchText(e.target.value)}
+            placeholder="🔍 Search"
+          />
+        </form>
         <nav>
           <ul className="sidebar-nav">
             <li>
@@ -88,6 +124,10 @@ function Layout({ children }) {
           <div className="bottom-nav-icon">✉️</div>
           <span>Mail</span>
         </Link>
+        <Link to="/search" className={location.pathname === '/search' ? 'active' : ''}>
+          <div className="bottom-nav-icon">🔍</div>
+          <span>Search</span>
+        </Link>
         <Link to="/settings" className={location.pathname === '/settings' ? 'active' : ''}>
           <div className="bottom-nav-icon">⚙️</div>
           <span>Settings</span>
@@ -0,0 +1,81 @@
+/**
+ * Notification settings component
+ * 
+ * Turns push notifications (reminders and new mail) on and off for this
+ * browser
+ */
+
+import { useState, useEffect } from 'react';
+import { pushAPI } from '../services/api';
+import { isPushSupported, isPushEnabled, enablePush, disablePush } from '../services/notifications';
+
+function NotificationSettings() {
+  const [enabled, setEnabled] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    isPushEnabled().then(setEnabled);
+  }, []);
+
+  const run = async (action) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      await action();
+    } catch (error) {
+      setMessage({ error: true, text: error.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleToggle = () => run(async () => {
+    if (enabled) {
+      await disablePush();
+      setEnabled(false);
+    } else {
+      await enablePush();
+      setEnabled(true);
+    }
+  });
+
+  const handleTest = () => run(async () => {
+    const { sent } = await pushAPI.test();
+    setMessage(sent > 0
+      ? { text: `Test notification sent to ${sent} device${sent === 1 ? '' : 's'}.` }
+      : { error: true, text: 'No device could be reached.' });
+  });
+
+  return (
+    <div className="card">
+      <h2>Notifications</h2>
+      {isPushSupported() ? (
+        <>
+          <p>
+            {enabled
+              ? 'Reminders and new mail are pushed to this device, also while the app is closed.'
+              : 'Reminders are only shown while the app is open.'}
+          </p>
+          <div className="mt-md">
+            <button onClick={handleToggle} className="btn-primary" disabled={busy}>
+              {enabled ? 'Turn off on this device' : 'Turn on'}
+            </button>
+            {enabled && (
+              <button onClick={handleTest} className="btn-secondary" disabled={busy} style={{ marginLeft: 'var(--spacing-sm)' }}>
+                Send test notification
+              </button>
+            )}
+          </div>
+          {message && (
+            <p className={`mt-md ${message.error ? 'text-error' : 'text-success'}`}>{message.text}</p>
+          )}
+        </>
+      ) : (
+        <p>This browser doesn't support push notifications - reminders are only shown while the app is open.</p>
+      )}
+    </div>
+  );
+}
+
+export default NotificationSettings;
@@ -0,0 +1,96 @@
+/**
+ * Offline mail settings component
+ * 
+ * Sets how much space mail downloaded for offline reading may take on this
+ * device, and clears it (see services/mailCache.js)
+ */
+
+import { useState, useEffect } from 'react';
+import { getBudget, setBudget, getUsage, clearMailCache } from '../services/mailCache';
+
+// Budgets offered, in MB (0: off)
+const BUDGETS = [0, 25, 100, 250, 1000];
+
+function formatMegabytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function OfflineMailSettings() {
+  const [budget, setBudgetState] = useState(getBudget());
+  const [usage, setUsage] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    loadUsage();
+  }, []);
+
+  const loadUsage = async () => {
+    try {
+      setUsage(await getUsage());
+    } catch (error) {
+      setMessage({ error: true, text: error.message });
+    }
+  };
+
+  const run = async (action) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      await action();
+      await loadUsage();
+    } catch (error) {
+      setMessage({ error: true, text: error.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // A smaller budget drops what was used longest ago right away
+  const handleBudgetChange = (e) => {
+    const megabytes = Number(e.target.value);
+    setBudgetState(megabytes);
+    run(() => setBudget(megabytes));
+  };
+
+  const handleClear = () => run(async () => {
+    await clearMailCache();
+    setMessage({ text: 'Offline mail cleared.' });
+  });
+
+  return (
+    <div className="card">
+      <h2>Offline Mail</h2>
+      <p>
+        The latest conversations of recently opened mail folders are downloaded to this device,
+        so they can be read without a connection.
+      </p>
+      <div className="form-group mt-md">
+        <label htmlFor="offlineMailBudget">Space for offline mail</label>
+        <select id="offlineMailBudget" value={budget} onChange={handleBudgetChange} disabled={busy}>
+          {BUDGETS.map(megabytes => (
+            <option key={megabytes} value={megabytes}>
+              {megabytes === 0 ? 'Off' : `${megabytes} MB`}
+            </option>
+          ))}
+        </select>
+      </div>
+      {usage && (
+        <p>
+          {`Using ${formatMegabytes(usage.bytes)}: ${usage.conversations} conversation${usage.conversations === 1 ? '' : 's'}, `}
+          {`${usage.attachments} attachment${usage.attachments === 1 ? '' : 's'}.`}
+        </p>
+      )}
+      <div className="mt-md">
+        <button onClick={handleClear} className="btn-secondary" disabled={busy || !usage || usage.bytes === 0}>
+          Clear offline mail
+        </button>
+      </div>
+      {message && (
+        <p className={`mt-md ${message.error ? 'text-error' : 'text-success'}`}>{message.text}</p>
+      )}
+    </div>
+  );
+}
+
+export default OfflineMailSettings;
@@ -0,0 +1,154 @@
+/**
+ * Pending changes component
+ * 
+ * Shows a module's changes that haven't reached the server yet (see
+ * services/outbox.js), and lets the user pick a version where the item
+ * was changed or deleted on the server in the meantime
+ */
+
+import { useState, useEffect } from 'react';
+import { getOutboxEntries, subscribeToOutbox, flushOutbox, resolveConflict } from '../services/outbox';
+import './PendingChanges.css';
+
+// Fields compared in conflicts, by module
+const FIELDS = {
+  calendar: {
+    title: 'Title',
+    date: 'Date',
+    startTime: 'Start time',
+    endTime: 'End time',
+    location: 'Location',
+    description: 'Description',
+    reminderTime: 'Reminder',
+    rrule: 'Repeats',
+  },
+  contacts: {
+    name: 'Name',
+    phoneNumbers: 'Phone numbers',
+    emailAddresses: 'Email addresses',
+    notes: 'Notes',
+  },
+};
+
+const ACTIONS = {
+  create: 'New',
+  update: 'Changed',
+  delete: 'Deleted',
+};
+
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return value.join(', ');
+  }
+  return value === null || value === undefined || value === '' ? '-' : String(value);
+}
+
+function PendingChanges({ type }) {
+  const [entries, setEntries] = useState([]);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    const load = () => getOutboxEntries(type).then(setEntries).catch(error => {
+      console.error('Error loading pending changes:', error);
+    });
+    
+    load();
+    return subscribeToOutbox(load);
+  }, [type]);
+
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      await action();
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const pending = entries.filter(entry => entry.status === 'pending');
+  const conflicts = entries.filter(entry => entry.status === 'conflict');
+
+  if (entries.length === 0) {
+    return null;
+  }
+
+  // Fields where my change differs from the server's version
+  const differences = (entry) => Object.entries(FIELDS[type])
+    .filter(([field]) => entry.data && field in entry.data && formatValue(entry.data[field]) !== formatValue(entry.current[field]))
+    .map(([field, label]) => ({ field, label, mine: entry.data[field], theirs: entry.current[field] }));
+
+  const describe = (entry) => {
+    if (entry.reason === 'changed') {
+      return entry.action === 'delete'
+        ? 'You deleted it, but it was changed on the server in the meantime.'
+        : 'It was changed on the server in the meantime.';
+    }
+    if (entry.reason === 'deleted') {
+      return 'It was deleted on the server in the meantime.';
+    }
+    return `The server refused the change: ${entry.error}`;
+  };
+
+  return (
+    <div className="pending-changes">
+      {pending.length > 0 && (
+        <div className="pending-changes-summary">
+          <span>
+            {pending.length} change{pending.length === 1 ? '' : 's'} not synced yet
+            {navigator.onLine ? '' : ' - they are sent once you are back online'}
+          </span>
+          <button onClick={() => run(flushOutbox)} className="btn-secondary" disabled={busy}>
+            Sync now
+          </button>
+        </div>
+      )}
+      
+      {conflicts.map(entry => {
+        const changes = entry.reason === 'changed' && entry.current && entry.action !== 'delete'
+          ? differences(entry)
+          : [];
+        
+        return (
+          <div key={entry.id} className="pending-conflict">
+            <div className="pending-conflict-header">
+              <strong>{ACTIONS[entry.action]}: {entry.title || 'Untitled'}</strong>
+              <span className="pending-conflict-reason">{describe(entry)}</span>
+            </div>
+            
+            {changes.length > 0 && (
+              <table className="pending-conflict-fields">
+                <thead>
+                  <tr>
+                    <th></th>
+                    <th>Yours</th>
+                    <th>On the server</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {changes.map(change => (
+                    <tr key={change.field}>
+                      <th>{change.label}</th>
+                      <td>{formatValue(change.mine)}</td>
+                      <td>{formatValue(change.theirs)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            
+            <div className="pending-conflict-actions">
+              <button onClick={() => run(() => resolveConflict(entry.id, 'mine'))} className="btn-primary" disabled={busy}>
+                {entry.reason === 'rejected' ? 'Try again' : entry.reason === 'deleted' ? 'Restore mine' : 'Keep mine'}
+              </button>
+              <button onClick={() => run(() => resolveConflict(entry.id, 'theirs'))} className="btn-secondary" disabled={busy}>
+                {entry.reason === 'rejected' ? 'Discard' : 'Keep the server\'s'}
+              </button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default PendingChanges;
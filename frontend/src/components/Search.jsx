@@ -0,0 +1,188 @@
+/**
+ * Search component
+ * 
+ * Full-text search across mail, contacts and calendar events.
+ * The search text is kept in the URL (/search?q=...), so the sidebar
+ * search box and the back button work.
+ */
+
+import { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { format, parseISO } from 'date-fns';
+import Layout from './Layout';
+import { searchAPI, mailAPI } from '../services/api';
+import './Search.css';
+
+function Search() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.get('q') || '';
+  const [text, setText] = useState(query);
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [serverResults, setServerResults] = useState(null);
+  const [searchingServer, setSearchingServer] = useState(false);
+
+  useEffect(() => {
+    setText(query);
+    setServerResults(null);
+    if (!query.trim()) {
+      setResults(null);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    searchAPI.search(query)
+      .then(data => {
+        if (!cancelled) setResults(data);
+      })
+      .catch(error => {
+        if (!cancelled) alert('Error searching: ' + error.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [query]);
+
+  // Local results only cover synced mail, so older mail can be searched for on the server
+  const handleSearchServer = async () => {
+    setSearchingServer(true);
+    try {
+      setServerResults(await mailAPI.searchServer('inbox', null, { text: query }));
+    } catch (error) {
+      alert('Error searching mail server: ' + error.message);
+    } finally {
+      setSearchingServer(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setSearchParams({ q: text.trim() });
+  };
+
+  const total = results ? results.mail.length + results.contacts.length + results.events.length : 0;
+
+  return (
+    <Layout>
+      <div className="search">
+        <h1>Search</h1>
+        <form onSubmit={handleSubmit} className="search-form">
+          <input
+            type="search"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder="Search mail, contacts and events..."
+            autoFocus
+          />
+          <button type="submit" className="btn-primary">Search</button>
+        </form>
+
+        {loading && <p className="search-empty">Searching...</p>}
+
+        {!loading && results && total === 0 && (
+          <p className="search-empty">Nothing found for "{query}"</p>
+        )}
+
+        {!loading && results && results.mail.length > 0 && (
+          <section className="search-section">
+            <h2>✉️ Mail</h2>
+            <ul className="search-results">
+              {results.mail.map(message => (
+                <li key={message.id}>
+                  <Link to={`/mail?account=${message.accountId}&folder=${encodeURIComponent(message.folder)}&thread=${message.threadId}`}>
+                    <div className={`search-result-title ${message.read ? '' : 'unread'}`}>
+                      {message.subject || '(No subject)'}
+                    </div>
+                    <div className="search-result-details">
+                      {message.from} · {message.folder} · {format(new Date(message.date), 'MMM d, yyyy')}
+                    </div>
+                    {message.snippet && <div className="search-result-snippet">{message.snippet}</div>}
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
+        {!loading && results && (
+          <section className="search-section">
+            {serverResults ? (
+              <>
+                <h2>✉️ Inbox on the mail server</h2>
+                {serverResults.length === 0 ? (
+                  <p className="search-empty">Nothing found on the mail server</p>
+                ) : (
+                  <ul className="search-results">
+                    {serverResults.map(message => (
+                      <li key={message.id}>
+                        <Link to={`/mail?account=${message.accountId}&folder=inbox&thread=${message.threadId}`}>
+                          <div className={`search-result-title ${message.read ? '' : 'unread'}`}>
+                            {message.subject || '(No subject)'}
+                          </div>
+                          <div className="search-result-details">
+                            {message.from} · {format(new Date(message.date), 'MMM d, yyyy')}
+                          </div>
+                        </Link>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </>
+            ) : (
+              <button onClick={handleSearchServer} className="btn-secondary" disabled={searchingServer}>
+                {searchingServer ? 'Searching mail server...' : 'Search inbox on the mail server'}
+              </button>
+            )}
+          </section>
+        )}
+
+        {!loading && results && results.contacts.length > 0 && (
+          <section className="search-section">
+            <h2>👤 Contacts</h2>
+            <ul className="search-results">
+              {results.contacts.map(contact => (
+                <li key={contact.id}>
+                  <Link to={`/contacts?contact=${contact.id}`}>
+                    <div className="search-result-title">{contact.name}</div>
+                    <div className="search-result-details">
+                      {[...contact.emailAddresses, ...contact.phoneNumbers].join(' · ')}
+                    </div>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
+        {!loading && results && results.events.length > 0 && (
+          <section className="search-section">
+            <h2>📅 Events</h2>
+            <ul className="search-results">
+              {results.events.map(event => (
+                <li key={event.id}>
+                  <Link to={`/calendar?date=${event.date}`}>
+                    <div className="search-result-title">{event.title}</div>
+                    <div className="search-result-details">
+                      {[
+                        format(parseISO(event.date), 'MMM d, yyyy') + (event.rrule ? ' (repeats)' : ''),
+                        event.startTime,
+                        event.location,
+                      ].filter(Boolean).join(' · ')}
+                    </div>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+      </div>
+    </Layout>
+  );
+}
+
+export default Search;
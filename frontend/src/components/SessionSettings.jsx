@@ -0,0 +1,100 @@
+/**
+ * Session settings component
+ * 
+ * Lists the devices signed in to the account, with where and when they were
+ * last used, and signs them out - one at a time or everywhere
+ */
+
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { format } from 'date-fns';
+import { authAPI } from '../services/api';
+import { detachPush } from '../services/notifications';
+
+function SessionSettings() {
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const loadSessions = async () => {
+    try {
+      setSessions(await authAPI.getSessions());
+    } catch (error) {
+      setMessage({ error: true, text: error.message });
+    }
+  };
+
+  const handleRevoke = async (session) => {
+    if (!window.confirm(`Sign out ${session.deviceName}?`)) {
+      return;
+    }
+    setBusy(true);
+    setMessage(null);
+    try {
+      await authAPI.revokeSession(session.id);
+      await loadSessions();
+    } catch (error) {
+      setMessage({ error: true, text: error.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevokeAll = async () => {
+    if (!window.confirm('Sign out on all devices, including this one? Calendar and contacts apps lose their app passwords too.')) {
+      return;
+    }
+    setBusy(true);
+    try {
+      // No more notifications for this user on this device
+      await detachPush();
+      await authAPI.revokeAllSessions();
+      navigate('/login');
+    } catch (error) {
+      setMessage({ error: true, text: error.message });
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h2>Signed-in Devices</h2>
+      <p>
+        Signed-out devices can still open the app for up to 15 minutes, until their login expires.
+      </p>
+      {sessions.map(session => (
+        <div key={session.id} className="mt-md" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 'var(--spacing-md)' }}>
+          <div>
+            <strong>{session.deviceName}</strong>
+            {session.current && <span className="text-success"> (this device)</span>}
+            <div title={session.userAgent || ''} style={{ color: 'var(--text-light)', fontSize: '0.875rem' }}>
+              {session.ipAddress || 'Unknown IP'}
+              {` · last used ${format(new Date(session.lastUsedAt), 'MMM d, yyyy HH:mm')}`}
+              {` · signed in ${format(new Date(session.createdAt), 'MMM d, yyyy')}`}
+            </div>
+          </div>
+          {!session.current && (
+            <button onClick={() => handleRevoke(session)} className="btn-secondary" disabled={busy}>
+              Sign out
+            </button>
+          )}
+        </div>
+      ))}
+      <div className="mt-md">
+        <button onClick={handleRevokeAll} className="btn-danger" disabled={busy}>
+          Sign out everywhere
+        </button>
+      </div>
+      {message && (
+        <p className={`mt-md ${message.error ? 'text-error' : 'text-success'}`}>{message.text}</p>
+      )}
+    </div>
+  );
+}
+
+export default SessionSettings;
@@ -5,6 +5,10 @@
  */
 
 import Layout from './Layout';
+import NotificationSettings from './NotificationSettings';
+import OfflineMailSettings from './OfflineMailSettings';
+import SessionSettings from './SessionSettings';
+import AppPasswordSettings from './AppPasswordSettings';
 
 function Settings() {
   return (
@@ -15,6 +19,10 @@ function Settings() {
           <h2>Account Settings</h2>
           <p>Account settings will be available here.</p>
         </div>
+        <SessionSettings />
+        <AppPasswordSettings />
+        <NotificationSettings />
+        <OfflineMailSettings />
         <div className="card">
           <h2>Email Configuration</h2>
           <p>Email settings are configured in the Mail module.</p>
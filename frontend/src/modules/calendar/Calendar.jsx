@@ -4,53 +4,81 @@
  * Main calendar component with monthly/weekly/daily views
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { parseISO } from 'date-fns';
 import Layout from '../../components/Layout';
 import { calendarAPI } from '../../services/api';
 import { calendarStorage } from '../../services/storage';
+import { syncData } from '../../services/sync';
 import { scheduleEventReminders } from '../../services/notifications';
+import { subscribeToChanges } from '../../services/liveUpdates';
+import { calendarOutbox, applyOutbox, subscribeToOutbox } from '../../services/outbox';
+import PendingChanges from '../../components/PendingChanges';
 import EventList from './EventList';
 import EventForm from './EventForm';
+import RecurrenceScopeDialog from './RecurrenceScopeDialog';
 import './Calendar.css';
 
 function Calendar() {
+  // Search results link to /calendar?date=YYYY-MM-DD (opens that day)
+  const [searchParams] = useSearchParams();
+  const linkedDate = searchParams.get('date');
   const [events, setEvents] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [view, setView] = useState('month'); // month, week, day
-  const [selectedDate, setSelectedDate] = useState(new Date());
+  const [view, setView] = useState(linkedDate ? 'day' : 'month'); // month, week, day
+  const [selectedDate, setSelectedDate] = useState(() => (linkedDate ? parseISO(linkedDate) : new Date()));
   const [showForm, setShowForm] = useState(false);
   const [editingEvent, setEditingEvent] = useState(null);
+  const [deletingEvent, setDeletingEvent] = useState(null);
+  const importInputRef = useRef(null);
 
-  // Load events on mount and sync
+  // Load events on mount, and again whenever they change (in another app,
+  // through CalDAV, ...). Changes come as IDs, and recurring events have to
+  // be expanded again anyway, so the events are reloaded. The same goes for
+  // changes made offline (queued, sent or resolved).
   useEffect(() => {
     loadEvents();
     
-    // Sync every 5 minutes while app is open
-    const syncInterval = setInterval(loadEvents, 5 * 60 * 1000);
-    
-    return () => clearInterval(syncInterval);
+    const unsubscribeChanges = subscribeToChanges('calendar', loadEvents);
+    const unsubscribeOutbox = subscribeToOutbox(loadEvents);
+    return () => {
+      unsubscribeChanges();
+      unsubscribeOutbox();
+    };
   }, []);
 
+  // Links followed while the calendar is open (e.g. a reminder notification)
+  useEffect(() => {
+    if (linkedDate) {
+      setView('day');
+      setSelectedDate(parseISO(linkedDate));
+    }
+  }, [linkedDate]);
+
   const loadEvents = async () => {
+    let synced = false;
     try {
-      // Try to load from API
-      const apiEvents = await calendarAPI.getEvents();
-      setEvents(apiEvents);
+      // Download what changed since the last time into IndexedDB
+      await syncData();
+      synced = true;
+    } catch (error) {
+      // Offline: the stored events are shown
+      console.error('Error syncing events:', error);
+    }
+    
+    try {
+      const storedEvents = await calendarStorage.getAll();
       
-      // Cache in IndexedDB
-      await calendarStorage.setAll(apiEvents);
+      // Changes not sent yet are shown on top
+      setEvents(await applyOutbox('calendar', storedEvents));
       
       // Schedule notifications
-      scheduleEventReminders(apiEvents);
-    } catch (error) {
-      console.error('Error loading events:', error);
-      // Fallback to cached data
-      try {
-        const cachedEvents = await calendarStorage.getAll();
-        setEvents(cachedEvents);
-      } catch (cacheError) {
-        console.error('Error loading cached events:', cacheError);
+      if (synced) {
+        scheduleEventReminders(storedEvents);
       }
+    } catch (error) {
+      console.error('Error loading stored events:', error);
     } finally {
       setLoading(false);
     }
@@ -66,25 +94,43 @@ function Calendar() {
     setShowForm(true);
   };
 
-  const handleDeleteEvent = async (eventId) => {
+  const handleDeleteEvent = async (event) => {
+    // Recurring events ask which occurrences to delete instead
+    if (event.rrule && event.occurrenceDate) {
+      setDeletingEvent(event);
+      return;
+    }
+
     if (!window.confirm('Are you sure you want to delete this event?')) {
       return;
     }
 
     try {
-      await calendarAPI.deleteEvent(eventId);
+      await calendarOutbox.deleteEvent(event);
+      await loadEvents();
+    } catch (error) {
+      alert('Error deleting event: ' + error.message);
+    }
+  };
+
+  const handleDeleteOccurrences = async (scope) => {
+    const event = deletingEvent;
+    setDeletingEvent(null);
+
+    try {
+      await calendarOutbox.deleteEvent(event, scope);
       await loadEvents();
     } catch (error) {
       alert('Error deleting event: ' + error.message);
     }
   };
 
-  const handleSaveEvent = async (eventData) => {
+  const handleSaveEvent = async (eventData, scope) => {
     try {
       if (editingEvent) {
-        await calendarAPI.updateEvent(editingEvent.id, eventData);
+        await calendarOutbox.updateEvent(editingEvent, eventData, scope);
       } else {
-        await calendarAPI.createEvent(eventData);
+        await calendarOutbox.createEvent(eventData);
       }
       setShowForm(false);
       setEditingEvent(null);
@@ -94,6 +140,41 @@ function Calendar() {
     }
   };
 
+  const handleExport = async () => {
+    try {
+      const blob = await calendarAPI.exportICS();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'calendar.ics';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      alert('Error exporting calendar: ' + error.message);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    try {
+      const result = await calendarAPI.importICS(await file.text());
+      let message = `Imported ${result.created} new and updated ${result.updated} existing events.`;
+      if (result.failed.length > 0) {
+        message += `\n\n${result.failed.length} events could not be imported:\n`;
+        message += result.failed.map(item => `- ${item.title || item.uid || 'Unknown'}: ${item.error}`).join('\n');
+      }
+      alert(message);
+      await loadEvents();
+    } catch (error) {
+      alert('Error importing calendar: ' + error.message);
+    }
+  };
+
   if (loading) {
     return (
       <Layout>
@@ -113,12 +194,27 @@ function Calendar() {
               <option value="week">Week</option>
               <option value="day">Day</option>
             </select>
+            <button onClick={() => importInputRef.current.click()} className="btn-secondary">
+              Import .ics
+            </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".ics,text/calendar"
+              onChange={handleImport}
+              style={{ display: 'none' }}
+            />
+            <button onClick={handleExport} className="btn-secondary">
+              Export .ics
+            </button>
             <button onClick={handleCreateEvent} className="btn-primary">
               + New Event
             </button>
           </div>
         </div>
 
+        <PendingChanges type="calendar" />
+
         {showForm && (
           <EventForm
             event={editingEvent}
@@ -130,6 +226,14 @@ function Calendar() {
           />
         )}
 
+        {deletingEvent && (
+          <RecurrenceScopeDialog
+            title={`Delete "${deletingEvent.title}"`}
+            onSelect={handleDeleteOccurrences}
+            onCancel={() => setDeletingEvent(null)}
+          />
+        )}
+
         <EventList
           events={events}
           view={view}
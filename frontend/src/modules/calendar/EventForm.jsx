@@ -5,6 +5,13 @@
  */
 
 import { useState, useEffect } from 'react';
+import {
+  WEEKDAY_LABELS,
+  emptyRecurrence,
+  parseRecurrence,
+  buildRecurrence,
+  describeMonthlyWeekday,
+} from './recurrence';
 import './EventForm.css';
 
 function EventForm({ event, onSave, onCancel }) {
@@ -15,6 +22,12 @@ function EventForm({ event, onSave, onCancel }) {
   const [endTime, setEndTime] = useState('');
   const [location, setLocation] = useState('');
   const [reminderTime, setReminderTime] = useState('');
+  const [recurrence, setRecurrence] = useState(emptyRecurrence());
+  const [recurrenceChanged, setRecurrenceChanged] = useState(false);
+  const [scope, setScope] = useState('occurrence');
+
+  // Editing one occurrence of a recurring event
+  const isOccurrence = !!(event && event.rrule && event.occurrenceDate);
 
   useEffect(() => {
     if (event) {
@@ -25,13 +38,29 @@ function EventForm({ event, onSave, onCancel }) {
       setEndTime(event.endTime || '');
       setLocation(event.location || '');
       setReminderTime(event.reminderTime ? new Date(event.reminderTime).toISOString().slice(0, 16) : '');
+      setRecurrence(parseRecurrence(event.rrule, event.date));
     } else {
       // Default to today
       const today = new Date().toISOString().split('T')[0];
       setDate(today);
+      setRecurrence(emptyRecurrence(today));
     }
+    setRecurrenceChanged(false);
+    setScope('occurrence');
   }, [event]);
 
+  const updateRecurrence = (changes) => {
+    setRecurrence({ ...recurrence, ...changes });
+    setRecurrenceChanged(true);
+  };
+
+  const handleWeekdayToggle = (weekday) => {
+    const weekdays = recurrence.weekdays.includes(weekday)
+      ? recurrence.weekdays.filter(day => day !== weekday)
+      : [...recurrence.weekdays, weekday];
+    updateRecurrence({ weekdays });
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     
@@ -45,7 +74,13 @@ function EventForm({ event, onSave, onCancel }) {
       reminderTime: reminderTime ? new Date(reminderTime).toISOString() : null,
     };
     
-    onSave(eventData);
+    // Only rebuild the rule if it was edited, so parts the form
+    // can't show (e.g. from imported events) are kept
+    if (recurrenceChanged || !event) {
+      eventData.rrule = buildRecurrence(recurrence, date);
+    }
+    
+    onSave(eventData, isOccurrence ? scope : null);
   };
 
   return (
@@ -128,6 +163,132 @@ function EventForm({ event, onSave, onCancel }) {
             <small>When to send a notification reminder</small>
           </div>
           
+          {isOccurrence && (
+            <div className="form-group">
+              <label>Apply changes to</label>
+              <div className="recurrence-scope">
+                <label>
+                  <input
+                    type="radio"
+                    name="scope"
+                    value="occurrence"
+                    checked={scope === 'occurrence'}
+                    onChange={(e) => setScope(e.target.value)}
+                  />
+                  This occurrence
+                </label>
+                <label>
+                  <input
+                    type="radio"
+                    name="scope"
+                    value="following"
+                    checked={scope === 'following'}
+                    onChange={(e) => setScope(e.target.value)}
+                  />
+                  This and following
+                </label>
+                <label>
+                  <input
+                    type="radio"
+                    name="scope"
+                    value="all"
+                    checked={scope === 'all'}
+                    onChange={(e) => setScope(e.target.value)}
+                  />
+                  All occurrences
+                </label>
+              </div>
+            </div>
+          )}
+          
+          {!(isOccurrence && scope === 'occurrence') && (
+            <div className="form-group">
+              <label htmlFor="frequency">Repeat</label>
+              <div className="form-row">
+                <select
+                  id="frequency"
+                  value={recurrence.frequency}
+                  onChange={(e) => updateRecurrence({ frequency: e.target.value })}
+                >
+                  <option value="">Does not repeat</option>
+                  <option value="DAILY">Daily</option>
+                  <option value="WEEKLY">Weekly</option>
+                  <option value="MONTHLY">Monthly</option>
+                  <option value="YEARLY">Yearly</option>
+                </select>
+                
+                {recurrence.frequency && (
+                  <label className="recurrence-interval">
+                    Every
+                    <input
+                      type="number"
+                      min="1"
+                      value={recurrence.interval}
+                      onChange={(e) => updateRecurrence({ interval: parseInt(e.target.value) || 1 })}
+                    />
+                  </label>
+                )}
+              </div>
+              
+              {recurrence.frequency === 'WEEKLY' && (
+                <div className="recurrence-weekdays">
+                  {WEEKDAY_LABELS.map((label, weekday) => (
+                    <label key={label}>
+                      <input
+                        type="checkbox"
+                        checked={recurrence.weekdays.includes(weekday)}
+                        onChange={() => handleWeekdayToggle(weekday)}
+                      />
+                      {label}
+                    </label>
+                  ))}
+                </div>
+              )}
+              
+              {recurrence.frequency === 'MONTHLY' && (
+                <select
+                  value={recurrence.monthlyMode}
+                  onChange={(e) => updateRecurrence({ monthlyMode: e.target.value })}
+                >
+                  <option value="day">On day {date ? parseInt(date.slice(8, 10)) : ''}</option>
+                  <option value="weekday">On the {describeMonthlyWeekday(date)}</option>
+                </select>
+              )}
+              
+              {recurrence.frequency && (
+                <div className="recurrence-ends">
+                  <select
+                    value={recurrence.ends}
+                    onChange={(e) => updateRecurrence({ ends: e.target.value })}
+                  >
+                    <option value="never">Never ends</option>
+                    <option value="count">Ends after</option>
+                    <option value="until">Ends on</option>
+                  </select>
+                  {recurrence.ends === 'count' && (
+                    <label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={recurrence.count}
+                        onChange={(e) => updateRecurrence({ count: parseInt(e.target.value) || 1 })}
+                      />
+                      occurrences
+                    </label>
+                  )}
+                  {recurrence.ends === 'until' && (
+                    <input
+                      type="date"
+                      value={recurrence.until}
+                      min={date}
+                      onChange={(e) => updateRecurrence({ until: e.target.value })}
+                    />
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+          
           <div className="form-actions">
             <button type="button" onClick={onCancel} className="btn-secondary">
               Cancel
@@ -5,8 +5,12 @@
  */
 
 import { format, startOfWeek, endOfWeek, startOfMonth, endOfMonth, eachDayOfInterval, isSameDay } from 'date-fns';
+import { describeRecurrence } from './recurrence';
 import './EventList.css';
 
+// Occurrences of a recurring event share the event ID, so include the date
+const eventKey = (event) => `${event.id}-${event.date}`;
+
 function EventList({ events, view, selectedDate, onEdit, onDelete }) {
   const getEventsForDate = (date) => {
     return events.filter(event => {
@@ -43,12 +47,12 @@ function EventList({ events, view, selectedDate, onEdit, onDelete }) {
                 <div className="calendar-day-events">
                   {dayEvents.slice(0, 3).map(event => (
                     <div 
-                      key={event.id} 
-                      className="calendar-event"
+                      key={eventKey(event)} 
+                      className={`calendar-event${event.pending ? ' pending' : ''}`}
                       onClick={() => onEdit(event)}
                       title={event.title}
                     >
-                      {event.startTime ? format(new Date(`2000-01-01T${event.startTime}`), 'HH:mm') : ''} {event.title}
+                      {event.startTime ? format(new Date(`2000-01-01T${event.startTime}`), 'HH:mm') : ''} {event.rrule ? '↻ ' : ''}{event.title}
                     </div>
                   ))}
                   {dayEvents.length > 3 && (
@@ -80,16 +84,17 @@ function EventList({ events, view, selectedDate, onEdit, onDelete }) {
               ) : (
                 <div className="event-list">
                   {dayEvents.map(event => (
-                    <div key={event.id} className="event-item">
+                    <div key={eventKey(event)} className="event-item">
                       <div className="event-item-header">
-                        <strong>{event.title}</strong>
+                        <strong>{event.title}{event.pending && <span className="event-pending">Not synced</span>}</strong>
                         <div className="event-item-actions">
                           <button onClick={() => onEdit(event)} className="btn-secondary btn-sm">Edit</button>
-                          <button onClick={() => onDelete(event.id)} className="btn-danger btn-sm">Delete</button>
+                          <button onClick={() => onDelete(event)} className="btn-danger btn-sm">Delete</button>
                         </div>
                       </div>
                       {event.startTime && <div>Time: {event.startTime} - {event.endTime || 'No end time'}</div>}
-                      {event.location && <div>Location: {event.location}</div>}
+                      {event.rrule && <div>Repeats: {describeRecurrence(event.rrule)}</div>}
+              {event.location && <div>Location: {event.location}</div>}
                       {event.description && <div>{event.description}</div>}
                     </div>
                   ))}
@@ -113,15 +118,16 @@ function EventList({ events, view, selectedDate, onEdit, onDelete }) {
       ) : (
         <div className="event-list">
           {dayEvents.map(event => (
-            <div key={event.id} className="event-item">
+            <div key={eventKey(event)} className="event-item">
               <div className="event-item-header">
-                <strong>{event.title}</strong>
+                <strong>{event.title}{event.pending && <span className="event-pending">Not synced</span>}</strong>
                 <div className="event-item-actions">
                   <button onClick={() => onEdit(event)} className="btn-secondary btn-sm">Edit</button>
-                  <button onClick={() => onDelete(event.id)} className="btn-danger btn-sm">Delete</button>
+                  <button onClick={() => onDelete(event)} className="btn-danger btn-sm">Delete</button>
                 </div>
               </div>
               {event.startTime && <div>Time: {event.startTime} - {event.endTime || 'No end time'}</div>}
+              {event.rrule && <div>Repeats: {describeRecurrence(event.rrule)}</div>}
               {event.location && <div>Location: {event.location}</div>}
               {event.description && <div>{event.description}</div>}
             </div>
@@ -0,0 +1,36 @@
+/**
+ * Recurrence scope dialog
+ * 
+ * Asks which occurrences of a recurring event an action applies to
+ */
+
+import './RecurrenceScopeDialog.css';
+
+function RecurrenceScopeDialog({ title, onSelect, onCancel }) {
+  return (
+    <div className="event-form-overlay">
+      <div className="recurrence-scope-dialog">
+        <h2>{title}</h2>
+        <p>This is a recurring event.</p>
+        <div className="recurrence-scope-options">
+          <button onClick={() => onSelect('occurrence')} className="btn-secondary">
+            This occurrence
+          </button>
+          <button onClick={() => onSelect('following')} className="btn-secondary">
+            This and following
+          </button>
+          <button onClick={() => onSelect('all')} className="btn-secondary">
+            All occurrences
+          </button>
+        </div>
+        <div className="form-actions">
+          <button onClick={onCancel} className="btn-secondary">
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RecurrenceScopeDialog;
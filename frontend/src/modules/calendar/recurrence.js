@@ -0,0 +1,189 @@
+/**
+ * Recurrence helpers
+ *
+ * Converts between RFC 5545 RRULE strings (as stored by the backend)
+ * and the simple recurrence options shown in the event form.
+ */
+
+export const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const FREQUENCY_LABELS = {
+  DAILY: ['day', 'days'],
+  WEEKLY: ['week', 'weeks'],
+  MONTHLY: ['month', 'months'],
+  YEARLY: ['year', 'years'],
+};
+
+const ORDINAL_LABELS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+
+/**
+ * Split an RRULE string into a { PART: value } map
+ */
+function ruleParts(rrule) {
+  const parts = {};
+  rrule.replace(/^RRULE:/i, '').split(';').forEach(part => {
+    const [name, value] = part.split('=');
+    if (name && value) {
+      parts[name.toUpperCase()] = value.toUpperCase();
+    }
+  });
+  return parts;
+}
+
+/**
+ * Day of week (0 = Sunday) for a YYYY-MM-DD date
+ */
+function weekdayOf(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Ordinal of a date's weekday within its month (1-4, or -1 for the last)
+ */
+function weekdayOrdinalOf(date) {
+  const day = parseInt(date.slice(8, 10), 10);
+  const ordinal = Math.ceil(day / 7);
+  return ordinal > 4 ? -1 : ordinal;
+}
+
+/**
+ * Default form state for a non-recurring event
+ */
+export function emptyRecurrence(date) {
+  return {
+    frequency: '',
+    interval: 1,
+    weekdays: date ? [weekdayOf(date)] : [],
+    monthlyMode: 'day',
+    ends: 'never',
+    count: 10,
+    until: '',
+  };
+}
+
+/**
+ * Convert an RRULE string into form state
+ *
+ * @param {string|null} rrule - Recurrence rule
+ * @param {string} date - Event date (YYYY-MM-DD)
+ * @returns {Object} - Form state
+ */
+export function parseRecurrence(rrule, date) {
+  const state = emptyRecurrence(date);
+
+  if (!rrule) {
+    return state;
+  }
+
+  const parts = ruleParts(rrule);
+  state.frequency = parts.FREQ || '';
+  state.interval = parts.INTERVAL ? parseInt(parts.INTERVAL, 10) : 1;
+
+  if (parts.BYDAY) {
+    const days = parts.BYDAY.split(',');
+    if (state.frequency === 'MONTHLY' && /^-?\d/.test(days[0])) {
+      state.monthlyMode = 'weekday';
+    } else {
+      state.weekdays = days.map(day => WEEKDAYS.indexOf(day.replace(/^[+-]?\d+/, '')));
+    }
+  }
+
+  if (parts.COUNT) {
+    state.ends = 'count';
+    state.count = parseInt(parts.COUNT, 10);
+  } else if (parts.UNTIL) {
+    state.ends = 'until';
+    state.until = `${parts.UNTIL.slice(0, 4)}-${parts.UNTIL.slice(4, 6)}-${parts.UNTIL.slice(6, 8)}`;
+  }
+
+  return state;
+}
+
+/**
+ * Convert form state into an RRULE string
+ *
+ * @param {Object} state - Form state
+ * @param {string} date - Event date (YYYY-MM-DD)
+ * @returns {string|null} - Recurrence rule, or null if the event doesn't repeat
+ */
+export function buildRecurrence(state, date) {
+  if (!state.frequency) {
+    return null;
+  }
+
+  const parts = [`FREQ=${state.frequency}`];
+
+  if (state.interval > 1) {
+    parts.push(`INTERVAL=${state.interval}`);
+  }
+
+  if (state.frequency === 'WEEKLY' && state.weekdays.length > 0) {
+    const days = [...state.weekdays].sort((a, b) => a - b).map(day => WEEKDAYS[day]);
+    parts.push(`BYDAY=${days.join(',')}`);
+  }
+
+  if (state.frequency === 'MONTHLY' && state.monthlyMode === 'weekday' && date) {
+    parts.push(`BYDAY=${weekdayOrdinalOf(date)}${WEEKDAYS[weekdayOf(date)]}`);
+  }
+
+  if (state.ends === 'count' && state.count > 0) {
+    parts.push(`COUNT=${state.count}`);
+  } else if (state.ends === 'until' && state.until) {
+    parts.push(`UNTIL=${state.until.replace(/-/g, '')}`);
+  }
+
+  return parts.join(';');
+}
+
+/**
+ * Describe the "nth weekday" option for a date, e.g. "second Tue"
+ */
+export function describeMonthlyWeekday(date) {
+  if (!date) {
+    return '';
+  }
+  return `${ORDINAL_LABELS[weekdayOrdinalOf(date)]} ${WEEKDAY_LABELS[weekdayOf(date)]}`;
+}
+
+/**
+ * Human readable summary of a rule, e.g. "Every 2 weeks on Mon, Wed"
+ *
+ * @param {string|null} rrule - Recurrence rule
+ * @returns {string} - Summary (empty for non-recurring events)
+ */
+export function describeRecurrence(rrule) {
+  if (!rrule) {
+    return '';
+  }
+
+  const parts = ruleParts(rrule);
+  const labels = FREQUENCY_LABELS[parts.FREQ];
+
+  if (!labels) {
+    return 'Repeats';
+  }
+
+  const interval = parts.INTERVAL ? parseInt(parts.INTERVAL, 10) : 1;
+  let summary = interval > 1 ? `Every ${interval} ${labels[1]}` : `Every ${labels[0]}`;
+
+  if (parts.BYDAY) {
+    const days = parts.BYDAY.split(',').map(day => {
+      const match = /^([+-]?\d+)?([A-Z]{2})$/.exec(day);
+      if (!match) {
+        return day;
+      }
+      const label = WEEKDAY_LABELS[WEEKDAYS.indexOf(match[2])];
+      return match[1] ? `${ORDINAL_LABELS[parseInt(match[1], 10)] || match[1]} ${label}` : label;
+    });
+    summary += ` on ${days.join(', ')}`;
+  }
+
+  if (parts.COUNT) {
+    summary += `, ${parts.COUNT} times`;
+  } else if (parts.UNTIL) {
+    summary += `, until ${parts.UNTIL.slice(0, 4)}-${parts.UNTIL.slice(4, 6)}-${parts.UNTIL.slice(6, 8)}`;
+  }
+
+  return summary;
+}
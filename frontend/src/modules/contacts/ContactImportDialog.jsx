@@ -0,0 +1,94 @@
+/**
+ * Contact import dialog
+ *
+ * Shows the contacts found in a .vcf file before importing them,
+ * and asks what to do with contacts that already exist
+ */
+
+import { useState } from 'react';
+import './ContactImportDialog.css';
+
+const DUPLICATE_REASONS = {
+  uid: 'same contact',
+  email: 'same email',
+  phone: 'same phone number',
+  name: 'same name',
+};
+
+function ContactImportDialog({ preview, onImport, onCancel }) {
+  const [duplicates, setDuplicates] = useState('skip');
+  const [importing, setImporting] = useState(false);
+
+  const duplicateCount = preview.contacts.filter(contact => contact.duplicate).length;
+
+  const handleImport = async () => {
+    setImporting(true);
+    try {
+      await onImport(duplicates);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <div className="contact-form-overlay">
+      <div className="contact-import-dialog">
+        <h2>Import Contacts</h2>
+        <p>
+          Found {preview.contacts.length} contacts
+          {duplicateCount > 0 && `, ${duplicateCount} of them already in your contacts`}.
+        </p>
+
+        {preview.failed.length > 0 && (
+          <p className="contact-import-failed">
+            {preview.failed.length} entries can't be read and will be skipped.
+          </p>
+        )}
+
+        <ul className="contact-import-list">
+          {preview.contacts.map((contact, index) => (
+            <li key={index} className={contact.duplicate ? 'duplicate' : ''}>
+              <div className="contact-import-name">{contact.name}</div>
+              <div className="contact-import-details">
+                {[contact.organization, ...contact.emailAddresses, ...contact.phoneNumbers]
+                  .filter(Boolean)
+                  .join(' · ')}
+              </div>
+              {contact.duplicate && (
+                <div className="contact-import-duplicate">
+                  Duplicate of {contact.duplicate.name} ({DUPLICATE_REASONS[contact.duplicate.reason]})
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {duplicateCount > 0 && (
+          <div className="form-group">
+            <label>Duplicates</label>
+            <select value={duplicates} onChange={(e) => setDuplicates(e.target.value)}>
+              <option value="skip">Skip them</option>
+              <option value="merge">Merge into existing contacts</option>
+              <option value="create">Import as new contacts</option>
+            </select>
+          </div>
+        )}
+
+        <div className="form-actions">
+          <button onClick={onCancel} className="btn-secondary" disabled={importing}>
+            Cancel
+          </button>
+          <button
+            onClick={handleImport}
+            className="btn-primary"
+            disabled={importing || preview.contacts.length === 0}
+          >
+            {importing ? 'Importing...' : 'Import'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ContactImportDialog;
@@ -24,12 +24,12 @@ function ContactList({ contacts, onEdit, onDelete }) {
       {contacts.map(contact => (
         <div key={contact.id} className="contact-item">
           <div className="contact-header">
-            <h3>{contact.name}</h3>
+            <h3>{contact.name}{contact.pending && <span className="contact-pending">Not synced</span>}</h3>
             <div className="contact-actions">
               <button onClick={() => onEdit(contact)} className="btn-secondary btn-sm">
                 Edit
               </button>
-              <button onClick={() => onDelete(contact.id)} className="btn-danger btn-sm">
+              <button onClick={() => onDelete(contact)} className="btn-danger btn-sm">
                 Delete
               </button>
             </div>
@@ -4,48 +4,107 @@
  * Main contacts component
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import Layout from '../../components/Layout';
 import { contactsAPI } from '../../services/api';
 import { contactsStorage } from '../../services/storage';
+import { syncData } from '../../services/sync';
+import { subscribeToChanges } from '../../services/liveUpdates';
+import { contactsOutbox, applyOutbox, subscribeToOutbox } from '../../services/outbox';
+import PendingChanges from '../../components/PendingChanges';
 import ContactList from './ContactList';
 import ContactForm from './ContactForm';
+import ContactImportDialog from './ContactImportDialog';
 import './Contacts.css';
 
 function Contacts() {
+  // Search results link to /contacts?contact=<id>
+  const [searchParams, setSearchParams] = useSearchParams();
   const [contacts, setContacts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showForm, setShowForm] = useState(false);
   const [editingContact, setEditingContact] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
+  const [importPreview, setImportPreview] = useState(null);
+  const importInputRef = useRef(null);
 
   useEffect(() => {
     loadContacts();
+    openLinkedContact();
     
-    // Sync every 5 minutes
-    const syncInterval = setInterval(loadContacts, 5 * 60 * 1000);
-    
-    return () => clearInterval(syncInterval);
+    // Show changes made in other apps (or through CardDAV) right away, and
+    // reload when changes made offline are queued, sent or resolved
+    const unsubscribeChanges = subscribeToChanges('contacts', applyChanges);
+    const unsubscribeOutbox = subscribeToOutbox(loadContacts);
+    return () => {
+      unsubscribeChanges();
+      unsubscribeOutbox();
+    };
   }, []);
 
+  // Only what changed since the last time is downloaded (into IndexedDB)
   const loadContacts = async () => {
     try {
-      const apiContacts = await contactsAPI.getContacts();
-      setContacts(apiContacts);
-      await contactsStorage.setAll(apiContacts);
+      await syncData();
     } catch (error) {
-      console.error('Error loading contacts:', error);
-      try {
-        const cachedContacts = await contactsStorage.getAll();
-        setContacts(cachedContacts);
-      } catch (cacheError) {
-        console.error('Error loading cached contacts:', cacheError);
-      }
+      // Offline: the stored contacts are shown
+      console.error('Error syncing contacts:', error);
+    }
+    
+    try {
+      const storedContacts = await contactsStorage.getAll();
+      // Changes not sent yet are shown on top
+      setContacts(await applyOutbox('contacts', storedContacts));
+    } catch (error) {
+      console.error('Error loading stored contacts:', error);
     } finally {
       setLoading(false);
     }
   };
 
+  // Changed contacts come with the change, so they're applied without
+  // reloading - except after a reconnect, when changes may have been missed
+  const applyChanges = (changes) => {
+    if (changes.some(change => change.action === 'reconnected')) {
+      loadContacts();
+      return;
+    }
+    
+    setContacts(prev => {
+      const byId = new Map(prev.map(contact => [contact.id, contact]));
+      changes.forEach(change => {
+        if (change.action === 'deleted') {
+          byId.delete(change.id);
+        } else {
+          byId.set(change.id, change.data);
+        }
+      });
+      // Same order as the server (by name)
+      return Array.from(byId.values()).sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    });
+    
+    changes.forEach(change => {
+      const cached = change.action === 'deleted'
+        ? contactsStorage.delete(change.id)
+        : contactsStorage.update(change.data);
+      cached.catch(error => console.error('Error caching contact:', error));
+    });
+  };
+
+  const openLinkedContact = async () => {
+    const contactId = searchParams.get('contact');
+    if (!contactId) {
+      return;
+    }
+    setSearchParams({}, { replace: true });
+    try {
+      handleEditContact(await contactsAPI.getContact(contactId));
+    } catch (error) {
+      alert('Error loading contact: ' + error.message);
+    }
+  };
+
   const handleCreateContact = () => {
     setEditingContact(null);
     setShowForm(true);
@@ -56,13 +115,13 @@ function Contacts() {
     setShowForm(true);
   };
 
-  const handleDeleteContact = async (contactId) => {
+  const handleDeleteContact = async (contact) => {
     if (!window.confirm('Are you sure you want to delete this contact?')) {
       return;
     }
 
     try {
-      await contactsAPI.deleteContact(contactId);
+      await contactsOutbox.deleteContact(contact);
       await loadContacts();
     } catch (error) {
       alert('Error deleting contact: ' + error.message);
@@ -72,9 +131,9 @@ function Contacts() {
   const handleSaveContact = async (contactData) => {
     try {
       if (editingContact) {
-        await contactsAPI.updateContact(editingContact.id, contactData);
+        await contactsOutbox.updateContact(editingContact, contactData);
       } else {
-        await contactsAPI.createContact(contactData);
+        await contactsOutbox.createContact(contactData);
       }
       setShowForm(false);
       setEditingContact(null);
@@ -84,6 +143,59 @@ function Contacts() {
     }
   };
 
+  const handleExport = async () => {
+    try {
+      const blob = await contactsAPI.exportVCF();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'contacts.vcf';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      alert('Error exporting contacts: ' + error.message);
+    }
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    try {
+      const text = await file.text();
+      const preview = await contactsAPI.importVCF(text, { preview: true });
+      setImportPreview({ ...preview, text });
+    } catch (error) {
+      alert('Error reading contacts file: ' + error.message);
+    }
+  };
+
+  const handleImport = async (duplicates) => {
+    try {
+      const result = await contactsAPI.importVCF(importPreview.text, { duplicates });
+      let message = `Imported ${result.created} new contacts`;
+      if (result.updated > 0) {
+        message += `, merged ${result.updated}`;
+      }
+      if (result.skipped > 0) {
+        message += `, skipped ${result.skipped} duplicates`;
+      }
+      message += '.';
+      if (result.failed.length > 0) {
+        message += `\n\n${result.failed.length} contacts could not be imported:\n`;
+        message += result.failed.map(item => `- ${item.name || item.uid || 'Unknown'}: ${item.error}`).join('\n');
+      }
+      alert(message);
+      setImportPreview(null);
+      await loadContacts();
+    } catch (error) {
+      alert('Error importing contacts: ' + error.message);
+    }
+  };
+
   const filteredContacts = contacts.filter(contact =>
     contact.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
     contact.phoneNumbers.some(phone => phone.includes(searchQuery)) ||
@@ -103,9 +215,24 @@ function Contacts() {
       <div className="contacts-container">
         <div className="contacts-header">
           <h1>Contacts</h1>
-          <button onClick={handleCreateContact} className="btn-primary">
-            + New Contact
-          </button>
+          <div className="contacts-actions">
+            <button onClick={() => importInputRef.current.click()} className="btn-secondary">
+              Import .vcf
+            </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".vcf,text/vcard,text/x-vcard"
+              onChange={handleImportFile}
+              style={{ display: 'none' }}
+            />
+            <button onClick={handleExport} className="btn-secondary">
+              Export .vcf
+            </button>
+            <button onClick={handleCreateContact} className="btn-primary">
+              + New Contact
+            </button>
+          </div>
         </div>
 
         <div className="contacts-search">
@@ -117,6 +244,8 @@ function Contacts() {
           />
         </div>
 
+        <PendingChanges type="contacts" />
+
         {showForm && (
           <ContactForm
             contact={editingContact}
@@ -128,6 +257,14 @@ function Contacts() {
           />
         )}
 
+        {importPreview && (
+          <ContactImportDialog
+            preview={importPreview}
+            onImport={handleImport}
+            onCancel={() => setImportPreview(null)}
+          />
+        )}
+
         <ContactList
           contacts={filteredContacts}
           onEdit={handleEditContact}
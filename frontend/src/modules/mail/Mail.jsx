@@ -1,44 +1,134 @@
 /**
  * Mail module
  * 
- * Basic email client
+ * Basic email client, with messages grouped into conversations. With more
+ * than one account, the folder list has a unified inbox and each account's
+ * folders.
+ * 
+ * Recently opened folders are downloaded for reading offline (see
+ * services/mailCache.js), and mail sent offline waits in a local Outbox
+ * folder (see services/mailOutbox.js).
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import Layout from '../../components/Layout';
 import { mailAPI } from '../../services/api';
 import { mailStorage } from '../../services/storage';
+import { subscribeToChanges } from '../../services/liveUpdates';
+import { threadsKey, cacheFolder, cacheRecentFolders, cacheThread, getCachedThread } from '../../services/mailCache';
+import {
+  getQueuedMail,
+  retryMail,
+  deleteQueuedMail,
+  subscribeToMailOutbox,
+} from '../../services/mailOutbox';
 import MailConfig from './MailConfig';
 import MailList from './MailList';
 import MailView from './MailView';
+import MailCompose from './MailCompose';
+import MailOutbox from './MailOutbox';
 import './Mail.css';
 
 function Mail() {
+  // Search results link to /mail?account=...&folder=...&thread=...
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [accounts, setAccounts] = useState([]);
   const [folders, setFolders] = useState([]);
-  const [currentFolder, setCurrentFolder] = useState('inbox');
-  const [messages, setMessages] = useState([]);
-  const [selectedMessage, setSelectedMessage] = useState(null);
+  const [currentFolder, setCurrentFolder] = useState(searchParams.get('folder') || 'inbox');
+  // null: the folder of all accounts
+  const [currentAccount, setCurrentAccount] = useState(Number(searchParams.get('account')) || null);
+  const [threads, setThreads] = useState([]);
+  const [selectedThread, setSelectedThread] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showConfig, setShowConfig] = useState(false);
+  const [showCompose, setShowCompose] = useState(false);
+  const [composeDraft, setComposeDraft] = useState(null);
   const [hasConfig, setHasConfig] = useState(false);
+  const [queuedMail, setQueuedMail] = useState([]);
+  const [showOutbox, setShowOutbox] = useState(false);
+
+  // Handles live updates for the folder on screen (see the effect below)
+  const changesHandler = useRef(null);
 
   useEffect(() => {
     checkConfig();
     loadFolders();
+    loadQueuedMail();
+    
+    // New mail, and changes made in other apps, show up right away
+    const unsubscribeChanges = subscribeToChanges('mail', changes => changesHandler.current(changes));
+    // Sent mail leaves the outbox and shows up in the Sent folder
+    const unsubscribeOutbox = subscribeToMailOutbox(({ sent }) => {
+      loadQueuedMail();
+      if (sent > 0) {
+        // Reloads the folder on screen
+        changesHandler.current([]);
+      }
+    });
+    return () => {
+      unsubscribeChanges();
+      unsubscribeOutbox();
+    };
   }, []);
 
   useEffect(() => {
     if (hasConfig && currentFolder) {
-      loadMessages();
+      setSelectedIds([]);
+      setSelectedThread(null);
+      loadThreads().then(openLinkedThread);
+    }
+  }, [currentFolder, currentAccount, hasConfig]);
+
+  // Links followed while the mail app is open (e.g. a new mail notification)
+  useEffect(() => {
+    if (!hasConfig || !searchParams.get('thread')) {
+      return;
     }
-  }, [currentFolder, hasConfig]);
+    const folder = searchParams.get('folder') || 'inbox';
+    const accountId = Number(searchParams.get('account')) || null;
+    if (folder !== currentFolder || accountId !== currentAccount) {
+      // Opened once the folder is loaded (see above)
+      selectFolder(folder, accountId);
+    } else {
+      openLinkedThread();
+    }
+  }, [searchParams]);
+
+  changesHandler.current = (changes) => {
+    if (!hasConfig) {
+      return;
+    }
+    // Changes may have been missed while disconnected, e.g. new folders
+    if (changes.some(change => change.action === 'reconnected')) {
+      loadFolders();
+    }
+    loadThreads({ quiet: true });
+  };
 
   const checkConfig = async () => {
     try {
-      await mailAPI.getConfig();
-      setHasConfig(true);
+      const apiAccounts = await mailAPI.getAccounts();
+      setAccounts(apiAccounts);
+      setHasConfig(apiAccounts.length > 0);
+      await mailStorage.setAccounts(apiAccounts);
+      if (apiAccounts.length > 0) {
+        cacheRecentFolders(currentFolder, currentAccount);
+      }
+    } catch (error) {
+      // Offline, the accounts from last time are used
+      const cachedAccounts = error.status ? [] : await mailStorage.getAccounts().catch(() => []);
+      setAccounts(cachedAccounts);
+      setHasConfig(cachedAccounts.length > 0);
+    }
+  };
+
+  const loadQueuedMail = async () => {
+    try {
+      setQueuedMail(await getQueuedMail());
     } catch (error) {
-      setHasConfig(false);
+      console.error('Error loading outbox:', error);
     }
   };
 
@@ -58,17 +148,21 @@ function Mail() {
     }
   };
 
-  const loadMessages = async () => {
-    setLoading(true);
+  const loadThreads = async (options = {}) => {
+    // Reloads after changes keep the list on screen
+    if (!options.quiet) {
+      setLoading(true);
+    }
     try {
-      const apiMessages = await mailAPI.getMessages(currentFolder);
-      setMessages(apiMessages);
-      await mailStorage.setMessages(currentFolder, apiMessages);
+      const apiThreads = await mailAPI.getThreads(currentFolder, currentAccount);
+      setThreads(apiThreads);
+      await mailStorage.setThreads(threadsKey(currentFolder, currentAccount), apiThreads);
+      cacheFolder(currentFolder, currentAccount, apiThreads);
     } catch (error) {
       console.error('Error loading messages:', error);
       try {
-        const cachedMessages = await mailStorage.getMessages(currentFolder);
-        setMessages(cachedMessages);
+        const cachedThreads = await mailStorage.getThreads(threadsKey(currentFolder, currentAccount));
+        setThreads(cachedThreads);
       } catch (cacheError) {
         console.error('Error loading cached messages:', cacheError);
       }
@@ -79,23 +173,206 @@ function Mail() {
 
   const handleSync = async () => {
     try {
-      await mailAPI.sync();
-      await loadMessages();
-      alert('Email sync completed');
+      const result = await mailAPI.sync();
+      await loadFolders();
+      await loadThreads();
+      // Accounts are synced one by one - some may fail while others work
+      const failed = result.errors.map(({ accountId, error }) => {
+        const account = accounts.find(a => a.id === accountId);
+        return `${account ? account.name : accountId}: ${error}`;
+      });
+      alert(failed.length > 0
+        ? `Email sync completed, but these accounts couldn't be synced:\n${failed.join('\n')}`
+        : 'Email sync completed');
     } catch (error) {
       alert('Error syncing email: ' + error.message);
     }
   };
 
-  const handleMessageClick = async (messageId) => {
+  // Returns the conversation, with offline: true if it was downloaded earlier
+  const openThread = async (threadId) => {
+    let thread;
+    try {
+      thread = await mailAPI.getThread(threadId, currentFolder);
+      cacheThread(currentFolder, thread).catch(error => console.error('Error saving conversation:', error));
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+      const cachedThread = await getCachedThread(currentFolder, threadId);
+      if (!cachedThread) {
+        throw new Error('This conversation is not available offline');
+      }
+      thread = { ...cachedThread, offline: true };
+    }
+    setSelectedThread(thread);
+    return thread;
+  };
+
+  const handleThreadClick = async (threadId) => {
+    try {
+      const thread = await openThread(threadId);
+      // Opening a conversation marks it as read (not when reading offline)
+      if (!thread.offline) {
+        setThreads(prev => prev.map(t => (t.id === threadId ? { ...t, unreadCount: 0 } : t)));
+      }
+    } catch (error) {
+      alert('Error loading message: ' + error.message);
+    }
+  };
+
+  const selectFolder = (folderName, accountId) => {
+    setShowOutbox(false);
+    setCurrentFolder(folderName);
+    setCurrentAccount(accountId);
+  };
+
+  const openLinkedThread = () => {
+    const threadId = Number(searchParams.get('thread'));
+    if (threadId) {
+      setSearchParams({}, { replace: true });
+      handleThreadClick(threadId);
+    }
+  };
+
+  const handleUpdateFlags = async (messageId, flags) => {
+    try {
+      const message = await mailAPI.updateMessage(messageId, flags);
+      setSelectedThread(prev => (prev
+        ? { ...prev, messages: prev.messages.map(m => (m.id === messageId ? { ...m, ...message } : m)) }
+        : prev));
+      loadThreads({ quiet: true });
+    } catch (error) {
+      alert('Error updating message: ' + error.message);
+    }
+  };
+
+  // Starring a conversation stars its latest message, unstarring unstars all of them
+  const handleToggleStar = async (thread) => {
+    try {
+      const ids = thread.starred ? thread.messageIds : [thread.latestMessageId];
+      await Promise.all(ids.map(id => mailAPI.updateMessage(id, { starred: !thread.starred })));
+      loadThreads({ quiet: true });
+    } catch (error) {
+      alert('Error updating message: ' + error.message);
+    }
+  };
+
+  const handleMarkUnread = async () => {
+    const inFolder = selectedThread.messages.filter(m => m.folder === currentFolder);
+    const latest = inFolder[inFolder.length - 1] || selectedThread.messages[selectedThread.messages.length - 1];
     try {
-      const message = await mailAPI.getMessage(messageId);
-      setSelectedMessage(message);
+      await mailAPI.updateMessage(latest.id, { read: false });
+      setSelectedThread(null);
+      loadThreads({ quiet: true });
+    } catch (error) {
+      alert('Error updating message: ' + error.message);
+    }
+  };
+
+  const handleReply = async (messageId, type) => {
+    try {
+      const draft = await mailAPI.getDraft(messageId, type);
+      setComposeDraft(draft);
+      setShowCompose(true);
     } catch (error) {
       alert('Error loading message: ' + error.message);
     }
   };
 
+  // queued: sent offline, so it waits in the outbox
+  const handleSent = (queued) => {
+    setShowCompose(false);
+    setComposeDraft(null);
+    if (queued) {
+      alert('You are offline. The email is in the Outbox and will be sent when you are back online.');
+      return;
+    }
+    // The reply joins the open conversation, and the original is flagged as answered
+    if (selectedThread) {
+      openThread(selectedThread.id).catch(error => console.error('Error loading conversation:', error));
+    }
+    loadThreads({ quiet: true });
+  };
+
+  const handleRetryMail = async (id) => {
+    try {
+      await retryMail(id);
+    } catch (error) {
+      alert('Error sending email: ' + error.message);
+    }
+  };
+
+  const handleDeleteMail = async (id) => {
+    if (!window.confirm('Delete this email without sending it?')) {
+      return;
+    }
+    try {
+      await deleteQueuedMail(id);
+    } catch (error) {
+      alert('Error deleting email: ' + error.message);
+    }
+  };
+
+  const handleMessageAction = async (action, ids, folder) => {
+    if (action === 'delete' && currentFolder === 'trash' &&
+        !window.confirm(`Permanently delete ${ids.length === 1 ? 'this message' : `${ids.length} messages`}?`)) {
+      return;
+    }
+
+    try {
+      if (action === 'move') {
+        await mailAPI.moveMessages(ids, folder);
+      } else if (action === 'copy') {
+        await mailAPI.copyMessages(ids, folder);
+      } else if (action === 'archive') {
+        await mailAPI.archiveMessages(ids);
+      } else if (action === 'delete') {
+        await mailAPI.deleteMessages(ids);
+      }
+
+      // Everything but copy takes the messages out of this folder
+      if (action !== 'copy') {
+        setSelectedThread(null);
+      }
+      setSelectedIds([]);
+      loadThreads({ quiet: true });
+    } catch (error) {
+      alert('Error updating messages: ' + error.message);
+    }
+  };
+
+  // Actions on conversations apply to their messages in this folder
+  const handleThreadsAction = (action, threadIds, folder) => {
+    const ids = threads
+      .filter(thread => threadIds.includes(thread.id))
+      .flatMap(thread => thread.messageIds);
+    handleMessageAction(action, ids, folder);
+  };
+
+  // Messages are moved within their account, so the folders of the unified
+  // view are the ones every account has
+  const viewFolders = currentAccount
+    ? folders.filter(folder => folder.accountId === currentAccount)
+    : [...new Set(folders.map(folder => folder.name))]
+      .filter(name => accounts.every(account => folders.some(f => f.accountId === account.id && f.name === name)))
+      .map(name => ({ id: name, name }));
+
+  const renderFolderButton = (folder, accountId, label = folder.name) => {
+    // With one account, its folders and the unified folders are the same
+    const active = !showOutbox && currentFolder === folder.name &&
+      (accounts.length <= 1 || currentAccount === accountId);
+    return (
+      <button
+        key={folder.id}
+        onClick={() => selectFolder(folder.name, accountId)}
+        className={`folder-button ${active ? 'active' : ''}`}
+      >
+        {label}
+      </button>
+    );
+  };
+
   if (!hasConfig) {
     return (
       <Layout>
@@ -111,7 +388,7 @@ function Mail() {
             <MailConfig
               onSave={() => {
                 setShowConfig(false);
-                setHasConfig(true);
+                checkConfig();
                 loadFolders();
               }}
               onCancel={() => setShowConfig(false)}
@@ -128,6 +405,15 @@ function Mail() {
         <div className="mail-header">
           <h1>Mail</h1>
           <div className="mail-actions">
+            <button
+              onClick={() => {
+                setComposeDraft(null);
+                setShowCompose(true);
+              }}
+              className="btn-primary"
+            >
+              Compose
+            </button>
             <button onClick={handleSync} className="btn-secondary">
               Sync
             </button>
@@ -140,37 +426,87 @@ function Mail() {
         {showConfig && (
           <MailConfig
             onSave={() => {
-              setShowConfig(false);
               checkConfig();
+              loadFolders();
             }}
             onCancel={() => setShowConfig(false)}
           />
         )}
 
+        {showCompose && (
+          <MailCompose
+            accounts={accounts}
+            defaultAccount={currentAccount}
+            draft={composeDraft}
+            onSent={handleSent}
+            onCancel={() => {
+              setShowCompose(false);
+              setComposeDraft(null);
+            }}
+          />
+        )}
+
         <div className="mail-layout">
           <div className="mail-sidebar">
-            {folders.map(folder => (
+            {accounts.length > 1 ? (
+              <>
+                {renderFolderButton({ id: 'all-inboxes', name: 'inbox' }, null, 'All inboxes')}
+                {accounts.map(account => (
+                  <div key={account.id} className="mail-sidebar-account">
+                    <h3>{account.name}</h3>
+                    {folders
+                      .filter(folder => folder.accountId === account.id)
+                      .map(folder => renderFolderButton(folder, account.id))}
+                  </div>
+                ))}
+              </>
+            ) : (
+              folders.map(folder => renderFolderButton(folder, null))
+            )}
+            {(queuedMail.length > 0 || showOutbox) && (
               <button
-                key={folder.id}
-                onClick={() => setCurrentFolder(folder.name)}
-                className={`folder-button ${currentFolder === folder.name ? 'active' : ''}`}
+                onClick={() => setShowOutbox(true)}
+                className={`folder-button mail-outbox-button ${showOutbox ? 'active' : ''}`}
               >
-                {folder.name}
+                Outbox ({queuedMail.length})
               </button>
-            ))}
+            )}
           </div>
 
           <div className="mail-content">
-            {selectedMessage ? (
+            {showOutbox ? (
+              <MailOutbox
+                mail={queuedMail}
+                accounts={accounts}
+                onRetry={handleRetryMail}
+                onDelete={handleDeleteMail}
+              />
+            ) : selectedThread ? (
               <MailView
-                message={selectedMessage}
-                onBack={() => setSelectedMessage(null)}
+                thread={selectedThread}
+                folders={viewFolders}
+                currentFolder={currentFolder}
+                onBack={() => setSelectedThread(null)}
+                onReply={handleReply}
+                onUpdateFlags={handleUpdateFlags}
+                onMarkUnread={handleMarkUnread}
+                onAction={(action, folder) => handleMessageAction(
+                  action,
+                  selectedThread.messages.filter(m => m.folder === currentFolder).map(m => m.id),
+                  folder
+                )}
               />
             ) : (
               <MailList
-                messages={messages}
+                threads={threads}
                 loading={loading}
-                onMessageClick={handleMessageClick}
+                folders={viewFolders}
+                currentFolder={currentFolder}
+                selectedIds={selectedIds}
+                onSelectionChange={setSelectedIds}
+                onThreadClick={handleThreadClick}
+                onToggleStar={handleToggleStar}
+                onAction={handleThreadsAction}
               />
             )}
           </div>
@@ -0,0 +1,46 @@
+/**
+ * Mail actions
+ * 
+ * Archive, delete, move and copy buttons for one or more messages
+ * (used by the message list toolbar and the message view)
+ */
+
+import './MailActions.css';
+
+function MailActions({ folders, currentFolder, onAction }) {
+  const otherFolders = folders.filter(folder => folder.name !== currentFolder);
+  const hasArchive = folders.some(folder => folder.name === 'archive');
+
+  const handleSelect = (action) => (e) => {
+    if (e.target.value) {
+      onAction(action, e.target.value);
+    }
+  };
+
+  return (
+    <div className="mail-message-actions">
+      {hasArchive && currentFolder !== 'archive' && (
+        <button onClick={() => onAction('archive')} className="btn-secondary">
+          Archive
+        </button>
+      )}
+      <button onClick={() => onAction('delete')} className="btn-secondary">
+        {currentFolder === 'trash' ? 'Delete forever' : 'Delete'}
+      </button>
+      <select value="" onChange={handleSelect('move')}>
+        <option value="">Move to...</option>
+        {otherFolders.map(folder => (
+          <option key={folder.id} value={folder.name}>{folder.name}</option>
+        ))}
+      </select>
+      <select value="" onChange={handleSelect('copy')}>
+        <option value="">Copy to...</option>
+        {otherFolders.map(folder => (
+          <option key={folder.id} value={folder.name}>{folder.name}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+export default MailActions;
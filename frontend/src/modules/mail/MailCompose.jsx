@@ -0,0 +1,188 @@
+/**
+ * Mail compose component
+ * 
+ * Form for writing and sending an email, with attachments
+ * 
+ * A draft from the API (reply, reply-all or forward) prefills the form and
+ * links the sent email to the original message. Replies are sent from the
+ * account that received the original, unless another one is picked.
+ * 
+ * Offline, the email is queued in the outbox (see services/mailOutbox.js).
+ */
+
+import { useState, useRef } from 'react';
+import { sendMail } from '../../services/mailOutbox';
+import './MailCompose.css';
+
+/**
+ * Sender shown in the account list ("Name <address>")
+ */
+function accountLabel(account) {
+  const address = account.fromAddress || account.username;
+  return account.fromName ? `${account.fromName} <${address}>` : address;
+}
+
+function MailCompose({ accounts, defaultAccount, draft, onSent, onCancel }) {
+  const [accountId, setAccountId] = useState(
+    (draft && draft.accountId) || defaultAccount || (accounts[0] && accounts[0].id)
+  );
+  const [to, setTo] = useState(draft ? draft.to : '');
+  const [cc, setCc] = useState(draft ? draft.cc : '');
+  const [subject, setSubject] = useState(draft ? draft.subject : '');
+  const [text, setText] = useState(draft ? draft.text : '');
+  const [attachments, setAttachments] = useState([]);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+  const fileInputRef = useRef(null);
+
+  const handleAddFiles = (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    setAttachments(prev => [...prev, ...files]);
+  };
+
+  const handleRemoveFile = (index) => {
+    setAttachments(prev => prev.filter((file, i) => i !== index));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSending(true);
+
+    try {
+      const sent = await sendMail({
+        accountId,
+        to,
+        cc,
+        subject,
+        text,
+        inReplyToId: draft ? draft.inReplyToId : null,
+        forwardId: draft ? draft.forwardId : null,
+      }, attachments);
+      onSent(!sent);
+    } catch (err) {
+      setError(err.message || 'Failed to send email');
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="mail-config-overlay">
+      <div className="mail-compose">
+        <h2>{!draft ? 'New Message' : draft.forwardId ? 'Forward' : 'Reply'}</h2>
+
+        {error && <div className="error-message">{error}</div>}
+
+        <form onSubmit={handleSubmit}>
+          {accounts.length > 1 && (
+            <div className="form-group">
+              <label htmlFor="composeFrom">From</label>
+              <select
+                id="composeFrom"
+                value={accountId}
+                onChange={(e) => setAccountId(Number(e.target.value))}
+              >
+                {accounts.map(account => (
+                  <option key={account.id} value={account.id}>
+                    {accountLabel(account)} ({account.name})
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="composeTo">To *</label>
+            <input
+              type="text"
+              id="composeTo"
+              value={to}
+              onChange={(e) => setTo(e.target.value)}
+              placeholder="name@example.com, ..."
+              required
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="composeCc">Cc</label>
+            <input
+              type="text"
+              id="composeCc"
+              value={cc}
+              onChange={(e) => setCc(e.target.value)}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="composeSubject">Subject *</label>
+            <input
+              type="text"
+              id="composeSubject"
+              value={subject}
+              onChange={(e) => setSubject(e.target.value)}
+              required
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="composeText">Message *</label>
+            <textarea
+              id="composeText"
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              rows={10}
+              required
+            />
+          </div>
+
+          {draft && draft.attachments.length > 0 && (
+            <ul className="mail-compose-attachments">
+              {draft.attachments.map(attachment => (
+                <li key={attachment.id}>
+                  📎 {attachment.filename || 'attachment'}
+                  <span className="mail-compose-forwarded">forwarded</span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {attachments.length > 0 && (
+            <ul className="mail-compose-attachments">
+              {attachments.map((file, index) => (
+                <li key={index}>
+                  📎 {file.name}
+                  <button type="button" onClick={() => handleRemoveFile(index)} className="btn-secondary">
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <input
+            type="file"
+            ref={fileInputRef}
+            onChange={handleAddFiles}
+            multiple
+            style={{ display: 'none' }}
+          />
+
+          <div className="form-actions">
+            <button type="button" onClick={() => fileInputRef.current.click()} className="btn-secondary">
+              Attach Files
+            </button>
+            <button type="button" onClick={onCancel} className="btn-secondary" disabled={sending}>
+              Cancel
+            </button>
+            <button type="submit" className="btn-primary" disabled={sending}>
+              {sending ? 'Sending...' : 'Send'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default MailCompose;
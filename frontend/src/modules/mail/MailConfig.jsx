@@ -1,67 +1,323 @@
 /**
  * Mail configuration component
  * 
- * Form for configuring email settings (IMAP/SMTP)
+ * Lists the email accounts, with a form for adding and editing one
+ * (IMAP/SMTP settings, password or OAuth2 login, and the sender name and address).
+ * Server settings can be looked up from the email address and tested before saving.
  */
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { mailAPI } from '../../services/api';
 import './MailConfig.css';
 
+const NEW_ACCOUNT = {
+  name: '',
+  fromName: '',
+  fromAddress: '',
+  imapHost: '',
+  imapPort: '993',
+  imapSecure: true,
+  smtpHost: '',
+  smtpPort: '465',
+  smtpSecure: true,
+  username: '',
+  password: '',
+  authType: 'password',
+  oauthTokenUrl: '',
+  oauthClientId: '',
+  oauthClientSecret: '',
+  refreshToken: '',
+};
+
+// Token endpoints of providers that need OAuth2 logins
+const OAUTH_PROVIDERS = [
+  { name: 'Google', tokenUrl: 'https://oauth2.googleapis.com/token' },
+  { name: 'Microsoft', tokenUrl: 'https://login.microsoftonline.com/common/oauth2/v2.0/token' },
+];
+
+// Where found server settings came from
+const DISCOVERY_SOURCES = {
+  autoconfig: "Settings found in your provider's configuration.",
+  srv: "Settings found in your domain's DNS records.",
+  guess: 'Settings guessed from common server names - test them before saving.',
+};
+
+// Steps of a connection test, as shown when one fails
+const TEST_STEPS = {
+  dns: 'Host name lookup',
+  connect: 'Connection',
+  tls: 'SSL/TLS',
+  greeting: 'Server greeting',
+  auth: 'Login',
+};
+
 function MailConfig({ onSave, onCancel }) {
-  const [imapHost, setImapHost] = useState('');
-  const [imapPort, setImapPort] = useState('993');
-  const [imapSecure, setImapSecure] = useState(true);
-  const [smtpHost, setSmtpHost] = useState('');
-  const [smtpPort, setSmtpPort] = useState('465');
-  const [smtpSecure, setSmtpSecure] = useState(true);
-  const [username, setUsername] = useState('');
-  const [password, setPassword] = useState('');
+  const [accounts, setAccounts] = useState([]);
+  // Sync status by account ID
+  const [syncStatus, setSyncStatus] = useState({});
+  // Account being edited ({ id: null } for a new one), null while showing the list
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(NEW_ACCOUNT);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [discovering, setDiscovering] = useState(false);
+  const [discoveryNote, setDiscoveryNote] = useState('');
+  const [testing, setTesting] = useState(false);
+  const [testResult, setTestResult] = useState(null);
+
+  useEffect(() => {
+    loadAccounts();
+  }, []);
+
+  const loadAccounts = async () => {
+    try {
+      const [apiAccounts, apiStatus] = await Promise.all([mailAPI.getAccounts(), mailAPI.getSyncStatus()]);
+      setAccounts(apiAccounts);
+      setSyncStatus(Object.fromEntries(apiStatus.map(status => [status.accountId, status])));
+      // Nothing to list yet - go straight to the form
+      if (apiAccounts.length === 0) {
+        startEditing(null);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to load accounts');
+    }
+  };
+
+  const startEditing = (account) => {
+    setError('');
+    setDiscoveryNote('');
+    setTestResult(null);
+    setEditing(account || { id: null });
+    setForm(account
+      ? { ...NEW_ACCOUNT, ...account, imapPort: String(account.imapPort), smtpPort: String(account.smtpPort) }
+      : NEW_ACCOUNT);
+  };
+
+  const updateField = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm(prev => ({ ...prev, [field]: value }));
+    // The last test was of other settings
+    setTestResult(null);
+  };
+
+  const formAccount = () => ({
+    ...form,
+    imapPort: parseInt(form.imapPort),
+    smtpPort: parseInt(form.smtpPort),
+  });
+
+  const handleDiscover = async () => {
+    const email = form.fromAddress || form.username;
+    if (!email) {
+      setError('Enter your email address first');
+      return;
+    }
+
+    setError('');
+    setDiscoveryNote('');
+    setDiscovering(true);
+    try {
+      const settings = await mailAPI.discoverConfig(email);
+      setForm(prev => ({
+        ...prev,
+        imapHost: settings.imap.host,
+        imapPort: String(settings.imap.port),
+        imapSecure: settings.imap.secure,
+        smtpHost: settings.smtp.host,
+        smtpPort: String(settings.smtp.port),
+        smtpSecure: settings.smtp.secure,
+        username: settings.username,
+        authType: settings.authType,
+      }));
+      setTestResult(null);
+      setDiscoveryNote(DISCOVERY_SOURCES[settings.source]);
+    } catch (err) {
+      setError(err.message || 'Failed to find server settings');
+    } finally {
+      setDiscovering(false);
+    }
+  };
+
+  const handleTest = async () => {
+    setError('');
+    setTestResult(null);
+    setTesting(true);
+    try {
+      const result = await mailAPI.testConfig(formAccount(), editing.id);
+      // The provider replaced the refresh token - the old one may not work anymore
+      if (result.refreshToken) {
+        setForm(prev => ({ ...prev, refreshToken: result.refreshToken }));
+      }
+      setTestResult(result);
+    } catch (err) {
+      setError(err.message || 'Failed to test the connection');
+    } finally {
+      setTesting(false);
+    }
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
     setLoading(true);
 
+    const account = formAccount();
+
     try {
-      await mailAPI.saveConfig({
-        imapHost,
-        imapPort: parseInt(imapPort),
-        imapSecure,
-        smtpHost,
-        smtpPort: parseInt(smtpPort),
-        smtpSecure,
-        username,
-        password,
-      });
+      if (editing.id) {
+        await mailAPI.updateAccount(editing.id, account);
+      } else {
+        await mailAPI.createAccount(account);
+      }
+      setEditing(null);
+      await loadAccounts();
       onSave();
     } catch (err) {
       setError(err.message || 'Failed to save configuration');
+    } finally {
       setLoading(false);
     }
   };
 
+  const handleDelete = async (account) => {
+    if (!window.confirm(`Remove ${account.name}? Its downloaded mail is deleted from this app (not from the mail server).`)) {
+      return;
+    }
+
+    try {
+      await mailAPI.deleteAccount(account.id);
+      await loadAccounts();
+      onSave();
+    } catch (err) {
+      setError(err.message || 'Failed to remove account');
+    }
+  };
+
+  const handleCancelEditing = () => {
+    if (accounts.length === 0) {
+      onCancel();
+      return;
+    }
+    setError('');
+    setEditing(null);
+  };
+
+  // Stored secrets are kept when editing, unless the sign-in method changes
+  const keepsSecrets = Boolean(editing && editing.id && editing.authType === form.authType);
+
+  if (!editing) {
+    return (
+      <div className="mail-config-overlay">
+        <div className="mail-config">
+          <h2>Email Accounts</h2>
+          
+          {error && <div className="error-message">{error}</div>}
+          
+          <ul className="mail-config-accounts">
+            {accounts.map(account => (
+              <li key={account.id}>
+                <div>
+                  <div className="mail-config-account-name">{account.name}</div>
+                  <div className="mail-config-account-details">
+                    {account.fromAddress || account.username} · {account.imapHost}
+                  </div>
+                  {syncStatus[account.id] && (
+                    <div className="mail-config-account-details">
+                      {syncStatus[account.id].lastSyncAt
+                        ? `Synced ${new Date(syncStatus[account.id].lastSyncAt).toLocaleString()}`
+                        : 'Not synced yet'}
+                      {syncStatus[account.id].mode === 'idle' && ' · new mail is pushed (IDLE)'}
+                    </div>
+                  )}
+                  {syncStatus[account.id] && syncStatus[account.id].lastError && (
+                    <div className="mail-config-account-error">{syncStatus[account.id].lastError}</div>
+                  )}
+                </div>
+                <div className="mail-config-account-actions">
+                  <button onClick={() => startEditing(account)} className="btn-secondary">
+                    Edit
+                  </button>
+                  <button onClick={() => handleDelete(account)} className="btn-secondary">
+                    Remove
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+          
+          <div className="form-actions">
+            <button type="button" onClick={onCancel} className="btn-secondary">
+              Close
+            </button>
+            <button type="button" onClick={() => startEditing(null)} className="btn-primary">
+              Add Account
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="mail-config-overlay">
       <div className="mail-config">
-        <h2>Email Configuration</h2>
+        <h2>{editing.id ? 'Edit Email Account' : 'Add Email Account'}</h2>
         <p className="mail-config-note">
-          Enter your IMAP and SMTP server settings. No auto-discovery - manual configuration only.
+          Enter your email address and use Find Settings to fill in the server settings,
+          or enter them yourself. Test Connection checks them before saving.
         </p>
         
         {error && <div className="error-message">{error}</div>}
         
         <form onSubmit={handleSubmit}>
+          <h3>Account</h3>
+          <div className="form-group">
+            <label htmlFor="accountName">Account Name</label>
+            <input
+              type="text"
+              id="accountName"
+              value={form.name}
+              onChange={updateField('name')}
+              placeholder="Work"
+            />
+          </div>
+          
+          <div className="form-group">
+            <label htmlFor="fromName">Your Name</label>
+            <input
+              type="text"
+              id="fromName"
+              value={form.fromName}
+              onChange={updateField('fromName')}
+              placeholder="Shown to recipients"
+            />
+          </div>
+          
+          <div className="form-group">
+            <label htmlFor="fromAddress">Email Address</label>
+            <div className="mail-config-discover">
+              <input
+                type="email"
+                id="fromAddress"
+                value={form.fromAddress}
+                onChange={updateField('fromAddress')}
+                placeholder="Sender address (default: the username)"
+              />
+              <button type="button" onClick={handleDiscover} className="btn-secondary" disabled={discovering}>
+                {discovering ? 'Searching...' : 'Find Settings'}
+              </button>
+            </div>
+            {discoveryNote && <p className="mail-config-note">{discoveryNote}</p>}
+          </div>
+          
           <h3>IMAP Settings (Incoming Mail)</h3>
           <div className="form-group">
             <label htmlFor="imapHost">IMAP Host *</label>
             <input
               type="text"
               id="imapHost"
-              value={imapHost}
-              onChange={(e) => setImapHost(e.target.value)}
+              value={form.imapHost}
+              onChange={updateField('imapHost')}
               placeholder="imap.example.com"
               required
             />
@@ -73,8 +329,8 @@ function MailConfig({ onSave, onCancel }) {
               <input
                 type="number"
                 id="imapPort"
-                value={imapPort}
-                onChange={(e) => setImapPort(e.target.value)}
+                value={form.imapPort}
+                onChange={updateField('imapPort')}
                 required
               />
             </div>
@@ -83,8 +339,8 @@ function MailConfig({ onSave, onCancel }) {
               <label>
                 <input
                   type="checkbox"
-                  checked={imapSecure}
-                  onChange={(e) => setImapSecure(e.target.checked)}
+                  checked={form.imapSecure}
+                  onChange={updateField('imapSecure')}
                 />
                 Use SSL/TLS
               </label>
@@ -97,8 +353,8 @@ function MailConfig({ onSave, onCancel }) {
             <input
               type="text"
               id="smtpHost"
-              value={smtpHost}
-              onChange={(e) => setSmtpHost(e.target.value)}
+              value={form.smtpHost}
+              onChange={updateField('smtpHost')}
               placeholder="smtp.example.com"
               required
             />
@@ -110,8 +366,8 @@ function MailConfig({ onSave, onCancel }) {
               <input
                 type="number"
                 id="smtpPort"
-                value={smtpPort}
-                onChange={(e) => setSmtpPort(e.target.value)}
+                value={form.smtpPort}
+                onChange={updateField('smtpPort')}
                 required
               />
             </div>
@@ -120,8 +376,8 @@ function MailConfig({ onSave, onCancel }) {
               <label>
                 <input
                   type="checkbox"
-                  checked={smtpSecure}
-                  onChange={(e) => setSmtpSecure(e.target.checked)}
+                  checked={form.smtpSecure}
+                  onChange={updateField('smtpSecure')}
                 />
                 Use SSL/TLS
               </label>
@@ -134,27 +390,125 @@ function MailConfig({ onSave, onCancel }) {
             <input
               type="text"
               id="username"
-              value={username}
-              onChange={(e) => setUsername(e.target.value)}
+              value={form.username}
+              onChange={updateField('username')}
               required
             />
           </div>
           
           <div className="form-group">
-            <label htmlFor="password">Password *</label>
-            <input
-              type="password"
-              id="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              required
-            />
+            <label htmlFor="authType">Sign-in Method</label>
+            <select id="authType" value={form.authType} onChange={updateField('authType')}>
+              <option value="password">Password</option>
+              <option value="oauth2">OAuth2 (XOAUTH2)</option>
+            </select>
           </div>
           
+          {form.authType === 'password' ? (
+            <div className="form-group">
+              <label htmlFor="password">Password {keepsSecrets ? '' : '*'}</label>
+              <input
+                type="password"
+                id="password"
+                value={form.password}
+                onChange={updateField('password')}
+                placeholder={keepsSecrets ? 'Leave empty to keep the current password' : ''}
+                required={!keepsSecrets}
+              />
+            </div>
+          ) : (
+            <>
+              <p className="mail-config-note">
+                Register this app with your provider and get a refresh token for it
+                (with the IMAP/SMTP mail scope). Access tokens are requested automatically.
+              </p>
+              
+              <div className="form-group">
+                <label htmlFor="oauthTokenUrl">Token Endpoint *</label>
+                <input
+                  type="url"
+                  id="oauthTokenUrl"
+                  list="oauthProviders"
+                  value={form.oauthTokenUrl}
+                  onChange={updateField('oauthTokenUrl')}
+                  placeholder="https://oauth2.example.com/token"
+                  required
+                />
+                <datalist id="oauthProviders">
+                  {OAUTH_PROVIDERS.map(provider => (
+                    <option key={provider.name} value={provider.tokenUrl}>{provider.name}</option>
+                  ))}
+                </datalist>
+              </div>
+              
+              <div className="form-group">
+                <label htmlFor="oauthClientId">Client ID *</label>
+                <input
+                  type="text"
+                  id="oauthClientId"
+                  value={form.oauthClientId}
+                  onChange={updateField('oauthClientId')}
+                  required
+                />
+              </div>
+              
+              <div className="form-group">
+                <label htmlFor="oauthClientSecret">Client Secret</label>
+                <input
+                  type="password"
+                  id="oauthClientSecret"
+                  value={form.oauthClientSecret}
+                  onChange={updateField('oauthClientSecret')}
+                  placeholder={keepsSecrets ? 'Leave empty to keep the current secret' : ''}
+                />
+              </div>
+              
+              <div className="form-group">
+                <label htmlFor="refreshToken">Refresh Token {keepsSecrets ? '' : '*'}</label>
+                <input
+                  type="password"
+                  id="refreshToken"
+                  value={form.refreshToken}
+                  onChange={updateField('refreshToken')}
+                  placeholder={keepsSecrets ? 'Leave empty to keep the current token' : ''}
+                  required={!keepsSecrets}
+                />
+              </div>
+            </>
+          )}
+          
+          {testResult && (
+            <div className="mail-config-test">
+              {[['IMAP', testResult.imap], ['SMTP', testResult.smtp]].map(([label, server]) => (
+                <div key={label} className={server.ok ? 'mail-config-test-ok' : 'mail-config-test-failed'}>
+                  <div className="mail-config-test-summary">
+                    {server.ok ? '✓' : '✗'} {label} {server.host}:{server.port}
+                    {server.ok ? ' - connected and logged in' : ` - ${TEST_STEPS[server.failedStep]} failed`}
+                  </div>
+                  {server.error && <div className="mail-config-test-detail">{server.error}</div>}
+                  {server.tls && server.tls.certificate && (
+                    <div className="mail-config-test-detail">
+                      {server.tls.protocol}, certificate for {server.tls.certificate.subject} (valid until {server.tls.certificate.validTo})
+                    </div>
+                  )}
+                  {server.warnings.map(warning => (
+                    <div key={warning} className="mail-config-test-detail">⚠ {warning}</div>
+                  ))}
+                  {server.capabilities.length > 0 && (
+                    <div className="mail-config-test-capabilities">{server.capabilities.join(' ')}</div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+          
           <div className="form-actions">
-            <button type="button" onClick={onCancel} className="btn-secondary">
+            <button type="button" onClick={handleCancelEditing} className="btn-secondary">
               Cancel
             </button>
+            <button type="button" onClick={handleTest} className="btn-secondary" disabled={testing}>
+              {testing ? 'Testing...' : 'Test Connection'}
+            </button>
             <button type="submit" className="btn-primary" disabled={loading}>
               {loading ? 'Saving...' : 'Save Configuration'}
             </button>
@@ -1,39 +1,101 @@
 /**
  * Mail list component
  * 
- * Displays list of email messages
+ * Displays the conversations in a folder, with checkboxes to select several
+ * conversations and a toolbar for the selected ones
  */
 
 import { format } from 'date-fns';
+import MailActions from './MailActions';
 import './MailList.css';
 
-function MailList({ messages, loading, onMessageClick }) {
+function MailList({
+  threads,
+  loading,
+  folders,
+  currentFolder,
+  selectedIds,
+  onSelectionChange,
+  onThreadClick,
+  onToggleStar,
+  onAction,
+}) {
   if (loading) {
     return <div className="mail-loading">Loading messages...</div>;
   }
 
-  if (messages.length === 0) {
+  if (threads.length === 0) {
     return <div className="no-messages">No messages</div>;
   }
 
+  const allSelected = selectedIds.length === threads.length;
+
+  const toggleThread = (threadId) => {
+    onSelectionChange(selectedIds.includes(threadId)
+      ? selectedIds.filter(id => id !== threadId)
+      : [...selectedIds, threadId]);
+  };
+
   return (
     <div className="mail-list">
-      {messages.map(message => (
+      <div className="mail-list-toolbar">
+        <label className="mail-select-all">
+          <input
+            type="checkbox"
+            checked={allSelected}
+            onChange={() => onSelectionChange(allSelected ? [] : threads.map(thread => thread.id))}
+          />
+          {selectedIds.length > 0 ? `${selectedIds.length} selected` : 'Select all'}
+        </label>
+        {selectedIds.length > 0 && (
+          <MailActions
+            folders={folders}
+            currentFolder={currentFolder}
+            onAction={(action, folder) => onAction(action, selectedIds, folder)}
+          />
+        )}
+      </div>
+
+      {threads.map(thread => (
         <div
-          key={message.id}
-          className={`mail-item ${!message.read ? 'unread' : ''}`}
-          onClick={() => onMessageClick(message.id)}
+          key={thread.id}
+          className={`mail-item ${thread.unreadCount > 0 ? 'unread' : ''} ${selectedIds.includes(thread.id) ? 'selected' : ''}`}
+          onClick={() => onThreadClick(thread.id)}
         >
           <div className="mail-item-header">
-            <strong>{message.from || 'Unknown'}</strong>
-            <span className="mail-date">
-              {format(new Date(message.date), 'MMM d, yyyy')}
+            <span className="mail-item-from">
+              <input
+                type="checkbox"
+                checked={selectedIds.includes(thread.id)}
+                onClick={(e) => e.stopPropagation()}
+                onChange={() => toggleThread(thread.id)}
+              />
+              <strong>{thread.participants.join(', ') || 'Unknown'}</strong>
+              {thread.messageCount > 1 && (
+                <span className="mail-thread-count">{thread.messageCount}</span>
+              )}
+            </span>
+            <span className="mail-item-meta">
+              {thread.answered && <span className="mail-answered" title="Answered">↩</span>}
+              <span className="mail-date">
+                {format(new Date(thread.date), 'MMM d, yyyy')}
+              </span>
+              <button
+                className={`mail-star ${thread.starred ? 'starred' : ''}`}
+                title={thread.starred ? 'Unstar' : 'Star'}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onToggleStar(thread);
+                }}
+              >
+                {thread.starred ? '★' : '☆'}
+              </button>
             </span>
           </div>
-          <div className="mail-subject">{message.subject || '(No subject)'}</div>
-          {message.bodyText && (
+          <div className="mail-subject">{thread.subject || '(No subject)'}</div>
+          {thread.snippet && (
             <div className="mail-preview">
-              {message.bodyText.substring(0, 100)}...
+              {thread.snippet}...
             </div>
           )}
         </div>
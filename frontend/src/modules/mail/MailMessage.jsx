@@ -0,0 +1,184 @@
+/**
+ * Mail message component
+ * 
+ * One message of a conversation: collapsed to a summary line, or expanded
+ * with its body, attachments and reply buttons. Attachments come from the
+ * offline copy when there is one (see services/mailCache.js). HTML bodies
+ * are sanitized and shown in a sandboxed iframe (see services/mailHtml.js).
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { format } from 'date-fns';
+import { getAttachment } from '../../services/mailCache';
+import { sanitizeMailHtml, mailDocument } from '../../services/mailHtml';
+import './MailMessage.css';
+
+/**
+ * Whether an attachment is an image embedded in the HTML body (cid: link)
+ */
+function isEmbedded(message, attachment) {
+  return Boolean(
+    attachment.contentId &&
+    message.bodyHtml &&
+    message.bodyHtml.includes(`cid:${attachment.contentId}`)
+  );
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Fit the iframe to its content (it has no scripts to report its height)
+ */
+function fitFrame(e) {
+  const frame = e.target;
+  frame.style.height = `${frame.contentDocument.documentElement.scrollHeight}px`;
+}
+
+function MailMessage({ message, expanded, onToggle, onReply, onUpdateFlags }) {
+  const [inlineUrls, setInlineUrls] = useState({});
+  const attachments = message.attachments || [];
+
+  // Embedded images are swapped in after sanitizing (blob: URLs are our own)
+  const bodyDocument = useMemo(() => {
+    if (!expanded || !message.bodyHtml) {
+      return '';
+    }
+    const html = sanitizeMailHtml(message.bodyHtml)
+      .replace(/cid:([^"'\s)>]+)/gi, (link, contentId) => inlineUrls[contentId] || link);
+    return mailDocument(html);
+  }, [message.bodyHtml, inlineUrls, expanded]);
+
+  // Embedded images need the access token, so the browser can't load
+  // cid: links itself - fetch them and point the links at blob URLs
+  useEffect(() => {
+    if (!expanded) {
+      return undefined;
+    }
+
+    const urls = {};
+    let cancelled = false;
+    const revoke = () => Object.values(urls).forEach(url => URL.revokeObjectURL(url));
+
+    Promise.all(
+      attachments
+        .filter(attachment => isEmbedded(message, attachment))
+        .map(async (attachment) => {
+          try {
+            const blob = await getAttachment(message.id, attachment.id);
+            urls[attachment.contentId] = URL.createObjectURL(blob);
+          } catch (error) {
+            console.error('Error loading inline image:', error);
+          }
+        })
+    ).then(() => {
+      if (cancelled) {
+        revoke();
+      } else {
+        setInlineUrls(urls);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      revoke();
+    };
+  }, [message, expanded]);
+
+  if (!expanded) {
+    return (
+      <div className="mail-message collapsed" onClick={onToggle}>
+        <strong>{message.from || 'Unknown'}</strong>
+        <span className="mail-message-snippet">{(message.bodyText || '').substring(0, 100)}</span>
+        <span className="mail-message-date">{format(new Date(message.date), 'MMM d')}</span>
+      </div>
+    );
+  }
+
+  const handleDownload = async (attachment) => {
+    try {
+      const blob = await getAttachment(message.id, attachment.id);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.filename || 'attachment';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      alert('Error downloading attachment: ' + error.message);
+    }
+  };
+
+  const downloads = attachments.filter(attachment => !isEmbedded(message, attachment));
+
+  return (
+    <div className="mail-message">
+      <div className="mail-message-header" onClick={onToggle}>
+        <div className="mail-view-meta">
+          <div><strong>From:</strong> {message.from}</div>
+          <div><strong>To:</strong> {message.to}</div>
+          {message.cc && <div><strong>Cc:</strong> {message.cc}</div>}
+          <div><strong>Date:</strong> {format(new Date(message.date), 'PPpp')}</div>
+        </div>
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            onUpdateFlags({ starred: !message.starred });
+          }}
+          className={`mail-star ${message.starred ? 'starred' : ''}`}
+          title={message.starred ? 'Unstar' : 'Star'}
+        >
+          {message.starred ? '★' : '☆'}
+        </button>
+      </div>
+
+      <div className="mail-view-body">
+        {bodyDocument ? (
+          // Same origin (no scripts run inside) so its height can be read and
+          // blob: images load; links open in a new tab outside the sandbox
+          <iframe
+            srcDoc={bodyDocument}
+            sandbox="allow-same-origin allow-popups allow-popups-to-escape-sandbox"
+            onLoad={fitFrame}
+            className="mail-message-frame"
+            title="Message"
+          />
+        ) : (
+          <pre style={{ whiteSpace: 'pre-wrap' }}>{message.bodyText}</pre>
+        )}
+      </div>
+
+      {downloads.length > 0 && (
+        <div className="mail-view-attachments">
+          {downloads.map(attachment => (
+            <button
+              key={attachment.id}
+              onClick={() => handleDownload(attachment)}
+              className="mail-view-attachment"
+            >
+              📎 {attachment.filename || 'attachment'}
+              <span className="mail-view-attachment-size">{formatSize(attachment.size)}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="mail-message-replies">
+        <button onClick={() => onReply('reply')} className="btn-secondary">
+          Reply
+        </button>
+        <button onClick={() => onReply('reply-all')} className="btn-secondary">
+          Reply all
+        </button>
+        <button onClick={() => onReply('forward')} className="btn-secondary">
+          Forward
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default MailMessage;
@@ -0,0 +1,57 @@
+/**
+ * Mail outbox component
+ * 
+ * Lists the mail written offline that's waiting to be sent (see
+ * services/mailOutbox.js). Mail the server refused to send shows why, and
+ * can be sent again or deleted.
+ */
+
+import { format } from 'date-fns';
+import './MailOutbox.css';
+
+function MailOutbox({ mail, accounts, onRetry, onDelete }) {
+  if (mail.length === 0) {
+    return <div className="no-messages">No messages waiting to be sent</div>;
+  }
+
+  const accountName = (accountId) => {
+    const account = accounts.find(a => a.id === Number(accountId));
+    return account ? account.name : '';
+  };
+
+  return (
+    <div className="mail-list">
+      {mail.map(item => (
+        <div key={item.id} className={`mail-item mail-outbox-item ${item.status}`}>
+          <div className="mail-item-header">
+            <strong>To: {item.email.to}</strong>
+            <span className="mail-date">
+              {format(new Date(item.createdAt), 'MMM d, yyyy HH:mm')}
+            </span>
+          </div>
+          <div className="mail-subject">{item.email.subject || '(No subject)'}</div>
+          <div className="mail-outbox-status">
+            {item.status === 'failed'
+              ? `Not sent: ${item.error}`
+              : 'Waiting for a connection'}
+            {accounts.length > 1 && ` · ${accountName(item.email.accountId)}`}
+            {item.attachments.length > 0 &&
+              ` · ${item.attachments.length} attachment${item.attachments.length > 1 ? 's' : ''}`}
+          </div>
+          <div className="mail-outbox-actions">
+            {item.status === 'failed' && (
+              <button onClick={() => onRetry(item.id)} className="btn-primary">
+                Try again
+              </button>
+            )}
+            <button onClick={() => onDelete(item.id)} className="btn-secondary">
+              Delete
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default MailOutbox;
@@ -1,35 +1,72 @@
 /**
  * Mail view component
  * 
- * Displays a single email message
+ * Displays a conversation: its messages oldest first, with only the
+ * latest one expanded
  */
 
-import { format } from 'date-fns';
+import { useState, useEffect } from 'react';
+import MailActions from './MailActions';
+import MailMessage from './MailMessage';
 import './MailView.css';
 
-function MailView({ message, onBack }) {
+function MailView({
+  thread,
+  folders,
+  currentFolder,
+  onBack,
+  onReply,
+  onUpdateFlags,
+  onMarkUnread,
+  onAction,
+}) {
+  const latest = thread.messages[thread.messages.length - 1];
+  const [expandedIds, setExpandedIds] = useState([latest.id]);
+
+  useEffect(() => {
+    setExpandedIds([thread.messages[thread.messages.length - 1].id]);
+  }, [thread.id]);
+
+  const toggleMessage = (messageId) => {
+    setExpandedIds(prev => (prev.includes(messageId)
+      ? prev.filter(id => id !== messageId)
+      : [...prev, messageId]));
+  };
+
   return (
     <div className="mail-view">
-      <button onClick={onBack} className="btn-secondary">
-        ← Back
-      </button>
-      
-      <div className="mail-view-header">
-        <h2>{message.subject || '(No subject)'}</h2>
-        <div className="mail-view-meta">
-          <div><strong>From:</strong> {message.from}</div>
-          <div><strong>To:</strong> {message.to}</div>
-          <div><strong>Date:</strong> {format(new Date(message.date), 'PPpp')}</div>
-        </div>
+      <div className="mail-view-toolbar">
+        <button onClick={onBack} className="btn-secondary">
+          ← Back
+        </button>
+        <button onClick={() => onReply(latest.id, 'reply')} className="btn-primary">
+          Reply
+        </button>
+        <button onClick={onMarkUnread} className="btn-secondary">
+          Mark as unread
+        </button>
+        <MailActions folders={folders} currentFolder={currentFolder} onAction={onAction} />
       </div>
       
-      <div className="mail-view-body">
-        {message.bodyHtml ? (
-          <div dangerouslySetInnerHTML={{ __html: message.bodyHtml }} />
-        ) : (
-          <pre style={{ whiteSpace: 'pre-wrap' }}>{message.bodyText}</pre>
+      <div className="mail-view-header">
+        <h2>{thread.subject || '(No subject)'}</h2>
+        {thread.messages.length > 1 && (
+          <div className="mail-view-count">{thread.messages.length} messages</div>
         )}
       </div>
+
+      <div className="mail-view-messages">
+        {thread.messages.map(message => (
+          <MailMessage
+            key={message.id}
+            message={message}
+            expanded={expandedIds.includes(message.id)}
+            onToggle={() => toggleMessage(message.id)}
+            onReply={(type) => onReply(message.id, type)}
+            onUpdateFlags={(flags) => onUpdateFlags(message.id, flags)}
+          />
+        ))}
+      </div>
     </div>
   );
 }
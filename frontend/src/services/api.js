@@ -50,8 +50,25 @@ export function getAccessToken() {
   return accessToken;
 }
 
+/**
+ * Get the signed-in user's ID (from the access token), or null
+ */
+export function getCurrentUserId() {
+  if (!accessToken) {
+    return null;
+  }
+  try {
+    const payload = accessToken.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload)).userId;
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Make an API request
+ * 
+ * options.timeout: milliseconds before giving up (default: 30 seconds)
  */
 async function apiRequest(endpoint, options = {}) {
   const url = `${API_BASE_URL}${endpoint}`;
@@ -61,6 +78,11 @@ async function apiRequest(endpoint, options = {}) {
     ...options.headers,
   };
   
+  // Let the browser set the multipart boundary for FormData bodies
+  if (options.body instanceof FormData) {
+    delete headers['Content-Type'];
+  }
+  
   // Add access token if available
   if (accessToken) {
     headers['Authorization'] = `Bearer ${accessToken}`;
@@ -79,9 +101,10 @@ async function apiRequest(endpoint, options = {}) {
   }
   
   try {
-    // Add timeout to prevent hanging requests (30 seconds)
+    // Add timeout to prevent hanging requests
+    const timeout = options.timeout || 30000;
     const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 30000);
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
     
     const response = await fetch(url, {
       ...config,
@@ -90,22 +113,22 @@ async function apiRequest(endpoint, options = {}) {
     
     clearTimeout(timeoutId);
     
-    // Handle 401 (unauthorized) - try to refresh token
-    if (response.status === 401 && refreshToken && endpoint !== '/auth/refresh' && endpoint !== '/auth/refresh-initial') {
+    // Handle 401 (unauthorized) - try to refresh token (expired tokens are rejected with 403)
+    if ((response.status === 401 || response.status === 403) && refreshToken && endpoint !== '/auth/refresh' && endpoint !== '/auth/refresh-initial') {
+      let retryResponse = null;
       try {
         const newTokens = await refreshAccessToken();
         if (newTokens) {
           // Retry original request with new token
           headers['Authorization'] = `Bearer ${newTokens.accessToken}`;
           const retryController = new AbortController();
-          const retryTimeoutId = setTimeout(() => retryController.abort(), 30000);
-          const retryResponse = await fetch(url, { 
+          const retryTimeoutId = setTimeout(() => retryController.abort(), timeout);
+          retryResponse = await fetch(url, { 
             ...config, 
             headers,
             signal: retryController.signal,
           });
           clearTimeout(retryTimeoutId);
-          return await handleResponse(retryResponse);
         }
       } catch (error) {
         // Refresh failed - user needs to login again
@@ -116,10 +139,18 @@ async function apiRequest(endpoint, options = {}) {
         }
         throw new Error('Session expired. Please login again.');
       }
+      // Errors of the retried request are the request's own (not a failed login)
+      if (retryResponse) {
+        return await handleResponse(retryResponse, options.responseType);
+      }
     }
     
-    return await handleResponse(response);
+    return await handleResponse(response, options.responseType);
   } catch (error) {
+    // The server answered with an error (see handleResponse)
+    if (error.status) {
+      throw error;
+    }
     // Handle abort (timeout)
     if (error.name === 'AbortError') {
       throw new Error('Request timeout: The server took too long to respond. Please try again.');
@@ -141,12 +172,19 @@ async function apiRequest(endpoint, options = {}) {
 
 /**
  * Handle API response
+ * 
+ * responseType 'blob' returns the raw body (for file downloads)
+ * Errors have the HTTP status in error.status and the response body in error.data.
  */
-async function handleResponse(response) {
+async function handleResponse(response, responseType) {
   // Check if response has content
   const contentType = response.headers.get('content-type');
   let data;
   
+  if (responseType === 'blob' && response.ok) {
+    return await response.blob();
+  }
+  
   if (contentType && contentType.includes('application/json')) {
     try {
       data = await response.json();
@@ -159,22 +197,48 @@ async function handleResponse(response) {
     // Not JSON response - get text
     const text = await response.text();
     if (!response.ok) {
-      throw new Error(text || `Server error: ${response.status} ${response.statusText}`);
+      throw responseError(response, text || `Server error: ${response.status} ${response.statusText}`);
     }
     return { message: text };
   }
   
   if (!response.ok) {
-    throw new Error(data.error || `Server error: ${response.status} ${response.statusText}`);
+    throw responseError(response, data.error || `Server error: ${response.status} ${response.statusText}`, data);
   }
   
   return data;
 }
 
+/**
+ * Error for a failed response
+ */
+function responseError(response, message, data = null) {
+  const error = new Error(message);
+  error.status = response.status;
+  error.data = data;
+  return error;
+}
+
+// The refresh in progress, shared by requests that need it at the same time:
+// refresh tokens work once, and the server signs the device out when one is used again
+let refreshing = null;
+
 /**
  * Refresh access token
  */
-async function refreshAccessToken() {
+function refreshAccessToken() {
+  if (!refreshing) {
+    refreshing = requestNewTokens().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+}
+
+/**
+ * Exchange the refresh token for new tokens (both are replaced)
+ */
+async function requestNewTokens() {
   if (!refreshToken) {
     return null;
   }
@@ -204,6 +268,41 @@ async function refreshAccessToken() {
   }
 }
 
+/**
+ * Open the live update stream (see services/liveUpdates.js)
+ * 
+ * Like apiRequest, an expired access token is refreshed and the request
+ * tried again. Errors have the HTTP status in error.status.
+ * 
+ * @param {AbortSignal} signal - Closes the stream
+ * @returns {Promise<Response>} - Response with the event stream as body
+ */
+export async function openEventStream(signal) {
+  const open = () => fetch(`${API_BASE_URL}/events/stream`, {
+    headers: {
+      'Accept': 'text/event-stream',
+      'Authorization': `Bearer ${accessToken}`,
+    },
+    credentials: 'include',
+    signal,
+  });
+  
+  let response = await open();
+  
+  // Expired tokens are rejected with 403
+  if ((response.status === 401 || response.status === 403) && refreshToken && await refreshAccessToken()) {
+    response = await open();
+  }
+  
+  if (!response.ok) {
+    const error = new Error(`Server error: ${response.status} ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+  
+  return response;
+}
+
 // Authentication API
 export const authAPI = {
   getSetupStatus: () => apiRequest('/auth/setup-status'),
@@ -258,6 +357,27 @@ export const authAPI = {
     method: 'POST',
     body: JSON.stringify({ username, password, code }),
   }),
+  
+  // Signed-in devices (this one has current: true)
+  getSessions: () => apiRequest(`/auth/sessions?deviceId=${encodeURIComponent(getDeviceId())}`),
+  
+  revokeSession: (id) => apiRequest(`/auth/sessions/${id}`, { method: 'DELETE' }),
+  
+  // App passwords for CalDAV/CardDAV clients (created ones include the password, once)
+  getAppPasswords: () => apiRequest('/auth/app-passwords'),
+  
+  createAppPassword: (name) => apiRequest('/auth/app-passwords', {
+    method: 'POST',
+    body: JSON.stringify({ name }),
+  }),
+  
+  deleteAppPassword: (id) => apiRequest(`/auth/app-passwords/${id}`, { method: 'DELETE' }),
+  
+  // Signs this device out too, and revokes the app passwords
+  revokeAllSessions: () =>
+    apiRequest('/auth/sessions', { method: 'DELETE' }).then(() => {
+      clearTokens();
+    }),
 };
 
 // Calendar API
@@ -277,16 +397,45 @@ export const calendarAPI = {
       body: JSON.stringify(event),
     }),
   
-  updateEvent: (id, event) =>
+  // scope/occurrenceDate select occurrences of a recurring event
+  // ('occurrence', 'following' or 'all')
+  // baseUpdatedAt: updatedAt of the event the change was made on (409 if it changed since)
+  updateEvent: (id, event, scope, occurrenceDate, baseUpdatedAt) =>
     apiRequest(`/calendar/events/${id}`, {
       method: 'PUT',
-      body: JSON.stringify(event),
+      body: JSON.stringify({ ...event, ...(scope && { scope, occurrenceDate }), ...(baseUpdatedAt && { baseUpdatedAt }) }),
     }),
   
-  deleteEvent: (id) =>
-    apiRequest(`/calendar/events/${id}`, {
+  deleteEvent: (id, scope, occurrenceDate, baseUpdatedAt) => {
+    const params = new URLSearchParams();
+    if (scope) params.append('scope', scope);
+    if (occurrenceDate) params.append('occurrenceDate', occurrenceDate);
+    if (baseUpdatedAt) params.append('baseUpdatedAt', baseUpdatedAt);
+    return apiRequest(`/calendar/events/${id}?${params.toString()}`, {
       method: 'DELETE',
-    }),
+    });
+  },
+  
+  // Returns the .ics file as a Blob
+  exportICS: (startDate, endDate) => {
+    const params = new URLSearchParams();
+    params.append('timezone', Intl.DateTimeFormat().resolvedOptions().timeZone);
+    if (startDate) params.append('startDate', startDate);
+    if (endDate) params.append('endDate', endDate);
+    return apiRequest(`/calendar/export.ics?${params.toString()}`, {
+      responseType: 'blob',
+    });
+  },
+  
+  importICS: (icsText) => {
+    const params = new URLSearchParams();
+    params.append('timezone', Intl.DateTimeFormat().resolvedOptions().timeZone);
+    return apiRequest(`/calendar/import?${params.toString()}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/calendar' },
+      body: icsText,
+    });
+  },
 };
 
 // Contacts API
@@ -301,20 +450,39 @@ export const contactsAPI = {
       body: JSON.stringify(contact),
     }),
   
-  updateContact: (id, contact) =>
+  // baseUpdatedAt: updatedAt of the contact the change was made on (409 if it changed since)
+  updateContact: (id, contact, baseUpdatedAt) =>
     apiRequest(`/contacts/${id}`, {
       method: 'PUT',
-      body: JSON.stringify(contact),
+      body: JSON.stringify(baseUpdatedAt ? { ...contact, baseUpdatedAt } : contact),
     }),
   
-  deleteContact: (id) =>
-    apiRequest(`/contacts/${id}`, {
+  deleteContact: (id, baseUpdatedAt) =>
+    apiRequest(`/contacts/${id}${baseUpdatedAt ? `?baseUpdatedAt=${encodeURIComponent(baseUpdatedAt)}` : ''}`, {
       method: 'DELETE',
     }),
+  
+  exportVCF: () =>
+    apiRequest('/contacts/export.vcf', {
+      responseType: 'blob',
+    }),
+  
+  // preview: only report duplicates, duplicates: 'skip', 'merge' or 'create'
+  importVCF: (vcfText, { preview = false, duplicates = 'skip' } = {}) => {
+    const params = new URLSearchParams();
+    if (preview) params.append('preview', 'true');
+    params.append('duplicates', duplicates);
+    return apiRequest(`/contacts/import?${params.toString()}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/vcard' },
+      body: vcfText,
+    });
+  },
 };
 
 // Mail API
 export const mailAPI = {
+  // Settings of the first account
   getConfig: () => apiRequest('/mail/config'),
   
   saveConfig: (config) =>
@@ -323,6 +491,44 @@ export const mailAPI = {
       body: JSON.stringify(config),
     }),
   
+  getAccounts: () => apiRequest('/mail/accounts'),
+  
+  // account: { name, fromName, fromAddress, imapHost, imapPort, imapSecure,
+  //   smtpHost, smtpPort, smtpSecure, username, password }
+  createAccount: (account) =>
+    apiRequest('/mail/accounts', {
+      method: 'POST',
+      body: JSON.stringify(account),
+    }),
+  
+  // Without a password, the current one is kept
+  updateAccount: (id, account) =>
+    apiRequest(`/mail/accounts/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(account),
+    }),
+  
+  deleteAccount: (id) =>
+    apiRequest(`/mail/accounts/${id}`, {
+      method: 'DELETE',
+    }),
+  
+  // Check settings without saving them; with accountId, the stored
+  // password or tokens of that account are used if none are given
+  testConfig: (account, accountId = null) =>
+    apiRequest('/mail/config/test', {
+      method: 'POST',
+      body: JSON.stringify({ ...account, accountId }),
+      // Unreachable servers take a while to time out
+      timeout: 120000,
+    }),
+  
+  // Server settings for an email address
+  discoverConfig: (email) => {
+    const params = new URLSearchParams({ email });
+    return apiRequest(`/mail/config/discover?${params.toString()}`, { timeout: 120000 });
+  },
+  
   getFolders: () => apiRequest('/mail/folders'),
   
   sync: () =>
@@ -330,19 +536,147 @@ export const mailAPI = {
       method: 'POST',
     }),
   
-  getMessages: (folder, limit, offset) => {
+  // Background sync state, last sync and last error of each account
+  getSyncStatus: () => apiRequest('/mail/sync/status'),
+  
+  // account: account ID, or null for the folder of all accounts
+  getMessages: (folder, account, limit, offset) => {
     const params = new URLSearchParams();
     params.append('folder', folder);
+    if (account) params.append('account', account);
     if (limit) params.append('limit', limit);
     if (offset) params.append('offset', offset);
     return apiRequest(`/mail/messages?${params.toString()}`);
   },
   
+  // Search a folder on the mail server (finds messages that aren't synced yet)
+  // criteria: { from, subject, text, since, before }
+  searchServer: (folder, account, criteria) => {
+    const params = new URLSearchParams({ folder });
+    if (account) params.append('account', account);
+    Object.entries(criteria).forEach(([key, value]) => {
+      if (value) params.append(key, value);
+    });
+    return apiRequest(`/mail/messages?${params.toString()}`);
+  },
+  
   getMessage: (id) => apiRequest(`/mail/messages/${id}`),
   
-  sendEmail: (email) =>
-    apiRequest('/mail/send', {
+  getThreads: (folder, account, limit, offset) => {
+    const params = new URLSearchParams();
+    params.append('folder', folder);
+    if (account) params.append('account', account);
+    if (limit) params.append('limit', limit);
+    if (offset) params.append('offset', offset);
+    return apiRequest(`/mail/threads?${params.toString()}`);
+  },
+  
+  // folder: the folder the conversation is opened from
+  // options: { markRead: false } leaves the messages unread (downloads for offline reading)
+  getThread: (id, folder, options = {}) => {
+    const params = new URLSearchParams({ folder });
+    if (options.markRead === false) params.append('markRead', 'false');
+    return apiRequest(`/mail/threads/${id}?${params.toString()}`);
+  },
+  
+  // flags: { read, starred, answered }
+  updateMessage: (id, flags) =>
+    apiRequest(`/mail/messages/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(flags),
+    }),
+  
+  // type: 'reply', 'reply-all' or 'forward'
+  getDraft: (id, type) => apiRequest(`/mail/messages/${id}/draft/${type}`),
+  
+  // Bulk actions take a list of message IDs
+  moveMessages: (ids, folder) =>
+    apiRequest('/mail/messages/move', {
       method: 'POST',
-      body: JSON.stringify(email),
+      body: JSON.stringify({ ids, folder }),
     }),
+  
+  copyMessages: (ids, folder) =>
+    apiRequest('/mail/messages/copy', {
+      method: 'POST',
+      body: JSON.stringify({ ids, folder }),
+    }),
+  
+  archiveMessages: (ids) =>
+    apiRequest('/mail/messages/archive', {
+      method: 'POST',
+      body: JSON.stringify({ ids }),
+    }),
+  
+  // Moves messages to the trash, or deletes them permanently if they're in the trash
+  deleteMessages: (ids) =>
+    apiRequest('/mail/messages/delete', {
+      method: 'POST',
+      body: JSON.stringify({ ids }),
+    }),
+  
+  getAttachment: (messageId, attachmentId) =>
+    apiRequest(`/mail/messages/${messageId}/attachments/${attachmentId}`, {
+      responseType: 'blob',
+    }),
+  
+  // email: { accountId, to, cc, subject, text, inReplyToId, forwardId }
+  // attachments: File objects, sent as multipart/form-data
+  sendEmail: (email, attachments = []) => {
+    if (attachments.length === 0) {
+      return apiRequest('/mail/send', {
+        method: 'POST',
+        body: JSON.stringify(email),
+      });
+    }
+    
+    const formData = new FormData();
+    Object.entries(email).forEach(([key, value]) => {
+      if (value) formData.append(key, value);
+    });
+    attachments.forEach(file => formData.append('attachments', file));
+    return apiRequest('/mail/send', {
+      method: 'POST',
+      body: formData,
+    });
+  },
+};
+
+/**
+ * Search API
+ */
+export const searchAPI = {
+  // Returns { mail, contacts, events }
+  search: (query) => apiRequest(`/search?q=${encodeURIComponent(query)}`),
+};
+
+/**
+ * Push notifications API
+ */
+export const pushAPI = {
+  // Returns { publicKey } (applicationServerKey)
+  getPublicKey: () => apiRequest('/push/key'),
+  
+  // subscription: PushSubscription JSON
+  subscribe: (subscription) => apiRequest('/push/subscriptions', {
+    method: 'POST',
+    body: JSON.stringify({ subscription, deviceId: getDeviceId() }),
+  }),
+  
+  unsubscribe: (endpoint) => apiRequest('/push/subscriptions', {
+    method: 'DELETE',
+    body: JSON.stringify({ endpoint }),
+  }),
+  
+  // Returns { sent } (number of devices)
+  test: () => apiRequest('/push/test', { method: 'POST' }),
+};
+
+/**
+ * Sync API
+ */
+export const syncAPI = {
+  // Returns { cursor, reset, calendar: { changed, deleted }, contacts: { changed, deleted } }
+  // (everything, with reset: true, without a cursor)
+  getChanges: (since) => apiRequest(since ? `/sync?since=${encodeURIComponent(since)}` : '/sync'),
 };
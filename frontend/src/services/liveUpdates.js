@@ -0,0 +1,184 @@
+/**
+ * Live updates
+ * 
+ * Keeps a connection to the server's event stream while any module
+ * listens, and passes changes to calendar events, contacts and mail
+ * (made here, in another app or by a CalDAV/CardDAV client, or new mail)
+ * to the modules of their type. The connection is opened again after
+ * errors, with a growing delay.
+ */
+
+import { openEventStream } from './api';
+
+// Delay before reconnecting, doubled after each failed attempt
+const RECONNECT_DELAY = 2000;
+const MAX_RECONNECT_DELAY = 60 * 1000;
+
+// The server sends a comment every 25 seconds - a stream that stays silent
+// longer than this is dead (e.g. after the device slept) and is reopened
+const STALE_TIMEOUT = 60 * 1000;
+
+// Changes arriving within this time are passed to listeners at once, so an
+// import doesn't make a module reload for every event
+const BATCH_DELAY = 300;
+
+// Listeners: { type, listener }
+const listeners = new Set();
+
+// Changes waiting to be passed to listeners
+let pending = [];
+let batchTimer = null;
+
+// Closes the connection (null while there are no listeners)
+let controller = null;
+
+/**
+ * Listen for changes of a type
+ * 
+ * The listener gets an array of changes: { type, action ('created',
+ * 'updated' or 'deleted'), ... } (see the server's services/liveUpdates.js).
+ * After the connection was lost, changes may have been missed, so listeners
+ * get { type, action: 'reconnected' } and should reload their data.
+ * 
+ * @param {string} type - 'calendar', 'contacts' or 'mail'
+ * @param {Function} listener - Called with an array of changes
+ * @returns {Function} - Stops listening
+ */
+export function subscribeToChanges(type, listener) {
+  const entry = { type, listener };
+  listeners.add(entry);
+  if (!controller) {
+    controller = new AbortController();
+    run(controller.signal);
+  }
+  
+  return () => {
+    listeners.delete(entry);
+    if (listeners.size === 0 && controller) {
+      controller.abort();
+      controller = null;
+    }
+  };
+}
+
+/**
+ * Queue a change for the listeners
+ */
+function dispatch(change) {
+  pending.push(change);
+  if (!batchTimer) {
+    batchTimer = setTimeout(flush, BATCH_DELAY);
+  }
+}
+
+/**
+ * Pass the queued changes to the listeners of their type
+ */
+function flush() {
+  const changes = pending;
+  pending = [];
+  batchTimer = null;
+  
+  for (const { type, listener } of Array.from(listeners)) {
+    const ofType = changes.filter(change => change.type === type);
+    if (ofType.length > 0) {
+      try {
+        listener(ofType);
+      } catch (error) {
+        console.error('Error applying live updates:', error);
+      }
+    }
+  }
+}
+
+/**
+ * Read server-sent events from a stream
+ * 
+ * @param {Function} onEvent - Called with the name and (parsed) data of each event
+ * @param {Function} onData - Called whenever anything arrives (including comments)
+ */
+async function readEvents(response, onEvent, onData) {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) {
+      return;
+    }
+    onData();
+    
+    buffer += value;
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    
+    for (const block of blocks) {
+      let event = 'message';
+      const data = [];
+      for (const line of block.split(/\r?\n/)) {
+        if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          data.push(line.slice(5).trimStart());
+        }
+      }
+      if (data.length > 0) {
+        onEvent(event, JSON.parse(data.join('\n')));
+      }
+    }
+  }
+}
+
+/**
+ * Keep the stream open until the signal aborts
+ */
+async function run(signal) {
+  let delay = RECONNECT_DELAY;
+  let connectedBefore = false;
+  
+  while (!signal.aborted) {
+    // Also closed when the stream goes stale
+    const connection = new AbortController();
+    const close = () => connection.abort();
+    signal.addEventListener('abort', close);
+    let staleTimer = setTimeout(close, STALE_TIMEOUT);
+    
+    try {
+      const response = await openEventStream(connection.signal);
+      await readEvents(response, (event, data) => {
+        if (event === 'ready') {
+          delay = RECONNECT_DELAY;
+          if (connectedBefore) {
+            ['calendar', 'contacts', 'mail'].forEach(type => dispatch({ type, action: 'reconnected' }));
+          }
+          connectedBefore = true;
+        } else if (event === 'change') {
+          dispatch(data);
+        }
+      }, () => {
+        clearTimeout(staleTimer);
+        staleTimer = setTimeout(close, STALE_TIMEOUT);
+      });
+    } catch (error) {
+      // Not signed in (any more) - other requests take the user to the
+      // login page, and modules listening after that connect again
+      if (error.status === 401 || error.status === 403) {
+        if (controller && controller.signal === signal) {
+          controller = null;
+        }
+        return;
+      }
+      if (!signal.aborted && !connection.signal.aborted) {
+        console.error('Live updates disconnected:', error.message);
+      }
+    } finally {
+      clearTimeout(staleTimer);
+      signal.removeEventListener('abort', close);
+    }
+    
+    if (!signal.aborted) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+      delay = Math.min(delay * 2, MAX_RECONNECT_DELAY);
+    }
+  }
+}
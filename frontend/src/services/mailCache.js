@@ -0,0 +1,249 @@
+/**
+ * Offline mail
+ * 
+ * Downloads the latest conversations of recently opened folders, with
+ * their attachments, so they can be read offline. They're kept in
+ * IndexedDB up to a size budget set in Settings; what was used longest ago
+ * is dropped first. Large attachments are only kept once they're opened.
+ * HTML bodies are stored sanitized (see mailHtml.js).
+ */
+
+import { mailAPI, getCurrentUserId } from './api';
+import { mailStorage, mailCacheStorage } from './storage';
+import { sanitizeMailHtml } from './mailHtml';
+
+const BUDGET_KEY = 'offlineMailBudget';
+
+// Recently opened folders, stored per user
+const RECENT_FOLDERS_KEY = 'recentMailFolders';
+
+// Size budget (MB) until one is set
+export const DEFAULT_BUDGET_MB = 100;
+
+// Folders downloaded (the ones opened last)
+const RECENT_FOLDER_COUNT = 3;
+
+// Conversations downloaded per folder, latest first
+const CONVERSATIONS_PER_FOLDER = 25;
+
+// Attachments over this share of the budget aren't downloaded ahead
+const PREFETCH_ATTACHMENT_SHARE = 0.05;
+
+// Downloads run one after another, in the background
+let downloads = Promise.resolve();
+
+/**
+ * Cache key of a folder's conversation list (null account: the folder of all accounts)
+ */
+export function threadsKey(folder, account) {
+  return account ? `${account}:${folder}` : folder;
+}
+
+function threadKey(folder, threadId) {
+  return `${getCurrentUserId()}:thread:${folder}:${threadId}`;
+}
+
+function attachmentKey(messageId, attachmentId) {
+  return `${getCurrentUserId()}:attachment:${messageId}:${attachmentId}`;
+}
+
+/**
+ * Size budget in MB (0: offline mail is off)
+ */
+export function getBudget() {
+  const stored = localStorage.getItem(BUDGET_KEY);
+  return stored === null ? DEFAULT_BUDGET_MB : Number(stored);
+}
+
+export async function setBudget(megabytes) {
+  localStorage.setItem(BUDGET_KEY, String(megabytes));
+  await trim();
+}
+
+function budgetBytes() {
+  return getBudget() * 1024 * 1024;
+}
+
+/**
+ * Drop what was used longest ago until everything fits the budget
+ */
+async function trim() {
+  const index = await mailCacheStorage.getIndex();
+  let total = index.reduce((sum, entry) => sum + entry.size, 0);
+  const dropped = [];
+  
+  for (const entry of index.sort((a, b) => a.usedAt - b.usedAt)) {
+    if (total <= budgetBytes()) {
+      break;
+    }
+    dropped.push(entry.key);
+    total -= entry.size;
+  }
+  
+  if (dropped.length > 0) {
+    await mailCacheStorage.delete(dropped);
+  }
+}
+
+async function store(key, data, size, info = {}) {
+  if (size > budgetBytes()) {
+    return;
+  }
+  await mailCacheStorage.put(key, data, { ...info, userId: getCurrentUserId(), size, usedAt: Date.now() });
+  await trim();
+}
+
+/**
+ * How much offline mail is stored
+ * 
+ * @returns {Promise<Object>} - { bytes, conversations, attachments }
+ */
+export async function getUsage() {
+  const index = await mailCacheStorage.getIndex();
+  return {
+    bytes: index.reduce((sum, entry) => sum + entry.size, 0),
+    conversations: index.filter(entry => entry.key.includes(':thread:')).length,
+    attachments: index.filter(entry => entry.key.includes(':attachment:')).length,
+  };
+}
+
+export async function clearMailCache() {
+  const index = await mailCacheStorage.getIndex();
+  await mailCacheStorage.delete(index.map(entry => entry.key));
+}
+
+/**
+ * Keep an opened conversation for offline reading
+ * 
+ * @param {string} folder - Folder it was opened from
+ * @param {Object} thread - Conversation (see mailAPI.getThread)
+ */
+export async function cacheThread(folder, thread) {
+  if (getBudget() > 0) {
+    const version = thread.messages.map(message => message.id).join(',');
+    const messages = thread.messages.map(message => (
+      message.bodyHtml ? { ...message, bodyHtml: sanitizeMailHtml(message.bodyHtml) } : message
+    ));
+    const safeThread = { ...thread, messages };
+    await store(threadKey(folder, thread.id), safeThread, new Blob([JSON.stringify(safeThread)]).size, { version });
+  }
+}
+
+/**
+ * Get a downloaded conversation
+ * 
+ * @returns {Promise<Object|undefined>}
+ */
+export async function getCachedThread(folder, threadId) {
+  const key = threadKey(folder, threadId);
+  const thread = await mailCacheStorage.get(key);
+  if (thread) {
+    await mailCacheStorage.touch(key, Date.now());
+  }
+  return thread;
+}
+
+/**
+ * Get an attachment - downloaded ones from IndexedDB, others from the
+ * server (and kept for offline reading)
+ * 
+ * @returns {Promise<Blob>}
+ */
+export async function getAttachment(messageId, attachmentId) {
+  const key = attachmentKey(messageId, attachmentId);
+  const cached = await mailCacheStorage.get(key);
+  if (cached) {
+    await mailCacheStorage.touch(key, Date.now());
+    return cached;
+  }
+  
+  const blob = await mailAPI.getAttachment(messageId, attachmentId);
+  if (getBudget() > 0) {
+    await store(key, blob, blob.size);
+  }
+  return blob;
+}
+
+/**
+ * Download a folder's latest conversations that aren't stored yet
+ * (or got new messages), and their attachments
+ */
+async function downloadFolder(folder, threads) {
+  const index = new Map((await mailCacheStorage.getIndex()).map(entry => [entry.key, entry]));
+  
+  for (const summary of threads.slice(0, CONVERSATIONS_PER_FOLDER)) {
+    if (getBudget() === 0 || !navigator.onLine) {
+      return;
+    }
+    
+    // The summary only lists the messages in this folder
+    const stored = index.get(threadKey(folder, summary.id));
+    if (stored && summary.messageIds.every(id => stored.version.split(',').includes(String(id)))) {
+      continue;
+    }
+    
+    const thread = await mailAPI.getThread(summary.id, folder, { markRead: false });
+    await cacheThread(folder, thread);
+    
+    for (const message of thread.messages) {
+      for (const attachment of message.attachments || []) {
+        const key = attachmentKey(message.id, attachment.id);
+        if (!index.has(key) && attachment.size <= budgetBytes() * PREFETCH_ATTACHMENT_SHARE) {
+          await getAttachment(message.id, attachment.id);
+        }
+      }
+    }
+  }
+}
+
+function getRecentFolders() {
+  try {
+    return JSON.parse(localStorage.getItem(`${RECENT_FOLDERS_KEY}:${getCurrentUserId()}`)) || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function queueDownload(task) {
+  downloads = downloads
+    .then(task)
+    .catch(error => console.error('Error downloading mail for offline reading:', error));
+  return downloads;
+}
+
+/**
+ * A folder's conversations were loaded: remember it as recently opened
+ * and download its conversations in the background
+ * 
+ * @param {string} folder - Folder name
+ * @param {number|null} account - Account ID (null: the folder of all accounts)
+ * @param {Array<Object>} threads - Its conversation list (see mailAPI.getThreads)
+ */
+export function cacheFolder(folder, account, threads) {
+  const key = threadsKey(folder, account);
+  const recent = [{ folder, account }, ...getRecentFolders().filter(item => threadsKey(item.folder, item.account) !== key)];
+  localStorage.setItem(`${RECENT_FOLDERS_KEY}:${getCurrentUserId()}`, JSON.stringify(recent.slice(0, RECENT_FOLDER_COUNT)));
+  
+  if (getBudget() > 0) {
+    queueDownload(() => downloadFolder(folder, threads));
+  }
+}
+
+/**
+ * Download the recently opened folders other than the one on screen
+ * (their conversation lists too, so they can be browsed offline)
+ */
+export function cacheRecentFolders(currentFolder, currentAccount) {
+  if (getBudget() === 0) {
+    return;
+  }
+  
+  const current = threadsKey(currentFolder, currentAccount);
+  getRecentFolders()
+    .filter(({ folder, account }) => threadsKey(folder, account) !== current)
+    .forEach(({ folder, account }) => queueDownload(async () => {
+      const threads = await mailAPI.getThreads(folder, account);
+      await mailStorage.setThreads(threadsKey(folder, account), threads);
+      await downloadFolder(folder, threads);
+    }));
+}
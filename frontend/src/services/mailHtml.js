@@ -0,0 +1,80 @@
+/**
+ * Mail HTML
+ * 
+ * HTML mail bodies come from whoever sent the message, so they're
+ * sanitized (no scripts, event handlers, javascript: links, forms or
+ * remote content) and shown in a sandboxed iframe without scripts, whose
+ * Content Security Policy only allows inline styles and embedded images.
+ * Remote images would tell the sender when and where a message was read.
+ */
+
+import DOMPurify from 'dompurify';
+
+// Attributes that load a URL as soon as the message is shown
+const LOADING_ATTRIBUTES = ['src', 'srcset', 'background', 'poster'];
+
+// Embedded images (cid: links to attachments, data: URLs) are all that's loaded
+const EMBEDDED_URL = /^\s*(cid|data):/i;
+
+const CONTENT_SECURITY_POLICY =
+  "default-src 'none'; img-src data: blob:; style-src 'unsafe-inline'; font-src data:";
+
+const DEFAULT_STYLE = `
+  body {
+    margin: 0;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', sans-serif;
+    line-height: 1.8;
+    color: #1e293b;
+    overflow-wrap: break-word;
+  }
+  img { max-width: 100%; height: auto; }
+`;
+
+// Own instance, so the hook doesn't apply to other DOMPurify users
+const purify = DOMPurify(window);
+
+purify.addHook('afterSanitizeAttributes', (node) => {
+  LOADING_ATTRIBUTES.forEach((name) => {
+    if (node.hasAttribute(name) && !EMBEDDED_URL.test(node.getAttribute(name))) {
+      node.removeAttribute(name);
+    }
+  });
+  if (node.tagName === 'A') {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer');
+  }
+});
+
+/**
+ * Sanitize an HTML mail body
+ * 
+ * @param {string} html - Body as received
+ * @returns {string} - Whole document (head styles are kept)
+ */
+export function sanitizeMailHtml(html) {
+  return purify.sanitize(html, {
+    WHOLE_DOCUMENT: true,
+    FORBID_TAGS: ['form', 'input', 'button', 'select', 'textarea', 'base', 'meta', 'link'],
+    FORBID_ATTR: ['action', 'formaction'],
+  });
+}
+
+/**
+ * Build the document shown in the message iframe (its srcdoc)
+ * 
+ * @param {string} html - Sanitized body (see sanitizeMailHtml)
+ * @returns {string}
+ */
+export function mailDocument(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const meta = doc.createElement('meta');
+  meta.httpEquiv = 'Content-Security-Policy';
+  meta.content = CONTENT_SECURITY_POLICY;
+  const base = doc.createElement('base');
+  base.target = '_blank';
+  const style = doc.createElement('style');
+  style.textContent = DEFAULT_STYLE;
+  // Before the message's own styles, so they can override the defaults
+  doc.head.prepend(meta, base, style);
+  return `<!DOCTYPE html>${doc.documentElement.outerHTML}`;
+}
@@ -0,0 +1,208 @@
+/**
+ * Mail outbox
+ * 
+ * Mail written while offline is kept in IndexedDB, with its attachments,
+ * and sent by the open app once the connection is back: when the browser
+ * goes online, when the app starts, and when Background Sync fires (the
+ * service worker asks an open window to send it - see
+ * public/sync-handler.js). Without an open, signed-in window nothing is
+ * sent. The mail app shows it in a local "Outbox" folder.
+ * 
+ * Each message carries an idempotency key (email.idempotencyKey) that the
+ * server remembers, so a retry after a lost answer isn't sent twice, and
+ * tabs take turns sending (a Web Lock, like the calendar/contacts outbox).
+ * 
+ * Queued mail: { id, userId, email (see mailAPI.sendEmail), attachments
+ * (File objects), status ('pending' or 'failed'), error, createdAt }
+ */
+
+import { mailAPI, getCurrentUserId } from './api';
+import { mailOutboxStorage } from './storage';
+import { requestBackgroundSync, onBackgroundSync, withLock } from './outbox';
+import { randomId } from './randomId';
+
+// Background Sync tag (see public/sync-handler.js)
+const SYNC_TAG = 'mail-outbox';
+
+// Web Lock held while queued mail is sent
+const LOCK_NAME = 'mail-outbox';
+
+const listeners = new Set();
+
+// The flush that's running in this tab (LOCK_NAME keeps tabs apart)
+let flushing = null;
+let started = false;
+
+/**
+ * Tell listeners the outbox changed
+ * 
+ * @param {number} sent - Number of messages sent
+ */
+function notify(sent = 0) {
+  listeners.forEach(listener => listener({ sent }));
+}
+
+/**
+ * Get the user's queued mail, oldest first
+ * 
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getQueuedMail() {
+  const userId = getCurrentUserId();
+  const queued = await mailOutboxStorage.getAll();
+  return queued.filter(mail => mail.userId === userId);
+}
+
+/**
+ * Send an email, or queue it if there's no connection
+ * 
+ * @param {Object} email - { accountId, to, cc, subject, text, inReplyToId, forwardId }
+ * @param {Array<File>} attachments
+ * @returns {Promise<boolean>} - true if it was sent, false if it's in the outbox
+ * @throws {Error} - If the server refused to send it
+ */
+export async function sendMail(email, attachments = []) {
+  // The same key for the attempt below and the queued copy
+  email = { ...email, idempotencyKey: randomId() };
+  
+  if (navigator.onLine) {
+    try {
+      await mailAPI.sendEmail(email, attachments);
+      return true;
+    } catch (error) {
+      // No connection: queued below
+      if (error.status) {
+        throw error;
+      }
+    }
+  }
+  
+  await mailOutboxStorage.add({
+    userId: getCurrentUserId(),
+    email,
+    attachments,
+    status: 'pending',
+    error: null,
+    createdAt: new Date().toISOString(),
+  });
+  notify();
+  requestBackgroundSync(SYNC_TAG);
+  return false;
+}
+
+/**
+ * Send the queued mail, oldest first
+ * 
+ * Stops when there's no connection (or the login expired). Mail the server
+ * refuses to send is kept as failed, with the error, until the user sends
+ * it again or deletes it.
+ * 
+ * @returns {Promise<boolean>} - Whether everything that can be sent was sent
+ */
+async function replay() {
+  if (!getCurrentUserId()) {
+    return false;
+  }
+  
+  let sent = 0;
+  let changed = false;
+  
+  try {
+    for (const mail of await getQueuedMail()) {
+      if (mail.status === 'failed') {
+        continue;
+      }
+      
+      // Queued before messages had keys
+      if (!mail.email.idempotencyKey) {
+        mail.email = { ...mail.email, idempotencyKey: randomId() };
+        await mailOutboxStorage.update(mail);
+      }
+      
+      try {
+        await mailAPI.sendEmail(mail.email, mail.attachments);
+        await mailOutboxStorage.delete(mail.id);
+        sent++;
+      } catch (error) {
+        // 409: an earlier attempt is still being sent - its result decides
+        if (!error.status || error.status === 401 || error.status === 403 || error.status === 409) {
+          requestBackgroundSync(SYNC_TAG);
+          return false;
+        }
+        await mailOutboxStorage.update({ ...mail, status: 'failed', error: error.message });
+        changed = true;
+      }
+    }
+    return true;
+  } finally {
+    if (sent > 0 || changed) {
+      notify(sent);
+    }
+  }
+}
+
+/**
+ * Send the queued mail now
+ * 
+ * @returns {Promise<boolean>} - Whether everything that can be sent was sent
+ */
+export function flushMailOutbox() {
+  if (!flushing) {
+    flushing = withLock(LOCK_NAME, replay)
+      .catch((error) => {
+        console.error('Error sending queued mail:', error);
+        return false;
+      })
+      .finally(() => {
+        flushing = null;
+      });
+  }
+  return flushing;
+}
+
+/**
+ * Start sending queued mail: now, whenever the connection is back, and
+ * when the service worker asks to (Background Sync)
+ * 
+ * Called once the user is signed in.
+ */
+export function startMailOutbox() {
+  if (!started) {
+    started = true;
+    window.addEventListener('online', () => flushMailOutbox());
+    onBackgroundSync(SYNC_TAG, flushMailOutbox);
+  }
+  
+  return flushMailOutbox();
+}
+
+/**
+ * Try failed mail again
+ */
+export async function retryMail(id) {
+  const mail = (await getQueuedMail()).find(item => item.id === id);
+  if (mail) {
+    await mailOutboxStorage.update({ ...mail, status: 'pending', error: null });
+    notify();
+    await flushMailOutbox();
+  }
+}
+
+/**
+ * Delete queued mail without sending it
+ */
+export async function deleteQueuedMail(id) {
+  await mailOutboxStorage.delete(id);
+  notify();
+}
+
+/**
+ * Listen for changes of the outbox (queued, sent, failed, deleted)
+ * 
+ * @param {Function} listener - Called with { sent } (number of messages sent)
+ * @returns {Function} - Unsubscribe
+ */
+export function subscribeToMailOutbox(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
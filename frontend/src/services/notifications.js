@@ -1,10 +1,29 @@
 /**
  * Notification service
  * 
- * Handles local notifications for calendar reminders.
- * Works without Google services.
+ * Handles notifications for calendar reminders and new mail.
+ * 
+ * With Web Push, the server sends reminders and new mail notifications to
+ * the service worker (see public/push-handler.js), so they arrive while the
+ * app is closed. Without it (not supported, or turned off), reminders are
+ * shown by timers in the open app.
+ * Works without Google services (any browser push service works).
  */
 
+import { pushAPI } from './api';
+
+// Set when the user turns push notifications off, so they aren't turned on again at login
+const PUSH_DISABLED_KEY = 'pushDisabled';
+
+// Browsers fire longer timers right away
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Whether the server pushes reminders to this browser
+let pushActive = false;
+
+// In-app reminder timers by notification tag: { timer, time }
+const reminderTimers = new Map();
+
 /**
  * Request notification permission
  */
@@ -29,6 +48,7 @@ export function isSupported() {
  * @param {string} title - Notification title
  * @param {Object} options - Notification options
  * @param {Date} scheduleTime - When to show the notification
+ * @returns {number|undefined} - Timer ID (none if shown right away)
  */
 export function scheduleNotification(title, options, scheduleTime) {
   if (!isSupported()) {
@@ -42,11 +62,10 @@ export function scheduleNotification(title, options, scheduleTime) {
     return;
   }
   
-  // For future notifications, we'll use the service worker
-  // Store notification data for service worker to handle
+  // Shown while the app stays open (see Web Push below for closed apps)
   const delay = scheduleTime.getTime() - Date.now();
   
-  setTimeout(() => {
+  return setTimeout(() => {
     showNotification(title, options);
   }, delay);
 }
@@ -77,35 +96,201 @@ export function showNotification(title, options = {}) {
 }
 
 /**
- * Schedule calendar event reminders
+ * Schedule calendar event reminders in the app
+ * 
+ * Can be called again with reloaded events: each reminder has one timer,
+ * moved when its time changes. Nothing is scheduled while the server pushes
+ * reminders (they'd show twice).
  * 
- * @param {Array} events - Array of calendar events
+ * @param {Array} events - Array of calendar events (and occurrences)
  */
 export function scheduleEventReminders(events) {
-  // Clear existing reminders (in a real app, you'd track these)
-  // For simplicity, we'll just schedule new ones
+  if (pushActive) {
+    clearEventReminders();
+    return;
+  }
+  
+  const now = Date.now();
   
   events.forEach(event => {
-    if (event.reminderTime) {
-      const reminderTime = new Date(event.reminderTime);
-      const now = new Date();
-      
-      // Only schedule if reminder is in the future
-      if (reminderTime > now) {
-        scheduleNotification(
-          event.title,
-          {
-            body: event.description || `Event at ${event.startTime || 'all day'}`,
-            tag: `event-${event.id}`,
-            data: { eventId: event.id },
-          },
-          reminderTime
-        );
-      }
+    if (!event.reminderTime) {
+      return;
+    }
+    
+    // Same tag as pushed reminders, so one replaces the other
+    const tag = `event-${event.id}-${event.date}`;
+    const time = new Date(event.reminderTime).getTime();
+    const scheduled = reminderTimers.get(tag);
+    if (scheduled && scheduled.time === time) {
+      return;
+    }
+    if (scheduled) {
+      clearTimeout(scheduled.timer);
+      reminderTimers.delete(tag);
+    }
+    
+    // Only schedule if reminder is in the future (later ones are scheduled on a later load)
+    if (time > now && time - now <= MAX_TIMER_DELAY) {
+      const timer = scheduleNotification(
+        event.title,
+        {
+          body: event.description || `Event at ${event.startTime || 'all day'}`,
+          tag,
+          data: { url: `/calendar?date=${event.date}` },
+        },
+        new Date(time)
+      );
+      reminderTimers.set(tag, { timer, time });
     }
   });
 }
 
+/**
+ * Cancel the reminders scheduled in the app
+ */
+function clearEventReminders() {
+  reminderTimers.forEach(({ timer }) => clearTimeout(timer));
+  reminderTimers.clear();
+}
+
+/**
+ * Check if push notifications are supported
+ */
+export function isPushSupported() {
+  return isSupported() && 'PushManager' in window;
+}
+
+/**
+ * Decode a base64url string (VAPID keys)
+ */
+function base64UrlToBytes(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Get the service worker's push manager
+ * 
+ * There's no service worker in development builds (see main.jsx).
+ */
+async function getPushManager() {
+  const registration = await navigator.serviceWorker.getRegistration();
+  return registration ? registration.pushManager : null;
+}
+
+/**
+ * Subscribe this browser to the server's pushes
+ * 
+ * A subscription made with another server key (e.g. after the server's
+ * keys were restored from another backup) is replaced.
+ */
+async function subscribePush(pushManager) {
+  const { publicKey } = await pushAPI.getPublicKey();
+  const applicationServerKey = base64UrlToBytes(publicKey);
+  let subscription = await pushManager.getSubscription();
+  
+  if (subscription) {
+    const subscribedKey = new Uint8Array(subscription.options.applicationServerKey || []);
+    if (subscribedKey.join() !== applicationServerKey.join()) {
+      await subscription.unsubscribe();
+      subscription = null;
+    }
+  }
+  if (!subscription) {
+    subscription = await pushManager.subscribe({ userVisibleOnly: true, applicationServerKey });
+  }
+  
+  await pushAPI.subscribe(subscription.toJSON());
+  pushActive = true;
+  clearEventReminders();
+}
+
+/**
+ * Check if push notifications are on for this browser
+ */
+export async function isPushEnabled() {
+  if (!isPushSupported() || localStorage.getItem(PUSH_DISABLED_KEY)) {
+    return false;
+  }
+  const pushManager = await getPushManager();
+  return Boolean(pushManager && await pushManager.getSubscription());
+}
+
+/**
+ * Turn push notifications on (asks for permission)
+ * 
+ * @throws {Error} - If not supported or not allowed
+ */
+export async function enablePush() {
+  if (!isPushSupported()) {
+    throw new Error('Push notifications are not supported by this browser');
+  }
+  if (!await requestPermission()) {
+    throw new Error('Notifications are blocked - allow them in the browser\'s site settings');
+  }
+  
+  const pushManager = await getPushManager();
+  if (!pushManager) {
+    throw new Error('The service worker isn\'t running yet - reload the page and try again');
+  }
+  
+  await subscribePush(pushManager);
+  localStorage.removeItem(PUSH_DISABLED_KEY);
+}
+
+/**
+ * Turn push notifications off for this browser
+ * 
+ * Reminders are shown by the open app again.
+ */
+export async function disablePush() {
+  localStorage.setItem(PUSH_DISABLED_KEY, 'true');
+  pushActive = false;
+  
+  const pushManager = isPushSupported() ? await getPushManager() : null;
+  const subscription = pushManager && await pushManager.getSubscription();
+  if (subscription) {
+    await pushAPI.unsubscribe(subscription.endpoint).catch(() => {});
+    await subscription.unsubscribe();
+  }
+}
+
+/**
+ * Stop pushes for the signed-in user, before logging out
+ * 
+ * The browser stays subscribed, so they start again at the next login.
+ */
+export async function detachPush() {
+  pushActive = false;
+  
+  const pushManager = isPushSupported() ? await getPushManager() : null;
+  const subscription = pushManager && await pushManager.getSubscription();
+  if (subscription) {
+    await pushAPI.unsubscribe(subscription.endpoint).catch(() => {});
+  }
+}
+
+/**
+ * Register this browser for the signed-in user's pushes (after login)
+ * 
+ * Push is on unless the user turned it off here, once notifications are
+ * allowed. Errors are only logged - reminders are shown by the open app then.
+ */
+export async function syncPushSubscription() {
+  if (!isPushSupported() || Notification.permission !== 'granted' || localStorage.getItem(PUSH_DISABLED_KEY)) {
+    return;
+  }
+  
+  try {
+    const pushManager = await getPushManager();
+    if (pushManager) {
+      await subscribePush(pushManager);
+    }
+  } catch (error) {
+    console.error('Could not enable push notifications:', error);
+  }
+}
+
 /**
  * Show daily reminder notification
  * (Shown if app hasn't been opened in 24 hours)
@@ -0,0 +1,569 @@
+/**
+ * Offline outbox
+ * 
+ * Calendar and contact changes that can't be sent (no connection) are kept
+ * in IndexedDB and sent in order once the connection is back: by
+ * Background Sync (see public/sync-handler.js), when the browser goes
+ * online and when the app starts. Until then the modules show them on top
+ * of the cached data (see applyOutbox). Every open tab may try to send
+ * them, so sending holds a Web Lock: one tab at a time, and the next one
+ * finds what was sent already gone from the outbox.
+ * 
+ * Updates and deletions carry the updatedAt of the version they were made
+ * on, and the server refuses them if the item was changed or deleted
+ * since. Those are kept as conflicts until the user picks a version (see
+ * components/PendingChanges.jsx).
+ * 
+ * Entry: { id, userId, type ('calendar' or 'contacts'), action ('create',
+ * 'update' or 'delete'), targetId, data, scope, occurrenceDate,
+ * baseUpdatedAt, title, status ('pending' or 'conflict'), reason, current,
+ * error, createdAt }
+ * - targetId: the item's ID, a temporary one ('local-...') for items
+ *   created offline. Once one is sent, its server ID is remembered for a
+ *   while, so changes made on the temporary one still reach it.
+ * - reason: why it's a conflict - 'changed' (the server's version is in
+ *   current), 'deleted' or 'rejected' (the server's message is in error)
+ */
+
+import { calendarAPI, contactsAPI, getCurrentUserId } from './api';
+import { outboxStorage } from './storage';
+
+// Background Sync tag (see public/sync-handler.js)
+const SYNC_TAG = 'outbox';
+
+// Web Lock held while the outbox is sent or changed by another tab
+const LOCK_NAME = 'outbox';
+
+// Server IDs of items created offline, stored per user: { 'type:local-...': { id, updatedAt } }
+const SYNCED_IDS_KEY = 'outboxSyncedIds';
+
+// Server IDs remembered (only needed until the modules have reloaded)
+const SYNCED_ID_COUNT = 50;
+
+// Fields the event form sends that belong to one date of a recurring event
+const OCCURRENCE_FIELDS = ['date', 'reminderTime'];
+
+const senders = {
+  calendar: {
+    create: entry => calendarAPI.createEvent(entry.data),
+    update: entry => calendarAPI.updateEvent(entry.targetId, entry.data, entry.scope, entry.occurrenceDate, entry.baseUpdatedAt),
+    delete: entry => calendarAPI.deleteEvent(entry.targetId, entry.scope, entry.occurrenceDate, entry.baseUpdatedAt),
+    get: id => calendarAPI.getEvent(id),
+  },
+  contacts: {
+    create: entry => contactsAPI.createContact(entry.data),
+    update: entry => contactsAPI.updateContact(entry.targetId, entry.data, entry.baseUpdatedAt),
+    delete: entry => contactsAPI.deleteContact(entry.targetId, entry.baseUpdatedAt),
+    get: id => contactsAPI.getContact(id),
+  },
+};
+
+const listeners = new Set();
+
+// The flush that's running in this tab (LOCK_NAME keeps tabs apart)
+let flushing = null;
+let started = false;
+
+function isLocalId(id) {
+  return typeof id === 'string' && id.startsWith('local-');
+}
+
+function getSyncedIds() {
+  try {
+    return JSON.parse(localStorage.getItem(`${SYNCED_IDS_KEY}:${getCurrentUserId()}`)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function rememberSyncedId(type, localId, item) {
+  const ids = { ...getSyncedIds(), [`${type}:${localId}`]: { id: item.id, updatedAt: item.updatedAt } };
+  const kept = Object.entries(ids).slice(-SYNCED_ID_COUNT);
+  localStorage.setItem(`${SYNCED_IDS_KEY}:${getCurrentUserId()}`, JSON.stringify(Object.fromEntries(kept)));
+}
+
+async function getEntries() {
+  const userId = getCurrentUserId();
+  const entries = await outboxStorage.getAll();
+  return entries.filter(entry => entry.userId === userId);
+}
+
+/**
+ * Tell listeners the outbox changed
+ * 
+ * @param {number} sent - Number of changes the server accepted
+ */
+function notify(sent = 0) {
+  listeners.forEach(listener => listener({ sent }));
+}
+
+/**
+ * Run a task while no other tab runs one holding the same lock (Web Locks;
+ * where they aren't supported, tabs aren't kept apart)
+ * 
+ * @param {string} name - Lock name
+ * @param {Function} task - Returns a promise
+ * @returns {Promise} - The task's result
+ */
+export function withLock(name, task) {
+  if (navigator.locks) {
+    return navigator.locks.request(name, () => task());
+  }
+  return task();
+}
+
+/**
+ * Ask the service worker to fire a sync once the connection is back (where
+ * Background Sync is supported - otherwise the 'online' listener does)
+ * 
+ * @param {string} tag - Sync tag (see public/sync-handler.js)
+ */
+export async function requestBackgroundSync(tag = SYNC_TAG) {
+  try {
+    const registration = 'serviceWorker' in navigator && await navigator.serviceWorker.getRegistration();
+    if (registration && registration.sync) {
+      await registration.sync.register(tag);
+    }
+  } catch (error) {
+    console.error('Error registering background sync:', error);
+  }
+}
+
+/**
+ * Flush when the service worker asks to (see public/sync-handler.js)
+ * 
+ * @param {string} tag - Sync tag
+ * @param {Function} flush - Returns a promise of whether everything was sent
+ */
+export function onBackgroundSync(tag, flush) {
+  if (!('serviceWorker' in navigator)) {
+    return;
+  }
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'sync' && event.data.tag === tag && event.ports[0]) {
+      flush().then(done => event.ports[0].postMessage({ done }));
+    }
+  });
+}
+
+/**
+ * Conflict fields for a change the server refused
+ * 
+ * @param {Error} error - API error (with status and data)
+ * @param {Object} change - Outbox entry
+ * @returns {Object|null} - null if the change can be dropped (deleting
+ *   something that's already gone)
+ */
+function conflictFor(error, change) {
+  if (error.status === 409) {
+    return { status: 'conflict', reason: 'changed', current: error.data && error.data.current };
+  }
+  if (error.status === 404) {
+    return change.action === 'delete' ? null : { status: 'conflict', reason: 'deleted' };
+  }
+  return { status: 'conflict', reason: 'rejected', error: error.message };
+}
+
+async function addEntry(change) {
+  await outboxStorage.add({
+    ...change,
+    userId: getCurrentUserId(),
+    createdAt: new Date().toISOString(),
+  });
+  notify();
+}
+
+/**
+ * Apply a change of an item created offline to its queued creation: changes
+ * go into it, deleting the item drops it
+ * 
+ * @returns {Promise<boolean>} - false if the creation isn't queued (anymore)
+ */
+function changeQueuedCreation(change) {
+  // Not while a tab is sending the creation
+  return withLock(LOCK_NAME, async () => {
+    const entries = await getEntries();
+    const creation = entries.find(entry =>
+      entry.type === change.type && entry.targetId === change.targetId && entry.action === 'create'
+    );
+    if (!creation) {
+      return false;
+    }
+    
+    if (change.action === 'delete') {
+      await outboxStorage.delete(creation.id);
+    } else {
+      await outboxStorage.update({
+        ...creation,
+        data: { ...creation.data, ...change.data },
+        title: change.title,
+        status: 'pending',
+        reason: null,
+        error: null,
+      });
+    }
+    notify();
+    return true;
+  });
+}
+
+/**
+ * Make a change: sent right away if possible, otherwise queued
+ * 
+ * While older changes are waiting, new ones queue behind them so they
+ * reach the server in order.
+ * 
+ * @param {Object} change - { type, action, targetId, data, scope, occurrenceDate, baseUpdatedAt, title }
+ * @returns {Promise<boolean>} - true if the server has it, false if it's in the outbox
+ * @throws {Error} - If the server refused the change (e.g. invalid data), or
+ *   the item was created offline and sent, but its server ID isn't known here
+ */
+async function submit(change) {
+  if (isLocalId(change.targetId) && change.action !== 'create') {
+    if (await changeQueuedCreation(change)) {
+      return false;
+    }
+    // Sent in the meantime: the change goes to the created item
+    const synced = getSyncedIds()[`${change.type}:${change.targetId}`];
+    if (!synced) {
+      throw new Error('This item was synced in the meantime - reload to change it');
+    }
+    change = { ...change, targetId: synced.id, baseUpdatedAt: synced.updatedAt };
+  }
+  
+  const entries = await getEntries();
+  
+  if (entries.length === 0 && navigator.onLine) {
+    try {
+      await senders[change.type][change.action](change);
+      return true;
+    } catch (error) {
+      // No connection: queued below
+      if (error.status) {
+        if (error.status !== 409 && error.status !== 404) {
+          throw error;
+        }
+        const conflict = conflictFor(error, change);
+        if (conflict) {
+          await addEntry({ ...change, ...conflict });
+        }
+        return !conflict;
+      }
+    }
+  }
+  
+  await addEntry({ ...change, status: 'pending' });
+  requestBackgroundSync();
+  if (entries.length > 0 && navigator.onLine) {
+    flushOutbox();
+  }
+  return false;
+}
+
+/**
+ * After a change was sent, move later changes of the same item that were
+ * made on the same version onto the version it created, so they aren't
+ * refused as conflicts with the user's own change
+ */
+async function rebase(entries, sentEntry, result) {
+  const later = entries.filter(entry =>
+    entry.id > sentEntry.id &&
+    entry.type === sentEntry.type &&
+    entry.targetId === sentEntry.targetId &&
+    entry.status === 'pending' &&
+    (sentEntry.action === 'create' || entry.baseUpdatedAt === sentEntry.baseUpdatedAt)
+  );
+  if (later.length === 0 || sentEntry.action === 'delete') {
+    return;
+  }
+  
+  // Editing one occurrence (or the following ones) answers with the new
+  // event, and the series itself changed too
+  let item = result;
+  if (!item || (sentEntry.action === 'update' && item.id !== sentEntry.targetId)) {
+    try {
+      item = await senders[sentEntry.type].get(sentEntry.targetId);
+    } catch (error) {
+      return;
+    }
+  }
+  
+  for (const entry of later) {
+    entry.targetId = item.id;
+    entry.baseUpdatedAt = item.updatedAt;
+    await outboxStorage.update(entry);
+  }
+}
+
+/**
+ * Send the queued changes, oldest first
+ * 
+ * Stops at the first change that can't be sent for now (no connection,
+ * server error, signed out). Changes the server refuses become conflicts,
+ * and later changes of the same item wait until those are resolved.
+ * 
+ * @returns {Promise<boolean>} - Whether everything that can be sent was sent
+ */
+async function replay() {
+  if (!getCurrentUserId()) {
+    return false;
+  }
+  
+  const entries = await getEntries();
+  const blocked = new Set();
+  let sent = 0;
+  let changed = false;
+  
+  try {
+    for (const entry of entries) {
+      const key = `${entry.type}:${entry.targetId}`;
+      if (entry.status === 'conflict' || blocked.has(key)) {
+        blocked.add(key);
+        continue;
+      }
+      
+      try {
+        const result = await senders[entry.type][entry.action](entry);
+        await outboxStorage.delete(entry.id);
+        sent++;
+        if (entry.action === 'create' && isLocalId(entry.targetId)) {
+          rememberSyncedId(entry.type, entry.targetId, result);
+        }
+        await rebase(entries, entry, result);
+      } catch (error) {
+        if (!error.status || error.status >= 500 || error.status === 401 || error.status === 403) {
+          requestBackgroundSync();
+          return false;
+        }
+        
+        const conflict = conflictFor(error, entry);
+        if (conflict) {
+          await outboxStorage.update({ ...entry, ...conflict });
+          blocked.add(key);
+          changed = true;
+        } else {
+          await outboxStorage.delete(entry.id);
+          sent++;
+        }
+      }
+    }
+    return true;
+  } finally {
+    if (sent > 0 || changed) {
+      notify(sent);
+    }
+  }
+}
+
+/**
+ * Send the queued changes now
+ * 
+ * @returns {Promise<boolean>} - Whether everything that can be sent was sent
+ */
+export function flushOutbox() {
+  if (!flushing) {
+    flushing = withLock(LOCK_NAME, replay)
+      .catch((error) => {
+        console.error('Error sending offline changes:', error);
+        return false;
+      })
+      .finally(() => {
+        flushing = null;
+      });
+  }
+  return flushing;
+}
+
+/**
+ * Start sending queued changes: now, whenever the connection is back, and
+ * when the service worker asks to (Background Sync)
+ * 
+ * Called once the user is signed in.
+ */
+export function startOutbox() {
+  if (!started) {
+    started = true;
+    window.addEventListener('online', () => flushOutbox());
+    onBackgroundSync(SYNC_TAG, flushOutbox);
+  }
+  
+  return flushOutbox();
+}
+
+/**
+ * Listen for changes of the outbox (queued, sent, resolved)
+ * 
+ * @param {Function} listener - Called with { sent } (number of changes the server accepted)
+ * @returns {Function} - Unsubscribe
+ */
+export function subscribeToOutbox(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Get the queued changes of a module
+ * 
+ * @param {string} type - 'calendar' or 'contacts'
+ * @returns {Promise<Array<Object>>} - Outbox entries, oldest first
+ */
+export async function getOutboxEntries(type) {
+  const entries = await getEntries();
+  return entries.filter(entry => entry.type === type);
+}
+
+/**
+ * Resolve a conflict
+ * 
+ * @param {number} entryId - Outbox entry ID
+ * @param {string} choice - 'mine' (send the change anyway - an item that
+ *   was deleted is created again) or 'theirs' (drop the change)
+ */
+export async function resolveConflict(entryId, choice) {
+  const entries = await getEntries();
+  const entry = entries.find(item => item.id === entryId);
+  if (!entry) {
+    return;
+  }
+  
+  if (choice === 'theirs') {
+    await outboxStorage.delete(entry.id);
+    notify();
+    return;
+  }
+  
+  // Later changes made on the same version go on top of mine
+  if (entry.reason === 'changed' && entry.current) {
+    const later = entries.filter(item =>
+      item.id > entry.id && item.type === entry.type && item.targetId === entry.targetId &&
+      item.status === 'pending' && item.baseUpdatedAt === entry.baseUpdatedAt
+    );
+    for (const item of later) {
+      await outboxStorage.update({ ...item, baseUpdatedAt: entry.current.updatedAt });
+    }
+    entry.baseUpdatedAt = entry.current.updatedAt;
+  } else if (entry.reason === 'deleted') {
+    Object.assign(entry, { action: 'create', scope: null, occurrenceDate: null, baseUpdatedAt: null });
+  }
+  
+  await outboxStorage.update({ ...entry, status: 'pending', reason: null, current: null, error: null });
+  notify();
+  await flushOutbox();
+}
+
+/**
+ * Whether a queued calendar change covers an event (occurrence)
+ */
+function inScope(entry, event) {
+  if (!entry.occurrenceDate || !event.occurrenceDate) {
+    return true;
+  }
+  if (entry.scope === 'occurrence') {
+    return event.occurrenceDate === entry.occurrenceDate;
+  }
+  if (entry.scope === 'following') {
+    return event.occurrenceDate >= entry.occurrenceDate;
+  }
+  return true;
+}
+
+/**
+ * Show queued changes on top of loaded (or cached) data
+ * 
+ * Items created or changed offline are marked with pending: true. Items
+ * created offline show on their first date only, also if they repeat.
+ * 
+ * @param {string} type - 'calendar' or 'contacts'
+ * @param {Array<Object>} items - Events (occurrences) or contacts
+ * @returns {Promise<Array<Object>>}
+ */
+export async function applyOutbox(type, items) {
+  let result = items;
+  
+  for (const entry of await getOutboxEntries(type)) {
+    const matches = item => item.id === entry.targetId && (type !== 'calendar' || inScope(entry, item));
+    
+    if (entry.action === 'create') {
+      result = [...result, { ...entry.data, id: entry.targetId, pending: true }];
+    } else if (entry.action === 'delete') {
+      result = result.filter(item => !matches(item));
+    } else {
+      result = result.map((item) => {
+        if (!matches(item)) {
+          return item;
+        }
+        // A date change of one occurrence doesn't move the others
+        let data = entry.data;
+        if (type === 'calendar' && entry.occurrenceDate && item.occurrenceDate !== entry.occurrenceDate) {
+          data = Object.fromEntries(Object.entries(data).filter(([field]) => !OCCURRENCE_FIELDS.includes(field)));
+        }
+        return { ...item, ...data, pending: true };
+      });
+    }
+  }
+  
+  return result;
+}
+
+function newLocalId() {
+  return `local-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Calendar changes (see submit)
+ */
+export const calendarOutbox = {
+  createEvent: (data) =>
+    submit({ type: 'calendar', action: 'create', targetId: newLocalId(), data, title: data.title }),
+  
+  // Scope: 'occurrence', 'following' or 'all' for occurrences of recurring events
+  updateEvent: (event, data, scope) =>
+    submit({
+      type: 'calendar',
+      action: 'update',
+      targetId: event.id,
+      data,
+      scope: scope || null,
+      occurrenceDate: event.occurrenceDate || null,
+      baseUpdatedAt: event.updatedAt,
+      title: data.title,
+    }),
+  
+  deleteEvent: (event, scope) =>
+    submit({
+      type: 'calendar',
+      action: 'delete',
+      targetId: event.id,
+      scope: scope || null,
+      occurrenceDate: scope ? event.occurrenceDate : null,
+      baseUpdatedAt: event.updatedAt,
+      title: event.title,
+    }),
+};
+
+/**
+ * Contacts changes (see submit)
+ */
+export const contactsOutbox = {
+  createContact: (data) =>
+    submit({ type: 'contacts', action: 'create', targetId: newLocalId(), data, title: data.name }),
+  
+  updateContact: (contact, data) =>
+    submit({
+      type: 'contacts',
+      action: 'update',
+      targetId: contact.id,
+      data,
+      baseUpdatedAt: contact.updatedAt,
+      title: data.name,
+    }),
+  
+  deleteContact: (contact) =>
+    submit({
+      type: 'contacts',
+      action: 'delete',
+      targetId: contact.id,
+      baseUpdatedAt: contact.updatedAt,
+      title: contact.name,
+    }),
+};
@@ -0,0 +1,17 @@
+/**
+ * Random IDs
+ * 
+ * Built from crypto.getRandomValues, which (unlike crypto.randomUUID) also
+ * works outside secure contexts - the app can be served over plain HTTP
+ * (see PORT_CONFIGURATION.md).
+ */
+
+/**
+ * A random ID: 32 hex characters (128 bits)
+ * 
+ * @returns {string}
+ */
+export function randomId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
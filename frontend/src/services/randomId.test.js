@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomId } from './randomId.js';
+
+test('randomId works without crypto.randomUUID (plain HTTP)', () => {
+  const { randomUUID } = Object.getPrototypeOf(crypto);
+  Object.defineProperty(crypto, 'randomUUID', { value: undefined, configurable: true });
+  try {
+    assert.equal(crypto.randomUUID, undefined);
+    assert.match(randomId(), /^[0-9a-f]{32}$/);
+  } finally {
+    delete crypto.randomUUID;
+  }
+  assert.equal(crypto.randomUUID, randomUUID);
+});
+
+test('randomId returns a new ID each time', () => {
+  const ids = new Set(Array.from({ length: 1000 }, () => randomId()));
+  assert.equal(ids.size, 1000);
+});
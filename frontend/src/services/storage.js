@@ -8,17 +8,23 @@
 import { openDB } from 'idb';
 
 const DB_NAME = 'all-in-one-pwa';
-const DB_VERSION = 1;
+const DB_VERSION = 6;
 
 /**
  * Initialize database
  */
 async function initDB() {
   return openDB(DB_NAME, DB_VERSION, {
-    upgrade(db) {
+    upgrade(db, oldVersion) {
+      // Version 2: occurrences of recurring events share an ID,
+      // so events are keyed by ID and date
+      if (oldVersion < 2 && db.objectStoreNames.contains('events')) {
+        db.deleteObjectStore('events');
+      }
+      
       // Calendar events store
       if (!db.objectStoreNames.contains('events')) {
-        db.createObjectStore('events', { keyPath: 'id' });
+        db.createObjectStore('events', { keyPath: ['id', 'date'] });
       }
       
       // Contacts store
@@ -35,6 +41,37 @@ async function initDB() {
       if (!db.objectStoreNames.contains('folders')) {
         db.createObjectStore('folders', { keyPath: 'id' });
       }
+      
+      // Version 3: mail conversations store
+      // A conversation can have messages in several folders, so it's keyed by folder and ID
+      if (!db.objectStoreNames.contains('threads')) {
+        db.createObjectStore('threads', { keyPath: ['folder', 'id'] });
+      }
+      
+      // Version 4: changes made offline, waiting to be sent (see outbox.js)
+      if (!db.objectStoreNames.contains('outbox')) {
+        db.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+      }
+      
+      // Version 5: where the last sync left off (see sync.js)
+      if (!db.objectStoreNames.contains('sync')) {
+        db.createObjectStore('sync', { keyPath: 'key' });
+      }
+      
+      // Version 6: mail accounts, mail downloaded for offline reading, and
+      // mail waiting to be sent (see mailCache.js and mailOutbox.js)
+      if (!db.objectStoreNames.contains('mailAccounts')) {
+        db.createObjectStore('mailAccounts', { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains('mailCache')) {
+        db.createObjectStore('mailCache', { keyPath: 'key' });
+      }
+      if (!db.objectStoreNames.contains('mailCacheIndex')) {
+        db.createObjectStore('mailCacheIndex', { keyPath: 'key' });
+      }
+      if (!db.objectStoreNames.contains('mailOutbox')) {
+        db.createObjectStore('mailOutbox', { keyPath: 'id', autoIncrement: true });
+      }
     },
   });
 }
@@ -43,19 +80,13 @@ async function initDB() {
  * Calendar storage
  */
 export const calendarStorage = {
+  // In the server's order (by date and time)
   async getAll() {
     const db = await initDB();
-    return db.getAll('events');
-  },
-  
-  async setAll(events) {
-    const db = await initDB();
-    const tx = db.transaction('events', 'readwrite');
-    await tx.store.clear();
-    for (const event of events) {
-      await tx.store.put(event);
-    }
-    await tx.done;
+    const events = await db.getAll('events');
+    return events.sort((a, b) =>
+      a.date.localeCompare(b.date) || (a.startTime || '').localeCompare(b.startTime || '')
+    );
   },
   
   async add(event) {
@@ -68,9 +99,9 @@ export const calendarStorage = {
     await db.put('events', event);
   },
   
-  async delete(id) {
+  async delete(event) {
     const db = await initDB();
-    await db.delete('events', id);
+    await db.delete('events', [event.id, event.date]);
   },
 };
 
@@ -78,19 +109,11 @@ export const calendarStorage = {
  * Contacts storage
  */
 export const contactsStorage = {
+  // In the server's order (by name)
   async getAll() {
     const db = await initDB();
-    return db.getAll('contacts');
-  },
-  
-  async setAll(contacts) {
-    const db = await initDB();
-    const tx = db.transaction('contacts', 'readwrite');
-    await tx.store.clear();
-    for (const contact of contacts) {
-      await tx.store.put(contact);
-    }
-    await tx.done;
+    const contacts = await db.getAll('contacts');
+    return contacts.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
   },
   
   async add(contact) {
@@ -109,6 +132,53 @@ export const contactsStorage = {
   },
 };
 
+/**
+ * Sync storage
+ * 
+ * Merges the changes from GET /api/sync into the calendar and contacts
+ * stores (see sync.js). The changes and the new cursor are saved in one
+ * transaction, so the stored data always matches its cursor.
+ */
+export const syncStorage = {
+  // { userId, cursor } of the last sync (undefined before the first)
+  async getState() {
+    const db = await initDB();
+    return db.get('sync', 'state');
+  },
+  
+  async applyChanges(userId, changes) {
+    const db = await initDB();
+    const tx = db.transaction(['events', 'contacts', 'sync'], 'readwrite');
+    const events = tx.objectStore('events');
+    const contacts = tx.objectStore('contacts');
+    
+    if (changes.reset) {
+      await events.clear();
+      await contacts.clear();
+    }
+    
+    // Changed events come with all their occurrences, so the stored ones
+    // (keyed [id, date]) are replaced
+    const eventIds = new Set([...changes.calendar.deleted, ...changes.calendar.changed.map(event => event.id)]);
+    for (const id of eventIds) {
+      await events.delete(IDBKeyRange.bound([id], [id, []]));
+    }
+    for (const event of changes.calendar.changed) {
+      await events.put(event);
+    }
+    
+    for (const id of changes.contacts.deleted) {
+      await contacts.delete(id);
+    }
+    for (const contact of changes.contacts.changed) {
+      await contacts.put(contact);
+    }
+    
+    await tx.objectStore('sync').put({ key: 'state', userId, cursor: changes.cursor });
+    await tx.done;
+  },
+};
+
 /**
  * Mail storage
  */
@@ -139,6 +209,46 @@ export const mailStorage = {
     await tx.done;
   },
   
+  async getThreads(folder) {
+    const db = await initDB();
+    const all = await db.getAll('threads');
+    return all.filter(thread => thread.folder === folder);
+  },
+  
+  async setThreads(folder, threads) {
+    const db = await initDB();
+    const tx = db.transaction('threads', 'readwrite');
+    
+    // Remove old conversations from this folder
+    const all = await tx.store.getAll();
+    for (const thread of all) {
+      if (thread.folder === folder) {
+        await tx.store.delete([folder, thread.id]);
+      }
+    }
+    
+    for (const thread of threads) {
+      await tx.store.put({ ...thread, folder });
+    }
+    
+    await tx.done;
+  },
+  
+  async getAccounts() {
+    const db = await initDB();
+    return db.getAll('mailAccounts');
+  },
+  
+  async setAccounts(accounts) {
+    const db = await initDB();
+    const tx = db.transaction('mailAccounts', 'readwrite');
+    await tx.store.clear();
+    for (const account of accounts) {
+      await tx.store.put(account);
+    }
+    await tx.done;
+  },
+  
   async getFolders() {
     const db = await initDB();
     return db.getAll('folders');
@@ -154,3 +264,103 @@ export const mailStorage = {
     await tx.done;
   },
 };
+
+/**
+ * Outbox storage (changes waiting to be sent, oldest first)
+ */
+export const outboxStorage = {
+  async getAll() {
+    const db = await initDB();
+    return db.getAll('outbox');
+  },
+  
+  // Returns the entry's ID
+  async add(entry) {
+    const db = await initDB();
+    return db.add('outbox', entry);
+  },
+  
+  async update(entry) {
+    const db = await initDB();
+    await db.put('outbox', entry);
+  },
+  
+  async delete(id) {
+    const db = await initDB();
+    await db.delete('outbox', id);
+  },
+};
+
+/**
+ * Offline mail storage
+ * 
+ * Conversations and attachments downloaded for offline reading. Their
+ * sizes and when they were last used are kept in a separate index, so the
+ * size budget can be checked without reading them (see mailCache.js).
+ */
+export const mailCacheStorage = {
+  async get(key) {
+    const db = await initDB();
+    const entry = await db.get('mailCache', key);
+    return entry && entry.data;
+  },
+  
+  // info: { userId, size, usedAt }
+  async put(key, data, info) {
+    const db = await initDB();
+    const tx = db.transaction(['mailCache', 'mailCacheIndex'], 'readwrite');
+    await tx.objectStore('mailCache').put({ key, data });
+    await tx.objectStore('mailCacheIndex').put({ key, ...info });
+    await tx.done;
+  },
+  
+  async getIndex() {
+    const db = await initDB();
+    return db.getAll('mailCacheIndex');
+  },
+  
+  async touch(key, usedAt) {
+    const db = await initDB();
+    const tx = db.transaction('mailCacheIndex', 'readwrite');
+    const info = await tx.store.get(key);
+    if (info) {
+      await tx.store.put({ ...info, usedAt });
+    }
+    await tx.done;
+  },
+  
+  async delete(keys) {
+    const db = await initDB();
+    const tx = db.transaction(['mailCache', 'mailCacheIndex'], 'readwrite');
+    for (const key of keys) {
+      await tx.objectStore('mailCache').delete(key);
+      await tx.objectStore('mailCacheIndex').delete(key);
+    }
+    await tx.done;
+  },
+};
+
+/**
+ * Mail outbox storage (mail waiting to be sent, oldest first)
+ */
+export const mailOutboxStorage = {
+  async getAll() {
+    const db = await initDB();
+    return db.getAll('mailOutbox');
+  },
+  
+  async add(mail) {
+    const db = await initDB();
+    return db.add('mailOutbox', mail);
+  },
+  
+  async update(mail) {
+    const db = await initDB();
+    await db.put('mailOutbox', mail);
+  },
+  
+  async delete(id) {
+    const db = await initDB();
+    await db.delete('mailOutbox', id);
+  },
+};
@@ -0,0 +1,38 @@
+/**
+ * Sync service
+ * 
+ * Keeps the offline copy of events and contacts (see storage.js) up to date
+ * through GET /api/sync: only what changed since the last sync is
+ * downloaded and merged in, and the modules read their data from the copy.
+ */
+
+import { syncAPI, getCurrentUserId } from './api';
+import { syncStorage } from './storage';
+
+// The last sync started - syncs run one after another, so changes are
+// merged in order
+let lastSync = Promise.resolve();
+
+async function runSync() {
+  const userId = getCurrentUserId();
+  const state = await syncStorage.getState();
+  
+  // Another user's copy is replaced
+  const since = state && state.userId === userId ? state.cursor : null;
+  
+  const changes = await syncAPI.getChanges(since);
+  await syncStorage.applyChanges(userId, changes);
+  return changes;
+}
+
+/**
+ * Download and store what changed since the last sync
+ * 
+ * @returns {Promise<Object>} - The changes (see GET /api/sync)
+ * @throws {Error} - If the server can't be reached (the stored copy stays as it was)
+ */
+export function syncData() {
+  const sync = lastSync.catch(() => {}).then(runSync);
+  lastSync = sync;
+  return sync;
+}
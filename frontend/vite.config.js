@@ -27,7 +27,10 @@ export default defineConfig({
         ]
       },
       workbox: {
-        globPatterns: ['**/*.{js,css,html,ico,png,svg}']
+        globPatterns: ['**/*.{js,css,html,ico,png,svg}'],
+        // Shows pushed reminders and new mail notifications, and sends
+        // changes and mail made offline once the connection is back
+        importScripts: ['push-handler.js', 'sync-handler.js']
       }
     })
   ],